@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import connectDB from './src/config/db.js';
+import { backfillEvidenceRecords, backfillMessageAttachments } from './src/utils/evidence.js';
+import CustodyEvent from './src/models/custodyEvent.model.js';
+
+dotenv.config();
+
+// Converts the legacy evidenceUrls strings on existing complaints and the attachment URLs on
+// case messages into evidence records, and brings the custody log indexes up to date.
+// Safe to re-run: complaints that have already been converted are skipped.
+const migrateEvidence = async () => {
+    await connectDB();
+
+    try {
+        console.log('Converting evidence URLs to evidence records...');
+        const { processed, migratedFiles } = await backfillEvidenceRecords();
+        console.log(`✅ ${migratedFiles} files migrated across ${processed} complaints.`);
+
+        console.log('Converting message attachments to evidence records...');
+        const attachments = await backfillMessageAttachments();
+        console.log(`✅ ${attachments.migratedFiles} attachments migrated across ${attachments.processed} messages.`);
+
+        // Replaces the old (complaint, sequence) index now that pre-uploads are chained per uploader.
+        console.log('Updating custody log indexes...');
+        await CustodyEvent.syncIndexes();
+        console.log('✅ Custody log indexes updated.');
+    } catch (error) {
+        console.error('❌ Error migrating evidence:', error);
+    } finally {
+        await mongoose.disconnect();
+        console.log('🔌 Disconnected from MongoDB.');
+    }
+};
+
+migrateEvidence();
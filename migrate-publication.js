@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import connectDB from './src/config/db.js';
+import { backfillPublicationPreferences } from './src/utils/publicationRevisions.js';
+
+dotenv.config();
+
+// The public feed only lists cases whose complainant agreed to publication. Cases published
+// before consent was recorded have no preference and would drop off the feed, so they are
+// set to 'Anonymous'. Safe to re-run: cases with a preference are skipped.
+const migratePublication = async () => {
+    await connectDB();
+
+    try {
+        console.log('Recording publication preferences for published cases...');
+        const { updated } = await backfillPublicationPreferences();
+        console.log(`✅ ${updated} published cases set to 'Anonymous'.`);
+    } catch (error) {
+        console.error('❌ Error migrating publication preferences:', error);
+    } finally {
+        await mongoose.disconnect();
+        console.log('🔌 Disconnected from MongoDB.');
+    }
+};
+
+migratePublication();
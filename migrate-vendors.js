@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import connectDB from './src/config/db.js';
+import { backfillComplaintVendors } from './src/utils/vendors.js';
+
+dotenv.config();
+
+// Builds the Vendor registry from existing complaint vendorDetails and links each complaint to it.
+// Safe to re-run: complaints that already reference a vendor are skipped.
+const migrateVendors = async () => {
+    await connectDB();
+
+    try {
+        console.log('Linking complaints to the vendor registry...');
+        const { processed, linked, vendorsBefore, vendorsAfter } = await backfillComplaintVendors();
+        console.log(`✅ ${linked}/${processed} complaints linked. Vendors: ${vendorsBefore} -> ${vendorsAfter}.`);
+    } catch (error) {
+        console.error('❌ Error migrating vendors:', error);
+    } finally {
+        await mongoose.disconnect();
+        console.log('🔌 Disconnected from MongoDB.');
+    }
+};
+
+migrateVendors();
@@ -4,23 +4,15 @@ import connectDB from './src/config/db.js';
 import User from './src/models/user.model.js';
 import Complaint from './src/models/complaint.model.js';
 import { generateCaseRef } from './src/utils/helpers.js';
+import { DEFAULT_TAXONOMY } from './src/utils/taxonomy.js';
 import AppSettings from './models/settings.model.js';
 
 dotenv.config();
 
 const getRandomItem = (arr) => arr[Math.floor(Math.random() * arr.length)];
 
-const sampleCategories = [
-    'Vendor & Service Issues',
-    'Peer-to-Peer Disputes',
-    'Oppression/Harassment',
-    'Financial Fraud/Scam',
-];
-const sampleActions = [
-    'Mediation/Internal Settlement',
-    'Formal Legal Support/Court Action',
-    'Public Resolution/Exposure',
-];
+const sampleCategories = DEFAULT_TAXONOMY.category;
+const sampleActions = DEFAULT_TAXONOMY.desiredAction;
 const sampleVendors = [
     { name: 'Quantum Gadgets Inc.', contact: 'support@quantumgadgets.com' },
     { name: 'Starlight Apparel', contact: 'help@starlightapparel.co' },
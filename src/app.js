@@ -9,6 +9,9 @@ import notificationRouter from './routes/notification.routes.js';
 import publicRouter from './routes/public.routes.js';
 import appealRouter from './routes/appeal.routes.js';
 import invitationRouter from './routes/invitation.routes.js';
+import calendarRouter from './routes/calendar.routes.js';
+import respondentRouter from './routes/respondent.routes.js';
+import fileRouter from './routes/file.routes.js';
 
 // Create an Express application
 const app = express();
@@ -57,5 +60,8 @@ app.use('/api/v1/notifications', notificationRouter);
 app.use('/api/v1/public', publicRouter);
 app.use('/api/v1/appeals', appealRouter);
 app.use('/api/v1/invitations', invitationRouter);
+app.use('/api/v1/calendar', calendarRouter);
+app.use('/api/v1/respondent', respondentRouter);
+app.use('/api/v1/files', fileRouter);
 
 export default app;
\ No newline at end of file
@@ -10,5 +10,9 @@ connection.on('error', (err) => {
 });
 
 export const notificationQueue = new Queue('notificationQueue', { connection });
+export const slaQueue = new Queue('slaQueue', { connection });
+export const meetingQueue = new Queue('meetingQueue', { connection });
+export const storageQueue = new Queue('storageQueue', { connection });
+export const publicationQueue = new Queue('publicationQueue', { connection });
 
 export default connection;
\ No newline at end of file
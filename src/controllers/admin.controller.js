@@ -1,13 +1,40 @@
+import mongoose from 'mongoose';
 import Complaint from '../models/complaint.model.js';
 import User from '../models/user.model.js';
 import { createNotification, notifyAdmins } from '../utils/notification.js';
 import { sendEmail } from '../utils/email.js';
-import cloudinary from '../config/cloudinary.js';
 import bcrypt from 'bcryptjs';
 import crypto from 'crypto';
 import os from 'os-utils';
 import AppSettings from '../models/settings.model.js';
+import CaseRedirect from '../models/caseRedirect.model.js';
 import NotificationInteraction from '../models/notificationInteraction.model.js';
+import { transitionStatus, getAllowedTransitions, StatusTransitionError, transitionErrorBody } from '../utils/complaintStatus.js';
+import { getSlaConfig, buildSlaMatch } from '../utils/sla.js';
+import { resolveVendor } from '../utils/vendors.js';
+import { getTaxonomy, validateTaxonomyValues } from '../utils/taxonomy.js';
+import Meeting from '../models/meeting.model.js';
+import {
+    resolveMeetingWindow,
+    resolveMeetingPlace,
+    findMeetingConflicts,
+    findSlotConflicts,
+    findCaseMeeting,
+    moveMeeting,
+    parseSlot,
+    recordProposal,
+    closeOpenProposals,
+    buildMeetingDetailsHtml,
+    formatMeetingTime,
+    formatResponseDeadline,
+    refreshInvitationSummary,
+    cancelUpcomingMeetings,
+} from '../utils/meetings.js';
+import { getResponseDeadline, scheduleMeetingJobs } from '../utils/meetingJobs.js';
+import { buildMeetingIcsAttachment } from '../utils/ics.js';
+import { EVIDENCE_VISIBILITIES, deleteStoredEvidence } from '../utils/evidence.js';
+import { SNIFFABLE_MIME_TYPES } from '../utils/fileTypes.js';
+import { recordEvidenceCustody } from '../utils/custody.js';
 
 /**
  * @description Get key performance indicators (KPIs) for the admin dashboard.
@@ -26,18 +53,26 @@ export const getComplaintStats = async (req, res) => {
             { $sort: { count: -1 } }
         ]);
 
+        const tagBreakdown = Complaint.aggregate([
+            { $unwind: '$tags' },
+            { $group: { _id: '$tags', count: { $sum: 1 } } },
+            { $sort: { count: -1 } }
+        ]);
+
         const [
             total,
             pending,
             closed,
             successful,
             categories,
+            tags,
         ] = await Promise.all([
             totalComplaints,
             pendingReview,
             closedCases,
             successfulResolutions,
             categoryBreakdown,
+            tagBreakdown,
         ]);
 
         // Calculate resolution rate, avoiding division by zero
@@ -49,6 +84,7 @@ export const getComplaintStats = async (req, res) => {
             closedCases: closed,
             resolutionRate: resolutionRate.toFixed(1), // e.g., "25.5"
             categoryBreakdown: categories,
+            tagCounts: tags,
         };
 
         return res.status(200).json({
@@ -72,7 +108,7 @@ export const getComplaintStats = async (req, res) => {
 export const getComplaints = async (req, res) => {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
-    const { search, category, desiredAction, status, sortBy, sortOrder, type, recentUploads } = req.query; // Added 'type'
+    const { search, category, desiredAction, status, sortBy, sortOrder, type, recentUploads, assignee, slaState, tags, tagMode, needsAttention } = req.query; // Added 'type'
     const skip = (page - 1) * limit;
 
     try {
@@ -100,6 +136,39 @@ export const getComplaints = async (req, res) => {
             complaintMatchStage.desiredAction = desiredAction;
         }
 
+        // --- Filter by tags: comma-separated, matching any (default) or all of them ---
+        if (tags) {
+            const tagList = tags.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean);
+            complaintMatchStage.tags = tagMode === 'all' ? { $all: tagList } : { $in: tagList };
+        }
+
+        // --- Filter by case owner: 'me', 'unassigned' or a staff user ID ---
+        if (assignee) {
+            if (assignee === 'me') {
+                complaintMatchStage.assignedTo = req.user._id;
+            } else if (assignee === 'unassigned') {
+                complaintMatchStage.assignedTo = null;
+            } else if (mongoose.isValidObjectId(assignee)) {
+                complaintMatchStage.assignedTo = new mongoose.Types.ObjectId(assignee);
+            } else {
+                return res.status(400).json({ message: 'Invalid assignee filter. Use "me", "unassigned" or a user ID.' });
+            }
+        }
+
+        // --- Filter by SLA state ('breached' or 'at-risk') ---
+        if (slaState) {
+            if (!['breached', 'at-risk'].includes(slaState)) {
+                return res.status(400).json({ message: 'Invalid slaState filter. Use "breached" or "at-risk".' });
+            }
+            const slaConfig = await getSlaConfig();
+            complaintMatchStage.$and = [...(complaintMatchStage.$and || []), buildSlaMatch(slaState, slaConfig)];
+        }
+
+        // --- Filter to cases flagged for follow-up, e.g. expired invitations ---
+        if (needsAttention === 'true') {
+            complaintMatchStage['needsAttention.flaggedAt'] = { $ne: null };
+        }
+
         // --- Filter by Recent Uploads (Last 24h) ---
         if (recentUploads === 'true') {
             const twentyFourHoursAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
@@ -125,7 +194,12 @@ export const getComplaints = async (req, res) => {
                 ];
             } else {
                 // If it looks like a case reference, prioritize that search.
-                complaintMatchStage.caseRef = searchRegex;
+                // A merged case's reference resolves to the case it was merged into.
+                const redirect = await CaseRedirect.findOne({ fromCaseRef: search.toUpperCase() });
+                complaintMatchStage.$or = [
+                    { caseRef: searchRegex },
+                    ...(redirect ? [{ _id: redirect.toComplaint }] : []),
+                ];
             }
         }
 
@@ -149,6 +223,16 @@ export const getComplaints = async (req, res) => {
             },
             // 4. Deconstruct the complainantDetails array.
             { $unwind: '$complainantDetails' },
+            // Attach the case owner's name for the triage list.
+            {
+                $lookup: {
+                    from: 'users',
+                    localField: 'assignedTo',
+                    foreignField: '_id',
+                    pipeline: [{ $project: { fullName: 1, email: 1, role: 1 } }],
+                    as: 'assigneeDetails',
+                },
+            },
             // 5. Use $facet for pagination and getting total count efficiently.
             {
                 $facet: {
@@ -163,10 +247,11 @@ export const getComplaints = async (req, res) => {
         // The aggregation returns `complainantDetails`. We need to map this back to `complainant`
         // for consistency with other endpoints and frontend expectations.
         const complaints = results[0].data.map(complaint => {
-            const { complainantDetails, ...rest } = complaint;
+            const { complainantDetails, assigneeDetails, ...rest } = complaint;
             return {
                 ...rest,
                 complainant: complainantDetails,
+                assignedTo: assigneeDetails[0] || null,
             };
         });
         const totalComplaints = results[0].metadata[0] ? results[0].metadata[0].total : 0;
@@ -289,8 +374,11 @@ export const vetCase = async (req, res) => {
             return res.status(404).json({ message: 'Complaint not found.' });
         }
 
-        complaint.status = status;
-        
+        transitionStatus(complaint, status, {
+            changedBy: req.user._id,
+            notes: status === 'Rejected' ? noteContent : undefined,
+        });
+
         // If a note was provided during vetting (required for rejection), add it to the notes array.
         if (status === 'Rejected' && noteContent) {
             complaint.notes.push({
@@ -337,20 +425,33 @@ export const vetCase = async (req, res) => {
 
         return res.status(200).json({ complaint, message: `Case status updated to ${status}.` });
     } catch (error) {
+        if (error instanceof StatusTransitionError) {
+            return res.status(409).json(transitionErrorBody(error));
+        }
         return res.status(500).json({ message: 'Error vetting case.', error: error.message });
     }
 };
 
 /**
- * @description Schedule an approved complaint and notify the user.
+ * @description Schedule a meeting for a complaint and notify the user. A case can have several
+ * meetings; each is checked against the staff attendees' and venue's existing bookings.
+ * Accepts `startAt` with `endAt` or `durationMinutes`, or the legacy `date`, `time` and `location`.
  * @route PUT /api/v1/admin/schedule-case/:caseId
  * @access Admin/Staff
  */
 export const scheduleCase = async (req, res) => {
-    const { date, time, location } = req.body;
+    const { title, startAt, endAt, durationMinutes, date, time, timezone, mode, venue, location, virtualLink, staffIds, includeVendor } = req.body;
 
-    if (!date || !time || !location) {
-        return res.status(400).json({ message: 'Date, time, and location are required for scheduling.' });
+    const window = resolveMeetingWindow({ startAt, endAt, durationMinutes, date, time, timezone });
+    if (window.error) {
+        return res.status(400).json({ message: window.error });
+    }
+    const place = resolveMeetingPlace({ mode, venue, location, virtualLink });
+    if (place.error) {
+        return res.status(400).json({ message: place.error });
+    }
+    if (staffIds !== undefined && !Array.isArray(staffIds)) {
+        return res.status(400).json({ message: 'staffIds must be an array of user IDs.' });
     }
 
     try {
@@ -360,14 +461,53 @@ export const scheduleCase = async (req, res) => {
             return res.status(404).json({ message: 'Complaint not found.' });
         }
 
-        // Ensure the case is in a state that can be scheduled
-        if (!['Pending Review', 'Approved for Scheduling'].includes(complaint.status)) {
-            return res.status(409).json({ message: `Cannot schedule case. Current status is '${complaint.status}'.` });
+        // The scheduling staff member attends unless others are named.
+        const requestedStaff = [...new Set((staffIds?.length ? staffIds : [req.user._id]).map(String))];
+        const staff = await User.find({ _id: { $in: requestedStaff }, role: { $in: ['Admin', 'Staff'] } }).select('fullName email');
+        if (staff.length !== requestedStaff.length) {
+            return res.status(400).json({ message: 'One or more staff attendees were not found.' });
         }
 
-        // Update status and add invitation details
-        complaint.status = 'Approved for Scheduling';
-        complaint.invitation = { date: new Date(date), time, location };
+        const conflicts = await findMeetingConflicts({
+            startAt: window.startAt,
+            endAt: window.endAt,
+            staffIds: staff.map(member => member._id),
+            venueKey: place.venue?.key,
+        });
+        if (conflicts.length > 0) {
+            return res.status(409).json({ message: 'This meeting clashes with existing bookings.', conflicts });
+        }
+
+        // The first meeting approves the case; follow-up meetings leave an active case's status alone.
+        if (!['Approved for Scheduling', 'Ongoing', 'Case Active'].includes(complaint.status)) {
+            transitionStatus(complaint, 'Approved for Scheduling', {
+                changedBy: req.user._id,
+                notes: 'Case approved and meeting scheduled.',
+            });
+        }
+
+        const attendees = [
+            { kind: 'Complainant', user: complaint.complainant._id, name: complaint.complainant.fullName, email: complaint.complainant.email },
+            ...staff.map(member => ({ kind: 'Staff', user: member._id, name: member.fullName, email: member.email })),
+        ];
+        if (includeVendor && complaint.vendorDetails?.name) {
+            const contact = complaint.vendorDetails.contact || '';
+            attendees.push({ kind: 'Vendor', name: complaint.vendorDetails.name, email: contact.includes('@') ? contact : undefined });
+        }
+
+        const meeting = await Meeting.create({
+            complaint: complaint._id,
+            title: title || `Case meeting: ${complaint.caseRef}`,
+            ...window,
+            ...place,
+            attendees,
+            complainantResponse: { status: 'Pending', deadline: await getResponseDeadline(window.startAt) },
+            createdBy: req.user._id,
+        });
+        scheduleMeetingJobs(meeting); // Non-blocking: reminders and the response deadline
+
+        complaint.needsAttention = undefined; // A new meeting answers an expired invitation
+        await refreshInvitationSummary(complaint);
         await complaint.save();
 
         // Send an email notification to the user
@@ -377,16 +517,11 @@ export const scheduleCase = async (req, res) => {
         const emailHtml = `
             <h1>Case Scheduled</h1>
             <p>Dear ${complainantName},</p>
-            <p>Your complaint (Ref: <strong>${complaint.caseRef}</strong>) has been approved and a formal meeting has been scheduled.</p>
-            <h3>Invitation Details:</h3>
-            <p>
-                <strong>Date:</strong> ${new Date(date).toLocaleDateString()}<br>
-                <strong>Time:</strong> ${time}<br>
-                <strong>Location/Method:</strong> ${location}
-            </p>
-            <p>Please log in to your dashboard to confirm these details. Your timely response is appreciated.</p>
+            <p>A formal meeting has been scheduled for your complaint (Ref: <strong>${complaint.caseRef}</strong>).</p>
+            ${buildMeetingDetailsHtml(meeting)}
+            <p>Please log in to your dashboard to confirm these details by <strong>${formatResponseDeadline(meeting)}</strong>. Invitations that are not answered in time expire.</p>
         `;
-        sendEmail(complainantEmail, emailSubject, emailHtml);
+        sendEmail(complainantEmail, emailSubject, emailHtml, [buildMeetingIcsAttachment(meeting)]);
 
         // Create an in-app notification
         await createNotification(
@@ -395,29 +530,53 @@ export const scheduleCase = async (req, res) => {
             `/complainant/complaint/${complaint._id}` // Ensure the ID is in the link
         );
 
-        return res.status(200).json({ complaint, message: 'Case has been successfully scheduled.' });
+        // Let other staff attendees know they have been booked.
+        const { date: meetingDate, time: meetingTime } = formatMeetingTime(meeting);
+        for (const member of staff) {
+            if (member._id.toString() === req.user._id.toString()) continue;
+            await createNotification(
+                member._id,
+                `You have been booked for a meeting on case '${complaint.caseRef}' on ${meetingDate} at ${meetingTime}.`,
+                `/admin/complaint/${complaint._id}`,
+                { title: 'Meeting Scheduled' }
+            );
+        }
+
+        return res.status(200).json({ complaint, meeting, message: 'Case has been successfully scheduled.' });
     } catch (error) {
+        if (error instanceof StatusTransitionError) {
+            return res.status(409).json(transitionErrorBody(error));
+        }
         return res.status(500).json({ message: 'Error scheduling case.', error: error.message });
     }
 };
 
 /**
- * @description Resend the scheduling invitation email.
+ * @description Resend the scheduling invitation email for a meeting (the next upcoming one by default).
  * @route POST /api/v1/admin/resend-invitation/:caseId
  * @access Admin/Staff
  */
 export const resendInvitation = async (req, res) => {
+    const { meetingId } = req.body || {};
+
     try {
         const complaint = await Complaint.findById(req.params.caseId).populate('complainant', 'email fullName');
         if (!complaint) {
             return res.status(404).json({ message: 'Complaint not found.' });
         }
 
-        if (!complaint.invitation || !complaint.invitation.date) {
-            return res.status(400).json({ message: 'No invitation details found to resend.' });
+        const meeting = await findCaseMeeting(complaint._id, meetingId, { endAt: { $gte: new Date() } });
+        if (!meeting) {
+            return res.status(400).json({ message: 'No scheduled meeting found to resend.' });
+        }
+
+        // Resending gives an unanswered invitation a fresh response window.
+        if (meeting.complainantResponse?.status === 'Pending') {
+            meeting.complainantResponse.deadline = await getResponseDeadline(meeting.startAt);
+            await meeting.save();
         }
+        scheduleMeetingJobs(meeting); // Non-blocking
 
-        const { date, time, location } = complaint.invitation;
         const complainantEmail = complaint.complainant.email;
         const complainantName = complaint.complainant.fullName;
         const emailSubject = `REMINDER: Your Case Has Been Scheduled (${complaint.caseRef})`;
@@ -425,17 +584,12 @@ export const resendInvitation = async (req, res) => {
             <h1>Case Schedule Reminder</h1>
             <p>Dear ${complainantName},</p>
             <p>This is a reminder regarding your scheduled meeting for complaint Ref: <strong>${complaint.caseRef}</strong>.</p>
-            <h3>Invitation Details:</h3>
-            <p>
-                <strong>Date:</strong> ${new Date(date).toLocaleDateString()}<br>
-                <strong>Time:</strong> ${time}<br>
-                <strong>Location/Method:</strong> ${location}
-            </p>
-            <p>Please log in to your dashboard to confirm these details if you haven't already.</p>
+            ${buildMeetingDetailsHtml(meeting)}
+            <p>Please log in to your dashboard to confirm these details if you haven't already${meeting.complainantResponse?.status === 'Pending' ? `, by <strong>${formatResponseDeadline(meeting)}</strong>` : ''}.</p>
         `;
         
         // Non-blocking email send
-        sendEmail(complainantEmail, emailSubject, emailHtml);
+        sendEmail(complainantEmail, emailSubject, emailHtml, [buildMeetingIcsAttachment(meeting)]);
 
         return res.status(200).json({ message: 'Invitation email resent successfully.' });
     } catch (error) {
@@ -444,44 +598,107 @@ export const resendInvitation = async (req, res) => {
 };
 
 /**
- * @description Admin responds to a user's proposed alternative meeting time.
+ * @description Admin responds to a user's proposed alternative time for a meeting: accept it,
+ * reject it, or counter with one or more slots for the user to choose from. Every step is
+ * kept in the meeting's proposal log. Without a meetingId, the earliest meeting with an
+ * open proposal is used.
  * @route PUT /api/v1/admin/invitation-response/:complaintId
  * @access Admin/Staff
  */
 export const respondToUserProposal = async (req, res) => {
     const { complaintId } = req.params;
-    const { adminResponse, message } = req.body; // adminResponse can be 'Accepted' or 'Rejected'
+    const { adminResponse, message, meetingId, slots } = req.body; // adminResponse can be 'Accepted', 'Rejected' or 'Countered'
 
-    if (!adminResponse || !['Accepted', 'Rejected'].includes(adminResponse)) {
-        return res.status(400).json({ message: 'A valid response ("Accepted" or "Rejected") is required.' });
+    if (!adminResponse || !['Accepted', 'Rejected', 'Countered'].includes(adminResponse)) {
+        return res.status(400).json({ message: 'A valid response ("Accepted", "Rejected" or "Countered") is required.' });
+    }
+    if (adminResponse === 'Countered' && (!Array.isArray(slots) || slots.length === 0)) {
+        return res.status(400).json({ message: 'At least one alternative slot is required to counter-propose.' });
+    }
+    if ([complaintId, meetingId].some(id => id !== undefined && !mongoose.isValidObjectId(id))) {
+        return res.status(400).json({ message: 'Invalid complaint or meeting ID.' });
     }
 
     try {
         const complaint = await Complaint.findById(complaintId).populate('complainant', 'fullName email');
+        const meeting = complaint && await findCaseMeeting(complaint._id, meetingId, { 'complainantResponse.status': 'Rejected' });
+        const proposal = meeting?.proposals.findLast(p => p.proposerRole === 'Complainant' && p.status === 'Open');
 
-        if (!complaint || !complaint.invitation || !complaint.invitation.userResponse) {
+        if (!proposal) {
             return res.status(404).json({ message: 'No user proposal found for this complaint.' });
         }
 
+        const respond = (status) => Object.assign(proposal, {
+            status,
+            respondedBy: req.user._id,
+            respondedAt: new Date(),
+            responseNote: message,
+        });
+
         if (adminResponse === 'Accepted') {
-            // Update the main invitation details with the user's proposal
-            complaint.invitation.date = complaint.invitation.userResponse.proposedDate;
-            complaint.invitation.time = complaint.invitation.userResponse.proposedTime;
-            // Clear the user response as it has been actioned
-            complaint.invitation.userResponse = undefined;
-            // Set status to Ongoing
-            complaint.status = 'Ongoing';
-            complaint.statusHistory.push({ status: 'Scheduled', timestamp: new Date(), notes: 'Admin accepted user\'s proposed time.' });
+            // Move the meeting to the proposed time, keeping its length.
+            const conflicts = await findSlotConflicts(meeting, proposal.startAt);
+            if (conflicts.length > 0) {
+                return res.status(409).json({ message: 'The proposed time clashes with existing bookings.', conflicts });
+            }
+
+            // The first accepted meeting moves the case to Ongoing.
+            if (complaint.status === 'Approved for Scheduling') {
+                transitionStatus(complaint, 'Ongoing', { changedBy: req.user._id, notes: 'Admin accepted user\'s proposed time.' });
+            }
+            respond('Accepted');
+            closeOpenProposals(meeting, 'Superseded');
+            moveMeeting(meeting, proposal.startAt);
+            meeting.complainantResponse = { status: 'Accepted', respondedAt: new Date() };
 
             await createNotification(
                 complaint.complainant._id,
                 `Your proposed time for case ${complaint.caseRef} has been accepted.`,
                 `/complainant/complaint/${complaint._id}`
             );
+        } else if (adminResponse === 'Countered') {
+            const offered = slots.map(slot => parseSlot(slot, meeting.timezone));
+            if (offered.some(startAt => !startAt || startAt <= new Date())) {
+                return res.status(400).json({ message: 'Each slot must be a valid future date and time.' });
+            }
+            for (const startAt of offered) {
+                const conflicts = await findSlotConflicts(meeting, startAt);
+                if (conflicts.length > 0) {
+                    return res.status(409).json({ message: `The slot at ${startAt.toISOString()} clashes with existing bookings.`, conflicts });
+                }
+            }
+
+            respond('Declined');
+            offered.forEach((startAt, index) => recordProposal(
+                meeting,
+                { proposedBy: req.user._id, proposerRole: 'Staff', startAt, reason: message },
+                { keepOpen: index > 0 }
+            ));
+            // The complainant has to choose before the first offered slot passes.
+            const earliestSlot = new Date(Math.min(...offered.map(startAt => startAt.getTime())));
+            meeting.complainantResponse = { status: 'Pending', deadline: await getResponseDeadline(earliestSlot) };
+
+            const slotList = offered
+                .map(startAt => formatMeetingTime({ timezone: meeting.timezone, startAt, endAt: startAt }))
+                .map(({ date, time }) => `${date} at ${time}`);
+            sendEmail(complaint.complainant.email, `ACTION REQUIRED: New meeting times offered (${complaint.caseRef})`, `
+                <h1>Alternative Meeting Times</h1>
+                <p>Dear ${complaint.complainant.fullName},</p>
+                <p>We could not make your proposed time for case <strong>${complaint.caseRef}</strong>${message ? ` (${message})` : ''}. Please choose one of the following instead (${meeting.timezone}):</p>
+                <ul>${slotList.map(slot => `<li>${slot}</li>`).join('')}</ul>
+                <p>Please log in to your dashboard to accept a slot by <strong>${formatResponseDeadline(meeting)}</strong>.</p>
+            `);
+            await createNotification(
+                complaint.complainant._id,
+                `Action Required: ${offered.length} alternative time(s) have been offered for case ${complaint.caseRef}.`,
+                `/complainant/complaint/${complaint._id}`
+            );
         } else { // Rejected
-            // Clear the user response and notify them to await a new schedule
-            complaint.invitation.userResponse = undefined;
-            complaint.statusHistory.push({ status: 'Approved for Scheduling', timestamp: new Date(), notes: `Admin rejected user's proposed time. Reason: ${message}` });
+            // Close the user's proposal and notify them to await a new schedule
+            respond('Declined');
+            meeting.complainantResponse = { status: 'Pending', deadline: await getResponseDeadline(meeting.startAt) };
+            // The status does not change here, so this is recorded against the current status.
+            complaint.statusHistory.push({ status: complaint.status, changedBy: req.user._id, timestamp: new Date(), notes: `Admin rejected user's proposed time. Reason: ${message}` });
 
             await createNotification(
                 complaint.complainant._id,
@@ -490,9 +707,26 @@ export const respondToUserProposal = async (req, res) => {
             );
         }
 
+        await meeting.save();
+        scheduleMeetingJobs(meeting); // Non-blocking: follow the new time or response deadline
+        await refreshInvitationSummary(complaint);
         await complaint.save();
-        return res.status(200).json({ complaint, message: `Admin response recorded. User has been notified.` });
+
+        if (adminResponse === 'Accepted') {
+            // Send the updated invitation so calendars move the existing event.
+            sendEmail(complaint.complainant.email, `Meeting Time Confirmed (${complaint.caseRef})`, `
+                <h1>Meeting Time Confirmed</h1>
+                <p>Dear ${complaint.complainant.fullName},</p>
+                <p>Your proposed time for case <strong>${complaint.caseRef}</strong> has been accepted.</p>
+                ${buildMeetingDetailsHtml(meeting)}
+            `, [buildMeetingIcsAttachment(meeting)]);
+        }
+
+        return res.status(200).json({ complaint, meeting, message: `Admin response recorded. User has been notified.` });
     } catch (error) {
+        if (error instanceof StatusTransitionError) {
+            return res.status(409).json(transitionErrorBody(error));
+        }
         return res.status(500).json({ message: 'Error responding to user proposal.', error: error.message });
     }
 };
@@ -566,23 +800,21 @@ export const revertCaseToPending = async (req, res) => {
             return res.status(404).json({ message: 'Complaint not found.' });
         }
 
-        // Allow reverting from 'Approved for Scheduling' or 'Rejected'
-        if (!['Approved for Scheduling', 'Rejected'].includes(complaint.status)) {
-            return res.status(409).json({ message: `Cannot revert case. Current status is '${complaint.status}'.` });
-        }
+        const previousStatus = complaint.status;
 
-        // Update status, add to history, and clear invitation details
-        complaint.status = 'Pending Review';
-        complaint.statusHistory.push({
-            status: 'Pending Review',
-            timestamp: new Date(),
+        // Update status, add to history, and clear invitation details.
+        // Only approved or rejected cases can be reverted; drafts are submitted by their complainant.
+        transitionStatus(complaint, 'Pending Review', {
+            changedBy: req.user._id,
             notes: `Case reverted by admin ${req.user.fullName}.`,
+            fromStatuses: ['Approved for Scheduling', 'Rejected'],
         });
 
         // Clear data associated with the previous status
-        if (complaint.status === 'Approved for Scheduling') {
+        if (previousStatus === 'Approved for Scheduling') {
+            await cancelUpcomingMeetings(complaint._id, 'Case returned to Pending Review.');
             complaint.invitation = undefined;
-        } 
+        }
         // We no longer clear notes on revert, to preserve history.
         await complaint.save();
 
@@ -590,7 +822,10 @@ export const revertCaseToPending = async (req, res) => {
         await createNotification(complaint.complainant, `An update on your case '${complaint.caseRef}': It has been returned to 'Pending Review' by an administrator.`, `/complainant/complaint/${complaint._id}`);
 
         return res.status(200).json({ complaint, message: 'Case has been reverted to Pending Review.' });
-    } catch (error) { 
+    } catch (error) {
+        if (error instanceof StatusTransitionError) {
+            return res.status(409).json(transitionErrorBody(error));
+        }
         return res.status(500).json({ message: 'Error reverting case.', error: error.message });
     }
 };
@@ -613,8 +848,14 @@ export const closeCase = async (req, res) => {
             return res.status(404).json({ message: 'Complaint not found.' });
         }
 
-        complaint.status = 'Closed';
+        transitionStatus(complaint, 'Closed', {
+            changedBy: req.user._id,
+            notes: `Final status: ${resolutionStatus}`,
+        });
         complaint.resolutionStatus = resolutionStatus;
+        complaint.needsAttention = undefined;
+        await cancelUpcomingMeetings(complaint._id, 'Case closed.');
+        await refreshInvitationSummary(complaint);
         await complaint.save();
 
         // Create an in-app notification for the user
@@ -637,10 +878,129 @@ export const closeCase = async (req, res) => {
         return res.status(200).json({ complaint, message: `Case has been closed with status: ${resolutionStatus}` });
 
     } catch (error) {
+        if (error instanceof StatusTransitionError) {
+            return res.status(409).json(transitionErrorBody(error));
+        }
         return res.status(500).json({ message: 'Error closing case.', error: error.message });
     }
 };
 
+/**
+ * @description Get closed cases whose complainants have asked for them to be reopened.
+ * @route GET /api/v1/admin/reopen-requests
+ * @access Admin only
+ */
+export const getReopenRequests = async (req, res) => {
+    if (req.user.role !== 'Admin') {
+        return res.status(403).json({ message: 'Forbidden. Only Admins can review reopen requests.' });
+    }
+
+    try {
+        const complaints = await Complaint.find({ 'reopenRequest.status': 'Pending' })
+            .select('caseRef title status resolutionStatus complainant assignedTo reopenRequest updatedAt')
+            .populate('complainant', 'fullName email')
+            .populate('assignedTo', 'fullName')
+            .sort({ 'reopenRequest.requestedAt': 1 })
+            .lean();
+
+        return res.status(200).json({ complaints });
+    } catch (error) {
+        return res.status(500).json({ message: 'Error fetching reopen requests.', error: error.message });
+    }
+};
+
+/**
+ * @description Approve or decline a complainant's request to reopen a closed case.
+ * Approval returns the case to 'Pending Review'.
+ * @route PUT /api/v1/admin/complaint/:id/reopen-request
+ * @access Admin only
+ */
+export const reviewReopenRequest = async (req, res) => {
+    if (req.user.role !== 'Admin') {
+        return res.status(403).json({ message: 'Forbidden. Only Admins can review reopen requests.' });
+    }
+
+    const { decision, notes } = req.body;
+    if (!['Approved', 'Declined'].includes(decision)) {
+        return res.status(400).json({ message: 'Decision must be "Approved" or "Declined".' });
+    }
+
+    try {
+        const complaint = await Complaint.findById(req.params.id).populate('complainant', 'fullName email');
+        if (!complaint) {
+            return res.status(404).json({ message: 'Complaint not found.' });
+        }
+        if (complaint.reopenRequest?.status !== 'Pending') {
+            return res.status(409).json({ message: 'There is no pending reopen request for this case.' });
+        }
+
+        if (decision === 'Approved') {
+            transitionStatus(complaint, 'Pending Review', {
+                changedBy: req.user._id,
+                notes: `Reopen request approved.${notes ? ` ${notes}` : ''}`,
+                allowReopen: true,
+            });
+            complaint.resolutionStatus = undefined;
+        } else {
+            complaint.statusHistory.push({
+                status: complaint.status,
+                changedBy: req.user._id,
+                notes: `Reopen request declined.${notes ? ` ${notes}` : ''}`,
+                timestamp: new Date(),
+            });
+        }
+
+        complaint.reopenRequest.status = decision;
+        complaint.reopenRequest.reviewedBy = req.user._id;
+        complaint.reopenRequest.reviewedAt = new Date();
+        complaint.reopenRequest.reviewNotes = notes;
+        await complaint.save();
+
+        const outcome = decision === 'Approved'
+            ? 'has been approved. Your case is back under review.'
+            : `was declined.${notes ? ` Notes: ${notes}` : ''}`;
+        await createNotification(
+            complaint.complainant._id,
+            `Your request to reopen case '${complaint.caseRef}' ${outcome}`,
+            `/complainant/complaint/${complaint._id}`
+        );
+        sendEmail(complaint.complainant.email, `Reopen Request ${decision}: ${complaint.caseRef}`, `
+            <h1>Reopen Request ${decision}</h1>
+            <p>Dear ${complaint.complainant.fullName},</p>
+            <p>Your request to reopen case (Ref: <strong>${complaint.caseRef}</strong>) ${outcome}</p>
+        `);
+
+        return res.status(200).json({ complaint, message: `Reopen request ${decision.toLowerCase()}.` });
+    } catch (error) {
+        if (error instanceof StatusTransitionError) {
+            return res.status(409).json(transitionErrorBody(error));
+        }
+        return res.status(500).json({ message: 'Error reviewing reopen request.', error: error.message });
+    }
+};
+
+/**
+ * @description Get the statuses a complaint can legally move to from its current status.
+ * @route GET /api/v1/admin/complaint/:id/transitions
+ * @access Admin/Staff
+ */
+export const getComplaintTransitions = async (req, res) => {
+    try {
+        const complaint = await Complaint.findById(req.params.id).select('caseRef status');
+        if (!complaint) {
+            return res.status(404).json({ message: 'Complaint not found.' });
+        }
+
+        return res.status(200).json({
+            caseRef: complaint.caseRef,
+            currentStatus: complaint.status,
+            allowedTransitions: getAllowedTransitions(complaint.status),
+        });
+    } catch (error) {
+        return res.status(500).json({ message: 'Error fetching allowed transitions.', error: error.message });
+    }
+};
+
 /**
  * @description Bulk delete complaints.
  * @route DELETE /api/v1/admin/complaints/bulk
@@ -654,26 +1014,18 @@ export const bulkDeleteComplaints = async (req, res) => {
     }
 
     try {
-        // Find all complaints to get their evidence URLs for deletion from Cloudinary
+        // Find all complaints to get their evidence files for deletion from storage
         const complaintsToDelete = await Complaint.find({ _id: { $in: complaintIds } });
 
         if (complaintsToDelete.length === 0) {
             return res.status(404).json({ message: 'No matching complaints found for deletion.' });
         }
 
-        // Collect all evidence URLs and delete them from Cloudinary
-        const evidenceUrls = complaintsToDelete.flatMap(c => c.evidenceUrls || []);
-        if (evidenceUrls.length > 0) {
-            // Correctly extract the public_id from the full Cloudinary URL.
-            // The public_id is the part of the path after '/upload/' and before the file extension.
-            // Example URL: https://res.cloudinary.com/<cloud_name>/image/upload/v12345/advocacy-platform/evidence-files/some-id.jpg
-            // We need to extract: "advocacy-platform/evidence-files/some-id"
-            const publicIds = evidenceUrls.map(url => url.split('/upload/')[1].split('/').slice(1).join('/').split('.')[0]);
-
-            // Cloudinary's delete_resources can handle up to 100 public_ids at a time.
-            // For a production app with more, you'd chunk this into multiple requests.
-            await cloudinary.api.delete_resources(publicIds, { resource_type: 'image' });
+        // Delete every evidence file, including the respondent's, from storage.
+        for (const c of complaintsToDelete) {
+            await recordEvidenceCustody(c._id, [...c.evidence, ...(c.respondent?.evidence || [])], 'Deleted', req, 'Complaint deleted in bulk by staff.');
         }
+        await deleteStoredEvidence(complaintsToDelete.flatMap(c => [...c.evidence, ...(c.respondent?.evidence || [])]));
 
         // Delete the complaints from the database
         await Complaint.deleteMany({ _id: { $in: complaintIds } });
@@ -687,7 +1039,8 @@ export const bulkDeleteComplaints = async (req, res) => {
 
 
 /**
- * @description Admin updates any detail of a complaint, including publishing it.
+ * @description Admin updates any detail of a complaint. Public narratives are published through
+ * publication revisions, not edited here.
  * @route PUT /api/v1/admin/complaint/:id/details
  * @access Admin/Staff
  */
@@ -697,29 +1050,47 @@ export const updateComplaintDetails = async (req, res) => {
 
     // Sanitize updateData to prevent unwanted field updates like status, complainant, etc.
     const allowedUpdates = [
-        'title', 'category', 'desiredAction', 'narrative', 
-        'publicNarrative', 'isPublic', 'vendorDetails', 
+        'title', 'category', 'desiredAction', 'narrative', 'vendorDetails',
         'initiativeCategory', 'applicantType', 'locationDetails', 'beneficiaryCount'
     ];
     const finalUpdateData = {};
     for (const key of allowedUpdates) {
-        // Check for undefined to allow setting boolean `isPublic` to false
         if (updateData[key] !== undefined) {
             finalUpdateData[key] = updateData[key];
         }
     }
 
     if (Object.keys(finalUpdateData).length === 0) {
-        return res.status(400).json({ message: 'No valid fields provided for update.' });
+        const message = updateData.publicNarrative !== undefined || updateData.isPublic !== undefined
+            ? 'Public narratives are published through publication revisions.'
+            : 'No valid fields provided for update.';
+        return res.status(400).json({ message });
     }
 
     try {
+        const current = await Complaint.findById(id).select('category desiredAction initiativeCategory').lean();
+        if (!current) {
+            return res.status(404).json({ message: 'Complaint not found.' });
+        }
+
+        const { category, desiredAction, initiativeCategory } = finalUpdateData;
+        const taxonomyError = await validateTaxonomyValues({ category, desiredAction, initiativeCategory }, current);
+        if (taxonomyError) {
+            return res.status(400).json({ message: taxonomyError });
+        }
+
         const complaint = await Complaint.findByIdAndUpdate(id, { $set: finalUpdateData }, { new: true });
 
         if (!complaint) {
             return res.status(404).json({ message: 'Complaint not found.' });
         }
 
+        // Keep the vendor registry link in sync with edited vendor details.
+        if (finalUpdateData.vendorDetails && complaint.type === 'Case') {
+            complaint.vendor = (await resolveVendor(complaint.vendorDetails))?._id;
+            await complaint.save();
+        }
+
         return res.status(200).json({ complaint, message: 'Complaint details updated successfully.' });
     } catch (error) {
         return res.status(500).json({ message: 'Error updating complaint details.', error: error.message });
@@ -763,6 +1134,43 @@ export const addNote = async (req, res) => {
     }
 };
 
+/**
+ * @description Share an evidence file with the complainant or keep it internal to staff.
+ * Applies to the complaint's evidence and to files uploaded by the respondent.
+ * @route PUT /api/v1/admin/complaint/:id/evidence/:evidenceId
+ * @access Admin/Staff
+ */
+export const updateEvidenceVisibility = async (req, res) => {
+    const { visibility } = req.body;
+
+    if (!EVIDENCE_VISIBILITIES.includes(visibility)) {
+        return res.status(400).json({ message: 'Invalid evidence visibility.' });
+    }
+
+    try {
+        const complaint = await Complaint.findById(req.params.id);
+        if (!complaint) {
+            return res.status(404).json({ message: 'Complaint not found.' });
+        }
+
+        const file = complaint.evidence.id(req.params.evidenceId) || complaint.respondent?.evidence?.id(req.params.evidenceId);
+        if (!file) {
+            return res.status(404).json({ message: 'Evidence file not found.' });
+        }
+
+        const previousVisibility = file.visibility;
+        file.visibility = visibility;
+        await complaint.save();
+        if (previousVisibility !== visibility) {
+            await recordEvidenceCustody(complaint._id, [file], 'Visibility Changed', req, `${previousVisibility} -> ${visibility}`);
+        }
+
+        return res.status(200).json({ evidence: file, message: `Evidence is now ${visibility === 'Staff Only' ? 'visible to staff only' : 'visible to the complainant'}.` });
+    } catch (error) {
+        return res.status(500).json({ message: 'Error updating evidence visibility.', error: error.message });
+    }
+};
+
 /**
  * @description Get all users with filtering and pagination for the UMC.
  * @route GET /api/v1/admin/users
@@ -1163,6 +1571,33 @@ export const getDailyActiveUsers = async (req, res) => {
     }
 };
 
+/**
+ * Combines raw `{ _id, count }` aggregation results with the managed taxonomy so every
+ * active option is listed (even with zero complaints) alongside its label.
+ * Values that are retired or unknown are kept if any complaints still use them.
+ * @param {object[]} counts - Results of a `$group` by the taxonomy field.
+ * @param {object[]} entries - Taxonomy entries of the same kind, including retired ones.
+ * @returns {object[]} Rows of `{ _id, label, isActive, count }`, most used first.
+ */
+const groupByTaxonomy = (counts, entries) => {
+    const countByValue = new Map(counts.map(c => [c._id, c.count]));
+    const knownValues = new Set(entries.map(e => e.value));
+
+    const rows = entries.map(entry => ({
+        _id: entry.value,
+        label: entry.label,
+        isActive: entry.isActive,
+        count: countByValue.get(entry.value) || 0,
+    }));
+    for (const { _id, count } of counts) {
+        if (_id && !knownValues.has(_id)) rows.push({ _id, label: _id, isActive: false, count });
+    }
+
+    return rows
+        .filter(row => row.isActive || row.count > 0)
+        .sort((a, b) => b.count - a.count);
+};
+
 /**
  * @description Get comprehensive analytics for the platform.
  * @route GET /api/v1/admin/analytics
@@ -1190,6 +1625,15 @@ export const getAnalytics = async (req, res) => {
             { $group: { _id: '$category', count: { $sum: 1 } } },
             { $sort: { count: -1 } }
         ]);
+        const desiredActionBreakdownPromise = Complaint.aggregate([
+            { $match: { ...dateFilter, type: 'Case' } },
+            { $group: { _id: '$desiredAction', count: { $sum: 1 } } }
+        ]);
+        const initiativeBreakdownPromise = Complaint.aggregate([
+            { $match: { ...dateFilter, type: 'MVOI' } },
+            { $group: { _id: '$initiativeCategory', count: { $sum: 1 } } }
+        ]);
+        const taxonomyPromise = getTaxonomy({ activeOnly: false });
 
         // User Stats - These are platform-wide and not affected by the date filter.
         const totalUsersPromise = User.countDocuments();
@@ -1249,7 +1693,10 @@ export const getAnalytics = async (req, res) => {
             dailyActiveUsers,
             newUsersThisMonth,
             avgTimeResults,
-            resolutionTimeline
+            resolutionTimeline,
+            desiredActionBreakdown,
+            initiativeBreakdown,
+            taxonomy,
         ] = await Promise.all([
             totalComplaintsPromise,
             pendingReviewPromise,
@@ -1263,6 +1710,9 @@ export const getAnalytics = async (req, res) => {
             newUsersThisMonthPromise,
             avgTimeToActionPromise,
             resolutionTimelinePromise,
+            desiredActionBreakdownPromise,
+            initiativeBreakdownPromise,
+            taxonomyPromise,
         ]);
 
         const resolutionRate = closedCases > 0 ? (successfulResolutions / closedCases) * 100 : 0;
@@ -1278,7 +1728,9 @@ export const getAnalytics = async (req, res) => {
                 closed: closedCases,
                 successful: successfulResolutions,
                 resolutionRate: resolutionRate.toFixed(1),
-                byCategory: categoryBreakdown,
+                byCategory: groupByTaxonomy(categoryBreakdown, taxonomy.category),
+                byDesiredAction: groupByTaxonomy(desiredActionBreakdown, taxonomy.desiredAction),
+                byInitiativeCategory: groupByTaxonomy(initiativeBreakdown, taxonomy.initiativeCategory),
                 avgTimeToFirstAction: avgTimeInHours,
             },
             userStats: { total: totalUsers, pendingVerification: pendingVerification, byRole: userRoleBreakdown, newThisMonth: newUsersThisMonth },
@@ -1322,20 +1774,49 @@ export const getAppSettings = async (req, res) => {
  * @access Admin only
  */
 export const updateAppSettings = async (req, res) => {
-    const { autoVerifyUsers, autoAcceptComplaints, allowPublicView } = req.body;
+    const { autoVerifyUsers, autoAcceptComplaints, allowPublicView, slaTargets, slaWarningHours, reopenWindowDays, invitationResponseHours, evidenceFileTypes } = req.body;
+
+    if (slaTargets !== undefined && !Array.isArray(slaTargets)) {
+        return res.status(400).json({ message: 'slaTargets must be an array.' });
+    }
+    if (evidenceFileTypes !== undefined) {
+        if (!Array.isArray(evidenceFileTypes) || evidenceFileTypes.length === 0) {
+            return res.status(400).json({ message: 'evidenceFileTypes must be a non-empty array.' });
+        }
+        // Uploads are matched by their contents, so only types the sniffer recognizes can be allowed.
+        const unsupported = evidenceFileTypes.filter(rule => !SNIFFABLE_MIME_TYPES.includes(rule?.mimeType));
+        if (unsupported.length > 0) {
+            return res.status(400).json({ message: `Unsupported evidence file type(s): ${unsupported.map(rule => rule?.mimeType).join(', ')}. Supported types: ${SNIFFABLE_MIME_TYPES.join(', ')}.` });
+        }
+    }
 
     try {
         const updateData = {};
         if (autoVerifyUsers !== undefined) updateData.autoVerifyUsers = autoVerifyUsers;
         if (autoAcceptComplaints !== undefined) updateData.autoAcceptComplaints = autoAcceptComplaints;
         if (allowPublicView !== undefined) updateData.allowPublicView = allowPublicView;
+        if (slaTargets !== undefined) updateData.slaTargets = slaTargets;
+        if (slaWarningHours !== undefined) updateData.slaWarningHours = slaWarningHours;
+        if (reopenWindowDays !== undefined) updateData.reopenWindowDays = reopenWindowDays;
+        if (invitationResponseHours !== undefined) updateData.invitationResponseHours = invitationResponseHours;
+        if (evidenceFileTypes !== undefined) {
+            updateData.evidenceFileTypes = evidenceFileTypes.map(({ mimeType, extensions, maxSizeMb }) => ({
+                mimeType,
+                extensions: (Array.isArray(extensions) ? extensions : []).map(ext => String(ext).trim().toLowerCase().replace(/^\./, '')).filter(Boolean),
+                maxSizeMb,
+            }));
+        }
 
         const settings = await AppSettings.findOneAndUpdate({}, updateData, {
             new: true,
-            upsert: true // Create if it doesn't exist
+            upsert: true, // Create if it doesn't exist
+            runValidators: true // Validate SLA targets against the schema
         });
         res.status(200).json({ settings, message: 'Settings updated successfully.' });
     } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: `Invalid settings. ${error.message}` });
+        }
         res.status(500).json({ message: 'Error updating app settings.', error: error.message });
     }
 };
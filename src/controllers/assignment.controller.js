@@ -0,0 +1,159 @@
+import mongoose from 'mongoose';
+import Complaint from '../models/complaint.model.js';
+import User from '../models/user.model.js';
+import { createNotification } from '../utils/notification.js';
+import { ACTIVE_STATUSES } from '../utils/complaintStatus.js';
+
+/**
+ * Notifies a staff member that a case has been handed to them.
+ * @param {mongoose.Document} complaint - The assigned complaint.
+ * @param {string} assigneeId - The ID of the new assignee.
+ * @param {string} assignerName - The name of the user who made the assignment.
+ */
+const notifyAssignee = (complaint, assigneeId, assignerName) => createNotification(
+    assigneeId,
+    `Case '${complaint.caseRef}' has been assigned to you by ${assignerName}.`,
+    `/admin/complaint/${complaint._id}`,
+    { title: 'New Case Assignment' }
+);
+
+/**
+ * @description Assign or reassign a complaint to a staff member.
+ * @route PUT /api/v1/admin/complaint/:id/assign
+ * @access Admin/Staff (reassigning another member's case is Admin only)
+ */
+export const assignComplaint = async (req, res) => {
+    const { assigneeId, notes } = req.body;
+
+    if (!assigneeId || !mongoose.isValidObjectId(assigneeId)) {
+        return res.status(400).json({ message: 'A valid assigneeId is required.' });
+    }
+
+    try {
+        const complaint = await Complaint.findById(req.params.id);
+        if (!complaint) {
+            return res.status(404).json({ message: 'Complaint not found.' });
+        }
+
+        const assignee = await User.findById(assigneeId).select('fullName role status');
+        if (!assignee || !['Admin', 'Staff'].includes(assignee.role)) {
+            return res.status(400).json({ message: 'Cases can only be assigned to Admin or Staff members.' });
+        }
+        if (assignee.status !== 'Active') {
+            return res.status(400).json({ message: `Cannot assign to ${assignee.fullName}. Their account is ${assignee.status}.` });
+        }
+
+        const previousAssignee = complaint.assignedTo;
+        if (previousAssignee && previousAssignee.toString() === assignee._id.toString()) {
+            return res.status(409).json({ message: `Case is already assigned to ${assignee.fullName}.` });
+        }
+
+        // Only Admins or the current owner may take a case away from someone else.
+        const isCurrentOwner = previousAssignee && previousAssignee.toString() === req.user._id.toString();
+        if (previousAssignee && !isCurrentOwner && req.user.role !== 'Admin') {
+            return res.status(403).json({ message: 'Forbidden. Only Admins can reassign a case owned by another staff member.' });
+        }
+
+        complaint.assignedTo = assignee._id;
+        complaint.assignmentHistory.push({
+            action: previousAssignee ? 'Reassigned' : 'Assigned',
+            assignedTo: assignee._id,
+            previousAssignee,
+            assignedBy: req.user._id,
+            notes,
+        });
+        await complaint.save();
+
+        if (assignee._id.toString() !== req.user._id.toString()) {
+            await notifyAssignee(complaint, assignee._id, req.user.fullName);
+        }
+
+        const updatedComplaint = await complaint.populate('assignedTo', 'fullName email role');
+        return res.status(200).json({ complaint: updatedComplaint, message: `Case assigned to ${assignee.fullName}.` });
+    } catch (error) {
+        return res.status(500).json({ message: 'Error assigning case.', error: error.message });
+    }
+};
+
+/**
+ * @description Claim an unassigned complaint for the current staff member.
+ * @route POST /api/v1/admin/complaint/:id/claim
+ * @access Admin/Staff
+ */
+export const claimComplaint = async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(400).json({ message: 'Invalid complaint ID.' });
+    }
+
+    try {
+        // Atomic check-and-set so two staff members cannot claim the same case.
+        const complaint = await Complaint.findOneAndUpdate(
+            { _id: req.params.id, assignedTo: null },
+            {
+                $set: { assignedTo: req.user._id },
+                $push: {
+                    assignmentHistory: {
+                        action: 'Claimed',
+                        assignedTo: req.user._id,
+                        assignedBy: req.user._id,
+                        timestamp: new Date(),
+                    }
+                }
+            },
+            { new: true }
+        ).populate('assignedTo', 'fullName email role');
+
+        if (!complaint) {
+            const exists = await Complaint.exists({ _id: req.params.id });
+            if (!exists) {
+                return res.status(404).json({ message: 'Complaint not found.' });
+            }
+            return res.status(409).json({ message: 'This case has already been assigned.' });
+        }
+
+        return res.status(200).json({ complaint, message: 'Case claimed successfully.' });
+    } catch (error) {
+        return res.status(500).json({ message: 'Error claiming case.', error: error.message });
+    }
+};
+
+/**
+ * @description Get the number of active cases owned by each staff member.
+ * @route GET /api/v1/admin/stats/workload
+ * @access Admin/Staff
+ */
+export const getStaffWorkload = async (req, res) => {
+    try {
+        const [staff, workload, unassigned] = await Promise.all([
+            User.find({ role: { $in: ['Admin', 'Staff'] }, status: 'Active' }).select('fullName email role').lean(),
+            Complaint.aggregate([
+                { $match: { assignedTo: { $ne: null }, status: { $in: ACTIVE_STATUSES } } },
+                { $group: { _id: { assignee: '$assignedTo', status: '$status' }, count: { $sum: 1 } } },
+                {
+                    $group: {
+                        _id: '$_id.assignee',
+                        total: { $sum: '$count' },
+                        byStatus: { $push: { k: '$_id.status', v: '$count' } },
+                    }
+                },
+                { $project: { total: 1, byStatus: { $arrayToObject: '$byStatus' } } },
+            ]),
+            Complaint.countDocuments({ assignedTo: null, status: { $in: ACTIVE_STATUSES } }),
+        ]);
+
+        const workloadByUser = new Map(workload.map(w => [w._id.toString(), w]));
+
+        // Include staff with no cases so leads can see who has capacity.
+        const summary = staff
+            .map(member => ({
+                user: member,
+                total: workloadByUser.get(member._id.toString())?.total || 0,
+                byStatus: workloadByUser.get(member._id.toString())?.byStatus || {},
+            }))
+            .sort((a, b) => b.total - a.total);
+
+        return res.status(200).json({ workload: summary, unassigned });
+    } catch (error) {
+        return res.status(500).json({ message: 'Error fetching staff workload.', error: error.message });
+    }
+};
@@ -0,0 +1,135 @@
+import AvailabilityWindow from '../models/availability.model.js';
+import User from '../models/user.model.js';
+import { resolveMeetingWindow, resolveMeetingPlace, findMeetingConflicts, toVenueKey } from '../utils/meetings.js';
+import { getOpenWindowSlots } from '../utils/availability.js';
+
+/**
+ * @description Publish a window of availability that complainants can book, split into slots.
+ * The window must not overlap the staff member's other windows or clash with their or the
+ * venue's existing meetings.
+ * @route POST /api/v1/admin/availability
+ * @access Admin/Staff
+ */
+export const createAvailability = async (req, res) => {
+    const { staffId, startAt, endAt, date, time, durationMinutes, timezone, slotMinutes = 60, capacity = 1, mode, venue, location, virtualLink } = req.body;
+
+    const window = resolveMeetingWindow({ startAt, endAt, durationMinutes, date, time, timezone });
+    if (window.error) {
+        return res.status(400).json({ message: window.error });
+    }
+    if (window.endAt - window.startAt < slotMinutes * 60 * 1000) {
+        return res.status(400).json({ message: 'The window must be at least one slot long.' });
+    }
+    if (window.startAt <= new Date()) {
+        return res.status(400).json({ message: 'Availability can only be published for the future.' });
+    }
+    const place = resolveMeetingPlace({ mode, venue, location, virtualLink });
+    if (place.error) {
+        return res.status(400).json({ message: place.error });
+    }
+
+    try {
+        const staff = await User.findOne({ _id: staffId || req.user._id, role: { $in: ['Admin', 'Staff'] } }).select('fullName');
+        if (!staff) {
+            return res.status(400).json({ message: 'Staff member not found.' });
+        }
+
+        const overlappingWindow = await AvailabilityWindow.findOne({
+            staff: staff._id,
+            isActive: true,
+            startAt: { $lt: window.endAt },
+            endAt: { $gt: window.startAt },
+        }).select('startAt endAt').lean();
+        if (overlappingWindow) {
+            return res.status(409).json({
+                message: `${staff.fullName} already has availability published for part of this time.`,
+                overlappingWindow,
+            });
+        }
+
+        const conflicts = await findMeetingConflicts({
+            startAt: window.startAt,
+            endAt: window.endAt,
+            staffIds: [staff._id],
+            venueKey: place.venue?.key,
+        });
+        if (conflicts.length > 0) {
+            return res.status(409).json({ message: 'This window clashes with existing bookings.', conflicts });
+        }
+
+        const availability = await AvailabilityWindow.create({
+            staff: staff._id,
+            ...window,
+            ...place,
+            slotMinutes,
+            capacity,
+            createdBy: req.user._id,
+        });
+
+        return res.status(201).json({ availability, message: 'Availability published successfully.' });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        return res.status(500).json({ message: 'Error publishing availability.', error: error.message });
+    }
+};
+
+/**
+ * @description Get published availability windows with their bookings and open slots.
+ * Defaults to active windows that have not ended.
+ * @route GET /api/v1/admin/availability
+ * @access Admin/Staff
+ */
+export const getAvailability = async (req, res) => {
+    const { from, to, staffId, venue, includeInactive } = req.query;
+
+    try {
+        const query = { endAt: { $gte: from ? new Date(from) : new Date() } };
+        if (to) query.startAt = { $lte: new Date(to) };
+        if (includeInactive !== 'true') query.isActive = true;
+        if (staffId) query.staff = staffId === 'me' ? req.user._id : staffId;
+        if (venue) query['venue.key'] = toVenueKey(venue);
+
+        const windows = await AvailabilityWindow.find(query)
+            .sort({ startAt: 1 })
+            .populate('staff', 'fullName')
+            .populate('bookings.complaint', 'caseRef title')
+            .lean();
+
+        const availability = windows.map(window => ({ ...window, openSlots: getOpenWindowSlots(window) }));
+        return res.status(200).json({ availability });
+    } catch (error) {
+        return res.status(500).json({ message: 'Error fetching availability.', error: error.message });
+    }
+};
+
+/**
+ * @description Withdraw an availability window so no more slots can be booked.
+ * Meetings already booked from it are kept.
+ * @route PUT /api/v1/admin/availability/:id/withdraw
+ * @access Admin/Staff
+ */
+export const withdrawAvailability = async (req, res) => {
+    try {
+        const availability = await AvailabilityWindow.findById(req.params.id);
+        if (!availability) {
+            return res.status(404).json({ message: 'Availability window not found.' });
+        }
+
+        // Staff may withdraw their own windows; Admins may withdraw anyone's.
+        if (req.user.role !== 'Admin' && availability.staff.toString() !== req.user._id.toString()) {
+            return res.status(403).json({ message: 'Forbidden. You can only withdraw your own availability.' });
+        }
+
+        availability.isActive = false;
+        await availability.save();
+
+        return res.status(200).json({
+            availability,
+            message: `Availability withdrawn. ${availability.bookings.length} existing booking(s) are unaffected.`,
+        });
+    } catch (error) {
+        return res.status(500).json({ message: 'Error withdrawing availability.', error: error.message });
+    }
+};
@@ -0,0 +1,72 @@
+import crypto from 'crypto';
+import User from '../models/user.model.js';
+import Meeting from '../models/meeting.model.js';
+import { buildCalendarFeed } from '../utils/ics.js';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * @description Issue a new secret calendar feed URL for the current staff member.
+ * Any previous URL stops working. The token is only shown once.
+ * @route POST /api/v1/admin/calendar/feed
+ * @access Admin/Staff
+ */
+export const createCalendarFeed = async (req, res) => {
+    try {
+        const token = crypto.randomBytes(32).toString('hex');
+        await User.updateOne({ _id: req.user._id }, { $set: { calendarFeedTokenHash: hashToken(token) } });
+
+        const feedUrl = `${req.protocol}://${req.get('host')}/api/v1/calendar/feeds/${token}.ics`;
+        return res.status(201).json({ feedUrl, message: 'Calendar feed created. Keep this URL private; anyone with it can see your meetings.' });
+    } catch (error) {
+        return res.status(500).json({ message: 'Error creating calendar feed.', error: error.message });
+    }
+};
+
+/**
+ * @description Revoke the current staff member's calendar feed URL.
+ * @route DELETE /api/v1/admin/calendar/feed
+ * @access Admin/Staff
+ */
+export const revokeCalendarFeed = async (req, res) => {
+    try {
+        await User.updateOne({ _id: req.user._id }, { $unset: { calendarFeedTokenHash: 1 } });
+        return res.status(200).json({ message: 'Calendar feed revoked.' });
+    } catch (error) {
+        return res.status(500).json({ message: 'Error revoking calendar feed.', error: error.message });
+    }
+};
+
+/**
+ * @description Get a staff member's upcoming case meetings as an iCalendar feed.
+ * Authenticated by the secret token in the URL so calendar apps can subscribe.
+ * @route GET /api/v1/calendar/feeds/:token.ics
+ * @access Public (secret token)
+ */
+export const getCalendarFeed = async (req, res) => {
+    try {
+        const user = await User.findOne({
+            calendarFeedTokenHash: hashToken(req.params.token),
+            role: { $in: ['Admin', 'Staff'] },
+            status: 'Active',
+        }).select('fullName');
+        if (!user) {
+            return res.status(404).json({ message: 'Calendar feed not found.' });
+        }
+
+        const meetings = await Meeting.find({
+            status: 'Scheduled',
+            endAt: { $gte: new Date() },
+            attendees: { $elemMatch: { kind: 'Staff', user: user._id } },
+        })
+            .sort({ startAt: 1 })
+            .populate('complaint', 'caseRef')
+            .lean();
+
+        res.set('Content-Type', 'text/calendar; charset=utf-8');
+        res.set('Cache-Control', 'private, max-age=300');
+        return res.status(200).send(buildCalendarFeed(meetings, `Case meetings – ${user.fullName}`));
+    } catch (error) {
+        return res.status(500).json({ message: 'Error building calendar feed.', error: error.message });
+    }
+};
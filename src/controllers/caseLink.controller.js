@@ -0,0 +1,312 @@
+import mongoose from 'mongoose';
+import Complaint from '../models/complaint.model.js';
+import CaseRedirect from '../models/caseRedirect.model.js';
+import { createNotification } from '../utils/notification.js';
+import { findDuplicateCandidates } from '../utils/duplicates.js';
+import { recordEvidenceCustody } from '../utils/custody.js';
+import Meeting from '../models/meeting.model.js';
+import { cancelUpcomingMeetings, refreshInvitationSummary } from '../utils/meetings.js';
+import CaseMessage from '../models/caseMessage.model.js';
+import RespondentAccess from '../models/respondentAccess.model.js';
+import PublicationRevision from '../models/publicationRevision.model.js';
+import { OPEN_REVISION_STATUSES, getPublicEvidence } from '../utils/publicationRevisions.js';
+import { runInTransaction } from '../utils/transactions.js';
+
+/**
+ * @description Get possible duplicate or related cases for a complaint.
+ * @route GET /api/v1/admin/complaint/:id/duplicates
+ * @access Admin/Staff
+ */
+export const getDuplicateCandidates = async (req, res) => {
+    try {
+        const complaint = await Complaint.findById(req.params.id).select('title type vendorDetails linkedCases').lean();
+        if (!complaint) {
+            return res.status(404).json({ message: 'Complaint not found.' });
+        }
+
+        const linkedIds = new Set(complaint.linkedCases.map(l => l.complaint.toString()));
+        const candidates = (await findDuplicateCandidates(complaint)).map(candidate => ({
+            ...candidate,
+            isLinked: linkedIds.has(candidate.complaint._id.toString()),
+        }));
+
+        return res.status(200).json({ candidates });
+    } catch (error) {
+        return res.status(500).json({ message: 'Error finding duplicate cases.', error: error.message });
+    }
+};
+
+/**
+ * @description Link two related complaints. Links are recorded on both cases.
+ * @route POST /api/v1/admin/complaint/:id/links
+ * @access Admin/Staff
+ */
+export const linkComplaints = async (req, res) => {
+    const { targetId, notes } = req.body;
+
+    if (!targetId || !mongoose.isValidObjectId(targetId)) {
+        return res.status(400).json({ message: 'A valid targetId is required.' });
+    }
+    if (targetId === req.params.id) {
+        return res.status(400).json({ message: 'A case cannot be linked to itself.' });
+    }
+
+    try {
+        const [complaint, target] = await Promise.all([
+            Complaint.findById(req.params.id),
+            Complaint.findById(targetId),
+        ]);
+        if (!complaint || !target) {
+            return res.status(404).json({ message: 'Complaint not found.' });
+        }
+
+        if (complaint.linkedCases.some(l => l.complaint.toString() === targetId)) {
+            return res.status(409).json({ message: `Case is already linked to ${target.caseRef}.` });
+        }
+
+        const link = { linkedBy: req.user._id, notes, linkedAt: new Date() };
+        complaint.linkedCases.push({ ...link, complaint: target._id });
+        target.linkedCases.push({ ...link, complaint: complaint._id });
+        await Promise.all([complaint.save(), target.save()]);
+
+        const updatedComplaint = await complaint.populate('linkedCases.complaint', 'caseRef title status');
+        return res.status(200).json({ complaint: updatedComplaint, message: `Case linked to ${target.caseRef}.` });
+    } catch (error) {
+        return res.status(500).json({ message: 'Error linking cases.', error: error.message });
+    }
+};
+
+/**
+ * @description Remove the link between two complaints.
+ * @route DELETE /api/v1/admin/complaint/:id/links/:targetId
+ * @access Admin/Staff
+ */
+export const unlinkComplaints = async (req, res) => {
+    const { id, targetId } = req.params;
+
+    try {
+        const result = await Complaint.updateOne(
+            { _id: id, 'linkedCases.complaint': targetId },
+            { $pull: { linkedCases: { complaint: targetId } } }
+        );
+        if (result.matchedCount === 0) {
+            return res.status(404).json({ message: 'Link not found.' });
+        }
+        await Complaint.updateOne({ _id: targetId }, { $pull: { linkedCases: { complaint: id } } });
+
+        return res.status(200).json({ message: 'Cases unlinked successfully.' });
+    } catch (error) {
+        return res.status(500).json({ message: 'Error unlinking cases.', error: error.message });
+    }
+};
+
+/**
+ * @description Merge a duplicate complaint into a primary complaint. Evidence, notes, links, messages,
+ * meetings and the respondent's side are carried over, the duplicate is taken off the public feed
+ * and removed, and its caseRef redirects to the primary case.
+ * @route POST /api/v1/admin/complaint/:id/merge
+ * @access Admin/Staff
+ */
+export const mergeComplaints = async (req, res) => {
+    const { primaryId, reason } = req.body;
+    const duplicateId = req.params.id;
+
+    if (!primaryId || !mongoose.isValidObjectId(primaryId)) {
+        return res.status(400).json({ message: 'A valid primaryId is required.' });
+    }
+    if (primaryId === duplicateId) {
+        return res.status(400).json({ message: 'A case cannot be merged into itself.' });
+    }
+
+    try {
+        // All the case, link and redirect writes land together or not at all. The cases are
+        // loaded inside the transaction so a retry starts again from what is stored.
+        const result = await runInTransaction(async (session) => {
+            const duplicate = await Complaint.findById(duplicateId).session(session);
+            const primary = await Complaint.findById(primaryId).session(session);
+            if (!duplicate || !primary) {
+                return { error: { status: 404, message: 'Complaint not found.' } };
+            }
+
+            if (duplicate.type !== primary.type) {
+                return { error: { status: 400, message: 'Only cases of the same type can be merged.' } };
+            }
+            // The merged case is only visible to the primary's complainant, so different filers must be linked instead.
+            if (duplicate.complainant?.toString() !== primary.complainant?.toString()) {
+                return { error: { status: 409, message: 'Cases filed by different complainants cannot be merged. Link them instead.' } };
+            }
+            if (primary.status === 'Closed') {
+                return { error: { status: 409, message: 'Cannot merge into a closed case.' } };
+            }
+
+            // Carry over evidence and notes.
+            const existingEvidence = new Set(primary.evidence.map(file => file.url));
+            const transferredEvidence = duplicate.evidence.filter(file => !existingEvidence.has(file.url));
+            primary.evidence.push(...transferredEvidence.map(file => file.toObject()));
+
+            for (const note of duplicate.notes) {
+                primary.notes.push({
+                    content: `[Merged from ${duplicate.caseRef}] ${note.content}`,
+                    author: note.author,
+                    visibility: note.visibility,
+                });
+            }
+            primary.notes.push({
+                content: `Case ${duplicate.caseRef} was merged into this case by ${req.user.fullName}.${reason ? ` Reason: ${reason}` : ''}`
+                    + ` It was '${duplicate.status}'${duplicate.sla?.escalatedAt ? ' and had breached its SLA' : ''}.`,
+                author: req.user._id,
+                visibility: 'Admin Only',
+            });
+
+            // Carry over the respondent's side. A primary without a respondent takes the duplicate's
+            // as it is; otherwise only the replies and files are added and the primary's summary stands.
+            const { respondent: duplicateRespondent, needsAttention } = duplicate.toObject();
+            let transferredRespondentEvidence = [];
+            if (duplicateRespondent?.email && !primary.respondent?.email) {
+                primary.respondent = duplicateRespondent;
+                transferredRespondentEvidence = duplicateRespondent.evidence || [];
+            } else if (duplicateRespondent?.email) {
+                const existingRespondentEvidence = new Set(primary.respondent.evidence.map(file => file.url));
+                transferredRespondentEvidence = (duplicateRespondent.evidence || []).filter(file => !existingRespondentEvidence.has(file.url));
+                primary.respondent.evidence.push(...transferredRespondentEvidence);
+                primary.respondent.responses.push(...(duplicateRespondent.responses || []));
+                primary.respondent.responses.sort((a, b) => a.submittedAt - b.submittedAt);
+            }
+
+            // Carry over triage state: tags, an owner if the primary has none, and a pending flag.
+            primary.tags = [...new Set([...primary.tags, ...duplicate.tags])];
+            if (!primary.assignedTo && duplicate.assignedTo) {
+                primary.assignedTo = duplicate.assignedTo;
+                primary.assignmentHistory.push({
+                    action: 'Assigned',
+                    assignedTo: duplicate.assignedTo,
+                    assignedBy: req.user._id,
+                    notes: `Carried over from merged case ${duplicate.caseRef}.`,
+                });
+            }
+            if (!primary.needsAttention?.flaggedAt && needsAttention?.flaggedAt) {
+                primary.needsAttention = needsAttention;
+            }
+
+            // Carry over links, excluding the primary itself.
+            const primaryLinks = new Set(primary.linkedCases.map(l => l.complaint.toString()));
+            const carriedLinks = duplicate.linkedCases.filter(l =>
+                l.complaint.toString() !== primary._id.toString() && !primaryLinks.has(l.complaint.toString())
+            );
+            primary.linkedCases.push(...carriedLinks);
+            primary.linkedCases = primary.linkedCases.filter(l => l.complaint.toString() !== duplicate._id.toString());
+
+            primary.mergedFrom.push(duplicate.caseRef, ...duplicate.mergedFrom);
+
+            // Move the duplicate's meetings across so their history stays with the case. Upcoming
+            // ones stay booked only if the primary has reached scheduling; otherwise they are
+            // cancelled once the merge is committed.
+            const keepsMeetings = ['Approved for Scheduling', 'Ongoing', 'Case Active'].includes(primary.status);
+            const meetingsToCancel = keepsMeetings ? [] : await Meeting.find({
+                complaint: duplicate._id,
+                status: 'Scheduled',
+                endAt: { $gte: new Date() },
+            }).session(session).distinct('_id');
+            await Meeting.updateMany({ complaint: duplicate._id }, { $set: { complaint: primary._id } }, { session });
+            if (keepsMeetings) {
+                await refreshInvitationSummary(primary, { session });
+            }
+
+            await primary.save({ session });
+
+            // The conversation moves with the case.
+            await CaseMessage.updateMany({ complaint: duplicate._id }, { $set: { complaint: primary._id } }, { session });
+
+            // Reply links for the same respondent now open the primary case; any others are revoked.
+            const respondentEmail = primary.respondent?.email?.toLowerCase();
+            if (respondentEmail) {
+                await RespondentAccess.updateMany(
+                    { complaint: duplicate._id, email: respondentEmail },
+                    { $set: { complaint: primary._id } },
+                    { session }
+                );
+            }
+            await RespondentAccess.updateMany(
+                { complaint: duplicate._id, revokedAt: { $exists: false } },
+                { $set: { revokedAt: new Date() } },
+                { session }
+            );
+
+            // The duplicate leaves the public feed. Its revisions are kept for the record but closed,
+            // since their numbers and evidence belong to the duplicate.
+            const endReason = `Case merged into ${primary.caseRef}.`;
+            const ended = { endedAt: new Date(), endedBy: req.user._id, endReason };
+            await PublicationRevision.updateMany(
+                { complaint: duplicate._id, status: 'Live' },
+                { $set: { status: 'Unpublished', ...ended } },
+                { session }
+            );
+            await PublicationRevision.updateMany(
+                { complaint: duplicate._id, status: { $in: OPEN_REVISION_STATUSES } },
+                { $set: { status: 'Cancelled', ...ended } },
+                { session }
+            );
+
+            // Point cases that linked to the duplicate at the primary instead.
+            const carriedIds = carriedLinks.map(l => l.complaint);
+            await Complaint.updateMany(
+                { 'linkedCases.complaint': duplicate._id },
+                { $pull: { linkedCases: { complaint: duplicate._id } } },
+                { session }
+            );
+            await Complaint.updateMany(
+                { _id: { $in: carriedIds }, 'linkedCases.complaint': { $ne: primary._id } },
+                { $push: { linkedCases: { complaint: primary._id, linkedBy: req.user._id, linkedAt: new Date() } } },
+                { session }
+            );
+
+            // Leave redirects so the duplicate's caseRef (and any it absorbed earlier) still resolves.
+            await CaseRedirect.updateMany(
+                { toComplaint: duplicate._id },
+                { $set: { toComplaint: primary._id, toCaseRef: primary.caseRef } },
+                { session }
+            );
+            await CaseRedirect.create([{
+                fromCaseRef: duplicate.caseRef,
+                toComplaint: primary._id,
+                toCaseRef: primary.caseRef,
+                mergedBy: req.user._id,
+                reason,
+            }], { session });
+
+            await duplicate.deleteOne({ session });
+
+            return { duplicate, primary, transferredEvidence, transferredRespondentEvidence, meetingsToCancel };
+        });
+
+        if (result.error) {
+            return res.status(result.error.status).json({ message: result.error.message });
+        }
+        const { duplicate, primary, transferredEvidence, transferredRespondentEvidence, meetingsToCancel } = result;
+
+        if (meetingsToCancel.length > 0) {
+            await cancelUpcomingMeetings(primary._id, `Case ${duplicate.caseRef} was merged into case ${primary.caseRef}.`, { only: meetingsToCancel });
+        }
+
+        // Both custody logs record the hand-over; the files keep their evidence IDs.
+        await recordEvidenceCustody(duplicate._id, transferredEvidence, 'Transferred', req, `Merged into case ${primary.caseRef}.`);
+        await recordEvidenceCustody(primary._id, transferredEvidence, 'Attached', req, `Carried over from merged case ${duplicate.caseRef}.`);
+        await recordEvidenceCustody(duplicate._id, transferredRespondentEvidence, 'Transferred', req, `Merged into case ${primary.caseRef}.`);
+        await recordEvidenceCustody(primary._id, transferredRespondentEvidence, 'Attached', req, `Respondent file carried over from merged case ${duplicate.caseRef}.`);
+        if (duplicate.isPublic) {
+            await recordEvidenceCustody(duplicate._id, getPublicEvidence(duplicate), 'Unpublished', req, `Case merged into ${primary.caseRef}.`);
+        }
+
+        if (primary.complainant) {
+            await createNotification(
+                primary.complainant,
+                `Your case '${duplicate.caseRef}' has been merged into case '${primary.caseRef}'. All evidence has been carried over.`,
+                `/complainant/complaint/${primary._id}`
+            );
+        }
+
+        return res.status(200).json({ complaint: primary, message: `Case ${duplicate.caseRef} merged into ${primary.caseRef}.` });
+    } catch (error) {
+        return res.status(500).json({ message: 'Error merging cases.', error: error.message });
+    }
+};
@@ -1,8 +1,23 @@
 import Complaint from '../models/complaint.model.js';
 import { generateCaseRef } from '../utils/helpers.js';
-import { notifyAdmins } from '../utils/notification.js';
+import { notifyAdmins, createNotification } from '../utils/notification.js';
 import AppSettings from '../models/settings.model.js';
-import cloudinary from '../config/cloudinary.js';
+import { transitionStatus, getSubmittedStatus, StatusTransitionError, transitionErrorBody } from '../utils/complaintStatus.js';
+import { findDuplicateCandidates } from '../utils/duplicates.js';
+import CaseRedirect from '../models/caseRedirect.model.js';
+import { resolveVendor } from '../utils/vendors.js';
+import { validateTaxonomyValues } from '../utils/taxonomy.js';
+import { cancelUpcomingMeetings, refreshInvitationSummary } from '../utils/meetings.js';
+import Meeting from '../models/meeting.model.js';
+import CaseMessage from '../models/caseMessage.model.js';
+import { buildEvidenceRecord, normalizeEvidenceInput, filterEvidenceForUser, withVisibleEvidence, deleteStoredEvidence } from '../utils/evidence.js';
+import { recordEvidenceCustody, applyPreUploadHashes } from '../utils/custody.js';
+import { getSignedFileUrl } from '../utils/storage/index.js';
+import { trackPendingUploads, claimPendingUploads, queueFailedDeletions, applyPreUploadScans, findUnapprovedUploadUrls } from '../utils/pendingUploads.js';
+import { recordQuarantinedEvidence } from '../utils/quarantine.js';
+import { PUBLICATION_PREFERENCES, buildConsentRecord } from '../utils/publication.js';
+import PublicationRevision from '../models/publicationRevision.model.js';
+import { OPEN_REVISION_STATUSES, cancelOpenRevisions, publishRevision, unpublishComplaint } from '../utils/publicationRevisions.js';
 
 /**
  * @description Submit a new complaint.
@@ -20,13 +35,52 @@ export const createComplaint = async (req, res) => {
     return createCase(req, res);
 };
 
+/**
+ * Records the publication preference given at submission. Without one, the case cannot be
+ * published until the complainant sets it.
+ */
+const buildInitialPublication = (preference, userId) => (preference
+    ? { preference, consentLog: [buildConsentRecord('Preference Set', { preference, decidedBy: userId })] }
+    : {});
+
+/**
+ * Flags possible duplicates of a newly submitted case for staff, without saving. Detection
+ * must never block a submission, so failures are only logged.
+ * @returns {Promise<object[]>} The candidates found.
+ */
+const flagDuplicateCandidates = async (complaint) => {
+    try {
+        const candidates = await findDuplicateCandidates(complaint);
+        if (candidates.length > 0) {
+            complaint.duplicateCandidates = candidates.map(({ complaint: candidate, score, reasons }) => ({
+                complaint: candidate._id, score, reasons,
+            }));
+        }
+        return candidates;
+    } catch (detectionError) {
+        console.error('Duplicate detection failed:', detectionError);
+        return [];
+    }
+};
+
+/**
+ * Describes a submission's possible duplicates in the notice sent to staff.
+ */
+const describeDuplicates = (candidates) => (candidates.length > 0
+    ? ` Possible duplicate of ${candidates.map(d => d.complaint.caseRef).join(', ')}.`
+    : '');
+
 /**
  * @description Helper function to create a standard 'Case'.
  */
 const createCase = async (req, res) => {
-    const { title, category, desiredAction, vendorDetails, narrative, status, evidenceUrls, contactNumber } = req.body;
+    const { title, category, desiredAction, vendorDetails, narrative, status, evidence, evidenceUrls, contactNumber, publicationPreference } = req.body;
     const isDraft = status === 'Draft';
 
+    if (publicationPreference !== undefined && !PUBLICATION_PREFERENCES.includes(publicationPreference)) {
+        return res.status(400).json({ message: `Invalid publication preference. Choose one of: ${PUBLICATION_PREFERENCES.join(', ')}.` });
+    }
+
     let settings = await AppSettings.findOne();
     if (!settings) settings = await AppSettings.create({}); // Ensure settings exist
 
@@ -47,11 +101,36 @@ const createCase = async (req, res) => {
         }
     }
 
+    const taxonomyError = await validateTaxonomyValues({ category, desiredAction });
+    if (taxonomyError) {
+        return res.status(400).json({ message: taxonomyError });
+    }
+
+    let vendor = null;
+    try {
+        vendor = await resolveVendor(vendorDetails);
+    } catch (error) {
+        // The registry link can be backfilled later; it must not block a submission.
+        console.error('Vendor resolution failed:', error);
+    }
+
+    const evidenceRecords = normalizeEvidenceInput(evidence || evidenceUrls, req.user._id);
+    const unapprovedUrls = await findUnapprovedUploadUrls(evidenceRecords, req.user._id);
+    if (unapprovedUrls.length > 0) {
+        return res.status(400).json({ message: 'Evidence must be uploaded through the evidence upload endpoint before submitting.', invalidEvidence: unapprovedUrls });
+    }
+
+    // Hashes and scan results recorded when the files were pre-uploaded.
+    await applyPreUploadHashes(evidenceRecords, req.user._id);
+    await applyPreUploadScans(evidenceRecords);
+
     const MAX_RETRIES = 3;  
     for (let i = 0; i < MAX_RETRIES; i++) {
         try {
             const caseRef = await generateCaseRef();
 
+            const initialStatus = isDraft ? 'Draft' : getSubmittedStatus(settings.autoAcceptComplaints);
+
             const complaintToSave = new Complaint({
                 title,
                 caseRef,
@@ -61,20 +140,29 @@ const createCase = async (req, res) => {
                 category,
                 desiredAction,
                 vendorDetails,
+                vendor: vendor?._id,
                 narrative,
-                evidenceUrls: evidenceUrls || [], // Include the evidence URLs from the request
-                status: isDraft
-                    ? 'Draft'
-                    : (settings.autoAcceptComplaints ? 'Approved for Scheduling' : 'Pending Review'),
-                statusHistory: [{ status: isDraft ? 'Draft' : 'Pending Review', timestamp: new Date() }],
+                evidence: evidenceRecords, // Files pre-uploaded before submission
+                status: initialStatus,
+                statusHistory: [{ status: initialStatus, changedBy: req.user._id, timestamp: new Date() }],
+                publication: buildInitialPublication(publicationPreference, req.user._id),
             });
 
             const newComplaint = await complaintToSave.save();
+            await recordEvidenceCustody(newComplaint._id, newComplaint.evidence, 'Attached', req, 'Submitted with the complaint.');
+            await recordQuarantinedEvidence(newComplaint, newComplaint.evidence, req);
+            await claimPendingUploads(newComplaint.evidence, newComplaint._id);
+
+            // Surface possible duplicates for staff.
+            let possibleDuplicates = [];
+            if (!isDraft) {
+                possibleDuplicates = await flagDuplicateCandidates(newComplaint);
+                if (possibleDuplicates.length > 0) await newComplaint.save();
+            }
 
             await notifyAdmins(
-                `New complaint '${newComplaint.caseRef}' submitted by ${req.user.fullName}.`,
+                `New complaint '${newComplaint.caseRef}' submitted by ${req.user.fullName}.${describeDuplicates(possibleDuplicates)}`,
                 `/admin/complaint/${newComplaint._id}`
-                
             );
 
             return res.status(201).json({ complaint: newComplaint, message: `Complaint ${isDraft ? 'saved as draft' : 'submitted'} successfully.` });
@@ -122,12 +210,18 @@ const createMvoiApplication = async (req, res) => {
         applicantName,
         applicantEmail,
         applicantPhone,
+        evidence,
         evidenceUrls,
         status,
+        publicationPreference,
     } = req.body;
 
     const isDraft = status === 'Draft';
 
+    if (publicationPreference !== undefined && !PUBLICATION_PREFERENCES.includes(publicationPreference)) {
+        return res.status(400).json({ message: `Invalid publication preference. Choose one of: ${PUBLICATION_PREFERENCES.join(', ')}.` });
+    }
+
     // Basic validation
     if (!isDraft) {
         if (!title || !initiativeCategory || !narrative) {
@@ -148,7 +242,22 @@ const createMvoiApplication = async (req, res) => {
         return res.status(403).json({ message: 'Forbidden. Your identity must be verified before submitting an application.' });
     }
 
+    const taxonomyError = await validateTaxonomyValues({ initiativeCategory });
+    if (taxonomyError) {
+        return res.status(400).json({ message: taxonomyError });
+    }
+
     try {
+        const evidenceRecords = normalizeEvidenceInput(evidence || evidenceUrls, req.user._id);
+        const unapprovedUrls = await findUnapprovedUploadUrls(evidenceRecords, req.user._id);
+        if (unapprovedUrls.length > 0) {
+            return res.status(400).json({ message: 'Evidence must be uploaded through the evidence upload endpoint before submitting.', invalidEvidence: unapprovedUrls });
+        }
+
+        // Hashes and scan results recorded when the files were pre-uploaded.
+        await applyPreUploadHashes(evidenceRecords, req.user._id);
+        await applyPreUploadScans(evidenceRecords);
+
         const caseRef = await generateCaseRef();
 
         const mvoiApplication = new Complaint({
@@ -160,17 +269,21 @@ const createMvoiApplication = async (req, res) => {
             applicantType,
             locationDetails,
             beneficiaryCount,
-            evidenceUrls: evidenceUrls || [],
+            evidence: evidenceRecords,
             complainant: req.user._id, // Attach the logged-in user
             // Storing separate MVOI contact info in the vendorDetails field for schema simplicity
             vendorDetails: {
                 name: applicantName, contact: `${applicantEmail}, ${applicantPhone}`
             },
             status: isDraft ? 'Draft' : 'Pending Review',
-            statusHistory: [{ status: isDraft ? 'Draft' : 'Pending Review', timestamp: new Date() }],
+            statusHistory: [{ status: isDraft ? 'Draft' : 'Pending Review', changedBy: req.user._id, timestamp: new Date() }],
+            publication: buildInitialPublication(publicationPreference, req.user._id),
         });
 
         await mvoiApplication.save();
+        await recordEvidenceCustody(mvoiApplication._id, mvoiApplication.evidence, 'Attached', req, 'Submitted with the application.');
+        await recordQuarantinedEvidence(mvoiApplication, mvoiApplication.evidence, req);
+        await claimPendingUploads(mvoiApplication.evidence, mvoiApplication._id);
 
         await notifyAdmins(
             `New MVOI ${isDraft ? 'draft' : 'application'} '${caseRef}' submitted for ${initiativeCategory} by ${req.user.fullName}.`,
@@ -208,7 +321,7 @@ export const getUserComplaints = async (req, res) => {
             dbQuery = dbQuery.limit(parseInt(limit));
         }
 
-        const complaints = await dbQuery.lean();
+        const complaints = (await dbQuery.lean()).map(complaint => withVisibleEvidence(complaint, req.user));
 
         // The response no longer includes pagination details.
         return res.status(200).json({ complaints, message: 'User complaints fetched successfully.' });
@@ -226,6 +339,9 @@ export const getComplaintById = async (req, res) => {
     try {
         const complaint = await Complaint.findById(req.params.id)
             .populate('complainant', 'fullName email role') // Populate complainant details
+            .populate('assignedTo', 'fullName email role')
+            .populate('linkedCases.complaint', 'caseRef title status')
+            .populate('duplicateCandidates.complaint', 'caseRef title status')
             .populate({
                 path: 'notes',
                 populate: {
@@ -246,47 +362,164 @@ export const getComplaintById = async (req, res) => {
             return res.status(403).json({ message: 'Forbidden. You are not authorized to view this complaint.' });
         }
 
-        return res.status(200).json({ complaint, message: 'Complaint details fetched successfully.' });
+        // Complainants do not see files that staff have kept internal.
+        // File access is logged when a file is opened or downloaded, not when the case is listed.
+        const complaintData = withVisibleEvidence(complaint.toObject(), req.user);
+
+        // Meetings with their full scheduling negotiation, oldest proposal first.
+        const meetings = await Meeting.find({ complaint: complaint._id })
+            .sort({ startAt: 1 })
+            .populate('attendees.user', 'fullName')
+            .populate('proposals.proposedBy proposals.respondedBy', 'fullName role')
+            .lean();
+
+        return res.status(200).json({ complaint: complaintData, meetings, message: 'Complaint details fetched successfully.' });
     } catch (error) {
         return res.status(500).json({ message: 'Error fetching complaint details.', error: error.message });
     }
 };
 
 /**
- * @description Upload evidence files for a complaint.
+ * @description Resolve a case reference, following redirects left by merged cases.
+ * @route GET /api/v1/complaints/ref/:caseRef
+ * @access Private (Owner, Admin, or Staff)
+ */
+export const getComplaintByRef = async (req, res) => {
+    const caseRef = req.params.caseRef.toUpperCase();
+
+    try {
+        let complaint = await Complaint.findOne({ caseRef }).select('caseRef complainant');
+        let redirectedFrom;
+
+        if (!complaint) {
+            const redirect = await CaseRedirect.findOne({ fromCaseRef: caseRef });
+            if (redirect) {
+                complaint = await Complaint.findById(redirect.toComplaint).select('caseRef complainant');
+                redirectedFrom = redirect.fromCaseRef;
+            }
+        }
+
+        if (!complaint) {
+            return res.status(404).json({ message: 'Complaint not found.' });
+        }
+
+        const isOwner = complaint.complainant?.toString() === req.user._id.toString();
+        const isAdminOrStaff = ['Admin', 'Staff'].includes(req.user.role);
+        if (!isOwner && !isAdminOrStaff) {
+            return res.status(403).json({ message: 'Forbidden. You are not authorized to view this complaint.' });
+        }
+
+        return res.status(200).json({ complaintId: complaint._id, caseRef: complaint.caseRef, redirectedFrom });
+    } catch (error) {
+        return res.status(500).json({ message: 'Error resolving case reference.', error: error.message });
+    }
+};
+
+/**
+ * @description Upload evidence files for a complaint. Staff may upload files kept from the complainant
+ * by setting `visibility` to 'Staff Only'.
  * @route POST /api/v1/complaints/:id/upload-evidence
- * @access Private (Owner only)
+ * @access Private (Owner, Admin, or Staff)
  */
 export const uploadEvidence = async (req, res) => {
-    // Files are uploaded by the multer-storage-cloudinary middleware.
+    // Files are uploaded by the storage middleware.
+    if (!req.files || req.files.length === 0) {
+        return res.status(400).json({ message: 'No evidence files provided.' });
+    }
+
+    const isAdminOrStaff = ['Admin', 'Staff'].includes(req.user.role);
+    const visibility = isAdminOrStaff && req.body.visibility === 'Staff Only' ? 'Staff Only' : 'User Visible';
+
+    try {
+        const complaint = await Complaint.findById(req.params.id);
+        if (!complaint) {
+            return res.status(404).json({ message: 'Complaint not found.' });
+        }
+
+        if (!isAdminOrStaff && complaint.complainant.toString() !== req.user._id.toString()) {
+            return res.status(403).json({ message: 'Forbidden. You can only add evidence to your own complaints.' });
+        }
+
+        const records = req.files.map(file => buildEvidenceRecord(file, { uploadedBy: req.user._id, visibility }));
+        complaint.evidence.push(...records);
+        await complaint.save();
+        const added = complaint.evidence.slice(-records.length);
+        await recordEvidenceCustody(complaint._id, added, 'Uploaded', req);
+        const quarantined = await recordQuarantinedEvidence(complaint, added, req);
+
+        const message = quarantined.length > 0
+            ? `Evidence uploaded. ${quarantined.length} file(s) are being held for a security review.`
+            : 'Evidence uploaded successfully.';
+        return res.status(200).json({ complaint: withVisibleEvidence(complaint.toObject(), req.user), message });
+    } catch (error) {
+        return res.status(500).json({ message: 'Error uploading evidence.', error: error.message });
+    }
+};
+
+/**
+ * @description Upload evidence before the complaint exists. The returned records are sent back
+ * with the new complaint; each upload is logged with its hash so the hash can be trusted later.
+ * Files no complaint claims within the grace period are removed by the storage sweep.
+ * @route POST /api/v1/complaints/upload-evidence-only
+ * @access Private
+ */
+export const preUploadEvidence = async (req, res) => {
     if (!req.files || req.files.length === 0) {
         return res.status(400).json({ message: 'No evidence files provided.' });
     }
 
-    const complaint = await Complaint.findById(req.params.id);
-    if (!complaint) return res.status(404).json({ message: 'Complaint not found.' });
+    try {
+        const evidence = req.files.map(file => buildEvidenceRecord(file, { uploadedBy: req.user._id }));
+        await recordEvidenceCustody(null, evidence, 'Uploaded', req, 'Uploaded before the complaint was submitted.');
+        await trackPendingUploads(evidence, req.user._id); // Swept if no complaint claims them
 
-    // Per PRD, only the owner can upload evidence.
-    if (complaint.complainant.toString() !== req.user._id.toString()) {
-        return res.status(403).json({ message: 'Forbidden. You can only add evidence to your own complaints.' });
+        return res.status(200).json({ evidence, evidenceUrls: evidence.map(file => file.url) });
+    } catch (error) {
+        return res.status(500).json({ message: 'Error uploading evidence.', error: error.message });
     }
+};
 
-    // Get the secure URLs from the files uploaded to Cloudinary
-    const evidenceUrls = req.files.map(file => file.path);
+/**
+ * @description Download an evidence file, or open it for viewing with `?view=true`. The access
+ * is recorded in the file's custody log before redirecting to a signed link to the stored file.
+ * @route GET /api/v1/complaints/:id/evidence/:evidenceId/download
+ * @access Private (Owner, Admin, or Staff)
+ */
+export const downloadEvidence = async (req, res) => {
+    try {
+        const complaint = await Complaint.findById(req.params.id).select('complainant evidence respondent.evidence');
+        if (!complaint) {
+            return res.status(404).json({ message: 'Complaint not found.' });
+        }
 
-    complaint.evidenceUrls.push(...evidenceUrls);
-    await complaint.save();
+        const isOwner = complaint.complainant.toString() === req.user._id.toString();
+        if (!isOwner && !['Admin', 'Staff'].includes(req.user.role)) {
+            return res.status(403).json({ message: 'Forbidden. You are not authorized to view this complaint.' });
+        }
+
+        const visibleFiles = filterEvidenceForUser([...complaint.evidence, ...(complaint.respondent?.evidence || [])], req.user);
+        const file = visibleFiles.find(item => item._id.toString() === req.params.evidenceId);
+        if (!file) {
+            return res.status(404).json({ message: 'Evidence file not found.' });
+        }
+
+        const viewing = req.query.view === 'true';
+        await recordEvidenceCustody(complaint._id, [file], viewing ? 'Accessed' : 'Downloaded', req, viewing ? 'Opened for viewing.' : undefined);
 
-    return res.status(200).json({ complaint, message: 'Evidence uploaded successfully.' });
+        // A short-lived link, so the download cannot be shared on.
+        return res.redirect(await getSignedFileUrl(file, { expiresIn: 300 }));
+    } catch (error) {
+        return res.status(500).json({ message: 'Error downloading evidence.', error: error.message });
+    }
 };
 
 /**
- * @description Update a complaint.
+ * @description Update a complaint. Sending a status other than 'Draft' with a draft submits it.
  * @route PUT /api/v1/complaints/:id
  * @access Private (Owner only)
  */
 export const updateComplaint = async (req, res) => {
-    const { title, category, desiredAction, vendorDetails, narrative, contactNumber } = req.body;
+    const { title, category, desiredAction, vendorDetails, narrative, contactNumber, status } = req.body;
 
     try {
         const complaint = await Complaint.findById(req.params.id);
@@ -303,22 +536,55 @@ export const updateComplaint = async (req, res) => {
             return res.status(403).json({ message: `Forbidden. Cannot edit a complaint with status "${complaint.status}".` });
         }
 
+        const taxonomyError = await validateTaxonomyValues({ category, desiredAction }, complaint);
+        if (taxonomyError) {
+            return res.status(400).json({ message: taxonomyError });
+        }
+
         const wasRejected = complaint.status === 'Rejected';
+        const isSubmittingDraft = complaint.status === 'Draft' && status !== undefined && status !== 'Draft';
 
         // Update fields
         complaint.title = title || complaint.title;
         complaint.category = category || complaint.category;
         complaint.desiredAction = desiredAction || complaint.desiredAction;
         complaint.vendorDetails = vendorDetails || complaint.vendorDetails;
+        if (vendorDetails && complaint.type === 'Case') {
+            complaint.vendor = (await resolveVendor(vendorDetails))?._id;
+        }
         complaint.narrative = narrative || complaint.narrative;
         complaint.contactNumber = contactNumber || complaint.contactNumber;
 
+        let possibleDuplicates = [];
+        if (isSubmittingDraft) {
+            const missingFields = complaint.type === 'MVOI'
+                ? !complaint.title || !complaint.initiativeCategory || !complaint.narrative
+                : !complaint.title || !complaint.category || !complaint.desiredAction || !complaint.narrative;
+            if (missingFields) {
+                return res.status(400).json({
+                    message: complaint.type === 'MVOI'
+                        ? 'Title, category, and narrative are required.'
+                        : 'Title, category, desired action, and narrative are required fields.',
+                });
+            }
+
+            const settings = await AppSettings.findOne().select('autoAcceptComplaints').lean();
+            const autoAccept = complaint.type === 'Case' && Boolean(settings?.autoAcceptComplaints);
+            transitionStatus(complaint, getSubmittedStatus(autoAccept), {
+                changedBy: req.user._id,
+                notes: 'Draft submitted by the user.',
+                autoAccept,
+            });
+
+            if (complaint.type === 'Case') {
+                possibleDuplicates = await flagDuplicateCandidates(complaint);
+            }
+        }
+
         // If the complaint was rejected, editing and saving it again should resubmit it for review.
         if (wasRejected) {
-            complaint.status = 'Pending Review';
-            complaint.statusHistory.push({
-                status: 'Pending Review',
-                timestamp: new Date(),
+            transitionStatus(complaint, 'Pending Review', {
+                changedBy: req.user._id,
                 notes: 'Complaint was edited and resubmitted by the user after rejection.',
             });
             await notifyAdmins(
@@ -329,10 +595,22 @@ export const updateComplaint = async (req, res) => {
 
         const updatedComplaint = await complaint.save();
 
-        const message = wasRejected ? 'Complaint resubmitted successfully.' : 'Complaint updated successfully.';
-        return res.status(200).json({ complaint: updatedComplaint, message });
+        if (isSubmittingDraft) {
+            await notifyAdmins(
+                `New complaint '${complaint.caseRef}' submitted by ${req.user.fullName}.${describeDuplicates(possibleDuplicates)}`,
+                `/admin/complaint/${complaint._id}`
+            );
+        }
+
+        const message = wasRejected
+            ? 'Complaint resubmitted successfully.'
+            : (isSubmittingDraft ? 'Complaint submitted successfully.' : 'Complaint updated successfully.');
+        return res.status(200).json({ complaint: withVisibleEvidence(updatedComplaint.toObject(), req.user), message });
 
     } catch (error) {
+        if (error instanceof StatusTransitionError) {
+            return res.status(409).json(transitionErrorBody(error));
+        }
         return res.status(500).json({ message: 'Error updating complaint.', error: error.message });
     }
 };
@@ -355,7 +633,25 @@ export const deleteComplaint = async (req, res) => {
             return res.status(403).json({ message: 'Forbidden. You are not authorized to delete this complaint.' });
         }
 
+        const messages = await CaseMessage.find({ complaint: complaint._id }).select('attachments').lean();
+        const files = [...complaint.evidence, ...(complaint.respondent?.evidence || []), ...messages.flatMap(m => m.attachments)];
+        await recordEvidenceCustody(complaint._id, files, 'Deleted', req, 'Complaint deleted by the complainant.');
+        // Cancelled while the case still exists so the complainant gets the calendar cancellations
+        // and the staff, venue and availability slots are freed.
+        await cancelUpcomingMeetings(complaint._id, 'The complaint was deleted.');
         await complaint.deleteOne();
+        await Meeting.deleteMany({ complaint: complaint._id });
+        await CaseMessage.deleteMany({ complaint: complaint._id });
+
+        try {
+            await deleteStoredEvidence(files);
+        } catch (storageError) {
+            // The complaint is already gone; leftover files must not fail the request.
+            // They are queued for the storage sweep to retry.
+            console.error('Failed to delete evidence files from storage:', storageError);
+            await queueFailedDeletions(files, complaint._id, storageError)
+                .catch(queueError => console.error('Failed to queue evidence files for cleanup:', queueError));
+        }
 
         return res.status(200).json({ message: 'Complaint deleted successfully.' });
     } catch (error) {
@@ -364,15 +660,15 @@ export const deleteComplaint = async (req, res) => {
 };
 
 /**
- * @description Delete a single evidence file from a complaint.
- * @route DELETE /api/v1/complaints/:id/evidence
+ * @description Withdraw an active complaint. The case is closed as 'Cancelled by User'.
+ * @route POST /api/v1/complaints/:id/withdraw
  * @access Private (Owner only)
  */
-export const deleteEvidence = async (req, res) => {
-    const { fileUrl } = req.body;
+export const withdrawComplaint = async (req, res) => {
+    const { reason } = req.body;
 
-    if (!fileUrl) {
-        return res.status(400).json({ message: 'File URL is required.' });
+    if (!reason || !reason.trim()) {
+        return res.status(400).json({ message: 'A reason is required to withdraw a case.' });
     }
 
     try {
@@ -382,20 +678,273 @@ export const deleteEvidence = async (req, res) => {
             return res.status(404).json({ message: 'Complaint not found.' });
         }
 
-        // Authorization: Only owner can delete evidence
         if (complaint.complainant.toString() !== req.user._id.toString()) {
+            return res.status(403).json({ message: 'Forbidden. You can only withdraw your own complaints.' });
+        }
+
+        transitionStatus(complaint, 'Closed', {
+            changedBy: req.user._id,
+            notes: `Withdrawn by complainant. Reason: ${reason}`,
+        });
+        complaint.resolutionStatus = 'Cancelled by User';
+        await complaint.save();
+
+        // Only once the case is closed, so a failed save leaves its meetings in place.
+        await cancelUpcomingMeetings(complaint._id, 'Case withdrawn by the complainant.');
+        await refreshInvitationSummary(complaint);
+        if (complaint.isModified()) await complaint.save();
+
+        await notifyAdmins(
+            `Case ${complaint.caseRef} was withdrawn by ${req.user.fullName}. Reason: ${reason.substring(0, 100)}`,
+            `/admin/complaint/${complaint._id}`
+        );
+
+        return res.status(200).json({ complaint: withVisibleEvidence(complaint.toObject(), req.user), message: 'Your case has been withdrawn.' });
+    } catch (error) {
+        if (error instanceof StatusTransitionError) {
+            return res.status(409).json(transitionErrorBody(error));
+        }
+        return res.status(500).json({ message: 'Error withdrawing complaint.', error: error.message });
+    }
+};
+
+/**
+ * @description Ask for a closed case to be reopened. Only allowed within the configured window after closure.
+ * @route POST /api/v1/complaints/:id/reopen-request
+ * @access Private (Owner only)
+ */
+export const requestReopen = async (req, res) => {
+    const { reason } = req.body;
+
+    if (!reason || !reason.trim()) {
+        return res.status(400).json({ message: 'Please explain why the case should be reopened.' });
+    }
+
+    try {
+        const complaint = await Complaint.findById(req.params.id);
+
+        if (!complaint) {
+            return res.status(404).json({ message: 'Complaint not found.' });
+        }
+
+        if (complaint.complainant.toString() !== req.user._id.toString()) {
+            return res.status(403).json({ message: 'Forbidden. You can only contest closure of your own complaints.' });
+        }
+
+        if (complaint.status !== 'Closed') {
+            return res.status(409).json({ message: `Only closed cases can be reopened. Current status is '${complaint.status}'.` });
+        }
+        if (complaint.resolutionStatus === 'Cancelled by User') {
+            return res.status(409).json({ message: 'A case you withdrew cannot be reopened. Please submit a new complaint.' });
+        }
+
+        const closedAt = complaint.sla?.enteredAt || complaint.updatedAt;
+        if (complaint.reopenRequest?.requestedAt && complaint.reopenRequest.requestedAt > closedAt) {
+            return res.status(409).json({ message: `A reopen request for this closure has already been ${complaint.reopenRequest.status.toLowerCase()}.` });
+        }
+
+        const settings = await AppSettings.findOne().select('reopenWindowDays');
+        const windowDays = settings?.reopenWindowDays ?? 14;
+        const deadline = new Date(new Date(closedAt).getTime() + windowDays * 24 * 60 * 60 * 1000);
+        if (new Date() > deadline) {
+            return res.status(409).json({ message: `Reopen requests must be made within ${windowDays} days of closure.` });
+        }
+
+        complaint.reopenRequest = { status: 'Pending', reason, requestedAt: new Date() };
+        // The status does not change until an Admin approves the request.
+        complaint.statusHistory.push({
+            status: complaint.status,
+            changedBy: req.user._id,
+            notes: `Complainant requested reopening. Reason: ${reason}`,
+            timestamp: new Date(),
+        });
+        await complaint.save();
+
+        await notifyAdmins(
+            `Reopen requested for case ${complaint.caseRef} by ${req.user.fullName}. Review required.`,
+            `/admin/complaint/${complaint._id}`,
+            'Admin'
+        );
+
+        return res.status(200).json({ complaint: withVisibleEvidence(complaint.toObject(), req.user), message: 'Your reopen request has been submitted for review.' });
+    } catch (error) {
+        return res.status(500).json({ message: 'Error requesting reopen.', error: error.message });
+    }
+};
+
+/**
+ * @description Set whether the case may appear on the public feed, and whether by name or
+ * anonymously. Choosing 'Do Not Publish' takes a published case off the feed and cancels
+ * revisions waiting to be published.
+ * @route PUT /api/v1/complaints/:id/publication-preference
+ * @access Private (Owner only)
+ */
+export const updatePublicationPreference = async (req, res) => {
+    const { preference } = req.body;
+
+    if (!PUBLICATION_PREFERENCES.includes(preference)) {
+        return res.status(400).json({ message: `Invalid publication preference. Choose one of: ${PUBLICATION_PREFERENCES.join(', ')}.` });
+    }
+
+    try {
+        const complaint = await Complaint.findById(req.params.id);
+        if (!complaint) {
+            return res.status(404).json({ message: 'Complaint not found.' });
+        }
+        if (complaint.complainant.toString() !== req.user._id.toString()) {
+            return res.status(403).json({ message: 'Forbidden. You can only manage publication of your own complaints.' });
+        }
+
+        const withdrawn = preference === 'Do Not Publish' && complaint.isPublic;
+        complaint.publication.preference = preference;
+        complaint.publication.consentLog.push(buildConsentRecord('Preference Set', { preference, decidedBy: req.user._id }));
+        if (withdrawn) {
+            await unpublishComplaint(complaint, { reason: 'The complainant withdrew consent to publication.', req });
+        } else {
+            await complaint.save();
+        }
+        if (preference === 'Do Not Publish') {
+            await cancelOpenRevisions(complaint._id, { reason: 'The complainant withdrew consent to publication.', endedBy: req.user._id });
+        }
+
+        if (withdrawn) {
+            await notifyAdmins(
+                `The complainant withdrew consent to publishing case '${complaint.caseRef}'. It has been removed from the public feed.`,
+                `/admin/complaint/${complaint._id}`
+            );
+        }
+
+        const message = withdrawn
+            ? 'Your preference has been saved and your case has been removed from the public feed.'
+            : 'Your publication preference has been saved.';
+        return res.status(200).json({ complaint: withVisibleEvidence(complaint.toObject(), req.user), message });
+    } catch (error) {
+        return res.status(500).json({ message: 'Error updating publication preference.', error: error.message });
+    }
+};
+
+/**
+ * @description Approve or reject the public narrative staff have proposed (`publication.proposal.narrative`).
+ * `narrativeHash` must be the hash of the text the complainant reviewed, so a decision never applies
+ * to text they have not seen. An approved revision that is already due is published straight away.
+ * @route PUT /api/v1/complaints/:id/public-narrative/decision
+ * @access Private (Owner only)
+ */
+export const decidePublicNarrative = async (req, res) => {
+    const { decision, narrativeHash, reason } = req.body;
+
+    if (!['Approved', 'Rejected'].includes(decision)) {
+        return res.status(400).json({ message: 'A valid decision ("Approved" or "Rejected") is required.' });
+    }
+    if (decision === 'Rejected' && (!reason || !reason.trim())) {
+        return res.status(400).json({ message: 'Please tell us what should change in the public narrative.' });
+    }
+
+    try {
+        const complaint = await Complaint.findById(req.params.id);
+        if (!complaint) {
+            return res.status(404).json({ message: 'Complaint not found.' });
+        }
+        if (complaint.complainant.toString() !== req.user._id.toString()) {
+            return res.status(403).json({ message: 'Forbidden. You can only review the public narrative of your own complaints.' });
+        }
+
+        const { proposal } = complaint.publication;
+        const revision = proposal?.revision && await PublicationRevision.findById(proposal.revision);
+        if (proposal?.status !== 'Pending' || !OPEN_REVISION_STATUSES.includes(revision?.status)) {
+            return res.status(400).json({ message: 'There is no public narrative waiting for your review.' });
+        }
+        if (narrativeHash !== proposal.narrativeHash || revision.narrativeHash !== proposal.narrativeHash) {
+            return res.status(409).json({ message: 'The public narrative has changed since you opened it. Please review the latest version.' });
+        }
+
+        proposal.status = decision;
+        proposal.decidedAt = new Date();
+        proposal.reason = decision === 'Rejected' ? reason : undefined;
+        if (decision === 'Approved') {
+            complaint.publication.approvedHash = proposal.narrativeHash;
+        }
+        complaint.publication.consentLog.push(buildConsentRecord(decision, {
+            preference: complaint.publication.preference,
+            narrative: revision.publicNarrative,
+            reason: proposal.reason,
+            decidedBy: req.user._id,
+        }));
+        await complaint.save();
+
+        let published;
+        if (decision === 'Rejected') {
+            revision.status = 'Rejected';
+            revision.endedAt = new Date();
+            revision.endedBy = req.user._id;
+            revision.endReason = `The complainant rejected the text: ${reason}`;
+            await revision.save();
+        } else if (revision.status === 'Scheduled' && revision.publishAt <= new Date()) {
+            // Already approved by an Admin and due, so it only waited for the complainant.
+            published = (await publishRevision(revision._id)).complaint;
+        }
+
+        const staffMessage = decision === 'Approved'
+            ? `The complainant approved public revision #${revision.number} of case '${complaint.caseRef}'.`
+            : `The complainant rejected public revision #${revision.number} of case '${complaint.caseRef}'. Reason: ${reason}`;
+        if (proposal.proposedBy) {
+            await createNotification(proposal.proposedBy, staffMessage, `/admin/complaint/${complaint._id}`, { title: 'Public Narrative Reviewed' });
+        } else {
+            await notifyAdmins(staffMessage, `/admin/complaint/${complaint._id}`);
+        }
+
+        return res.status(200).json({
+            complaint: withVisibleEvidence((published || complaint).toObject(), req.user),
+            message: decision === 'Approved' ? 'Thank you. You have approved the public narrative.' : 'Thank you. Staff will revise the public narrative.',
+        });
+    } catch (error) {
+        return res.status(500).json({ message: 'Error recording your decision.', error: error.message });
+    }
+};
+
+/**
+ * @description Delete a single evidence file from a complaint. The file is identified by its
+ * evidence ID, or by `fileUrl` in the body for older clients.
+ * @route DELETE /api/v1/complaints/:id/evidence/:evidenceId
+ * @route DELETE /api/v1/complaints/:id/evidence
+ * @access Private (Owner for their own uploads, Admin, or Staff)
+ */
+export const deleteEvidence = async (req, res) => {
+    const evidenceId = req.params.evidenceId || req.body?.evidenceId;
+    const fileUrl = req.body?.fileUrl;
+
+    if (!evidenceId && !fileUrl) {
+        return res.status(400).json({ message: 'An evidence ID or file URL is required.' });
+    }
+
+    try {
+        const complaint = await Complaint.findById(req.params.id);
+
+        if (!complaint) {
+            return res.status(404).json({ message: 'Complaint not found.' });
+        }
+
+        const isOwner = complaint.complainant.toString() === req.user._id.toString();
+        const isAdminOrStaff = ['Admin', 'Staff'].includes(req.user.role);
+        if (!isOwner && !isAdminOrStaff) {
             return res.status(403).json({ message: 'Forbidden. You are not authorized to modify this complaint.' });
         }
 
-        // Remove the file URL from the complaint document
-        complaint.evidenceUrls = complaint.evidenceUrls.filter(url => url !== fileUrl);
+        const file = evidenceId ? complaint.evidence.id(evidenceId) : complaint.evidence.find(item => item.url === fileUrl);
+        if (!file) {
+            return res.status(404).json({ message: 'Evidence file not found.' });
+        }
+
+        // Complainants may only remove files they uploaded themselves.
+        if (!isAdminOrStaff && (file.visibility === 'Staff Only' || (file.uploadedBy && file.uploadedBy.toString() !== req.user._id.toString()))) {
+            return res.status(403).json({ message: 'Forbidden. You can only delete evidence you uploaded.' });
+        }
+
+        complaint.evidence.pull(file._id);
         await complaint.save();
 
-        // Extract public_id from URL and delete from Cloudinary
-        const publicId = fileUrl.split('/').pop().split('.')[0];
-        // The folder must be included for deletion to work
-        const fullPublicId = `advocacy-platform/evidence-files/${publicId}`;
-        await cloudinary.uploader.destroy(fullPublicId, { resource_type: 'auto' });
+        await recordEvidenceCustody(complaint._id, [file], 'Deleted', req);
+        await deleteStoredEvidence([file]);
 
         return res.status(200).json({ message: 'Evidence file deleted successfully.' });
     } catch (error) {
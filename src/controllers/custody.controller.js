@@ -0,0 +1,31 @@
+import Complaint from '../models/complaint.model.js';
+import CustodyEvent from '../models/custodyEvent.model.js';
+import { buildCustodyReport } from '../utils/custody.js';
+
+/**
+ * @description Get the chain-of-custody report for a case's evidence: each file's ingest hash
+ * and full handling history, and whether the custody log is intact. Pass `verifyFiles=true`
+ * to re-download held files and check them against their ingest hashes.
+ * @route GET /api/v1/admin/complaint/:id/custody-report
+ * @access Admin/Staff
+ */
+export const getCustodyReport = async (req, res) => {
+    try {
+        const complaint = await Complaint.findById(req.params.id).select('caseRef evidence respondent.evidence').lean();
+
+        // The log outlives deleted cases, so a report can still be produced for them.
+        if (!complaint && !(await CustodyEvent.exists({ complaint: req.params.id }))) {
+            return res.status(404).json({ message: 'Complaint not found.' });
+        }
+
+        const report = await buildCustodyReport(req.params.id, {
+            complaint,
+            verifyFiles: req.query.verifyFiles === 'true',
+            generatedBy: { _id: req.user._id, fullName: req.user.fullName },
+        });
+
+        return res.status(200).json({ report });
+    } catch (error) {
+        return res.status(500).json({ message: 'Error generating custody report.', error: error.message });
+    }
+};
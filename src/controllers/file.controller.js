@@ -0,0 +1,81 @@
+import fs from 'fs';
+import Complaint from '../models/complaint.model.js';
+import CaseMessage from '../models/caseMessage.model.js';
+import CustodyEvent from '../models/custodyEvent.model.js';
+import PendingUpload from '../models/pendingUpload.model.js';
+import { QUARANTINE_SCAN_STATUSES } from '../utils/scanners/index.js';
+import { resolveLocalPath, verifyLocalSignature, LOCAL_FILES_ROUTE } from '../utils/storage/localProvider.js';
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Checks whether a non-staff user may read a stored file: their own ID document, evidence on
+ * their complaints that is not staff-only, their own pre-uploads, or attachments on public
+ * messages in their case threads.
+ */
+const canUserAccessFile = async (user, storageKey) => {
+    const urlPattern = new RegExp(`${escapeRegex(LOCAL_FILES_ROUTE)}/${escapeRegex(storageKey.split('/').map(encodeURIComponent).join('/'))}$`);
+
+    if (user.idDocumentUrl && urlPattern.test(user.idDocumentUrl)) return true;
+
+    const visibleFile = { storageKey, visibility: { $ne: 'Staff Only' } };
+    const ownEvidence = await Complaint.exists({
+        complainant: user._id,
+        $or: [{ evidence: { $elemMatch: visibleFile } }, { 'respondent.evidence': { $elemMatch: visibleFile } }],
+    });
+    if (ownEvidence) return true;
+
+    if (await CustodyEvent.exists({ complaint: null, action: 'Uploaded', actor: user._id, url: urlPattern })) return true;
+
+    const messages = await CaseMessage.find({ 'attachments.storageKey': storageKey, visibility: 'Public' }).select('complaint').lean();
+    return messages.length > 0
+        && Boolean(await Complaint.exists({ _id: { $in: messages.map(m => m.complaint) }, complainant: user._id }));
+};
+
+/**
+ * Checks whether a file is held in quarantine, on a case or as an unclaimed pre-upload.
+ */
+const isFileQuarantined = async (storageKey) => {
+    const quarantinedFile = { storageKey, 'scan.status': { $in: QUARANTINE_SCAN_STATUSES } };
+    return Boolean(await Complaint.exists({
+        $or: [{ evidence: { $elemMatch: quarantinedFile } }, { 'respondent.evidence': { $elemMatch: quarantinedFile } }],
+    }) || await PendingUpload.exists({ ...quarantinedFile, status: 'Pending' }));
+};
+
+/**
+ * @description Serve a file held by the local storage provider. Requires either a signed link
+ * (`expires` and `signature` query parameters) or an access token for a user allowed to see the file.
+ * @route GET /api/v1/files/*
+ * @access Private (signed link, or Owner, Admin, or Staff)
+ */
+export const getLocalFile = async (req, res) => {
+    const storageKey = req.params.key.join('/');
+    const { expires, signature } = req.query;
+
+    try {
+        if (signature) {
+            if (!verifyLocalSignature(storageKey, expires, signature)) {
+                return res.status(403).json({ message: 'This link is invalid or has expired.' });
+            }
+        } else if (!['Admin', 'Staff'].includes(req.user.role) && !(await canUserAccessFile(req.user, storageKey))) {
+            return res.status(403).json({ message: 'Forbidden. You are not authorized to view this file.' });
+        }
+
+        if (await isFileQuarantined(storageKey)) {
+            return res.status(403).json({ message: 'This file is quarantined pending a security review.' });
+        }
+
+        const filePath = resolveLocalPath(storageKey);
+        if (!fs.existsSync(filePath)) {
+            return res.status(404).json({ message: 'File not found.' });
+        }
+
+        res.set('Cache-Control', 'private, no-store');
+        return res.sendFile(filePath);
+    } catch (error) {
+        if (error.message === 'Invalid storage key.') {
+            return res.status(400).json({ message: error.message });
+        }
+        return res.status(500).json({ message: 'Error fetching file.', error: error.message });
+    }
+};
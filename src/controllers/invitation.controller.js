@@ -1,27 +1,59 @@
+import mongoose from 'mongoose';
 import Complaint from '../models/complaint.model.js';
+import Meeting from '../models/meeting.model.js';
+import AvailabilityWindow from '../models/availability.model.js';
 import { createNotification, notifyAdmins } from '../utils/notification.js';
+import { sendEmail } from '../utils/email.js';
+import { withVisibleEvidence } from '../utils/evidence.js';
+import { transitionStatus, StatusTransitionError, transitionErrorBody } from '../utils/complaintStatus.js';
+import {
+    findCaseMeeting,
+    findSlotConflicts,
+    findMeetingConflicts,
+    moveMeeting,
+    recordProposal,
+    closeOpenProposals,
+    zonedDateTimeToUtc,
+    refreshInvitationSummary,
+    buildMeetingDetailsHtml,
+    formatMeetingTime,
+} from '../utils/meetings.js';
+import { getOpenWindowSlots, isWindowSlot, reserveSlot, releaseSlot } from '../utils/availability.js';
+import { buildMeetingIcsAttachment } from '../utils/ics.js';
+import { scheduleMeetingJobs } from '../utils/meetingJobs.js';
 
 /**
- * @description Respond to a scheduling invitation.
+ * @description Respond to a meeting invitation. Without a meetingId, the earliest meeting
+ * awaiting a response is used. The complainant may accept the meeting as scheduled, accept
+ * one of the slots offered by staff (`proposalId`), or reject it with an alternative time,
+ * given as `proposedStart` or as `proposedDate` and `proposedTime` in the meeting's time zone.
  * @route PUT /api/v1/invitations/:complaintId/respond
  * @access Private (Complainant only)
  */
 export const respondToInvitation = async (req, res) => {
     const { complaintId } = req.params;
-    const { response, proposedDate, proposedTime, reason } = req.body; // response can be 'Accepted' or 'Rejected'
+    const { response, proposedStart, proposedDate, proposedTime, reason, meetingId, proposalId } = req.body; // response can be 'Accepted' or 'Rejected'
 
     if (!response || !['Accepted', 'Rejected'].includes(response)) {
         return res.status(400).json({ message: 'A valid response ("Accepted" or "Rejected") is required.' });
     }
 
-    if (response === 'Rejected' && (!proposedDate || !proposedTime)) {
+    if (response === 'Rejected' && !proposedStart && (!proposedDate || !proposedTime)) {
         return res.status(400).json({ message: 'A proposed date and time are required when rejecting.' });
     }
+    if ([complaintId, meetingId, proposalId].some(id => id !== undefined && !mongoose.isValidObjectId(id))) {
+        return res.status(400).json({ message: 'Invalid complaint, meeting or proposal ID.' });
+    }
 
     try {
         const complaint = await Complaint.findById(complaintId);
+        const meeting = complaint && await findCaseMeeting(
+            complaint._id,
+            meetingId,
+            proposalId ? { 'proposals._id': proposalId } : { 'complainantResponse.status': 'Pending' }
+        );
 
-        if (!complaint || !complaint.invitation) {
+        if (!complaint || !meeting) {
             return res.status(404).json({ message: 'Complaint or invitation not found.' });
         }
 
@@ -30,31 +62,236 @@ export const respondToInvitation = async (req, res) => {
             return res.status(403).json({ message: 'You are not authorized to respond to this invitation.' });
         }
 
-        complaint.invitation.userResponse = {
+        const respondedAt = new Date();
+        let proposed;
+        if (response === 'Rejected') {
+            proposed = proposedStart ? new Date(proposedStart) : zonedDateTimeToUtc(proposedDate, proposedTime, meeting.timezone);
+            if (!proposed || isNaN(proposed)) {
+                return res.status(400).json({ message: 'The proposed date and time could not be understood.' });
+            }
+
+            // Proposing a new time turns down any slots staff offered.
+            closeOpenProposals(meeting, 'Declined', { respondedBy: req.user._id, note: reason, filter: p => p.proposerRole === 'Staff' });
+            recordProposal(meeting, { proposedBy: req.user._id, proposerRole: 'Complainant', startAt: proposed, reason });
+        } else if (proposalId) {
+            const slot = meeting.proposals.id(proposalId);
+            if (!slot || slot.proposerRole !== 'Staff' || slot.status !== 'Open') {
+                return res.status(404).json({ message: 'That slot is no longer on offer.' });
+            }
+
+            const conflicts = await findSlotConflicts(meeting, slot.startAt);
+            if (conflicts.length > 0) {
+                return res.status(409).json({ message: 'That slot is no longer available. Please choose another or propose a new time.' });
+            }
+
+            Object.assign(slot, { status: 'Accepted', respondedBy: req.user._id, respondedAt });
+            moveMeeting(meeting, slot.startAt);
+            closeOpenProposals(meeting, 'Superseded');
+        } else {
+            // Accepting the meeting as scheduled closes any negotiation in progress.
+            closeOpenProposals(meeting, 'Superseded');
+        }
+
+        meeting.complainantResponse = {
             status: response,
-            proposedDate: response === 'Rejected' ? new Date(proposedDate) : undefined,
-            proposedTime: response === 'Rejected' ? proposedTime : undefined,
+            proposedStart: proposed,
             reason: response === 'Rejected' ? reason : undefined,
+            respondedAt,
+            deadline: meeting.complainantResponse?.deadline,
         };
 
-        // If user accepts, change status to Ongoing
-        if (response === 'Accepted') {
-            complaint.status = 'Ongoing';
-            complaint.statusHistory.push({ status: 'Ongoing', timestamp: new Date(), notes: 'Complainant accepted the scheduled meeting.' });
+        // The first accepted meeting moves the case to Ongoing.
+        if (response === 'Accepted' && complaint.status === 'Approved for Scheduling') {
+            transitionStatus(complaint, 'Ongoing', { changedBy: req.user._id, notes: 'Complainant accepted the scheduled meeting.' });
         }
 
+        await meeting.save();
+        scheduleMeetingJobs(meeting); // Non-blocking: drops the deadline, and reminders if rejected
+        await refreshInvitationSummary(complaint);
         await complaint.save();
 
         if (response === 'Accepted') {
             await notifyAdmins(`Invitation for case ${complaint.caseRef} has been accepted by the user.`, `/admin/complaint/${complaint._id}`);
+            if (proposalId) {
+                // The meeting moved to the chosen slot; send the updated invitation.
+                sendEmail(req.user.email, `Meeting Time Confirmed (${complaint.caseRef})`, `
+                    <h1>Meeting Time Confirmed</h1>
+                    <p>Dear ${req.user.fullName},</p>
+                    <p>Your meeting for case <strong>${complaint.caseRef}</strong> has been moved to the slot you chose.</p>
+                    ${buildMeetingDetailsHtml(meeting)}
+                `, [buildMeetingIcsAttachment(meeting)]);
+            }
         } else { 
             await notifyAdmins(`User proposed an alternative time for case ${complaint.caseRef}. Review required.`, `/admin/complaint/${complaint._id}`);
         }
 
         await createNotification(complaint.complainant, `Your response for case ${complaint.caseRef} has been recorded.`, `/complainant/complaint/${complaint._id}`);
 
-        return res.status(200).json({ complaint, message: 'Your response has been successfully submitted.' });
+        return res.status(200).json({ complaint: withVisibleEvidence(complaint.toObject(), req.user), meeting, message: 'Your response has been successfully submitted.' });
     } catch (error) {
+        if (error instanceof StatusTransitionError) {
+            return res.status(409).json(transitionErrorBody(error));
+        }
         return res.status(500).json({ message: 'Error responding to invitation.', error: error.message });
     }
 };
+
+/**
+ * Loads a complaint for slot booking and checks it belongs to the user and is ready to be scheduled.
+ * @returns {Promise<{complaint?: mongoose.Document, error?: {status: number, message: string}}>}
+ */
+const loadBookableComplaint = async (complaintId, user) => {
+    if (!mongoose.isValidObjectId(complaintId)) {
+        return { error: { status: 400, message: 'Invalid complaint ID.' } };
+    }
+    const complaint = await Complaint.findById(complaintId);
+    if (!complaint) {
+        return { error: { status: 404, message: 'Complaint not found.' } };
+    }
+    if (complaint.complainant.toString() !== user._id.toString()) {
+        return { error: { status: 403, message: 'You are not authorized to book a meeting for this complaint.' } };
+    }
+    if (complaint.status !== 'Approved for Scheduling') {
+        return { error: { status: 409, message: 'A meeting slot can only be booked once your case is approved for scheduling.' } };
+    }
+    return { complaint };
+};
+
+/**
+ * @description Get the open slots a complainant can book for their case.
+ * @route GET /api/v1/invitations/:complaintId/slots
+ * @access Private (Complainant only)
+ */
+export const getOpenSlots = async (req, res) => {
+    try {
+        const { error } = await loadBookableComplaint(req.params.complaintId, req.user);
+        if (error) return res.status(error.status).json({ message: error.message });
+
+        const windows = await AvailabilityWindow.find({ isActive: true, endAt: { $gt: new Date() } })
+            .sort({ startAt: 1 })
+            .populate('staff', 'fullName')
+            .lean();
+
+        const slots = windows.flatMap(window => getOpenWindowSlots(window).map(slot => ({
+            windowId: window._id,
+            ...slot,
+            timezone: window.timezone,
+            mode: window.mode,
+            venue: window.venue?.name,
+            staff: window.staff?.fullName,
+        })));
+        slots.sort((a, b) => a.startAt - b.startAt);
+
+        return res.status(200).json({ slots });
+    } catch (error) {
+        return res.status(500).json({ message: 'Error fetching available slots.', error: error.message });
+    }
+};
+
+/**
+ * @description Book one of the published slots. The slot is reserved atomically, a confirmed
+ * meeting is created and the case moves to Ongoing.
+ * @route POST /api/v1/invitations/:complaintId/book
+ * @access Private (Complainant only)
+ */
+export const bookSlot = async (req, res) => {
+    const { windowId, slotStart } = req.body;
+    const startAt = new Date(slotStart);
+
+    if (!windowId || !mongoose.isValidObjectId(windowId) || !slotStart || isNaN(startAt)) {
+        return res.status(400).json({ message: 'A valid windowId and slotStart are required.' });
+    }
+
+    try {
+        const { complaint, error } = await loadBookableComplaint(req.params.complaintId, req.user);
+        if (error) return res.status(error.status).json({ message: error.message });
+
+        const window = await AvailabilityWindow.findById(windowId).populate('staff', 'fullName email');
+        if (!window || !window.isActive) {
+            return res.status(404).json({ message: 'Availability window not found.' });
+        }
+        if (!isWindowSlot(window, startAt) || startAt <= new Date()) {
+            return res.status(400).json({ message: 'That is not a bookable slot in this window.' });
+        }
+
+        const reserved = await reserveSlot({ windowId, slotStart: startAt, complaintId: complaint._id, userId: req.user._id });
+        if (!reserved) {
+            return res.status(409).json({ message: 'That slot has just been taken. Please choose another.' });
+        }
+
+        const endAt = new Date(startAt.getTime() + window.slotMinutes * 60 * 1000);
+        let meeting;
+        try {
+            // The staff member or venue may have been booked for another meeting since the window was published.
+            const conflicts = await findMeetingConflicts({
+                startAt,
+                endAt,
+                staffIds: [window.staff._id],
+                venueKey: window.mode === 'In Person' ? window.venue?.key : undefined,
+                excludeWindowId: window._id,
+            });
+            if (conflicts.length > 0) {
+                await releaseSlot(window._id, complaint._id);
+                return res.status(409).json({ message: 'That slot is no longer available. Please choose another.' });
+            }
+
+            transitionStatus(complaint, 'Ongoing', { changedBy: req.user._id, notes: 'Complainant booked a meeting slot.' });
+
+            meeting = await Meeting.create({
+                complaint: complaint._id,
+                title: `Case meeting: ${complaint.caseRef}`,
+                startAt,
+                endAt,
+                timezone: window.timezone,
+                mode: window.mode,
+                venue: window.venue,
+                virtualLink: window.virtualLink,
+                attendees: [
+                    { kind: 'Complainant', user: req.user._id, name: req.user.fullName, email: req.user.email },
+                    { kind: 'Staff', user: window.staff._id, name: window.staff.fullName, email: window.staff.email },
+                ],
+                complainantResponse: { status: 'Accepted', respondedAt: new Date() },
+                availabilityWindow: window._id,
+                createdBy: req.user._id,
+            });
+
+            await AvailabilityWindow.updateOne(
+                { _id: window._id, 'bookings.complaint': complaint._id },
+                { $set: { 'bookings.$.meeting': meeting._id } }
+            );
+            await refreshInvitationSummary(complaint);
+            await complaint.save();
+        } catch (bookingError) {
+            // Give the slot back so a failed booking does not hold it.
+            await releaseSlot(window._id, complaint._id);
+            if (meeting) await Meeting.deleteOne({ _id: meeting._id });
+            throw bookingError;
+        }
+
+        scheduleMeetingJobs(meeting); // Non-blocking: reminders
+
+        const { date, time } = formatMeetingTime(meeting);
+        await notifyAdmins(`Case ${complaint.caseRef}: the complainant booked a meeting for ${date} at ${time}.`, `/admin/complaint/${complaint._id}`);
+        await createNotification(
+            window.staff._id,
+            `You have a new booking on case '${complaint.caseRef}' on ${date} at ${time}.`,
+            `/admin/complaint/${complaint._id}`,
+            { title: 'Meeting Booked' }
+        );
+
+        sendEmail(req.user.email, `Meeting Confirmed (${complaint.caseRef})`, `
+            <h1>Meeting Confirmed</h1>
+            <p>Dear ${req.user.fullName},</p>
+            <p>Your meeting for complaint Ref: <strong>${complaint.caseRef}</strong> has been booked.</p>
+            ${buildMeetingDetailsHtml(meeting)}
+            <p>You will receive reminders before the meeting.</p>
+        `, [buildMeetingIcsAttachment(meeting)]);
+
+        return res.status(201).json({ complaint: withVisibleEvidence(complaint.toObject(), req.user), meeting, message: 'Your meeting has been booked.' });
+    } catch (error) {
+        if (error instanceof StatusTransitionError) {
+            return res.status(409).json(transitionErrorBody(error));
+        }
+        return res.status(500).json({ message: 'Error booking slot.', error: error.message });
+    }
+};
@@ -0,0 +1,224 @@
+import Complaint from '../models/complaint.model.js';
+import Meeting from '../models/meeting.model.js';
+import AvailabilityWindow from '../models/availability.model.js';
+import User from '../models/user.model.js';
+import { createNotification } from '../utils/notification.js';
+import { sendEmail } from '../utils/email.js';
+import {
+    resolveMeetingWindow,
+    resolveMeetingPlace,
+    findMeetingConflicts,
+    getStaffAttendeeIds,
+    buildMeetingDetailsHtml,
+    refreshInvitationSummary,
+    closeOpenProposals,
+    toVenueKey,
+} from '../utils/meetings.js';
+import { getResponseDeadline, scheduleMeetingJobs, cancelMeetingJobs } from '../utils/meetingJobs.js';
+import { buildMeetingIcsAttachment } from '../utils/ics.js';
+
+/**
+ * @description Get all meetings for a complaint, earliest first.
+ * @route GET /api/v1/complaints/:id/meetings
+ * @access Private (Owner, Admin, or Staff)
+ */
+export const getCaseMeetings = async (req, res) => {
+    try {
+        const complaint = await Complaint.findById(req.params.id).select('complainant');
+        if (!complaint) {
+            return res.status(404).json({ message: 'Complaint not found.' });
+        }
+
+        const isOwner = complaint.complainant.toString() === req.user._id.toString();
+        if (!isOwner && !['Admin', 'Staff'].includes(req.user.role)) {
+            return res.status(403).json({ message: 'Forbidden. You are not authorized to view this complaint.' });
+        }
+
+        const meetings = await Meeting.find({ complaint: complaint._id })
+            .sort({ startAt: 1 })
+            .populate('attendees.user', 'fullName avatarUrl')
+            .populate('proposals.proposedBy proposals.respondedBy', 'fullName role')
+            .lean();
+
+        return res.status(200).json({ meetings });
+    } catch (error) {
+        return res.status(500).json({ message: 'Error fetching meetings.', error: error.message });
+    }
+};
+
+/**
+ * @description Get the meeting calendar, optionally for one staff member or venue.
+ * Defaults to scheduled meetings from now onwards.
+ * @route GET /api/v1/admin/meetings
+ * @access Admin/Staff
+ */
+export const getMeetings = async (req, res) => {
+    const { from, to, staffId, venue, status = 'Scheduled' } = req.query;
+
+    try {
+        const query = { startAt: { $gte: from ? new Date(from) : new Date() } };
+        if (to) query.startAt.$lte = new Date(to);
+        if (status !== 'all') query.status = status;
+        if (staffId) {
+            query.attendees = { $elemMatch: { kind: 'Staff', user: staffId === 'me' ? req.user._id : staffId } };
+        }
+        if (venue) query['venue.key'] = toVenueKey(venue);
+
+        const meetings = await Meeting.find(query)
+            .sort({ startAt: 1 })
+            .populate('complaint', 'caseRef title status')
+            .populate('attendees.user', 'fullName')
+            .lean();
+
+        return res.status(200).json({ meetings });
+    } catch (error) {
+        return res.status(500).json({ message: 'Error fetching meetings.', error: error.message });
+    }
+};
+
+/**
+ * @description Move a meeting or change its venue or staff. The new slot is checked for
+ * conflicts and the complainant is asked to confirm again.
+ * @route PUT /api/v1/admin/meetings/:meetingId
+ * @access Admin/Staff
+ */
+export const rescheduleMeeting = async (req, res) => {
+    const { startAt, endAt, durationMinutes, date, time, timezone, mode, venue, location, virtualLink, staffIds } = req.body;
+
+    if (staffIds !== undefined && (!Array.isArray(staffIds) || staffIds.length === 0)) {
+        return res.status(400).json({ message: 'staffIds must be a non-empty array of user IDs.' });
+    }
+
+    try {
+        const meeting = await Meeting.findById(req.params.meetingId);
+        if (!meeting) {
+            return res.status(404).json({ message: 'Meeting not found.' });
+        }
+        if (meeting.status !== 'Scheduled') {
+            return res.status(409).json({ message: `A ${meeting.status.toLowerCase()} meeting cannot be rescheduled.` });
+        }
+
+        // Unspecified fields keep their current values, including the meeting's length.
+        const window = resolveMeetingWindow({
+            startAt: startAt || (date ? undefined : meeting.startAt),
+            endAt,
+            durationMinutes: durationMinutes || (meeting.endAt - meeting.startAt) / 60000,
+            date,
+            time,
+            timezone: timezone || meeting.timezone,
+        });
+        if (window.error) {
+            return res.status(400).json({ message: window.error });
+        }
+
+        const placeChanged = mode || venue || location || virtualLink;
+        const place = placeChanged ? resolveMeetingPlace({ mode: mode || meeting.mode, venue, location, virtualLink }) : {};
+        if (place.error) {
+            return res.status(400).json({ message: place.error });
+        }
+
+        let staffAttendees = meeting.attendees.filter(a => a.kind === 'Staff');
+        if (staffIds) {
+            const requestedStaff = [...new Set(staffIds.map(String))];
+            const staff = await User.find({ _id: { $in: requestedStaff }, role: { $in: ['Admin', 'Staff'] } }).select('fullName email');
+            if (staff.length !== requestedStaff.length) {
+                return res.status(400).json({ message: 'One or more staff attendees were not found.' });
+            }
+            staffAttendees = staff.map(member => ({ kind: 'Staff', user: member._id, name: member.fullName, email: member.email }));
+        }
+
+        const conflicts = await findMeetingConflicts({
+            startAt: window.startAt,
+            endAt: window.endAt,
+            staffIds: getStaffAttendeeIds({ attendees: staffAttendees }),
+            venueKey: placeChanged ? place.venue?.key : (meeting.mode === 'In Person' ? meeting.venue?.key : undefined),
+            excludeId: meeting._id,
+        });
+        if (conflicts.length > 0) {
+            return res.status(409).json({ message: 'This meeting clashes with existing bookings.', conflicts });
+        }
+
+        closeOpenProposals(meeting, 'Superseded', { respondedBy: req.user._id, note: 'Meeting rescheduled by staff.' });
+        meeting.set({ ...window, ...place });
+        meeting.attendees = [...meeting.attendees.filter(a => a.kind !== 'Staff'), ...staffAttendees];
+        meeting.complainantResponse = { status: 'Pending', deadline: await getResponseDeadline(window.startAt) };
+        await meeting.save();
+        scheduleMeetingJobs(meeting); // Non-blocking
+
+        const complaint = await Complaint.findById(meeting.complaint).populate('complainant', 'email fullName');
+        await refreshInvitationSummary(complaint);
+        await complaint.save();
+
+        sendEmail(complaint.complainant.email, `ACTION REQUIRED: Your Meeting Has Been Rescheduled (${complaint.caseRef})`, `
+            <h1>Meeting Rescheduled</h1>
+            <p>Dear ${complaint.complainant.fullName},</p>
+            <p>A meeting for your complaint (Ref: <strong>${complaint.caseRef}</strong>) has been rescheduled.</p>
+            ${buildMeetingDetailsHtml(meeting)}
+            <p>Please log in to your dashboard to confirm the new details.</p>
+        `, [buildMeetingIcsAttachment(meeting)]);
+        await createNotification(
+            complaint.complainant._id,
+            `Action Required: A meeting for your case '${complaint.caseRef}' has been rescheduled.`,
+            `/complainant/complaint/${complaint._id}`
+        );
+
+        return res.status(200).json({ meeting, message: 'Meeting rescheduled successfully.' });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        return res.status(500).json({ message: 'Error rescheduling meeting.', error: error.message });
+    }
+};
+
+/**
+ * @description Cancel a scheduled meeting and notify the complainant.
+ * @route PUT /api/v1/admin/meetings/:meetingId/cancel
+ * @access Admin/Staff
+ */
+export const cancelMeeting = async (req, res) => {
+    const { reason } = req.body;
+
+    if (!reason || !reason.trim()) {
+        return res.status(400).json({ message: 'A reason is required to cancel a meeting.' });
+    }
+
+    try {
+        const meeting = await Meeting.findOneAndUpdate(
+            { _id: req.params.meetingId, status: 'Scheduled' },
+            { $set: { status: 'Cancelled', cancellationReason: reason }, $inc: { icsSequence: 1 } },
+            { new: true }
+        );
+        if (!meeting) {
+            return res.status(404).json({ message: 'Scheduled meeting not found.' });
+        }
+
+        cancelMeetingJobs(meeting._id); // Non-blocking
+        if (meeting.availabilityWindow) {
+            // Give the booked slot back; the update above skips the Meeting save hooks.
+            await AvailabilityWindow.updateOne({ _id: meeting.availabilityWindow }, { $pull: { bookings: { meeting: meeting._id } } });
+        }
+
+        const complaint = await Complaint.findById(meeting.complaint).populate('complainant', 'email fullName');
+        await refreshInvitationSummary(complaint);
+        await complaint.save();
+
+        // The cancellation reuses the invitation's UID so calendars remove the event.
+        sendEmail(complaint.complainant.email, `Meeting Cancelled (${complaint.caseRef})`, `
+            <h1>Meeting Cancelled</h1>
+            <p>Dear ${complaint.complainant.fullName},</p>
+            <p>The following meeting for your complaint (Ref: <strong>${complaint.caseRef}</strong>) has been cancelled.</p>
+            ${buildMeetingDetailsHtml(meeting)}
+            <p><strong>Reason:</strong> ${reason}</p>
+        `, [buildMeetingIcsAttachment(meeting, 'CANCEL')]);
+        await createNotification(
+            complaint.complainant._id,
+            `A meeting for your case '${complaint.caseRef}' has been cancelled. Reason: ${reason}`,
+            `/complainant/complaint/${complaint._id}`
+        );
+
+        return res.status(200).json({ meeting, message: 'Meeting cancelled successfully.' });
+    } catch (error) {
+        return res.status(500).json({ message: 'Error cancelling meeting.', error: error.message });
+    }
+};
@@ -0,0 +1,245 @@
+import Complaint from '../models/complaint.model.js';
+import CaseMessage from '../models/caseMessage.model.js';
+import User from '../models/user.model.js';
+import { createNotification, notifyAdmins } from '../utils/notification.js';
+import { sendEmail, escapeHtml } from '../utils/email.js';
+import { recordEvidenceCustody } from '../utils/custody.js';
+import { getSignedFileUrl } from '../utils/storage/index.js';
+import { buildEvidenceRecord, isQuarantined, deleteStoredEvidence } from '../utils/evidence.js';
+
+const isStaffUser = (user) => ['Admin', 'Staff'].includes(user.role);
+
+/**
+ * Replaces a message's attachment URLs with signed links, since the files are stored privately.
+ * @param {object} message - A lean message or the result of `toObject()`.
+ * @returns {object}
+ */
+const withSignedAttachments = (message) => ({
+    ...message,
+    attachments: (message.attachments || []).map(file => ({ ...file, url: getSignedFileUrl(file) })),
+});
+
+/**
+ * Loads a complaint and checks the current user may take part in its message thread.
+ * @returns {Promise<{complaint?: mongoose.Document, error?: {status: number, message: string}}>}
+ */
+const loadThreadComplaint = async (complaintId, user) => {
+    const complaint = await Complaint.findById(complaintId).select('caseRef title complainant assignedTo');
+    if (!complaint) {
+        return { error: { status: 404, message: 'Complaint not found.' } };
+    }
+
+    const isOwner = complaint.complainant?.toString() === user._id.toString();
+    if (!isOwner && !isStaffUser(user)) {
+        return { error: { status: 403, message: 'Forbidden. You are not authorized to view messages on this complaint.' } };
+    }
+
+    return { complaint };
+};
+
+/**
+ * @description Get the message thread for a complaint. Complainants only see public messages.
+ * @route GET /api/v1/complaints/:id/messages
+ * @access Private (Owner, Admin, or Staff)
+ */
+export const getMessages = async (req, res) => {
+    try {
+        const { complaint, error } = await loadThreadComplaint(req.params.id, req.user);
+        if (error) return res.status(error.status).json({ message: error.message });
+
+        const query = { complaint: complaint._id };
+        if (!isStaffUser(req.user)) query.visibility = 'Public';
+
+        const messages = await CaseMessage.find(query)
+            .sort({ createdAt: 1 })
+            .populate('sender', 'fullName avatarUrl role')
+            .populate('readBy.user', 'fullName')
+            .lean();
+
+        const unreadCount = messages.filter(m =>
+            m.sender._id.toString() !== req.user._id.toString()
+            && !m.readBy.some(r => r.user?._id.toString() === req.user._id.toString())
+        ).length;
+
+        return res.status(200).json({ messages: messages.map(withSignedAttachments), unreadCount });
+    } catch (error) {
+        return res.status(500).json({ message: 'Error fetching messages.', error: error.message });
+    }
+};
+
+/**
+ * Checks the caller may post to a complaint's thread before any attachment is uploaded.
+ * The loaded complaint is passed on as `req.threadComplaint`.
+ */
+export const authorizeThreadPost = async (req, res, next) => {
+    try {
+        const { complaint, error } = await loadThreadComplaint(req.params.id, req.user);
+        if (error) return res.status(error.status).json({ message: error.message });
+
+        req.threadComplaint = complaint;
+        next();
+    } catch (error) {
+        return res.status(500).json({ message: 'Error sending message.', error: error.message });
+    }
+};
+
+/**
+ * Removes a rejected message's uploaded attachments from storage.
+ */
+const discardAttachments = (records) => deleteStoredEvidence(records)
+    .catch(storageError => console.error('Failed to delete rejected attachments:', storageError));
+
+/**
+ * @description Post a message to a complaint's thread. Staff may post internal messages;
+ * complainant messages are always public. Attachments are uploaded through the evidence pipeline,
+ * after `authorizeThreadPost` has checked the caller.
+ * @route POST /api/v1/complaints/:id/messages
+ * @access Private (Owner, Admin, or Staff)
+ */
+export const sendMessage = async (req, res) => {
+    const { body, visibility = 'Public' } = req.body;
+    const complaint = req.threadComplaint;
+    const attachmentRecords = (req.files || []).map(file => buildEvidenceRecord(file, { uploadedBy: req.user._id }));
+
+    if ((!body || !body.trim()) && attachmentRecords.length === 0) {
+        return res.status(400).json({ message: 'A message body or attachment is required.' });
+    }
+    if (!['Public', 'Internal'].includes(visibility)) {
+        await discardAttachments(attachmentRecords);
+        return res.status(400).json({ message: 'Invalid message visibility.' });
+    }
+
+    // Messages have no quarantine review, so attachments that fail the malware scan are
+    // removed and the message is rejected.
+    const rejected = attachmentRecords.filter(isQuarantined);
+    if (rejected.length > 0) {
+        await discardAttachments(attachmentRecords);
+        return res.status(400).json({
+            message: `The attachment(s) ${rejected.map(file => `'${file.originalName}'`).join(', ')} failed the security scan and were not sent.`,
+        });
+    }
+
+    let message;
+    try {
+        const fromStaff = isStaffUser(req.user) && complaint.complainant?.toString() !== req.user._id.toString();
+        if (!fromStaff && visibility === 'Internal') {
+            await discardAttachments(attachmentRecords);
+            return res.status(403).json({ message: 'Forbidden. Only staff can post internal messages.' });
+        }
+
+        message = await CaseMessage.create({
+            complaint: complaint._id,
+            sender: req.user._id,
+            senderRole: fromStaff ? 'Staff' : 'Complainant',
+            body,
+            visibility,
+            attachments: attachmentRecords,
+            readBy: [{ user: req.user._id }], // The sender has read their own message
+        });
+        await recordEvidenceCustody(complaint._id, message.attachments, 'Uploaded', req, `Attached to a ${visibility.toLowerCase()} case message.`);
+
+        const preview = body ? body.substring(0, 100) : `${attachmentRecords.length} attachment(s)`;
+
+        if (fromStaff && visibility === 'Public') {
+            // Notify the complainant by in-app notification and email.
+            await createNotification(
+                complaint.complainant,
+                `New message on case '${complaint.caseRef}': ${preview}`,
+                `/complainant/complaint/${complaint._id}`,
+                { title: 'New Case Message' }
+            );
+            const complainant = await User.findById(complaint.complainant).select('email fullName');
+            if (complainant) {
+                sendEmail(complainant.email, `New message on your case (${complaint.caseRef})`, `
+                    <h1>New Message</h1>
+                    <p>Dear ${complainant.fullName},</p>
+                    <p>A member of our team has sent you a message about your case (Ref: <strong>${complaint.caseRef}</strong>):</p>
+                    <blockquote>${escapeHtml(preview)}</blockquote>
+                    <p>Please log in to your dashboard to read the full message and reply.</p>
+                `);
+            }
+        } else if (!fromStaff) {
+            // Notify the case owner, or the whole team if the case is unassigned.
+            const staffLink = `/admin/complaint/${complaint._id}`;
+            const staffMessage = `New message from the complainant on case '${complaint.caseRef}': ${preview}`;
+            if (complaint.assignedTo) {
+                await createNotification(complaint.assignedTo, staffMessage, staffLink, { title: 'New Case Message' });
+                const assignee = await User.findById(complaint.assignedTo).select('email fullName');
+                if (assignee) {
+                    sendEmail(assignee.email, `New complainant message (${complaint.caseRef})`, `
+                        <h1>New Complainant Message</h1>
+                        <p>Hello ${assignee.fullName},</p>
+                        <p>The complainant on case <strong>${complaint.caseRef}</strong> has sent a message:</p>
+                        <blockquote>${escapeHtml(preview)}</blockquote>
+                        <p>Please log in to the dashboard to reply.</p>
+                    `);
+                }
+            } else {
+                await notifyAdmins(staffMessage, staffLink);
+            }
+        }
+
+        const populated = await message.populate('sender', 'fullName avatarUrl role');
+        return res.status(201).json({ message: withSignedAttachments(populated.toObject()) });
+    } catch (error) {
+        if (!message) await discardAttachments(attachmentRecords);
+        return res.status(500).json({ message: 'Error sending message.', error: error.message });
+    }
+};
+
+/**
+ * @description Mark all messages in a complaint's thread as read by the current user.
+ * @route PUT /api/v1/complaints/:id/messages/read
+ * @access Private (Owner, Admin, or Staff)
+ */
+export const markMessagesAsRead = async (req, res) => {
+    try {
+        const { complaint, error } = await loadThreadComplaint(req.params.id, req.user);
+        if (error) return res.status(error.status).json({ message: error.message });
+
+        const query = { complaint: complaint._id, 'readBy.user': { $ne: req.user._id } };
+        if (!isStaffUser(req.user)) query.visibility = 'Public';
+
+        const result = await CaseMessage.updateMany(query, {
+            $push: { readBy: { user: req.user._id, readAt: new Date() } },
+        });
+
+        return res.status(200).json({ updated: result.modifiedCount, message: 'Messages marked as read.' });
+    } catch (error) {
+        return res.status(500).json({ message: 'Error updating messages.', error: error.message });
+    }
+};
+
+/**
+ * @description Get unread message counts per case for the current user.
+ * Complainants get counts for their own cases; staff get counts of complainant messages.
+ * @route GET /api/v1/complaints/messages/unread
+ * @access Private
+ */
+export const getUnreadMessageCounts = async (req, res) => {
+    try {
+        const match = { 'readBy.user': { $ne: req.user._id }, sender: { $ne: req.user._id } };
+
+        if (isStaffUser(req.user)) {
+            match.senderRole = 'Complainant';
+        } else {
+            const ownComplaints = await Complaint.find({ complainant: req.user._id }).distinct('_id');
+            match.complaint = { $in: ownComplaints };
+            match.visibility = 'Public';
+        }
+
+        const counts = await CaseMessage.aggregate([
+            { $match: match },
+            { $group: { _id: '$complaint', unread: { $sum: 1 }, lastMessageAt: { $max: '$createdAt' } } },
+            { $lookup: { from: 'complaints', localField: '_id', foreignField: '_id', pipeline: [{ $project: { caseRef: 1, title: 1 } }], as: 'complaint' } },
+            { $unwind: '$complaint' },
+            { $project: { _id: 0, complaint: 1, unread: 1, lastMessageAt: 1 } },
+            { $sort: { lastMessageAt: -1 } },
+        ]);
+
+        const totalUnread = counts.reduce((sum, c) => sum + c.unread, 0);
+        return res.status(200).json({ counts, totalUnread });
+    } catch (error) {
+        return res.status(500).json({ message: 'Error fetching unread counts.', error: error.message });
+    }
+};
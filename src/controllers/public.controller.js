@@ -3,44 +3,62 @@ import User from '../models/user.model.js';
 import AppSettings from '../models/settings.model.js';
 import { generateCaseRef } from '../utils/helpers.js';
 import { notifyAdmins } from '../utils/notification.js';
+import { PUBLIC_FEED_QUERY } from '../utils/publication.js';
+import { PUBLIC_FEED_FACETS, parsePublicFeedQuery, buildPublicFeedPipeline } from '../utils/publicFeed.js';
+import {
+    PUBLIC_COMPLAINT_FIELDS,
+    PUBLIC_COMPLAINANT_FIELDS,
+    getViewerKey,
+    toPublicComplaint,
+    toPublicReaction,
+} from '../utils/publicView.js';
 import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 
 /**
- * @description Get a paginated list of publicly approved complaints.
+ * @description Get a paginated list of publicly approved complaints. Search with `q` (title and
+ * public narrative); filter by `category`, `type`, `status` and `resolutionStatus` (comma-separated
+ * for several values), `from`/`to` (filing date) and `vendor` (name); sort with `sort`: newest,
+ * views, likes, trending or relevance. Returns the count of each filter value as `facets`.
  * @route GET /api/v1/public/complaints
  * @access Public
  */
 export const getPublicComplaints = async (req, res) => {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
     const skip = (page - 1) * limit;
 
     const settings = await AppSettings.findOne();
     if (!settings?.allowPublicView) {
         // If the feature is disabled, return an empty list.
-        return res.status(200).json({ complaints: [], currentPage: 1, totalPages: 0 });
+        return res.status(200).json({ complaints: [], currentPage: 1, totalPages: 0, totalComplaints: 0, facets: {} });
     }
 
-    try {
-        // Query for complaints that are explicitly marked as public by an admin
-        const query = {
-            isPublic: true, // Show all published cases, regardless of status
-        };
+    const { filters, error } = parsePublicFeedQuery(req.query);
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
 
-        const complaints = await Complaint.find(query)
-            .sort({ createdAt: -1 })
-            .skip(skip)
-            .limit(limit) 
-            // Select all fields needed for the public card, including new interaction counts
-            .populate('complainant', 'avatarUrl fullName') // Populate avatar and name for public cards
-            .select('caseRef title status category vendorDetails.name publicNarrative evidenceUrls resolutionStatus createdAt views likes dislikes likedBy dislikedBy complainant')
-            .lean();
+    try {
+        // Published cases the complainant consented to, regardless of status
+        const [result] = await Complaint.aggregate(buildPublicFeedPipeline({ ...filters, skip, limit }));
+        await Complaint.populate(result.complaints, { path: 'complainant', select: PUBLIC_COMPLAINANT_FIELDS }); // Only shown if the complainant chose to be named
 
-        const totalComplaints = await Complaint.countDocuments(query);
+        const totalComplaints = result.total[0]?.count || 0;
         const totalPages = Math.ceil(totalComplaints / limit);
-
-        return res.status(200).json({ complaints, currentPage: page, totalPages });
+        const facets = Object.fromEntries(Object.keys(PUBLIC_FEED_FACETS).map(field => [
+            field,
+            result[field].map(({ _id, count }) => ({ value: _id, count })),
+        ]));
+
+        const viewerKey = getViewerKey(req);
+        return res.status(200).json({
+            complaints: result.complaints.map(complaint => toPublicComplaint(complaint, viewerKey)),
+            currentPage: page,
+            totalPages,
+            totalComplaints,
+            facets,
+        });
 
     } catch (error) {
         return res.status(500).json({ message: 'Error fetching public complaints.', error: error.message });
@@ -59,8 +77,9 @@ export const getPublicComplaintById = async (req, res) => {
             return res.status(403).json({ message: 'This feature is currently disabled.' });
         }
 
-        const complaint = await Complaint.findOne({ _id: req.params.id, isPublic: true })
-            .select('caseRef title category publicNarrative resolutionStatus createdAt views likes viewedBy complainant');
+        const complaint = await Complaint.findOne({ _id: req.params.id, ...PUBLIC_FEED_QUERY })
+            .populate('complainant', PUBLIC_COMPLAINANT_FIELDS)
+            .select(`${PUBLIC_COMPLAINT_FIELDS} viewedBy`);
 
         if (!complaint) {
             return res.status(404).json({ message: 'Public complaint not found.' });
@@ -70,7 +89,7 @@ export const getPublicComplaintById = async (req, res) => {
         const ip = req.ip || req.connection.remoteAddress;
         const ipHash = crypto.createHash('sha256').update(ip).digest('hex');
 
-        const isOwner = req.user?._id.toString() === complaint.complainant.toString();
+        const isOwner = Boolean(req.user && complaint.complainant?._id.equals(req.user._id));
 
         // Increment view count only if this IP hasn't viewed it before
         // Note: For production, this array could get large. A more scalable solution
@@ -82,7 +101,7 @@ export const getPublicComplaintById = async (req, res) => {
             await complaint.save();
         }
 
-        return res.status(200).json({ complaint });
+        return res.status(200).json({ complaint: toPublicComplaint(complaint.toObject(), getViewerKey(req)) });
     } catch (error) {
         return res.status(500).json({ message: 'Error fetching public complaint.', error: error.message });
     }
@@ -100,21 +119,14 @@ export const likePublicComplaint = async (req, res) => {
             return res.status(403).json({ message: 'This feature is currently disabled.' });
         }
 
-        const complaint = await Complaint.findById(req.params.id);
+        const complaint = await Complaint.findOne({ _id: req.params.id, ...PUBLIC_FEED_QUERY });
 
-        if (!complaint || !complaint.isPublic) {
+        if (!complaint) {
             return res.status(404).json({ message: 'Public complaint not found.' });
         }
 
         // Prioritize user ID for likes, fall back to IP for anonymous users
-        let identifier;
-        if (req.user?._id) {
-            identifier = req.user._id.toString();
-        } else {
-            const ip = req.ip || req.connection.remoteAddress;
-            identifier = crypto.createHash('sha256').update(ip).digest('hex');
-        }
-
+        const identifier = getViewerKey(req);
 
         const likedIndex = complaint.likedBy.indexOf(identifier);
 
@@ -129,7 +141,7 @@ export const likePublicComplaint = async (req, res) => {
         }
 
         await complaint.save();
-        return res.status(200).json({ likes: complaint.likes, message: 'Interaction recorded.' });
+        return res.status(200).json({ ...toPublicReaction(complaint, identifier), message: 'Interaction recorded.' });
     } catch (error) {
         return res.status(500).json({ message: 'Error processing like.', error: error.message });
     }
@@ -147,20 +159,14 @@ export const handleSentiment = async (req, res) => {
     }
 
     try {
-        const complaint = await Complaint.findById(req.params.id);
+        const complaint = await Complaint.findOne({ _id: req.params.id, ...PUBLIC_FEED_QUERY });
 
-        if (!complaint || !complaint.isPublic) {
+        if (!complaint) {
             return res.status(404).json({ message: 'Public complaint not found.' });
         }
 
         // Prioritize user ID for likes, fall back to IP for anonymous users
-        let identifier;
-        if (req.user?._id) {
-            identifier = req.user._id.toString();
-        } else {
-            const ip = req.ip || req.connection.remoteAddress;
-            identifier = crypto.createHash('sha256').update(ip).digest('hex');
-        }
+        const identifier = getViewerKey(req);
 
         const hasLiked = complaint.likedBy.includes(identifier);
         const hasDisliked = complaint.dislikedBy.includes(identifier);
@@ -187,7 +193,7 @@ export const handleSentiment = async (req, res) => {
         complaint.dislikes = complaint.dislikedBy.length;
 
         await complaint.save();
-        return res.status(200).json({ likes: complaint.likes, dislikes: complaint.dislikes, message: 'Sentiment recorded.' });
+        return res.status(200).json({ ...toPublicReaction(complaint, identifier), message: 'Sentiment recorded.' });
     } catch (error) {
         return res.status(500).json({ message: 'Error processing sentiment.', error: error.message });
     }
@@ -247,12 +253,9 @@ export const getPublicStats = async (req, res) => {
  */
 export const getPublicSettings = async (req, res) => {
     try {
-        let settings = await AppSettings.findOne().select('allowPublicView');
-        if (!settings) {
-            // If no settings exist, return the default state
-            settings = { allowPublicView: false };
-        }
-        return res.status(200).json({ settings });
+        const settings = await AppSettings.findOne().select('allowPublicView').lean();
+        // If no settings exist, return the default state
+        return res.status(200).json({ settings: { allowPublicView: settings?.allowPublicView ?? false } });
     } catch (error) {
         return res.status(500).json({ message: 'Error fetching public settings.', error: error.message });
     }
@@ -0,0 +1,344 @@
+import Complaint from '../models/complaint.model.js';
+import PublicationRevision, { REVISION_STATUSES } from '../models/publicationRevision.model.js';
+import User from '../models/user.model.js';
+import { createNotification, notifyAdmins } from '../utils/notification.js';
+import { sendEmail } from '../utils/email.js';
+import { loadRedactionTerms, detectPii } from '../utils/redaction.js';
+import { PUBLISHABLE_PREFERENCES, hashNarrative } from '../utils/publication.js';
+import {
+    selectRevisionEvidence,
+    cancelOpenRevisions,
+    publishRevision,
+    unpublishComplaint,
+} from '../utils/publicationRevisions.js';
+
+/**
+ * Parses an optional publication time from the request body.
+ * @returns {{date?: Date, error?: string}}
+ */
+const parsePublishAt = (value) => {
+    if (value === undefined || value === null || value === '') return {};
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? { error: 'publishAt must be a valid date.' } : { date };
+};
+
+/**
+ * @description List a case's publication revisions, newest first: what was public when, who
+ * approved it, and why it was taken down.
+ * @route GET /api/v1/admin/complaint/:id/publication/revisions
+ * @access Admin/Staff
+ */
+export const getPublicationRevisions = async (req, res) => {
+    try {
+        const complaint = await Complaint.findById(req.params.id).select('caseRef isPublic publication.live publication.proposal').lean();
+        if (!complaint) {
+            return res.status(404).json({ message: 'Complaint not found.' });
+        }
+
+        const revisions = await PublicationRevision.find({ complaint: complaint._id })
+            .sort({ number: -1 })
+            .populate('submittedBy', 'fullName email avatarUrl')
+            .populate('review.reviewedBy', 'fullName email avatarUrl')
+            .populate('endedBy', 'fullName email avatarUrl')
+            .lean();
+
+        return res.status(200).json({
+            revisions,
+            live: complaint.isPublic ? complaint.publication?.live || null : null,
+            complainantApproval: complaint.publication?.proposal || null,
+        });
+    } catch (error) {
+        return res.status(500).json({ message: 'Error fetching publication revisions.', error: error.message });
+    }
+};
+
+/**
+ * @description List publication revisions across all cases, by default those waiting for an
+ * Admin's review. Filter with `status`.
+ * @route GET /api/v1/admin/publication/revisions
+ * @access Admin/Staff
+ */
+export const getRevisionQueue = async (req, res) => {
+    const { status = 'Pending Review', page = 1, limit = 20 } = req.query;
+
+    if (!REVISION_STATUSES.includes(status)) {
+        return res.status(400).json({ message: `Invalid status. Choose one of: ${REVISION_STATUSES.join(', ')}.` });
+    }
+
+    try {
+        const pageNum = Math.max(parseInt(page) || 1, 1);
+        const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+        const [revisions, total] = await Promise.all([
+            PublicationRevision.find({ status })
+                .sort({ createdAt: 1 })
+                .skip((pageNum - 1) * limitNum)
+                .limit(limitNum)
+                .populate('complaint', 'caseRef title status publication.preference publication.proposal.status')
+                .populate('submittedBy', 'fullName email avatarUrl')
+                .lean(),
+            PublicationRevision.countDocuments({ status }),
+        ]);
+
+        return res.status(200).json({
+            revisions,
+            currentPage: pageNum,
+            totalPages: Math.ceil(total / limitNum),
+            totalRevisions: total,
+        });
+    } catch (error) {
+        return res.status(500).json({ message: 'Error fetching the revision queue.', error: error.message });
+    }
+};
+
+/**
+ * @description Submit a public narrative and evidence selection for Admin review. The text is
+ * checked for personal data; submitting with findings needs `acknowledgePii: true`. Text the
+ * complainant has not approved before is sent to them for approval. Replaces any revision of
+ * the case still waiting to go live.
+ * @route POST /api/v1/admin/complaint/:id/publication/revisions
+ * @access Admin/Staff
+ */
+export const submitPublicationRevision = async (req, res) => {
+    const { publicNarrative, evidenceIds, publishAt, notes, acknowledgePii } = req.body;
+
+    if (typeof publicNarrative !== 'string' || !publicNarrative.trim()) {
+        return res.status(400).json({ message: 'A public narrative is required.' });
+    }
+    const { date: publishDate, error: dateError } = parsePublishAt(publishAt);
+    if (dateError) {
+        return res.status(400).json({ message: dateError });
+    }
+
+    try {
+        const complaint = await Complaint.findById(req.params.id);
+        if (!complaint) {
+            return res.status(404).json({ message: 'Complaint not found.' });
+        }
+        if (!PUBLISHABLE_PREFERENCES.includes(complaint.publication?.preference)) {
+            return res.status(409).json({ message: 'The complainant has not agreed to their case being published.' });
+        }
+
+        const { evidence, error: evidenceError } = selectRevisionEvidence(complaint, evidenceIds);
+        if (evidenceError) {
+            return res.status(400).json({ message: evidenceError });
+        }
+
+        const piiFindings = detectPii(publicNarrative, await loadRedactionTerms(complaint));
+        if (piiFindings.length > 0 && acknowledgePii !== true) {
+            return res.status(422).json({
+                message: `The public narrative still contains ${piiFindings.length} item(s) of possible personal data. Redact them, or resend with acknowledgePii set to true to submit anyway.`,
+                piiFindings,
+            });
+        }
+        const piiTypes = [...new Set(piiFindings.map(finding => finding.type))];
+
+        // Concurrent submissions can pick the same number; the unique index lets only one
+        // through, so the others retry with the next number.
+        const MAX_RETRIES = 3;
+        let revision;
+        for (let i = 0; !revision; i++) {
+            const latest = await PublicationRevision.findOne({ complaint: complaint._id }).sort({ number: -1 }).select('number').lean();
+            try {
+                revision = await PublicationRevision.create({
+                    complaint: complaint._id,
+                    number: (latest?.number || 0) + 1,
+                    publicNarrative,
+                    narrativeHash: hashNarrative(publicNarrative),
+                    evidence,
+                    submittedBy: req.user._id,
+                    notes,
+                    piiOverride: piiFindings.length > 0 ? { count: piiFindings.length, types: piiTypes } : undefined,
+                    publishAt: publishDate,
+                });
+            } catch (error) {
+                if (error.code !== 11000) throw error;
+                if (i >= MAX_RETRIES - 1) {
+                    return res.status(409).json({ message: 'Another revision was submitted at the same time. Please try again.' });
+                }
+            }
+        }
+        await cancelOpenRevisions(complaint._id, {
+            reason: `Replaced by revision #${revision.number}.`,
+            endedBy: req.user._id,
+            except: revision._id,
+        });
+
+        // Ask the complainant to approve the exact text, unless they already approved it.
+        const needsApproval = complaint.publication.approvedHash !== revision.narrativeHash;
+        if (needsApproval) {
+            complaint.publication.proposal = {
+                revision: revision._id,
+                narrative: publicNarrative,
+                narrativeHash: revision.narrativeHash,
+                proposedBy: req.user._id,
+                proposedAt: new Date(),
+                status: 'Pending',
+            };
+        }
+        if (piiFindings.length > 0) {
+            // Record the override on the case timeline.
+            complaint.statusHistory.push({
+                status: complaint.status,
+                changedBy: req.user._id,
+                notes: `Public revision #${revision.number} submitted with ${piiFindings.length} possible personal data item(s) acknowledged: ${piiTypes.join(', ')}.`,
+                timestamp: new Date(),
+            });
+        }
+        await complaint.save();
+
+        await notifyAdmins(
+            `Public revision #${revision.number} of case '${complaint.caseRef}' is waiting for review.`,
+            `/admin/complaint/${complaint._id}`,
+            'Admin'
+        );
+
+        if (needsApproval) {
+            const complainant = await User.findById(complaint.complainant).select('email fullName');
+            if (complainant) {
+                await createNotification(
+                    complainant._id,
+                    `We would like to publish a summary of your case '${complaint.caseRef}'. Please review the text and approve or reject it.`,
+                    `/complainant/complaint/${complaint._id}`,
+                    { title: 'Publication Approval Needed', urgency: 'high' }
+                );
+                sendEmail(complainant.email, `Please review the public summary of your case (${complaint.caseRef})`, `
+                    <h1>Your Approval Is Needed</h1>
+                    <p>Dear ${complainant.fullName},</p>
+                    <p>We would like to publish a summary of your case <strong>${complaint.caseRef}</strong> on our public feed.</p>
+                    <p>Nothing will be published unless you approve the exact text. Please log in to your dashboard to read it and approve or reject it.</p>
+                `);
+            }
+        }
+
+        const message = needsApproval
+            ? 'Revision submitted for Admin review. The complainant has been asked to approve the text.'
+            : 'Revision submitted for Admin review.';
+        return res.status(201).json({ revision, piiFindings, message });
+    } catch (error) {
+        return res.status(500).json({ message: 'Error submitting the publication revision.', error: error.message });
+    }
+};
+
+/**
+ * @description Approve or reject a submitted revision. Approved revisions are published at
+ * `publishAt` (now if unset) once the complainant has approved the text. The reviewer must be
+ * a different Admin from the submitter.
+ * @route PUT /api/v1/admin/publication/revisions/:revisionId/review
+ * @access Admin
+ */
+export const reviewPublicationRevision = async (req, res) => {
+    const { decision, notes, publishAt } = req.body;
+
+    if (req.user.role !== 'Admin') {
+        return res.status(403).json({ message: 'Forbidden. Only Admins can review publication revisions.' });
+    }
+    if (!['Approved', 'Rejected'].includes(decision)) {
+        return res.status(400).json({ message: 'A valid decision ("Approved" or "Rejected") is required.' });
+    }
+    if (decision === 'Rejected' && (!notes || !notes.trim())) {
+        return res.status(400).json({ message: 'Please explain why the revision is rejected.' });
+    }
+    const { date: publishDate, error: dateError } = parsePublishAt(publishAt);
+    if (dateError) {
+        return res.status(400).json({ message: dateError });
+    }
+
+    try {
+        const revision = await PublicationRevision.findById(req.params.revisionId).populate('complaint', 'caseRef');
+        if (!revision) {
+            return res.status(404).json({ message: 'Revision not found.' });
+        }
+        if (!revision.complaint) {
+            return res.status(404).json({ message: 'The case for this revision no longer exists.' });
+        }
+        if (revision.status !== 'Pending Review') {
+            return res.status(400).json({ message: `This revision is ${revision.status.toLowerCase()} and cannot be reviewed.` });
+        }
+        if (revision.submittedBy?.equals(req.user._id)) {
+            return res.status(403).json({ message: 'A revision must be reviewed by an Admin other than the one who submitted it.' });
+        }
+
+        const now = new Date();
+        const { complaint } = revision;
+        revision.review = { reviewedBy: req.user._id, reviewedAt: now, notes };
+        if (decision === 'Rejected') {
+            revision.status = 'Rejected';
+            revision.endedAt = now;
+            revision.endedBy = req.user._id;
+        } else {
+            revision.status = 'Scheduled';
+            revision.publishAt = publishDate || revision.publishAt || now;
+        }
+        await revision.save();
+
+        let message;
+        let result = { published: false };
+        if (decision === 'Rejected') {
+            message = 'Revision rejected.';
+        } else if (revision.publishAt > now) {
+            message = `Revision approved. It will be published at ${revision.publishAt.toISOString()}.`;
+        } else {
+            result = await publishRevision(revision._id, req);
+            message = result.published
+                ? 'Revision approved and published.'
+                : `Revision approved. It will be published once this is resolved: ${result.reason}`;
+        }
+
+        if (revision.submittedBy) {
+            const outcome = decision === 'Rejected'
+                ? `was rejected. Reason: ${notes}`
+                : (result.published ? 'was approved and is now live.' : 'was approved and scheduled for publication.');
+            await createNotification(
+                revision.submittedBy,
+                `Public revision #${revision.number} of case '${complaint.caseRef}' ${outcome}`,
+                `/admin/complaint/${complaint._id}`,
+                { title: 'Revision Reviewed' }
+            );
+        }
+
+        return res.status(200).json({ revision: result.revision || revision, message });
+    } catch (error) {
+        return res.status(500).json({ message: 'Error reviewing the publication revision.', error: error.message });
+    }
+};
+
+/**
+ * @description Take a case off the public feed. A reason is required and is kept on the live
+ * revision and the case timeline. Revisions waiting to go live are cancelled.
+ * @route PUT /api/v1/admin/complaint/:id/unpublish
+ * @access Admin/Staff
+ */
+export const unpublishCase = async (req, res) => {
+    const { reason } = req.body;
+
+    if (!reason || !reason.trim()) {
+        return res.status(400).json({ message: 'A reason is required to unpublish a case.' });
+    }
+
+    try {
+        const complaint = await Complaint.findById(req.params.id);
+        if (!complaint) {
+            return res.status(404).json({ message: 'Complaint not found.' });
+        }
+        if (!complaint.isPublic) {
+            return res.status(400).json({ message: 'This case is not on the public feed.' });
+        }
+
+        await unpublishComplaint(complaint, { reason, req });
+        await cancelOpenRevisions(complaint._id, { reason: `The case was unpublished: ${reason}`, endedBy: req.user._id });
+
+        if (complaint.complainant) {
+            await createNotification(
+                complaint.complainant,
+                `Your case '${complaint.caseRef}' has been removed from the public feed.`,
+                `/complainant/complaint/${complaint._id}`,
+                { title: 'Case Unpublished' }
+            );
+        }
+
+        return res.status(200).json({ complaint, message: 'The case has been removed from the public feed.' });
+    } catch (error) {
+        return res.status(500).json({ message: 'Error unpublishing the case.', error: error.message });
+    }
+};
@@ -0,0 +1,118 @@
+import Complaint from '../models/complaint.model.js';
+import { isQuarantined } from '../utils/evidence.js';
+import { recordEvidenceCustody } from '../utils/custody.js';
+import { rescanEvidenceFile } from '../utils/quarantine.js';
+import { QUARANTINE_SCAN_STATUSES } from '../utils/scanners/index.js';
+
+/**
+ * Finds an evidence file on a complaint, including files uploaded by the respondent.
+ */
+const findEvidenceFile = (complaint, evidenceId) => complaint.evidence.id(evidenceId) || complaint.respondent?.evidence?.id(evidenceId);
+
+/**
+ * @description List evidence files held in quarantine because their malware scan flagged them or failed.
+ * @route GET /api/v1/admin/evidence/quarantine
+ * @access Admin/Staff
+ */
+export const getQuarantinedEvidence = async (req, res) => {
+    try {
+        const quarantined = { 'scan.status': { $in: QUARANTINE_SCAN_STATUSES } };
+        const complaints = await Complaint.find({
+            $or: [{ evidence: { $elemMatch: quarantined } }, { 'respondent.evidence': { $elemMatch: quarantined } }],
+        })
+            .select('caseRef title evidence respondent.evidence')
+            .populate('evidence.uploadedBy', 'fullName email')
+            .lean();
+
+        const files = complaints.flatMap(complaint => [
+            ...complaint.evidence.map(file => ({ file, source: 'Complainant' })),
+            ...(complaint.respondent?.evidence || []).map(file => ({ file, source: 'Respondent' })),
+        ]
+            .filter(({ file }) => isQuarantined(file))
+            .map(({ file, source }) => ({ complaint: { _id: complaint._id, caseRef: complaint.caseRef, title: complaint.title }, source, file })));
+
+        return res.status(200).json({ files });
+    } catch (error) {
+        return res.status(500).json({ message: 'Error fetching quarantined evidence.', error: error.message });
+    }
+};
+
+/**
+ * @description Scan an evidence file again, e.g. after the scanner was unavailable. A file that
+ * now scans clean is released from quarantine.
+ * @route POST /api/v1/admin/complaint/:id/evidence/:evidenceId/rescan
+ * @access Admin/Staff
+ */
+export const rescanEvidence = async (req, res) => {
+    try {
+        const complaint = await Complaint.findById(req.params.id);
+        if (!complaint) {
+            return res.status(404).json({ message: 'Complaint not found.' });
+        }
+
+        const file = findEvidenceFile(complaint, req.params.evidenceId);
+        if (!file) {
+            return res.status(404).json({ message: 'Evidence file not found.' });
+        }
+
+        const wasQuarantined = isQuarantined(file);
+        file.scan = await rescanEvidenceFile(file);
+        await complaint.save();
+
+        if (wasQuarantined && !isQuarantined(file)) {
+            await recordEvidenceCustody(complaint._id, [file], 'Released', req, `Rescanned: ${file.scan.status}.`);
+        } else if (!wasQuarantined && isQuarantined(file)) {
+            await recordEvidenceCustody(complaint._id, [file], 'Quarantined', req, file.scan.signature
+                ? `Rescan flagged the file (${file.scan.signature}).`
+                : `Rescan could not complete: ${file.scan.error}.`);
+        }
+
+        return res.status(200).json({ evidence: file, message: `Scan result: ${file.scan.status}.` });
+    } catch (error) {
+        return res.status(500).json({ message: 'Error rescanning evidence.', error: error.message });
+    }
+};
+
+/**
+ * @description Release a quarantined evidence file after review, e.g. a false positive.
+ * The override is recorded on the file and in its custody log.
+ * @route PUT /api/v1/admin/complaint/:id/evidence/:evidenceId/release
+ * @access Admin only
+ */
+export const releaseEvidence = async (req, res) => {
+    const { notes } = req.body;
+
+    if (req.user.role !== 'Admin') {
+        return res.status(403).json({ message: 'Forbidden. Only Admins can release quarantined files.' });
+    }
+    if (!notes || !notes.trim()) {
+        return res.status(400).json({ message: 'Please explain why this file is safe to release.' });
+    }
+
+    try {
+        const complaint = await Complaint.findById(req.params.id);
+        if (!complaint) {
+            return res.status(404).json({ message: 'Complaint not found.' });
+        }
+
+        const file = findEvidenceFile(complaint, req.params.evidenceId);
+        if (!file) {
+            return res.status(404).json({ message: 'Evidence file not found.' });
+        }
+        if (!isQuarantined(file)) {
+            return res.status(400).json({ message: 'This file is not in quarantine.' });
+        }
+
+        const previousStatus = file.scan.status;
+        file.scan.status = 'Released';
+        file.scan.releasedBy = req.user._id;
+        file.scan.releasedAt = new Date();
+        file.scan.releaseNotes = notes;
+        await complaint.save();
+        await recordEvidenceCustody(complaint._id, [file], 'Released', req, `Released by an admin (scan was ${previousStatus}). Notes: ${notes}`);
+
+        return res.status(200).json({ evidence: file, message: 'File released from quarantine.' });
+    } catch (error) {
+        return res.status(500).json({ message: 'Error releasing evidence.', error: error.message });
+    }
+};
@@ -0,0 +1,33 @@
+import Complaint from '../models/complaint.model.js';
+import { REDACTION_FIELDS, loadRedactionTerms, detectPii, redactText } from '../utils/redaction.js';
+
+/**
+ * @description Suggest a redacted public narrative. Scans the text sent in the body, or else the
+ * current public narrative, or else the private narrative, for contact details, account numbers
+ * and names, and returns a draft with each finding replaced by a placeholder.
+ * @route POST /api/v1/admin/complaint/:id/redaction-suggestion
+ * @access Admin/Staff
+ */
+export const getRedactionSuggestion = async (req, res) => {
+    const { text } = req.body;
+
+    if (text !== undefined && typeof text !== 'string') {
+        return res.status(400).json({ message: 'Text must be a string.' });
+    }
+
+    try {
+        const complaint = await Complaint.findById(req.params.id).select(REDACTION_FIELDS).lean();
+        if (!complaint) {
+            return res.status(404).json({ message: 'Complaint not found.' });
+        }
+
+        const source = text !== undefined ? 'text' : (complaint.publicNarrative ? 'publicNarrative' : 'narrative');
+        const original = text !== undefined ? text : (complaint.publicNarrative || complaint.narrative || '');
+        const spans = detectPii(original, await loadRedactionTerms(complaint));
+        const { draft, spans: highlightedSpans } = redactText(original, spans);
+
+        return res.status(200).json({ source, original, draft, spans: highlightedSpans, findings: highlightedSpans.length });
+    } catch (error) {
+        return res.status(500).json({ message: 'Error generating redaction suggestion.', error: error.message });
+    }
+};
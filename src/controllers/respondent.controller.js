@@ -0,0 +1,321 @@
+import jwt from 'jsonwebtoken';
+import Complaint from '../models/complaint.model.js';
+import RespondentAccess from '../models/respondentAccess.model.js';
+import { createNotification, notifyAdmins } from '../utils/notification.js';
+import { sendEmail } from '../utils/email.js';
+import { buildEvidenceRecord } from '../utils/evidence.js';
+import { ACTIVE_STATUSES } from '../utils/complaintStatus.js';
+import { recordEvidenceCustody } from '../utils/custody.js';
+import { getSignedFileUrl } from '../utils/storage/index.js';
+import { recordQuarantinedEvidence } from '../utils/quarantine.js';
+import { RESPONDENT_TOKEN_AUDIENCE, getRespondentTokenSecret } from '../middleware/respondent.middleware.js';
+
+const MEDIATION_ACTION = 'Mediation/Internal Settlement';
+const DEFAULT_LINK_DAYS = 14;
+
+/**
+ * Records a respondent event on the complaint timeline. The status does not change,
+ * so the entry is recorded against the current status.
+ */
+const recordTimelineEntry = (complaint, notes, changedBy) => {
+    complaint.statusHistory.push({ status: complaint.status, changedBy, notes, timestamp: new Date() });
+};
+
+/**
+ * Notifies the case owner of a respondent action, or the whole team if the case is unassigned.
+ */
+const notifyCaseOwner = async (complaint, message) => {
+    const link = `/admin/complaint/${complaint._id}`;
+    if (complaint.assignedTo) {
+        await createNotification(complaint.assignedTo, message, link, { title: 'Respondent Activity' });
+    } else {
+        await notifyAdmins(message, link);
+    }
+};
+
+/**
+ * The respondent's view of their own uploads, without internal storage details. Respondents
+ * have no account, so each file is given as a signed link.
+ */
+const toRespondentEvidence = (evidence = []) => evidence.map(file => ({
+    _id: file._id,
+    url: getSignedFileUrl(file),
+    originalName: file.originalName,
+    mimeType: file.mimeType,
+    size: file.size,
+    uploadedAt: file.uploadedAt,
+}));
+
+/**
+ * Loads the complaint behind a respondent's access record.
+ */
+const loadRespondentComplaint = (access) => Complaint.findById(access.complaint);
+
+/**
+ * Loads the respondent's case for a reply, upload or mediation decision, which are only
+ * accepted while the case is active. Runs before any upload; the case is passed on as
+ * `req.respondentComplaint`.
+ */
+export const loadActiveRespondentCase = async (req, res, next) => {
+    try {
+        const complaint = await loadRespondentComplaint(req.respondentAccess);
+        if (!complaint) {
+            return res.status(404).json({ message: 'Case not found.' });
+        }
+        if (!ACTIVE_STATUSES.includes(complaint.status)) {
+            return res.status(409).json({ message: 'This case is no longer open for responses.' });
+        }
+
+        req.respondentComplaint = complaint;
+        next();
+    } catch (error) {
+        return res.status(500).json({ message: 'Error fetching case.', error: error.message });
+    }
+};
+
+/**
+ * @description Approve the case summary that the respondent will see.
+ * @route PUT /api/v1/admin/complaint/:id/respondent-summary
+ * @access Admin/Staff
+ */
+export const approveRespondentSummary = async (req, res) => {
+    const { summary } = req.body;
+
+    if (!summary || !summary.trim()) {
+        return res.status(400).json({ message: 'A case summary is required.' });
+    }
+
+    try {
+        const complaint = await Complaint.findById(req.params.id);
+        if (!complaint) {
+            return res.status(404).json({ message: 'Complaint not found.' });
+        }
+
+        complaint.respondent.summary = summary.trim();
+        complaint.respondent.summaryApprovedBy = req.user._id;
+        complaint.respondent.summaryApprovedAt = new Date();
+        await complaint.save();
+
+        return res.status(200).json({ respondent: complaint.respondent, message: 'Respondent summary approved.' });
+    } catch (error) {
+        return res.status(500).json({ message: 'Error approving respondent summary.', error: error.message });
+    }
+};
+
+/**
+ * @description Email the respondent a signed, expiring right-of-reply link. Any earlier link
+ * for the case stops working. Only for mediation cases with an approved summary.
+ * @route POST /api/v1/admin/complaint/:id/respondent-link
+ * @access Admin/Staff
+ */
+export const sendRespondentLink = async (req, res) => {
+    const { email, name, expiresInDays = DEFAULT_LINK_DAYS } = req.body;
+
+    const days = Number(expiresInDays);
+    if (!Number.isFinite(days) || days < 1 || days > 90) {
+        return res.status(400).json({ message: 'expiresInDays must be between 1 and 90.' });
+    }
+
+    try {
+        const complaint = await Complaint.findById(req.params.id);
+        if (!complaint) {
+            return res.status(404).json({ message: 'Complaint not found.' });
+        }
+        if (complaint.desiredAction !== MEDIATION_ACTION) {
+            return res.status(400).json({ message: `Respondent links are only available for '${MEDIATION_ACTION}' cases.` });
+        }
+        if (!complaint.respondent?.summary) {
+            return res.status(400).json({ message: 'Approve a respondent summary before sending the link.' });
+        }
+
+        const respondentEmail = email || complaint.respondent?.email
+            || (complaint.vendorDetails?.contact?.includes('@') ? complaint.vendorDetails.contact : undefined);
+        if (!respondentEmail) {
+            return res.status(400).json({ message: "The respondent's email address is required." });
+        }
+        const respondentName = name || complaint.respondent?.name || complaint.vendorDetails?.name;
+
+        await RespondentAccess.updateMany({ complaint: complaint._id, revokedAt: null }, { $set: { revokedAt: new Date() } });
+
+        const expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+        const access = await RespondentAccess.create({
+            complaint: complaint._id,
+            email: respondentEmail,
+            name: respondentName,
+            issuedBy: req.user._id,
+            expiresAt,
+        });
+        const token = jwt.sign({ accessId: access._id }, getRespondentTokenSecret(), {
+            audience: RESPONDENT_TOKEN_AUDIENCE,
+            expiresIn: `${days}d`,
+        });
+
+        complaint.respondent.email = respondentEmail;
+        complaint.respondent.name = respondentName;
+        recordTimelineEntry(complaint, `Right-of-reply link sent to the respondent (${respondentEmail}) by ${req.user.fullName}. Expires ${expiresAt.toDateString()}.`, req.user._id);
+        await complaint.save();
+
+        const link = `${process.env.FRONTEND_URL}/respondent?token=${token}`;
+        sendEmail(respondentEmail, `Right of Reply: Case ${complaint.caseRef}`, `
+            <h1>Invitation to Respond</h1>
+            <p>Dear ${respondentName || 'Sir/Madam'},</p>
+            <p>A complaint involving your business (Ref: <strong>${complaint.caseRef}</strong>) has been referred for mediation.
+            You are invited to read a summary of the complaint, respond in writing, share any supporting evidence,
+            and tell us whether you agree to mediation.</p>
+            <p><a href="${link}">Open your right-of-reply page</a></p>
+            <p>This link is personal to you and expires on ${expiresAt.toDateString()}.</p>
+        `);
+
+        return res.status(201).json({ expiresAt, message: `Right-of-reply link sent to ${respondentEmail}.` });
+    } catch (error) {
+        return res.status(500).json({ message: 'Error sending respondent link.', error: error.message });
+    }
+};
+
+/**
+ * @description Revoke the respondent's right-of-reply links for a case.
+ * @route DELETE /api/v1/admin/complaint/:id/respondent-link
+ * @access Admin/Staff
+ */
+export const revokeRespondentLink = async (req, res) => {
+    try {
+        const complaint = await Complaint.findById(req.params.id);
+        if (!complaint) {
+            return res.status(404).json({ message: 'Complaint not found.' });
+        }
+
+        const { modifiedCount } = await RespondentAccess.updateMany(
+            { complaint: complaint._id, revokedAt: null },
+            { $set: { revokedAt: new Date() } }
+        );
+        if (modifiedCount === 0) {
+            return res.status(404).json({ message: 'No active respondent link found.' });
+        }
+
+        recordTimelineEntry(complaint, `Respondent link revoked by ${req.user.fullName}.`, req.user._id);
+        await complaint.save();
+
+        return res.status(200).json({ message: 'Respondent link revoked.' });
+    } catch (error) {
+        return res.status(500).json({ message: 'Error revoking respondent link.', error: error.message });
+    }
+};
+
+/**
+ * @description Get the staff-approved case summary and the respondent's own submissions.
+ * @route GET /api/v1/respondent/case
+ * @access Respondent (signed link)
+ */
+export const getRespondentCase = async (req, res) => {
+    try {
+        const complaint = await loadRespondentComplaint(req.respondentAccess);
+        if (!complaint) {
+            return res.status(404).json({ message: 'Case not found.' });
+        }
+
+        const { summary, responses = [], evidence = [], mediation } = complaint.respondent || {};
+        return res.status(200).json({
+            // Only the staff-approved summary describes the complaint; nothing the complainant wrote is shown.
+            case: {
+                caseRef: complaint.caseRef,
+                summary,
+                responses,
+                evidence: toRespondentEvidence(evidence),
+                mediation,
+            },
+            expiresAt: req.respondentAccess.expiresAt,
+        });
+    } catch (error) {
+        return res.status(500).json({ message: 'Error fetching case.', error: error.message });
+    }
+};
+
+/**
+ * @description Submit a written response to the complaint while the case is active.
+ * @route POST /api/v1/respondent/response
+ * @access Respondent (signed link)
+ */
+export const submitRespondentResponse = async (req, res) => {
+    const { body } = req.body;
+
+    if (!body || !body.trim()) {
+        return res.status(400).json({ message: 'A written response is required.' });
+    }
+
+    try {
+        const complaint = req.respondentComplaint;
+
+        complaint.respondent.responses.push({ body: body.trim() });
+        recordTimelineEntry(complaint, `Respondent submitted a written response: ${body.trim().substring(0, 200)}`);
+        await complaint.save();
+
+        await notifyCaseOwner(complaint, `The respondent on case '${complaint.caseRef}' has submitted a written response.`);
+
+        return res.status(201).json({ responses: complaint.respondent.responses, message: 'Your response has been submitted.' });
+    } catch (error) {
+        return res.status(500).json({ message: 'Error submitting response.', error: error.message });
+    }
+};
+
+/**
+ * @description Upload counter-evidence files while the case is active.
+ * @route POST /api/v1/respondent/evidence
+ * @access Respondent (signed link)
+ */
+export const uploadRespondentEvidence = async (req, res) => {
+    if (!req.files || req.files.length === 0) {
+        return res.status(400).json({ message: 'No files uploaded.' });
+    }
+
+    try {
+        const complaint = req.respondentComplaint;
+
+        // Kept from the complainant until staff choose to share it.
+        const records = req.files.map(file => buildEvidenceRecord(file, { visibility: 'Staff Only' }));
+        complaint.respondent.evidence.push(...records);
+        recordTimelineEntry(complaint, `Respondent uploaded ${records.length} evidence file(s).`);
+        await complaint.save();
+        const added = complaint.respondent.evidence.slice(-records.length);
+        await recordEvidenceCustody(complaint._id, added, 'Uploaded', req);
+        await recordQuarantinedEvidence(complaint, added, req);
+
+        await notifyCaseOwner(complaint, `The respondent on case '${complaint.caseRef}' has uploaded ${records.length} evidence file(s).`);
+
+        return res.status(201).json({ evidence: toRespondentEvidence(complaint.respondent.evidence), message: 'Evidence uploaded successfully.' });
+    } catch (error) {
+        return res.status(500).json({ message: 'Error uploading evidence.', error: error.message });
+    }
+};
+
+/**
+ * @description Accept or decline mediation while the case is active. The decision is final.
+ * @route PUT /api/v1/respondent/mediation
+ * @access Respondent (signed link)
+ */
+export const decideMediation = async (req, res) => {
+    const { decision, reason } = req.body;
+
+    if (!['Accepted', 'Declined'].includes(decision)) {
+        return res.status(400).json({ message: 'A valid decision ("Accepted" or "Declined") is required.' });
+    }
+    if (decision === 'Declined' && (!reason || !reason.trim())) {
+        return res.status(400).json({ message: 'Please give a reason for declining mediation.' });
+    }
+
+    try {
+        const complaint = req.respondentComplaint;
+        if (complaint.respondent.mediation?.decision) {
+            return res.status(409).json({ message: `You have already ${complaint.respondent.mediation.decision.toLowerCase()} mediation.` });
+        }
+
+        complaint.respondent.mediation = { decision, reason, decidedAt: new Date() };
+        recordTimelineEntry(complaint, `Respondent ${decision.toLowerCase()} mediation.${reason ? ` Reason: ${reason}` : ''}`);
+        await complaint.save();
+
+        await notifyCaseOwner(complaint, `The respondent on case '${complaint.caseRef}' has ${decision.toLowerCase()} mediation.`);
+
+        return res.status(200).json({ mediation: complaint.respondent.mediation, message: `You have ${decision.toLowerCase()} mediation.` });
+    } catch (error) {
+        return res.status(500).json({ message: 'Error recording mediation decision.', error: error.message });
+    }
+};
@@ -0,0 +1,60 @@
+import PendingUpload from '../models/pendingUpload.model.js';
+import { sweepPendingUploads, getPendingUploadGraceHours } from '../utils/pendingUploads.js';
+
+/**
+ * @description List tracked uploads: pre-uploads awaiting a complaint, queued deletions, and
+ * what the storage sweep has removed. Filter with `status` and `source`.
+ * @route GET /api/v1/admin/storage/pending-uploads
+ * @access Admin/Staff
+ */
+export const getPendingUploads = async (req, res) => {
+    const { status, source, page = 1, limit = 50 } = req.query;
+
+    try {
+        const query = {};
+        if (status) query.status = status;
+        if (source) query.source = source;
+
+        const pageNum = Math.max(parseInt(page) || 1, 1);
+        const limitNum = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+        const [uploads, totalUploads] = await Promise.all([
+            PendingUpload.find(query)
+                .populate('uploadedBy', 'fullName email')
+                .populate('complaint', 'caseRef')
+                .sort({ updatedAt: -1 })
+                .skip((pageNum - 1) * limitNum)
+                .limit(limitNum)
+                .lean(),
+            PendingUpload.countDocuments(query),
+        ]);
+
+        return res.status(200).json({
+            uploads,
+            graceHours: getPendingUploadGraceHours(),
+            currentPage: pageNum,
+            totalPages: Math.ceil(totalUploads / limitNum),
+            totalUploads,
+        });
+    } catch (error) {
+        return res.status(500).json({ message: 'Error fetching pending uploads.', error: error.message });
+    }
+};
+
+/**
+ * @description Run the orphaned upload sweep now instead of waiting for the scheduled run.
+ * @route POST /api/v1/admin/storage/sweep
+ * @access Admin only
+ */
+export const runStorageSweep = async (req, res) => {
+    if (req.user.role !== 'Admin') {
+        return res.status(403).json({ message: 'Forbidden. Only Admins can run the storage sweep.' });
+    }
+
+    try {
+        const report = await sweepPendingUploads();
+        return res.status(200).json({ message: `Storage sweep removed ${report.removed.length} orphaned file(s).`, report });
+    } catch (error) {
+        return res.status(500).json({ message: 'Error running storage sweep.', error: error.message });
+    }
+};
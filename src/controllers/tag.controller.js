@@ -0,0 +1,154 @@
+import Tag from '../models/tag.model.js';
+import Complaint from '../models/complaint.model.js';
+
+/**
+ * @description Get the tag vocabulary with the number of complaints using each tag.
+ * @route GET /api/v1/admin/tags
+ * @access Admin/Staff
+ */
+export const getTags = async (req, res) => {
+    try {
+        const [tags, usage] = await Promise.all([
+            Tag.find().sort({ name: 1 }).lean(),
+            Complaint.aggregate([
+                { $unwind: '$tags' },
+                { $group: { _id: '$tags', count: { $sum: 1 } } },
+            ]),
+        ]);
+
+        const usageByName = new Map(usage.map(u => [u._id, u.count]));
+        const tagsWithUsage = tags.map(tag => ({ ...tag, usageCount: usageByName.get(tag.name) || 0 }));
+
+        return res.status(200).json({ tags: tagsWithUsage });
+    } catch (error) {
+        return res.status(500).json({ message: 'Error fetching tags.', error: error.message });
+    }
+};
+
+/**
+ * @description Add a tag to the vocabulary.
+ * @route POST /api/v1/admin/tags
+ * @access Admin only
+ */
+export const createTag = async (req, res) => {
+    if (req.user.role !== 'Admin') {
+        return res.status(403).json({ message: 'Forbidden. Only Admins can manage tags.' });
+    }
+
+    const { name, description, color } = req.body;
+    if (!name || !name.trim()) {
+        return res.status(400).json({ message: 'A tag name is required.' });
+    }
+
+    try {
+        const tag = await Tag.create({ name, description, color, createdBy: req.user._id });
+        return res.status(201).json({ tag, message: 'Tag created successfully.' });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ message: `Tag '${name}' already exists.` });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        return res.status(500).json({ message: 'Error creating tag.', error: error.message });
+    }
+};
+
+/**
+ * @description Update a tag's description or colour.
+ * @route PUT /api/v1/admin/tags/:id
+ * @access Admin only
+ */
+export const updateTag = async (req, res) => {
+    if (req.user.role !== 'Admin') {
+        return res.status(403).json({ message: 'Forbidden. Only Admins can manage tags.' });
+    }
+
+    const { description, color } = req.body;
+    const updateData = {};
+    if (description !== undefined) updateData.description = description;
+    if (color !== undefined) updateData.color = color;
+
+    if (Object.keys(updateData).length === 0) {
+        return res.status(400).json({ message: 'No valid fields provided for update.' });
+    }
+
+    try {
+        const tag = await Tag.findByIdAndUpdate(req.params.id, { $set: updateData }, { new: true, runValidators: true });
+        if (!tag) {
+            return res.status(404).json({ message: 'Tag not found.' });
+        }
+        return res.status(200).json({ tag, message: 'Tag updated successfully.' });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        return res.status(500).json({ message: 'Error updating tag.', error: error.message });
+    }
+};
+
+/**
+ * @description Delete a tag and remove it from every complaint.
+ * @route DELETE /api/v1/admin/tags/:id
+ * @access Admin only
+ */
+export const deleteTag = async (req, res) => {
+    if (req.user.role !== 'Admin') {
+        return res.status(403).json({ message: 'Forbidden. Only Admins can manage tags.' });
+    }
+
+    try {
+        const tag = await Tag.findByIdAndDelete(req.params.id);
+        if (!tag) {
+            return res.status(404).json({ message: 'Tag not found.' });
+        }
+
+        const { modifiedCount } = await Complaint.updateMany({ tags: tag.name }, { $pull: { tags: tag.name } });
+        return res.status(200).json({ message: `Tag '${tag.name}' deleted and removed from ${modifiedCount} complaint(s).` });
+    } catch (error) {
+        return res.status(500).json({ message: 'Error deleting tag.', error: error.message });
+    }
+};
+
+/**
+ * @description Add and/or remove tags on one or many complaints.
+ * @route PUT /api/v1/admin/complaints/tags
+ * @access Admin/Staff
+ */
+export const updateComplaintTags = async (req, res) => {
+    const { complaintIds, add = [], remove = [] } = req.body;
+
+    if (!Array.isArray(complaintIds) || complaintIds.length === 0) {
+        return res.status(400).json({ message: 'An array of complaintIds is required.' });
+    }
+    if (!Array.isArray(add) || !Array.isArray(remove) || add.length + remove.length === 0) {
+        return res.status(400).json({ message: 'Provide tag names to add and/or remove.' });
+    }
+
+    const toAdd = [...new Set(add.map(name => String(name).toLowerCase().trim()))];
+    const toRemove = [...new Set(remove.map(name => String(name).toLowerCase().trim()))];
+
+    try {
+        // Only tags from the managed vocabulary can be applied.
+        const knownTags = await Tag.find({ name: { $in: toAdd } }).distinct('name');
+        const unknownTags = toAdd.filter(name => !knownTags.includes(name));
+        if (unknownTags.length > 0) {
+            return res.status(400).json({ message: `Unknown tag(s): ${unknownTags.join(', ')}. Ask an Admin to add them first.` });
+        }
+
+        let modifiedCount = 0;
+        if (toAdd.length > 0) {
+            const result = await Complaint.updateMany({ _id: { $in: complaintIds } }, { $addToSet: { tags: { $each: toAdd } } });
+            modifiedCount += result.modifiedCount;
+        }
+        if (toRemove.length > 0) {
+            const result = await Complaint.updateMany({ _id: { $in: complaintIds } }, { $pull: { tags: { $in: toRemove } } });
+            modifiedCount += result.modifiedCount;
+        }
+
+        const complaints = await Complaint.find({ _id: { $in: complaintIds } }).select('caseRef tags').lean();
+        return res.status(200).json({ complaints, message: `Tags updated on ${complaints.length} complaint(s).`, modifiedCount });
+    } catch (error) {
+        return res.status(500).json({ message: 'Error updating complaint tags.', error: error.message });
+    }
+};
@@ -0,0 +1,143 @@
+import Taxonomy, { TAXONOMY_KINDS } from '../models/taxonomy.model.js';
+import Complaint from '../models/complaint.model.js';
+import { getTaxonomy } from '../utils/taxonomy.js';
+
+/**
+ * @description Get all taxonomy entries, including retired ones, grouped by kind.
+ * @route GET /api/v1/admin/taxonomy
+ * @access Admin/Staff
+ */
+export const getAdminTaxonomy = async (req, res) => {
+    try {
+        const taxonomy = await getTaxonomy({ activeOnly: false });
+        return res.status(200).json({ taxonomy });
+    } catch (error) {
+        return res.status(500).json({ message: 'Error fetching taxonomy.', error: error.message });
+    }
+};
+
+/**
+ * @description Add a new category, desired action or initiative category option.
+ * @route POST /api/v1/admin/taxonomy
+ * @access Admin only
+ */
+export const createTaxonomyEntry = async (req, res) => {
+    if (req.user.role !== 'Admin') {
+        return res.status(403).json({ message: 'Forbidden. Only Admins can manage taxonomies.' });
+    }
+
+    const { kind, value, label, description, order } = req.body;
+
+    if (!TAXONOMY_KINDS.includes(kind)) {
+        return res.status(400).json({ message: `Invalid kind. Must be one of: ${TAXONOMY_KINDS.join(', ')}` });
+    }
+    if (!value || !value.trim()) {
+        return res.status(400).json({ message: 'A value is required.' });
+    }
+
+    try {
+        // New entries go to the end of the list unless an order is given.
+        let position = order;
+        if (position === undefined) {
+            const last = await Taxonomy.findOne({ kind }).sort({ order: -1 }).select('order');
+            position = last ? last.order + 1 : 0;
+        }
+
+        const entry = await Taxonomy.create({
+            kind,
+            value: value.trim(),
+            label: label || value.trim(),
+            description,
+            order: position,
+        });
+
+        return res.status(201).json({ entry, message: 'Taxonomy entry created successfully.' });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ message: `'${value}' already exists for ${kind}. Reactivate it instead.` });
+        }
+        return res.status(500).json({ message: 'Error creating taxonomy entry.', error: error.message });
+    }
+};
+
+/**
+ * @description Update the label, description, order or active flag of a taxonomy entry.
+ * The stored value cannot change, so complaints that use it keep matching.
+ * @route PUT /api/v1/admin/taxonomy/:id
+ * @access Admin only
+ */
+export const updateTaxonomyEntry = async (req, res) => {
+    if (req.user.role !== 'Admin') {
+        return res.status(403).json({ message: 'Forbidden. Only Admins can manage taxonomies.' });
+    }
+
+    const allowedUpdates = ['label', 'description', 'order', 'isActive'];
+    const updateData = {};
+    for (const key of allowedUpdates) {
+        if (req.body[key] !== undefined) updateData[key] = req.body[key];
+    }
+
+    if (Object.keys(updateData).length === 0) {
+        return res.status(400).json({ message: 'No valid fields provided for update.' });
+    }
+
+    try {
+        const entry = await Taxonomy.findByIdAndUpdate(req.params.id, { $set: updateData }, { new: true, runValidators: true });
+        if (!entry) {
+            return res.status(404).json({ message: 'Taxonomy entry not found.' });
+        }
+
+        return res.status(200).json({ entry, message: 'Taxonomy entry updated successfully.' });
+    } catch (error) {
+        return res.status(500).json({ message: 'Error updating taxonomy entry.', error: error.message });
+    }
+};
+
+/**
+ * @description Delete a taxonomy entry that no complaint uses. Entries in use must be retired instead.
+ * @route DELETE /api/v1/admin/taxonomy/:id
+ * @access Admin only
+ */
+export const deleteTaxonomyEntry = async (req, res) => {
+    if (req.user.role !== 'Admin') {
+        return res.status(403).json({ message: 'Forbidden. Only Admins can manage taxonomies.' });
+    }
+
+    try {
+        const entry = await Taxonomy.findById(req.params.id);
+        if (!entry) {
+            return res.status(404).json({ message: 'Taxonomy entry not found.' });
+        }
+
+        const usage = await Complaint.countDocuments({ [entry.kind]: entry.value });
+        if (usage > 0) {
+            return res.status(409).json({ message: `'${entry.label}' is used by ${usage} complaint(s). Retire it instead.` });
+        }
+
+        await entry.deleteOne();
+        return res.status(200).json({ message: 'Taxonomy entry deleted successfully.' });
+    } catch (error) {
+        return res.status(500).json({ message: 'Error deleting taxonomy entry.', error: error.message });
+    }
+};
+
+/**
+ * @description Get the active options for the intake forms.
+ * @route GET /api/v1/public/taxonomy
+ * @access Public
+ */
+export const getPublicTaxonomy = async (req, res) => {
+    try {
+        const taxonomy = await getTaxonomy();
+
+        // Only expose what the forms need to render.
+        const options = Object.fromEntries(Object.entries(taxonomy).map(([kind, entries]) => [
+            kind,
+            entries.map(({ value, label, description }) => ({ value, label, description })),
+        ]));
+
+        return res.status(200).json({ taxonomy: options });
+    } catch (error) {
+        return res.status(500).json({ message: 'Error fetching taxonomy.', error: error.message });
+    }
+};
@@ -57,13 +57,13 @@ export const updateUserProfile = async (req, res) => {
  */
 export const uploadIdDocument = async (req, res) => {
     try {
-        // The file is uploaded by the multer-storage-cloudinary middleware.
+        // The file is uploaded by the storage middleware.
         // The file details, including the secure URL, are in req.file.
         if (!req.file) {
             return res.status(400).json({ message: "ID document file not provided." });
         }
 
-        const placeholderUrl = req.file.path; // This is the secure URL from Cloudinary
+        const placeholderUrl = req.file.path; // The stored file's URL
 
         let settings = await AppSettings.findOne();
         if (!settings) settings = await AppSettings.create({}); // Ensure settings exist
@@ -0,0 +1,233 @@
+import mongoose from 'mongoose';
+import Vendor from '../models/vendor.model.js';
+import Complaint from '../models/complaint.model.js';
+import { ACTIVE_STATUSES } from '../utils/complaintStatus.js';
+import { normalizeVendorName } from '../utils/duplicates.js';
+import { backfillComplaintVendors } from '../utils/vendors.js';
+
+// Pipeline stages that attach complaint statistics to each vendor.
+const vendorStatsStages = [
+    {
+        $lookup: {
+            from: 'complaints',
+            localField: '_id',
+            foreignField: 'vendor',
+            pipeline: [{ $project: { status: 1, resolutionStatus: 1 } }],
+            as: 'cases',
+        },
+    },
+    {
+        $addFields: {
+            complaintCount: { $size: '$cases' },
+            openCases: { $size: { $filter: { input: '$cases', cond: { $in: ['$$this.status', ACTIVE_STATUSES] } } } },
+            closedCases: { $size: { $filter: { input: '$cases', cond: { $eq: ['$$this.status', 'Closed'] } } } },
+            resolvedCases: {
+                $size: { $filter: { input: '$cases', cond: { $eq: ['$$this.resolutionStatus', 'Resolved Successfully'] } } }
+            },
+        },
+    },
+    {
+        $addFields: {
+            resolutionRate: {
+                $cond: [
+                    { $gt: ['$closedCases', 0] },
+                    { $round: [{ $multiply: [{ $divide: ['$resolvedCases', '$closedCases'] }, 100] }, 1] },
+                    0,
+                ],
+            },
+        },
+    },
+    { $project: { cases: 0, normalizedAliases: 0 } },
+];
+
+/**
+ * @description Get registered vendors with complaint counts, open cases and resolution rates.
+ * @route GET /api/v1/admin/vendors
+ * @access Admin/Staff
+ */
+export const getVendors = async (req, res) => {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 15;
+    const { search, sortBy, sortOrder } = req.query;
+    const skip = (page - 1) * limit;
+
+    const sortableFields = ['name', 'complaintCount', 'openCases', 'resolutionRate', 'createdAt'];
+    const sortField = sortableFields.includes(sortBy) ? sortBy : 'complaintCount';
+
+    try {
+        const matchStage = {};
+        if (search) {
+            const searchRegex = new RegExp(search, 'i');
+            matchStage.$or = [{ name: searchRegex }, { aliases: searchRegex }];
+        }
+
+        const results = await Vendor.aggregate([
+            { $match: matchStage },
+            ...vendorStatsStages,
+            { $sort: { [sortField]: sortOrder === 'asc' ? 1 : -1, _id: 1 } },
+            {
+                $facet: {
+                    metadata: [{ $count: 'total' }],
+                    data: [{ $skip: skip }, { $limit: limit }],
+                },
+            },
+        ]);
+
+        const totalVendors = results[0].metadata[0]?.total || 0;
+
+        return res.status(200).json({
+            vendors: results[0].data,
+            currentPage: page,
+            totalPages: Math.ceil(totalVendors / limit),
+            totalVendors,
+        });
+    } catch (error) {
+        return res.status(500).json({ message: 'Error fetching vendors.', error: error.message });
+    }
+};
+
+/**
+ * @description Get a single vendor with its statistics and open cases.
+ * @route GET /api/v1/admin/vendors/:id
+ * @access Admin/Staff
+ */
+export const getVendorById = async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(400).json({ message: 'Invalid vendor ID.' });
+    }
+
+    try {
+        const [vendor] = await Vendor.aggregate([
+            { $match: { _id: new mongoose.Types.ObjectId(req.params.id) } },
+            ...vendorStatsStages,
+        ]);
+        if (!vendor) {
+            return res.status(404).json({ message: 'Vendor not found.' });
+        }
+
+        const openCases = await Complaint.find({ vendor: vendor._id, status: { $in: ACTIVE_STATUSES } })
+            .select('caseRef title status category createdAt assignedTo')
+            .populate('assignedTo', 'fullName')
+            .sort({ createdAt: -1 })
+            .lean();
+
+        return res.status(200).json({ vendor, openCases });
+    } catch (error) {
+        return res.status(500).json({ message: 'Error fetching vendor.', error: error.message });
+    }
+};
+
+/**
+ * @description Update a vendor's display name or aliases.
+ * @route PUT /api/v1/admin/vendors/:id
+ * @access Admin/Staff
+ */
+export const updateVendor = async (req, res) => {
+    const { name, aliases } = req.body;
+
+    if (aliases !== undefined && !Array.isArray(aliases)) {
+        return res.status(400).json({ message: 'Aliases must be an array of names.' });
+    }
+
+    try {
+        const vendor = await Vendor.findById(req.params.id);
+        if (!vendor) {
+            return res.status(404).json({ message: 'Vendor not found.' });
+        }
+
+        if (name) {
+            vendor.name = name.trim();
+            vendor.normalizedName = normalizeVendorName(name);
+        }
+        if (aliases) {
+            vendor.aliases = aliases.map(alias => alias.trim()).filter(Boolean);
+        }
+        vendor.normalizedAliases = [...new Set(vendor.aliases.map(normalizeVendorName))]
+            .filter(alias => alias && alias !== vendor.normalizedName);
+
+        await vendor.save();
+        return res.status(200).json({ vendor, message: 'Vendor updated successfully.' });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ message: 'Another vendor is already registered under this name. Merge them instead.' });
+        }
+        return res.status(500).json({ message: 'Error updating vendor.', error: error.message });
+    }
+};
+
+/**
+ * @description Merge one or more alias vendors into a primary vendor. Names, aliases and
+ * identifiers are combined and all complaints are re-pointed to the primary vendor.
+ * @route POST /api/v1/admin/vendors/:id/merge
+ * @access Admin/Staff
+ */
+export const mergeVendors = async (req, res) => {
+    const { sourceIds } = req.body;
+
+    if (!Array.isArray(sourceIds) || sourceIds.length === 0) {
+        return res.status(400).json({ message: 'An array of sourceIds is required.' });
+    }
+    if (!mongoose.isValidObjectId(req.params.id) || !sourceIds.every(id => mongoose.isValidObjectId(id))) {
+        return res.status(400).json({ message: 'Invalid vendor ID.' });
+    }
+    if (sourceIds.includes(req.params.id)) {
+        return res.status(400).json({ message: 'A vendor cannot be merged into itself.' });
+    }
+
+    try {
+        const primary = await Vendor.findById(req.params.id);
+        if (!primary) {
+            return res.status(404).json({ message: 'Vendor not found.' });
+        }
+
+        const sources = await Vendor.find({ _id: { $in: sourceIds } });
+        if (sources.length !== sourceIds.length) {
+            return res.status(404).json({ message: 'One or more source vendors were not found.' });
+        }
+
+        const aliases = new Set(primary.aliases);
+        const contacts = new Set(primary.identifiers.contacts);
+        const handles = new Set(primary.identifiers.socialHandles);
+        for (const source of sources) {
+            [source.name, ...source.aliases].forEach(alias => aliases.add(alias));
+            source.identifiers.contacts.forEach(contact => contacts.add(contact));
+            source.identifiers.socialHandles.forEach(handle => handles.add(handle));
+        }
+
+        primary.aliases = [...aliases].filter(alias => normalizeVendorName(alias) !== primary.normalizedName);
+        primary.normalizedAliases = [...new Set(primary.aliases.map(normalizeVendorName))];
+        primary.identifiers.contacts = [...contacts];
+        primary.identifiers.socialHandles = [...handles];
+
+        // Sources are only removed once nothing points at them, so a failure part-way through
+        // leaves every complaint linked to a vendor that still exists.
+        const { modifiedCount } = await Complaint.updateMany({ vendor: { $in: sourceIds } }, { $set: { vendor: primary._id } });
+        await primary.save();
+        await Vendor.deleteMany({ _id: { $in: sourceIds } });
+
+        return res.status(200).json({
+            vendor: primary,
+            message: `${sources.length} vendor(s) merged into ${primary.name}. ${modifiedCount} complaint(s) updated.`,
+        });
+    } catch (error) {
+        return res.status(500).json({ message: 'Error merging vendors.', error: error.message });
+    }
+};
+
+/**
+ * @description Build the vendor registry from existing complaint vendorDetails.
+ * @route POST /api/v1/admin/vendors/backfill
+ * @access Admin only
+ */
+export const backfillVendors = async (req, res) => {
+    if (req.user.role !== 'Admin') {
+        return res.status(403).json({ message: 'Forbidden. Only Admins can run the vendor backfill.' });
+    }
+
+    try {
+        const result = await backfillComplaintVendors();
+        return res.status(200).json({ result, message: `${result.linked} of ${result.processed} complaints linked to vendors.` });
+    } catch (error) {
+        return res.status(500).json({ message: 'Error backfilling vendors.', error: error.message });
+    }
+};
@@ -19,6 +19,31 @@ export interface User {
     updatedAt: string;
 }
 
+export interface EvidenceFile {
+    _id: string;
+    url: string;
+    provider: 'cloudinary' | 'local';
+    storageKey?: string;
+    resourceType: 'image' | 'video' | 'raw';
+    originalName?: string;
+    mimeType?: string;
+    size?: number;
+    sha256?: string;
+    scan?: {
+        status: 'Clean' | 'Infected' | 'Failed' | 'Skipped' | 'Released';
+        scanner?: string;
+        signature?: string;
+        error?: string;
+        scannedAt?: string;
+        releasedBy?: string;
+        releasedAt?: string;
+        releaseNotes?: string;
+    };
+    uploadedBy?: string | PartialUser;
+    uploadedAt: string;
+    visibility: 'User Visible' | 'Staff Only';
+}
+
 export interface Complaint {
     _id: string;
     caseRef: string;
@@ -26,18 +51,21 @@ export interface Complaint {
     contactNumber?: string;
     complainant: string | PartialUser; // Can be just ID or populated
     type: 'Case' | 'MVOI';
-    category?: 'Vendor & Service Issues' | 'Peer-to-Peer Disputes' | 'Oppression/Harassment' | 'Financial Fraud/Scam';
-    desiredAction?: 'Mediation/Internal Settlement' | 'Formal Legal Support/Court Action' | 'Public Resolution/Exposure';
+    category?: string; // Managed taxonomy value
+    desiredAction?: string; // Managed taxonomy value
     vendorDetails?: {
         name?: string;
         contact?: string;
         socialMedia?: string;
     };
+    vendor?: string | Vendor;
     status: 'Draft' | 'Pending Review' | 'Approved for Scheduling' | 'Ongoing' | 'Rejected' | 'Case Active' | 'Closed';
     narrative?: string;
-    evidenceUrls: string[];
+    evidence: EvidenceFile[];
     statusHistory: {
         status: string;
+        from?: string;
+        changedBy?: string;
         timestamp: string;
         notes?: string;
     }[];
@@ -53,13 +81,79 @@ export interface Complaint {
         }
     };
     notes: Note[];
+    tags?: string[];
+    assignedTo?: string | PartialUser | null;
+    duplicateCandidates?: { complaint: string | Partial<Complaint>; score: number; reasons: string[]; }[];
+    linkedCases?: { complaint: string | Partial<Complaint>; linkedBy?: string; notes?: string; linkedAt: string; }[];
+    mergedFrom?: string[];
+    sla?: {
+        enteredAt?: string;
+        warnedAt?: string;
+        escalatedAt?: string;
+    };
+    assignmentHistory?: {
+        action: 'Assigned' | 'Reassigned' | 'Claimed';
+        assignedTo?: string;
+        previousAssignee?: string;
+        assignedBy?: string;
+        notes?: string;
+        timestamp: string;
+    }[];
     resolutionStatus?: 'Resolved Successfully' | 'Unresolved' | 'Cancelled by User';
-    initiativeCategory?: 'Clean Water (Borehole)' | 'Education (School Aid)' | 'Disaster Relief' | 'Skills Acquisition (Handwork)';
+    respondent?: {
+        name?: string;
+        email?: string;
+        summary?: string;
+        summaryApprovedBy?: string;
+        summaryApprovedAt?: string;
+        responses: { body: string; submittedAt: string; }[];
+        evidence: EvidenceFile[];
+        mediation?: { decision: 'Accepted' | 'Declined'; reason?: string; decidedAt: string; };
+    };
+    needsAttention?: { reason: string; flaggedAt: string; };
+    reopenRequest?: {
+        status: 'Pending' | 'Approved' | 'Declined';
+        reason: string;
+        requestedAt: string;
+        reviewedBy?: string;
+        reviewedAt?: string;
+        reviewNotes?: string;
+    };
+    initiativeCategory?: string; // Managed taxonomy value
     applicantType?: 'Individual' | 'Community';
     locationDetails?: { state: string; lga: string; community: string; };
     beneficiaryCount?: number;
     publicNarrative?: string;
     isPublic?: boolean;
+    publication?: {
+        preference?: 'Named' | 'Anonymous' | 'Do Not Publish';
+        proposal?: {
+            revision?: string;
+            narrative?: string;
+            narrativeHash: string;
+            proposedBy?: string;
+            proposedAt: string;
+            status: 'Pending' | 'Approved' | 'Rejected';
+            decidedAt?: string;
+            reason?: string;
+        };
+        approvedHash?: string;
+        consentLog: {
+            action: 'Preference Set' | 'Approved' | 'Rejected';
+            preference?: 'Named' | 'Anonymous' | 'Do Not Publish';
+            narrative?: string;
+            narrativeHash?: string;
+            reason?: string;
+            decidedBy?: string;
+            timestamp: string;
+        }[];
+        live?: {
+            revision: string;
+            number: number;
+            publishedAt: string;
+            evidence: string[];
+        };
+    };
     views?: number;
     likes?: number;
     dislikes?: number;
@@ -69,6 +163,192 @@ export interface Complaint {
     updatedAt: string;
 }
 
+// A case as returned by /api/v1/public. Anything not listed here is never sent.
+export interface PublicComplaint {
+    _id: string;
+    caseRef: string;
+    title: string;
+    type: 'Case' | 'MVOI';
+    status: Complaint['status'];
+    category?: string;
+    vendorDetails?: { name: string; };
+    publicNarrative?: string;
+    evidence: Pick<EvidenceFile, 'url' | 'resourceType' | 'mimeType'>[];
+    revision?: { number: number; publishedAt: string; }; // The live revision; absent for cases published before revisions
+    resolutionStatus?: Complaint['resolutionStatus'];
+    createdAt: string;
+    views: number;
+    submittedBy: {
+        displayName: string; // The complainant's name if they chose to be named, otherwise a pseudonym
+        avatar: string; // Their avatar, or a generated SVG data URI
+        isNamed: boolean;
+    };
+    likes: number;
+    dislikes: number;
+    viewerReaction: 'like' | 'dislike' | null; // How the caller reacted
+}
+
+export interface PublicationRevision {
+    _id: string;
+    complaint: string | Partial<Complaint>;
+    number: number;
+    publicNarrative: string;
+    narrativeHash: string;
+    evidence: string[];
+    status: 'Pending Review' | 'Scheduled' | 'Live' | 'Rejected' | 'Superseded' | 'Unpublished' | 'Cancelled';
+    submittedBy?: string | PartialUser;
+    notes?: string;
+    piiOverride?: { count: number; types: string[]; };
+    review?: {
+        reviewedBy?: string | PartialUser;
+        reviewedAt?: string;
+        notes?: string;
+    };
+    publishAt?: string;
+    publishedAt?: string;
+    endedAt?: string;
+    endedBy?: string | PartialUser;
+    endReason?: string;
+    createdAt: string;
+    updatedAt: string;
+}
+
+export interface Vendor {
+    _id: string;
+    name: string;
+    aliases: string[];
+    identifiers: {
+        contacts: string[];
+        socialHandles: string[];
+    };
+    complaintCount?: number;
+    openCases?: number;
+    resolutionRate?: number;
+    createdAt: string;
+    updatedAt: string;
+}
+
+export interface CaseMessage {
+    _id: string;
+    complaint: string;
+    sender: PartialUser;
+    senderRole: 'Complainant' | 'Staff';
+    body?: string;
+    visibility: 'Public' | 'Internal';
+    attachments: EvidenceFile[];
+    readBy: { user: string | PartialUser; readAt: string; }[];
+    createdAt: string;
+    updatedAt: string;
+}
+
+export interface MeetingProposal {
+    _id: string;
+    proposedBy: string | PartialUser;
+    proposerRole: 'Complainant' | 'Staff';
+    startAt: string;
+    reason?: string;
+    status: 'Open' | 'Accepted' | 'Declined' | 'Superseded';
+    respondedBy?: string | PartialUser;
+    respondedAt?: string;
+    responseNote?: string;
+    createdAt: string;
+}
+
+export interface Meeting {
+    _id: string;
+    complaint: string | Partial<Complaint>;
+    title?: string;
+    startAt: string;
+    endAt: string;
+    timezone: string;
+    mode: 'In Person' | 'Virtual';
+    venue?: { name: string; address?: string; key: string; };
+    virtualLink?: string;
+    attendees: { kind: 'Complainant' | 'Staff' | 'Vendor'; user?: string | PartialUser; name?: string; email?: string; }[];
+    status: 'Scheduled' | 'Cancelled' | 'Completed';
+    complainantResponse: {
+        status: 'Pending' | 'Accepted' | 'Rejected' | 'Expired';
+        proposedStart?: string;
+        reason?: string;
+        respondedAt?: string;
+        deadline?: string;
+    };
+    proposals: MeetingProposal[];
+    availabilityWindow?: string;
+    icsSequence: number;
+    cancellationReason?: string;
+    createdBy?: string;
+    createdAt: string;
+    updatedAt: string;
+}
+
+export interface AvailabilityWindow {
+    _id: string;
+    staff: string | PartialUser;
+    startAt: string;
+    endAt: string;
+    timezone: string;
+    slotMinutes: number;
+    mode: 'In Person' | 'Virtual';
+    venue?: { name: string; address?: string; key: string; };
+    virtualLink?: string;
+    capacity: number;
+    bookings: { slotStart: string; complaint: string | Partial<Complaint>; meeting?: string; bookedBy?: string; bookedAt: string; }[];
+    isActive: boolean;
+    openSlots?: { startAt: string; endAt: string; remaining: number; }[];
+    createdAt: string;
+    updatedAt: string;
+}
+
+export interface CustodyEvent {
+    _id: string;
+    complaint: string | null;
+    uploader?: string | null; // Set on pre-upload entries, which are chained per uploader
+    sequence: number;
+    evidence?: string;
+    url: string;
+    sha256?: string;
+    action: 'Uploaded' | 'Attached' | 'Accessed' | 'Downloaded' | 'Published' | 'Unpublished' | 'Visibility Changed' | 'Transferred' | 'Deleted' | 'Quarantined' | 'Released';
+    actor?: string;
+    actorLabel?: string;
+    ip?: string;
+    details?: string;
+    timestamp: string;
+    prevHash?: string;
+    hash: string;
+}
+
+export interface PendingUpload {
+    _id: string;
+    url: string;
+    provider: 'cloudinary' | 'local';
+    storageKey?: string;
+    resourceType: 'image' | 'video' | 'raw';
+    originalName?: string;
+    mimeType?: string;
+    scan?: EvidenceFile['scan'];
+    uploadedBy?: string | PartialUser;
+    source: 'Pre-upload' | 'Failed Deletion';
+    status: 'Pending' | 'Claimed' | 'Deleted';
+    complaint?: string | Partial<Complaint>;
+    claimedAt?: string;
+    deletedAt?: string;
+    attempts: number;
+    lastError?: string;
+    createdAt: string;
+    updatedAt: string;
+}
+
+export interface TaxonomyEntry {
+    _id: string;
+    kind: 'category' | 'desiredAction' | 'initiativeCategory';
+    value: string;
+    label: string;
+    description?: string;
+    isActive: boolean;
+    order: number;
+}
+
 export interface PartialUser {
     _id: string;
     fullName: string;
@@ -45,4 +45,21 @@ export const verifyAdminOrStaff = (req, res, next) => {
         return res.status(403).json({ message: 'Forbidden. Administrator or Staff access required.' });
     }
     next();
-};
\ No newline at end of file
+};
+
+/**
+ * Middleware to attach the signed-in user to the request when a valid access token is sent.
+ * Requests without a token, or with an invalid one, continue anonymously.
+ */
+export const optionalJWT = async (req, res, next) => {
+    try {
+        const token = req.header('Authorization')?.replace('Bearer ', '');
+        if (token) {
+            const decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
+            req.user = await User.findById(decodedToken?._id).select('-password -refreshToken') || undefined;
+        }
+    } catch {
+        // Public routes work the same for anonymous callers.
+    }
+    next();
+};
@@ -1,64 +1,235 @@
 import multer from 'multer';
-import { CloudinaryStorage } from 'multer-storage-cloudinary';
-import cloudinary from '../config/cloudinary.js';
-
-const idStorage = new CloudinaryStorage({
-    cloudinary: cloudinary,
-    params: async (req, file) => {
-        // Safely access user ID, providing a fallback.
-        const idPrefix = req.user ? req.user._id.toString() : 'unauthenticated';
-        return {
-            folder: 'advocacy-platform/user-ids',
-            resource_type: 'auto', // Allow any file type (image, video, raw, pdf)
-            public_id: `${idPrefix}-${Date.now()}`,
-        };
+import crypto from 'crypto';
+import { PassThrough, Transform } from 'stream';
+import { getStorage } from '../utils/storage/index.js';
+import { scanFile } from '../utils/scanners/index.js';
+import { SNIFF_LENGTH, detectFileType, getFileExtension, findFileTypeRule } from '../utils/fileTypes.js';
+import { getEvidenceFileTypes } from '../utils/evidence.js';
+
+/**
+ * A multer storage engine that writes through the configured storage provider
+ * (STORAGE_PROVIDER). `getParams` returns the folder and key for each file, and
+ * `isPrivate` for files that must only be served through signed links.
+ * The uploaded file's `path` is its URL and `filename` its storage key.
+ */
+const createStorageEngine = (getParams) => ({
+    _handleFile(req, file, cb) {
+        const storage = getStorage();
+        const baseUrl = process.env.SERVER_URL || `${req.protocol}://${req.get('host')}`;
+
+        Promise.resolve(getParams(req, file))
+            .then(params => storage.put(file.stream, { ...params, originalName: file.originalname, mimeType: file.mimetype, baseUrl }))
+            .then(({ url, storageKey, resourceType, size }) => cb(null, {
+                path: url,
+                filename: storageKey,
+                size,
+                resourceType,
+                provider: storage.name,
+            }))
+            .catch(cb);
+    },
+    _removeFile(req, file, cb) {
+        getStorage(file.provider)
+            .delete([{ storageKey: file.filename, resourceType: file.resourceType, url: file.path }])
+            .then(() => cb(null), cb);
     },
 });
 
-const evidenceStorage = new CloudinaryStorage({
-    cloudinary: cloudinary,
-    params: async (req, file) => {
-        // Sanitize the original filename to make it a valid public_id
-        const sanitizedFilename = file.originalname.replace(/[^a-zA-Z0-9_.]/g, '-');
-        const idPrefix = req.params.id || (req.user ? req.user._id.toString() : 'temp');
-        return {
-            folder: 'advocacy-platform/evidence-files',
-            resource_type: 'auto',
-            public_id: `${idPrefix}-${sanitizedFilename}-${Date.now()}`,
-        };
+/**
+ * Wraps a storage engine so every file is SHA-256 hashed as it streams to storage.
+ * The digest is set on the uploaded file as `file.sha256`.
+ */
+const withSha256 = (storage) => ({
+    _handleFile(req, file, cb) {
+        const hash = crypto.createHash('sha256');
+        const hashingStream = new Transform({
+            transform(chunk, encoding, callback) {
+                hash.update(chunk);
+                callback(null, chunk);
+            },
+        });
+        file.stream.on('error', (err) => hashingStream.destroy(err));
+
+        storage._handleFile(req, { ...file, stream: file.stream.pipe(hashingStream) }, (err, info) => {
+            if (err) return cb(err);
+            cb(null, { ...info, sha256: hash.digest('hex') });
+        });
     },
+    _removeFile(req, file, cb) {
+        storage._removeFile(req, file, cb);
+    },
+});
+
+/**
+ * Reads the first `length` bytes of a stream, then returns them with a stream that replays
+ * the whole file from the start.
+ */
+const readHead = (stream, length) => new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    let ended = false;
+
+    const done = () => {
+        stream.off('data', onData);
+        stream.off('end', onEnd);
+        stream.off('error', reject);
+        stream.pause();
+
+        const head = Buffer.concat(chunks);
+        const replay = new PassThrough();
+        replay.write(head);
+        if (ended) {
+            replay.end();
+        } else {
+            stream.on('error', (err) => replay.destroy(err));
+            stream.pipe(replay);
+        }
+        resolve({ head, stream: replay });
+    };
+    const onData = (chunk) => {
+        chunks.push(chunk);
+        size += chunk.length;
+        if (size >= length) done();
+    };
+    const onEnd = () => {
+        ended = true;
+        done();
+    };
+
+    stream.on('data', onData);
+    stream.once('end', onEnd);
+    stream.once('error', reject);
 });
 
-const mvoiEvidenceStorage = new CloudinaryStorage({
-    cloudinary: cloudinary,
-    params: async (req, file) => {
-        // A simpler public_id for non-user-specific uploads
-        const sanitizedFilename = file.originalname.replace(/[^a-zA-Z0-9_.]/g, '-');
-        return {
-            folder: 'advocacy-platform/mvoi-evidence',
-            resource_type: 'auto',
-            public_id: `mvoi-${sanitizedFilename}-${Date.now()}`,
-        };
+/**
+ * Wraps a storage engine to enforce the evidence file policy and scan for malware.
+ * The file's contents must match an allowlisted type (by magic bytes, not the client's claimed
+ * type) with a matching extension, and stay within that type's size limit. The sniffed type
+ * replaces `file.mimetype`, and the scan result is set as `file.scan`.
+ */
+const withEvidencePolicy = (storage) => ({
+    _handleFile(req, file, cb) {
+        (async () => {
+            req.evidenceFileTypes ||= await getEvidenceFileTypes();
+            const { head, stream } = await readHead(file.stream, SNIFF_LENGTH);
+
+            const rule = findFileTypeRule(req.evidenceFileTypes, detectFileType(head), getFileExtension(file.originalname));
+            if (!rule) {
+                stream.resume();
+                throw new Error(`'${file.originalname}' is not an allowed file type, or its contents do not match its extension.`);
+            }
+
+            const maxBytes = rule.maxSizeMb * 1024 * 1024;
+            let size = 0;
+            const scanStream = new PassThrough();
+            const checkedStream = new Transform({
+                transform(chunk, encoding, callback) {
+                    size += chunk.length;
+                    if (size > maxBytes) {
+                        return callback(new Error(`'${file.originalname}' is larger than the ${rule.maxSizeMb}MB limit for ${rule.mimeType} files.`));
+                    }
+                    // Hold the upload while the scanner catches up, so a slow scanner cannot
+                    // leave the whole file buffered in memory.
+                    if (scanStream.write(chunk) || scanStream.destroyed) return callback(null, chunk);
+                    const resume = () => {
+                        scanStream.off('drain', resume);
+                        scanStream.off('close', resume);
+                        callback(null, chunk);
+                    };
+                    scanStream.on('drain', resume);
+                    scanStream.on('close', resume);
+                },
+                flush(callback) {
+                    scanStream.end();
+                    callback();
+                },
+            });
+            stream.on('error', (err) => checkedStream.destroy(err));
+            checkedStream.on('error', () => scanStream.destroy());
+
+            const scanning = scanFile(scanStream);
+            const info = await new Promise((resolve, reject) => {
+                storage._handleFile(req, { ...file, stream: stream.pipe(checkedStream) }, (err, result) => (err ? reject(err) : resolve(result)));
+            });
+            return { ...info, mimetype: rule.mimeType, scan: await scanning };
+        })().then(info => cb(null, info), cb);
+    },
+    _removeFile(req, file, cb) {
+        storage._removeFile(req, file, cb);
     },
 });
 
+const idStorage = createStorageEngine((req, file) => {
+    // Safely access user ID, providing a fallback.
+    const idPrefix = req.user ? req.user._id.toString() : 'unauthenticated';
+    return {
+        folder: 'advocacy-platform/user-ids',
+        key: `${idPrefix}-${Date.now()}`,
+    };
+});
+
+const evidenceStorage = createStorageEngine((req, file) => {
+    // Sanitize the original filename to make it a valid storage key
+    const sanitizedFilename = file.originalname.replace(/[^a-zA-Z0-9_.]/g, '-');
+    const idPrefix = req.params.id || (req.user ? req.user._id.toString() : 'temp');
+    return {
+        folder: 'advocacy-platform/evidence-files',
+        isPrivate: true, // Only reachable through signed links
+        key: `${idPrefix}-${sanitizedFilename}-${Date.now()}`,
+    };
+});
+
+const mvoiEvidenceStorage = createStorageEngine((req, file) => {
+    // A simpler key for non-user-specific uploads
+    const sanitizedFilename = file.originalname.replace(/[^a-zA-Z0-9_.]/g, '-');
+    return {
+        folder: 'advocacy-platform/mvoi-evidence',
+        isPrivate: true, // Only reachable through signed links
+        key: `mvoi-${sanitizedFilename}-${Date.now()}`,
+    };
+});
+
+const respondentEvidenceStorage = createStorageEngine((req, file) => {
+    // Respondents have no account, so files are prefixed with the complaint they belong to.
+    const sanitizedFilename = file.originalname.replace(/[^a-zA-Z0-9_.]/g, '-');
+    const idPrefix = req.respondentAccess ? req.respondentAccess.complaint.toString() : 'respondent';
+    return {
+        folder: 'advocacy-platform/respondent-evidence',
+        isPrivate: true, // Only reachable through signed links
+        key: `${idPrefix}-respondent-${sanitizedFilename}-${Date.now()}`,
+    };
+});
+
 export const uploadIdToCloudinary = multer({ 
     storage: idStorage,
     limits: { fileSize: 500 * 1024 * 1024 } // 500MB limit
 });
 
+// Rejects disallowed extensions before upload; the contents are checked by withEvidencePolicy.
 const evidenceFileFilter = (req, file, cb) => {
-    // Accept all file types
-    cb(null, true);
+    (async () => {
+        req.evidenceFileTypes ||= await getEvidenceFileTypes();
+        const extension = getFileExtension(file.originalname);
+        if (!req.evidenceFileTypes.some(rule => rule.extensions.includes(extension))) {
+            throw new Error(`Files of type '.${extension || 'unknown'}' are not allowed.`);
+        }
+        return true;
+    })().then(accept => cb(null, accept), cb);
 };
 
 export const uploadEvidenceToCloudinary = multer({ 
-    storage: evidenceStorage, 
+    storage: withEvidencePolicy(withSha256(evidenceStorage)),
     fileFilter: evidenceFileFilter,
     limits: { fileSize: 500 * 1024 * 1024 } // 500MB limit per file
 });
 export const uploadMvoiEvidenceToCloudinary = multer({ 
-    storage: mvoiEvidenceStorage, 
+    storage: withEvidencePolicy(withSha256(mvoiEvidenceStorage)),
+    fileFilter: evidenceFileFilter,
+    limits: { fileSize: 500 * 1024 * 1024 } // 500MB limit per file
+});
+
+export const uploadRespondentEvidenceToCloudinary = multer({
+    storage: withEvidencePolicy(withSha256(respondentEvidenceStorage)),
     fileFilter: evidenceFileFilter,
     limits: { fileSize: 500 * 1024 * 1024 } // 500MB limit per file
-});
\ No newline at end of file
+});
@@ -0,0 +1,22 @@
+import { findPrivateFields } from '../utils/publicView.js';
+
+/**
+ * Middleware that checks every JSON response on a public route before it is sent. A body
+ * carrying a private Complaint or User field is replaced with an error, so a handler that
+ * skips the public serializers fails closed instead of leaking data.
+ */
+export const guardPublicResponse = (req, res, next) => {
+    const json = res.json.bind(res);
+
+    res.json = (body) => {
+        const leaks = findPrivateFields(body);
+        if (leaks.length > 0) {
+            console.error(`Blocked private fields in the response to ${req.method} ${req.originalUrl}: ${leaks.join(', ')}`);
+            res.status(500);
+            return json({ message: 'Error preparing the public response.' });
+        }
+        return json(body);
+    };
+
+    next();
+};
@@ -0,0 +1,44 @@
+import jwt from 'jsonwebtoken';
+import RespondentAccess from '../models/respondentAccess.model.js';
+
+export const RESPONDENT_TOKEN_AUDIENCE = 'respondent';
+
+/**
+ * Returns the secret used to sign respondent links.
+ */
+export const getRespondentTokenSecret = () => process.env.RESPONDENT_TOKEN_SECRET || process.env.ACCESS_TOKEN_SECRET;
+
+/**
+ * Middleware to verify a respondent's signed link token and attach their access record to the request.
+ * The token is read from the `X-Respondent-Token` header.
+ */
+export const verifyRespondentToken = async (req, res, next) => {
+    try {
+        const token = req.header('X-Respondent-Token');
+
+        if (!token) {
+            return res.status(401).json({ message: 'Unauthorized request. No respondent token provided.' });
+        }
+
+        const decodedToken = jwt.verify(token, getRespondentTokenSecret(), { audience: RESPONDENT_TOKEN_AUDIENCE });
+
+        const access = await RespondentAccess.findById(decodedToken?.accessId);
+        if (!access || access.revokedAt) {
+            return res.status(401).json({ message: 'This link is no longer valid. Please contact the case officer for a new one.' });
+        }
+
+        access.lastUsedAt = new Date();
+        await access.save();
+
+        req.respondentAccess = access;
+
+        next();
+    } catch (error) {
+        let message = 'Invalid respondent link.';
+        if (error.name === 'TokenExpiredError') {
+            message = 'This link has expired. Please contact the case officer for a new one.';
+        }
+
+        return res.status(401).json({ message });
+    }
+};
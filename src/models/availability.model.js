@@ -0,0 +1,91 @@
+import mongoose from 'mongoose';
+
+const bookingSchema = new mongoose.Schema({
+    slotStart: {
+        type: Date,
+        required: true,
+    },
+    complaint: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Complaint',
+        required: true,
+    },
+    meeting: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Meeting',
+    },
+    bookedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+    bookedAt: {
+        type: Date,
+        default: Date.now,
+    },
+}, { _id: false });
+
+// A block of time a staff member publishes for complainants to book, split into equal slots.
+const availabilityWindowSchema = new mongoose.Schema(
+    {
+        staff: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        startAt: {
+            type: Date,
+            required: [true, 'A start time is required.'],
+        },
+        endAt: {
+            type: Date,
+            required: [true, 'An end time is required.'],
+            validate: {
+                validator: function (value) { return value > this.startAt; },
+                message: 'The window must end after it starts.',
+            },
+        },
+        timezone: {
+            type: String,
+            required: true,
+        },
+        slotMinutes: {
+            type: Number,
+            default: 60,
+            min: 15,
+        },
+        mode: {
+            type: String,
+            enum: ['In Person', 'Virtual'],
+            default: 'In Person',
+        },
+        venue: {
+            name: String,
+            address: String,
+            key: String,
+        },
+        virtualLink: String,
+        capacity: {
+            type: Number,
+            default: 1, // Bookings allowed per slot, e.g. the number of rooms at the venue
+            min: 1,
+        },
+        bookings: [bookingSchema],
+        isActive: {
+            type: Boolean,
+            default: true,
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+    },
+    { timestamps: true }
+);
+
+availabilityWindowSchema.index({ isActive: 1, endAt: 1 });
+availabilityWindowSchema.index({ staff: 1, startAt: 1 });
+availabilityWindowSchema.index({ 'bookings.meeting': 1 });
+
+const AvailabilityWindow = mongoose.model('AvailabilityWindow', availabilityWindowSchema);
+
+export default AvailabilityWindow;
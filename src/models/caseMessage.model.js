@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+import { evidenceSchema } from './complaint.model.js';
+
+const readReceiptSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    readAt: { type: Date, default: Date.now },
+}, { _id: false });
+
+const caseMessageSchema = new mongoose.Schema(
+    {
+        complaint: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Complaint',
+            required: true,
+        },
+        sender: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        senderRole: {
+            type: String,
+            enum: ['Complainant', 'Staff'],
+            required: true,
+        },
+        body: {
+            type: String,
+            trim: true,
+        },
+        visibility: {
+            type: String,
+            enum: ['Public', 'Internal'], // Internal messages are only visible to Admin/Staff
+            default: 'Public',
+        },
+        attachments: [evidenceSchema], // Files from the evidence upload pipeline, stored like case evidence
+        readBy: [readReceiptSchema],
+    },
+    { timestamps: true }
+);
+
+caseMessageSchema.index({ complaint: 1, createdAt: 1 });
+
+const CaseMessage = mongoose.model('CaseMessage', caseMessageSchema);
+
+export default CaseMessage;
@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+// Left behind when a duplicate case is merged, so its caseRef still resolves to the primary case.
+const caseRedirectSchema = new mongoose.Schema(
+    {
+        fromCaseRef: {
+            type: String,
+            required: true,
+            unique: true,
+            index: true,
+        },
+        toComplaint: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Complaint',
+            required: true,
+        },
+        toCaseRef: {
+            type: String,
+            required: true,
+        },
+        mergedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+        reason: String,
+    },
+    { timestamps: true }
+);
+
+const CaseRedirect = mongoose.model('CaseRedirect', caseRedirectSchema);
+
+export default CaseRedirect;
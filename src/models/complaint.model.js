@@ -1,10 +1,17 @@
 import mongoose from 'mongoose';
+import { COMPLAINT_STATUSES } from '../utils/complaintStatus.js';
+import { PUBLICATION_PREFERENCES } from '../utils/publication.js';
 
 const statusHistorySchema = new mongoose.Schema({
     status: {
         type: String,
         required: true,
     },
+    from: String, // The status the complaint moved out of
+    changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
     timestamp: {
         type: Date,
         default: Date.now,
@@ -31,6 +38,123 @@ const noteSchema = new mongoose.Schema({
     timestamps: true,
 });
 
+export const evidenceSchema = new mongoose.Schema({
+    url: {
+        type: String,
+        required: true,
+    },
+    provider: {
+        type: String,
+        enum: ['cloudinary', 'local'],
+        default: 'cloudinary', // Files uploaded before storage became configurable
+    },
+    storageKey: String, // The provider's ID for the file (e.g. Cloudinary public_id), used to delete it
+    resourceType: {
+        type: String,
+        enum: ['image', 'video', 'raw'],
+        default: 'raw',
+    },
+    originalName: String,
+    mimeType: String,
+    size: Number, // Bytes
+    sha256: String, // Hash of the file as received, for chain of custody
+    scan: { // Malware scan at upload. 'Infected' and 'Failed' files are quarantined until released.
+        status: {
+            type: String,
+            enum: ['Clean', 'Infected', 'Failed', 'Skipped', 'Released'],
+        },
+        scanner: String,
+        signature: String, // What the scanner detected
+        error: String, // Why the scan could not complete
+        scannedAt: Date,
+        releasedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+        releasedAt: Date,
+        releaseNotes: String,
+    },
+    uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+    uploadedAt: {
+        type: Date,
+        default: Date.now,
+    },
+    visibility: {
+        type: String,
+        enum: ['User Visible', 'Staff Only'],
+        default: 'User Visible',
+    },
+});
+
+// A complainant's publication decision, kept as a permanent record of consent.
+const consentRecordSchema = new mongoose.Schema({
+    action: {
+        type: String,
+        enum: ['Preference Set', 'Approved', 'Rejected'],
+        required: true,
+    },
+    preference: {
+        type: String,
+        enum: PUBLICATION_PREFERENCES,
+    },
+    narrative: String, // The exact public narrative approved or rejected
+    narrativeHash: String,
+    reason: String,
+    decidedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+    timestamp: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+const assignmentHistorySchema = new mongoose.Schema({
+    action: {
+        type: String,
+        enum: ['Assigned', 'Reassigned', 'Claimed'],
+        required: true,
+    },
+    assignedTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+    previousAssignee: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+    assignedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+    notes: String,
+    timestamp: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+const linkedCaseSchema = new mongoose.Schema({
+    complaint: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Complaint',
+        required: true,
+    },
+    linkedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+    notes: String,
+    linkedAt: {
+        type: Date,
+        default: Date.now,
+    },
+}, { _id: false });
+
 const complaintSchema = new mongoose.Schema(
     {
         caseRef: {
@@ -58,18 +182,14 @@ const complaintSchema = new mongoose.Schema(
             default: 'Case',
             required: true,
         },
+        // Allowed values for category, desiredAction and initiativeCategory are managed in the
+        // Taxonomy collection and checked by the controllers, so retired values stay valid here.
         category: {
             type: String,
             required: function() {
                 // Only required if the type is 'Case'
                 return this.type === 'Case';
             },
-            enum: [
-                'Vendor & Service Issues',
-                'Peer-to-Peer Disputes',
-                'Oppression/Harassment',
-                'Financial Fraud/Scam',
-            ],
         },
         desiredAction: {
             type: String,
@@ -77,20 +197,21 @@ const complaintSchema = new mongoose.Schema(
                 // Only required if the type is 'Case'
                 return this.type === 'Case';
             },
-            enum: [
-                'Mediation/Internal Settlement',
-                'Formal Legal Support/Court Action',
-                'Public Resolution/Exposure',
-            ],
         },
         vendorDetails: {
             name: String,
             contact: String,
             socialMedia: String,
         },
+        // Registry entry resolved from vendorDetails (Cases only; MVOI uses vendorDetails for applicant contact)
+        vendor: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Vendor',
+            index: true,
+        },
         status: {
             type: String,
-            enum: ['Draft', 'Pending Review', 'Approved for Scheduling', 'Ongoing', 'Rejected', 'Case Active', 'Closed'],
+            enum: COMPLAINT_STATUSES,
             default: 'Pending Review',
         },
         narrative: {
@@ -99,7 +220,7 @@ const complaintSchema = new mongoose.Schema(
                 return this.type === 'Case';
             },
         },
-        evidenceUrls: [String],
+        evidence: [evidenceSchema],
         statusHistory: [statusHistorySchema],
         invitation: {
             date: Date,
@@ -112,16 +233,77 @@ const complaintSchema = new mongoose.Schema(
                 reason: String,
             }
         },
+        // --- Respondent Right of Reply (Mediation cases) ---
+        respondent: {
+            name: String,
+            email: String,
+            summary: String, // Staff-approved case summary shown to the respondent
+            summaryApprovedBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User',
+            },
+            summaryApprovedAt: Date,
+            responses: [{
+                body: { type: String, required: true },
+                submittedAt: { type: Date, default: Date.now },
+            }],
+            evidence: [evidenceSchema],
+            mediation: {
+                decision: { type: String, enum: ['Accepted', 'Declined'] },
+                reason: String,
+                decidedAt: Date,
+            },
+        },
+        // Set when something needs a staff member's attention, e.g. an invitation expired unanswered
+        needsAttention: {
+            reason: String,
+            flaggedAt: Date,
+        },
         notes: [noteSchema], // Replaced vettingNotes with a notes array
+        // --- Case Ownership ---
+        assignedTo: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            index: true,
+        },
+        assignmentHistory: [assignmentHistorySchema],
+        // Free-form triage labels from the admin-managed Tag vocabulary
+        tags: {
+            type: [String],
+            index: true,
+        },
+        // --- Related & Duplicate Cases ---
+        duplicateCandidates: [{
+            _id: false,
+            complaint: { type: mongoose.Schema.Types.ObjectId, ref: 'Complaint' },
+            score: Number,
+            reasons: [String],
+        }],
+        linkedCases: [linkedCaseSchema],
+        mergedFrom: [String], // caseRefs of duplicates merged into this case
+        // --- SLA Tracking (reset whenever the status changes) ---
+        sla: {
+            enteredAt: Date, // When the complaint entered its current status
+            warnedAt: Date, // When the at-risk warning was sent
+            escalatedAt: Date, // When the breach was escalated to Admins
+        },
         resolutionStatus: {
             type: String,
             enum: ['Resolved Successfully', 'Unresolved', 'Cancelled by User'],
             // This field is only set when the case status is 'Closed'
         },
+        // Complainant's request to reopen a closed case, reviewed by an Admin
+        reopenRequest: {
+            status: { type: String, enum: ['Pending', 'Approved', 'Declined'] },
+            reason: String,
+            requestedAt: Date,
+            reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+            reviewedAt: Date,
+            reviewNotes: String,
+        },
         // --- NEW: Fields for MVOI Initiatives ---
         initiativeCategory: {
             type: String,
-            enum: ['Clean Water (Borehole)', 'Education (School Aid)', 'Disaster Relief', 'Skills Acquisition (Handwork)'],
         },
         applicantType: {
             type: String,
@@ -139,13 +321,49 @@ const complaintSchema = new mongoose.Schema(
 
         // --- Fields for Public Feed ---
         publicNarrative: {
-            type: String, // A sanitized, admin-approved version of the narrative for public view
+            type: String, // The live revision's narrative; drafts are kept as PublicationRevisions
         },
         isPublic: {
             type: Boolean,
             default: false,
             index: true, // Index for efficient querying of public complaints
         },
+        publication: {
+            preference: {
+                type: String,
+                enum: PUBLICATION_PREFERENCES, // Unset on complaints submitted before consent was recorded
+            },
+            proposal: { // The public narrative staff last asked the complainant to approve
+                revision: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: 'PublicationRevision',
+                },
+                narrative: String, // The text of the revision, for the complainant to review
+                narrativeHash: String,
+                proposedBy: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: 'User',
+                },
+                proposedAt: Date,
+                status: {
+                    type: String,
+                    enum: ['Pending', 'Approved', 'Rejected'],
+                },
+                decidedAt: Date,
+                reason: String, // Why the complainant rejected it
+            },
+            approvedHash: String, // Hash of the public narrative the complainant approved
+            consentLog: [consentRecordSchema],
+            live: { // The revision currently on the public feed, copied into publicNarrative and isPublic
+                revision: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: 'PublicationRevision',
+                },
+                number: Number,
+                publishedAt: Date,
+                evidence: [mongoose.Schema.Types.ObjectId], // The evidence selected for publication
+            },
+        },
         // --- Fields for Public Interaction ---
         views: { type: Number, default: 0 },
         likes: { type: Number, default: 0 },
@@ -157,6 +375,17 @@ const complaintSchema = new mongoose.Schema(
     { timestamps: true }
 );
 
+complaintSchema.index({ status: 1, 'sla.enteredAt': 1 });
+// Keyword search on the public feed. publicNarrative only ever holds published text.
+complaintSchema.index({ title: 'text', publicNarrative: 'text' }, { weights: { title: 3, publicNarrative: 1 }, name: 'public_feed_text' });
+
+// Restart the SLA clock whenever a complaint is created or changes status.
+complaintSchema.pre('save', function () {
+    if (this.isNew || this.isModified('status')) {
+        this.sla = { enteredAt: new Date() };
+    }
+});
+
 const Complaint = mongoose.model('Complaint', complaintSchema);
 
 export default Complaint;
@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+
+export const CUSTODY_ACTIONS = [
+    'Uploaded',
+    'Attached',
+    'Accessed',
+    'Downloaded',
+    'Published',
+    'Unpublished',
+    'Visibility Changed',
+    'Transferred',
+    'Deleted',
+    'Quarantined',
+    'Released',
+];
+
+// One entry in an evidence file's chain-of-custody log. Entries are append-only: each one
+// stores the hash of the previous entry in the same chain (the case's, or the uploader's for
+// pre-uploads), so any edit, removal or
+// reordering breaks the chain and shows up when the custody report is generated.
+const custodyEventSchema = new mongoose.Schema(
+    {
+        complaint: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Complaint',
+            default: null, // Files pre-uploaded before their complaint exists
+        },
+        // Pre-uploads are chained per uploader, so users uploading at the same time do not
+        // compete for one chain. Null for a case's entries.
+        uploader: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+        sequence: {
+            type: Number,
+            required: true,
+        },
+        evidence: {
+            type: mongoose.Schema.Types.ObjectId, // The evidence record's _id on the complaint
+        },
+        url: {
+            type: String,
+            required: true,
+        },
+        sha256: String,
+        action: {
+            type: String,
+            enum: CUSTODY_ACTIONS,
+            required: true,
+        },
+        actor: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+        actorLabel: String, // Who acted when there is no user account, e.g. a respondent
+        ip: String,
+        details: String,
+        timestamp: {
+            type: Date,
+            default: Date.now,
+        },
+        prevHash: String,
+        hash: {
+            type: String,
+            required: true,
+        },
+    }
+);
+
+// Also serializes writers: two entries cannot claim the same position in a chain.
+custodyEventSchema.index({ complaint: 1, uploader: 1, sequence: 1 }, { unique: true });
+custodyEventSchema.index({ url: 1, timestamp: 1 });
+
+const rejectChange = function () {
+    throw new Error('Custody events are append-only and cannot be modified or deleted.');
+};
+
+for (const operation of ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete']) {
+    custodyEventSchema.pre(operation, rejectChange);
+}
+custodyEventSchema.pre('save', function () {
+    if (!this.isNew) rejectChange();
+});
+
+const CustodyEvent = mongoose.model('CustodyEvent', custodyEventSchema);
+
+export default CustodyEvent;
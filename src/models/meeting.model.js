@@ -0,0 +1,141 @@
+import mongoose from 'mongoose';
+
+const attendeeSchema = new mongoose.Schema({
+    kind: {
+        type: String,
+        enum: ['Complainant', 'Staff', 'Vendor'],
+        required: true,
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User', // Not set for vendors, who have no account
+    },
+    name: String,
+    email: String,
+}, { _id: false });
+
+// One entry per time offered while negotiating the meeting, oldest first.
+const proposalSchema = new mongoose.Schema({
+    proposedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    proposerRole: {
+        type: String,
+        enum: ['Complainant', 'Staff'],
+        required: true,
+    },
+    startAt: {
+        type: Date,
+        required: true,
+    },
+    reason: String,
+    status: {
+        type: String,
+        enum: ['Open', 'Accepted', 'Declined', 'Superseded'],
+        default: 'Open',
+    },
+    respondedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+    respondedAt: Date,
+    responseNote: String,
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+const meetingSchema = new mongoose.Schema(
+    {
+        complaint: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Complaint',
+            required: true,
+            index: true,
+        },
+        title: {
+            type: String,
+            trim: true,
+        },
+        startAt: {
+            type: Date,
+            required: [true, 'A start time is required.'],
+        },
+        endAt: {
+            type: Date,
+            required: [true, 'An end time is required.'],
+            validate: {
+                validator: function (value) { return value > this.startAt; },
+                message: 'The meeting must end after it starts.',
+            },
+        },
+        timezone: {
+            type: String,
+            required: true, // IANA zone the meeting was arranged in, e.g. 'Africa/Lagos'
+        },
+        mode: {
+            type: String,
+            enum: ['In Person', 'Virtual'],
+            default: 'In Person',
+        },
+        venue: {
+            name: String,
+            address: String,
+            key: String, // Normalized name used for conflict detection
+        },
+        virtualLink: String,
+        attendees: [attendeeSchema],
+        status: {
+            type: String,
+            enum: ['Scheduled', 'Cancelled', 'Completed'],
+            default: 'Scheduled',
+        },
+        complainantResponse: {
+            status: { type: String, enum: ['Pending', 'Accepted', 'Rejected', 'Expired'], default: 'Pending' },
+            proposedStart: Date,
+            reason: String,
+            respondedAt: Date,
+            deadline: Date, // The invitation expires if still Pending at this time
+        },
+        proposals: [proposalSchema],
+        // Set when the complainant booked a published slot, which is given back if the meeting moves or is cancelled
+        availabilityWindow: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'AvailabilityWindow',
+        },
+        // iCalendar SEQUENCE; bumped whenever the time, place or status changes so clients apply updates
+        icsSequence: {
+            type: Number,
+            default: 0,
+        },
+        cancellationReason: String,
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+    },
+    { timestamps: true }
+);
+
+meetingSchema.index({ status: 1, startAt: 1, endAt: 1 });
+meetingSchema.index({ 'attendees.user': 1, startAt: 1 });
+meetingSchema.index({ 'venue.key': 1, startAt: 1 });
+
+meetingSchema.pre('save', function () {
+    if (!this.isNew && this.isModified(['startAt', 'endAt', 'mode', 'venue', 'virtualLink', 'status'])) {
+        this.icsSequence += 1;
+    }
+    this.$locals.releaseSlot = Boolean(this.availabilityWindow) && !this.isNew
+        && (this.isModified('startAt') || (this.isModified('status') && this.status === 'Cancelled'));
+});
+
+meetingSchema.post('save', async function () {
+    if (!this.$locals.releaseSlot) return;
+    await mongoose.model('AvailabilityWindow').updateOne(
+        { _id: this.availabilityWindow },
+        { $pull: { bookings: { meeting: this._id } } }
+    );
+});
+
+const Meeting = mongoose.model('Meeting', meetingSchema);
+
+export default Meeting;
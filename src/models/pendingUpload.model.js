@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+
+// A stored file that is not yet (or no longer) referenced by a complaint. Pre-uploads start
+// 'Pending' and are 'Claimed' when a complaint is created with them; files a complaint deletion
+// failed to remove are queued as 'Failed Deletion'. The storage sweep deletes whatever is
+// still pending and records what it removed.
+const pendingUploadSchema = new mongoose.Schema(
+    {
+        url: {
+            type: String,
+            required: true,
+        },
+        provider: {
+            type: String,
+            enum: ['cloudinary', 'local'],
+            default: 'cloudinary',
+        },
+        storageKey: String,
+        resourceType: {
+            type: String,
+            enum: ['image', 'video', 'raw'],
+            default: 'raw',
+        },
+        originalName: String,
+        mimeType: String, // Sniffed from the file's contents at upload
+        scan: { // Copied onto the evidence record when a complaint claims the file
+            status: String,
+            scanner: String,
+            signature: String,
+            error: String,
+            scannedAt: Date,
+        },
+        uploadedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+        source: {
+            type: String,
+            enum: ['Pre-upload', 'Failed Deletion'],
+            default: 'Pre-upload',
+        },
+        status: {
+            type: String,
+            enum: ['Pending', 'Claimed', 'Deleted'],
+            default: 'Pending',
+        },
+        complaint: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Complaint', // The complaint that claimed the file, or the deleted complaint it belonged to
+        },
+        claimedAt: Date,
+        deletedAt: Date,
+        attempts: {
+            type: Number,
+            default: 0, // Failed sweep attempts
+        },
+        lastError: String,
+    },
+    { timestamps: true }
+);
+
+pendingUploadSchema.index({ status: 1, createdAt: 1 });
+pendingUploadSchema.index({ url: 1 });
+
+const PendingUpload = mongoose.model('PendingUpload', pendingUploadSchema);
+
+export default PendingUpload;
@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+// A version of what a case shows on the public feed: its public narrative and the evidence
+// selected for publication. Staff submit a revision as 'Pending Review'; an Admin other than
+// the submitter approves it ('Scheduled') or rejects it. A scheduled revision goes 'Live' at
+// `publishAt` once the complainant has approved the text, and stays live until a newer
+// revision replaces it ('Superseded') or the case is taken down ('Unpublished'). Open revisions
+// are 'Cancelled' when a newer one is submitted or the complainant withdraws consent.
+export const REVISION_STATUSES = ['Pending Review', 'Scheduled', 'Live', 'Rejected', 'Superseded', 'Unpublished', 'Cancelled'];
+
+const publicationRevisionSchema = new mongoose.Schema(
+    {
+        complaint: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Complaint',
+            required: true,
+        },
+        number: { // Counts up from 1 for each case
+            type: Number,
+            required: true,
+        },
+        publicNarrative: {
+            type: String,
+            required: [true, 'A public narrative is required.'],
+        },
+        narrativeHash: {
+            type: String,
+            required: true,
+        },
+        evidence: [{ // IDs of the complaint's evidence records shown with this revision
+            type: mongoose.Schema.Types.ObjectId,
+        }],
+        status: {
+            type: String,
+            enum: REVISION_STATUSES,
+            default: 'Pending Review',
+        },
+        submittedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+        notes: String, // The submitter's notes for the reviewer
+        piiOverride: { // Personal data findings the submitter acknowledged
+            count: Number,
+            types: [String],
+        },
+        review: {
+            reviewedBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User',
+            },
+            reviewedAt: Date,
+            notes: String, // Required when rejecting
+        },
+        publishAt: Date, // When an approved revision should go live
+        publishedAt: Date,
+        endedAt: Date, // When the revision stopped being live or open
+        endedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+        endReason: String, // Why it was unpublished, cancelled or rejected by the complainant
+    },
+    { timestamps: true }
+);
+
+publicationRevisionSchema.index({ complaint: 1, number: 1 }, { unique: true });
+publicationRevisionSchema.index({ status: 1, publishAt: 1 });
+
+const PublicationRevision = mongoose.model('PublicationRevision', publicationRevisionSchema);
+
+export default PublicationRevision;
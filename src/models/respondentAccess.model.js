@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+
+// One signed right-of-reply link sent to a case's respondent (vendor).
+// The link's token only carries this record's ID, so a link can be revoked before it expires.
+const respondentAccessSchema = new mongoose.Schema(
+    {
+        complaint: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Complaint',
+            required: true,
+            index: true,
+        },
+        email: {
+            type: String,
+            required: true,
+            lowercase: true,
+            trim: true,
+        },
+        name: String,
+        issuedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+        revokedAt: Date,
+        lastUsedAt: Date,
+    },
+    { timestamps: true }
+);
+
+const RespondentAccess = mongoose.model('RespondentAccess', respondentAccessSchema);
+
+export default RespondentAccess;
@@ -1,4 +1,40 @@
 import mongoose from 'mongoose';
+import { ACTIVE_STATUSES } from '../utils/complaintStatus.js';
+import { DEFAULT_EVIDENCE_FILE_TYPES } from '../utils/fileTypes.js';
+
+const slaTargetSchema = new mongoose.Schema({
+    status: {
+        type: String,
+        enum: ACTIVE_STATUSES,
+        required: true,
+    },
+    category: String, // Leave empty for the default target of this status
+    targetHours: {
+        type: Number,
+        required: true,
+        min: 1,
+    },
+}, { _id: false });
+
+const evidenceFileTypeSchema = new mongoose.Schema({
+    mimeType: {
+        type: String,
+        required: true,
+    },
+    extensions: {
+        type: [String], // Lower-case, without the dot
+        validate: {
+            validator: (extensions) => extensions.length > 0,
+            message: 'Each evidence file type needs at least one extension.',
+        },
+    },
+    maxSizeMb: {
+        type: Number,
+        required: true,
+        min: 1,
+        max: 500, // The upload middleware's hard limit
+    },
+}, { _id: false });
 
 const appSettingsSchema = new mongoose.Schema({
     autoVerifyUsers: {
@@ -13,6 +49,34 @@ const appSettingsSchema = new mongoose.Schema({
         type: Boolean,
         default: false, // Default to disabled
     },
+    // --- Service Level Agreements ---
+    slaTargets: {
+        type: [slaTargetSchema],
+        default: [
+            { status: 'Pending Review', targetHours: 72 },
+            { status: 'Approved for Scheduling', targetHours: 120 },
+        ],
+    },
+    reopenWindowDays: {
+        type: Number,
+        default: 14, // How long after closure a complainant may ask for a case to be reopened
+        min: 0,
+    },
+    invitationResponseHours: {
+        type: Number,
+        default: 48, // How long a complainant has to answer a meeting invitation before it expires
+        min: 1,
+    },
+    slaWarningHours: {
+        type: Number,
+        default: 24, // Warn the assignee this many hours before a deadline
+        min: 0,
+    },
+    // --- Evidence Uploads ---
+    evidenceFileTypes: {
+        type: [evidenceFileTypeSchema],
+        default: DEFAULT_EVIDENCE_FILE_TYPES, // File types complainants, respondents and staff may upload
+    },
 });
 
 // Create a singleton-like model. We only ever want one document.
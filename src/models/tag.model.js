@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+const tagSchema = new mongoose.Schema(
+    {
+        // Slug stored on complaints, e.g. 'media-interest'. It cannot be renamed once in use.
+        name: {
+            type: String,
+            required: [true, 'A tag name is required.'],
+            unique: true,
+            lowercase: true,
+            trim: true,
+            match: [/^[a-z0-9]+(-[a-z0-9]+)*$/, 'Tag names may only contain lowercase letters, numbers and hyphens.'],
+        },
+        description: {
+            type: String,
+            trim: true,
+        },
+        color: {
+            type: String,
+            default: '#64748B', // Hex colour for the triage board
+            match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex value like #2DD4BF.'],
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+    },
+    { timestamps: true }
+);
+
+const Tag = mongoose.model('Tag', tagSchema);
+
+export default Tag;
@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+export const TAXONOMY_KINDS = ['category', 'desiredAction', 'initiativeCategory'];
+
+const taxonomySchema = new mongoose.Schema(
+    {
+        kind: {
+            type: String,
+            enum: TAXONOMY_KINDS,
+            required: true,
+        },
+        // The value stored on complaints. It never changes, so existing complaints keep matching.
+        value: {
+            type: String,
+            required: [true, 'A value is required.'],
+            trim: true,
+        },
+        label: {
+            type: String,
+            required: [true, 'A label is required.'],
+            trim: true,
+        },
+        description: {
+            type: String,
+            trim: true,
+        },
+        isActive: {
+            type: Boolean,
+            default: true, // Retired entries stay valid on existing complaints but are hidden from new submissions
+        },
+        order: {
+            type: Number,
+            default: 0,
+        },
+    },
+    { timestamps: true }
+);
+
+taxonomySchema.index({ kind: 1, value: 1 }, { unique: true });
+taxonomySchema.index({ kind: 1, order: 1 });
+
+const Taxonomy = mongoose.model('Taxonomy', taxonomySchema);
+
+export default Taxonomy;
@@ -78,6 +78,13 @@ const userSchema = new mongoose.Schema(
         },
         statusHistory: [statusHistorySchema],
         verificationHistory: [verificationHistorySchema],
+        // SHA-256 of the secret token in the user's calendar feed URL (staff only)
+        calendarFeedTokenHash: {
+            type: String,
+            select: false,
+            unique: true,
+            sparse: true,
+        },
         // Web Push Subscription Object
         pushSubscription: {
             endpoint: String,
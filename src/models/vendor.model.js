@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+const vendorSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: [true, 'A vendor name is required.'],
+            trim: true,
+        },
+        // Lowercased name without punctuation or company suffixes, used for matching.
+        normalizedName: {
+            type: String,
+            required: true,
+            unique: true,
+            index: true,
+        },
+        aliases: [{ type: String, trim: true }], // Other names this business has been reported under
+        normalizedAliases: {
+            type: [String],
+            index: true,
+        },
+        // Normalized identifiers seen on complaints against this vendor.
+        identifiers: {
+            contacts: { type: [String], index: true },
+            socialHandles: { type: [String], index: true },
+        },
+    },
+    { timestamps: true }
+);
+
+const Vendor = mongoose.model('Vendor', vendorSchema);
+
+export default Vendor;
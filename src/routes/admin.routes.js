@@ -8,7 +8,11 @@ import {
     vetCase,
     getComplaintStats,
     closeCase, bulkDeleteComplaints, updateComplaintDetails,
+    getComplaintTransitions,
+    getReopenRequests,
+    reviewReopenRequest,
     addNote,
+    updateEvidenceVisibility,
     revertCaseToPending,
     reviewAppeal,
     respondToUserProposal,
@@ -31,6 +35,26 @@ import {
     resendInvitation,
     getNotificationAnalytics,
 } from '../controllers/admin.controller.js';
+import { assignComplaint, claimComplaint, getStaffWorkload } from '../controllers/assignment.controller.js';
+import { getDuplicateCandidates, linkComplaints, unlinkComplaints, mergeComplaints } from '../controllers/caseLink.controller.js';
+import { getVendors, getVendorById, updateVendor, mergeVendors, backfillVendors } from '../controllers/vendor.controller.js';
+import {
+    getPublicationRevisions,
+    getRevisionQueue,
+    submitPublicationRevision,
+    reviewPublicationRevision,
+    unpublishCase,
+} from '../controllers/publication.controller.js';
+import { getAdminTaxonomy, createTaxonomyEntry, updateTaxonomyEntry, deleteTaxonomyEntry } from '../controllers/taxonomy.controller.js';
+import { getTags, createTag, updateTag, deleteTag, updateComplaintTags } from '../controllers/tag.controller.js';
+import { getMeetings, rescheduleMeeting, cancelMeeting } from '../controllers/meeting.controller.js';
+import { createAvailability, getAvailability, withdrawAvailability } from '../controllers/availability.controller.js';
+import { createCalendarFeed, revokeCalendarFeed } from '../controllers/calendar.controller.js';
+import { getCustodyReport } from '../controllers/custody.controller.js';
+import { getPendingUploads, runStorageSweep } from '../controllers/storage.controller.js';
+import { getQuarantinedEvidence, rescanEvidence, releaseEvidence } from '../controllers/quarantine.controller.js';
+import { getRedactionSuggestion } from '../controllers/redaction.controller.js';
+import { approveRespondentSummary, sendRespondentLink, revokeRespondentLink } from '../controllers/respondent.controller.js';
 
 const router = Router();
 
@@ -43,8 +67,10 @@ router.get('/stats/users', getUserStats);
 router.get('/stats/daily-active-users', getDailyActiveUsers);
 router.get('/analytics', getAnalytics); // New comprehensive analytics endpoint
 router.get('/stats/notifications', getNotificationAnalytics);
+router.get('/stats/workload', getStaffWorkload); // Active cases per staff member
 
 router.delete('/complaints/bulk', bulkDeleteComplaints); // New route for bulk deletion
+router.put('/complaints/tags', updateComplaintTags); // Add/remove tags on one or many complaints
 
 // User Management Center (UMC) Routes
 router.get('/users', getAllUsers);
@@ -64,12 +90,75 @@ router.put('/vet-case/:caseId', vetCase);
 router.put('/schedule-case/:caseId', scheduleCase);
 router.post('/resend-invitation/:caseId', resendInvitation); // New route for resending invitation
 router.put('/invitation-response/:complaintId', respondToUserProposal);
+router.get('/meetings', getMeetings); // Staff and venue calendar
+router.put('/meetings/:meetingId', rescheduleMeeting);
+router.put('/meetings/:meetingId/cancel', cancelMeeting);
+router.route('/availability')
+    .get(getAvailability)
+    .post(createAvailability);
+router.put('/availability/:id/withdraw', withdrawAvailability);
+router.route('/calendar/feed') // Personal ICS subscription URL
+    .post(createCalendarFeed)
+    .delete(revokeCalendarFeed);
 router.put('/revert-case/:caseId', revertCaseToPending); // New route to revert a case
 router.put('/close-case/:caseId', closeCase);
+router.get('/reopen-requests', getReopenRequests); // Review queue for contested closures
+router.put('/complaint/:id/reopen-request', reviewReopenRequest);
 router.put('/complaint/:id/details', updateComplaintDetails); // New route to edit complaint details
+router.post('/complaint/:id/redaction-suggestion', getRedactionSuggestion); // Redacted draft of the public narrative
+router.route('/complaint/:id/publication/revisions') // Versions of the public narrative and evidence
+    .get(getPublicationRevisions)
+    .post(submitPublicationRevision);
+router.put('/complaint/:id/unpublish', unpublishCase); // Take a case off the public feed, with a reason
+router.get('/publication/revisions', getRevisionQueue); // Revisions waiting for Admin review
+router.put('/publication/revisions/:revisionId/review', reviewPublicationRevision); // Admin approves and schedules, or rejects
+router.get('/complaint/:id/transitions', getComplaintTransitions); // Statuses the dashboard may offer for this case
+router.put('/complaint/:id/assign', assignComplaint); // Assign or reassign a case owner
+router.post('/complaint/:id/claim', claimComplaint); // Self-claim an unassigned case
+router.get('/complaint/:id/duplicates', getDuplicateCandidates); // Possible duplicate/related cases
+router.post('/complaint/:id/links', linkComplaints); // Link a related case
+router.delete('/complaint/:id/links/:targetId', unlinkComplaints);
+router.post('/complaint/:id/merge', mergeComplaints); // Merge this duplicate into a primary case
+router.put('/complaint/:id/respondent-summary', approveRespondentSummary); // Summary shown to the respondent
+router.route('/complaint/:id/respondent-link') // Right-of-reply link for mediation cases
+    .post(sendRespondentLink)
+    .delete(revokeRespondentLink);
 router.post('/complaint/:caseId/notes', addNote); // New route to add a note
+router.put('/complaint/:id/evidence/:evidenceId', updateEvidenceVisibility); // Share with or hide from the complainant
+router.get('/complaint/:id/custody-report', getCustodyReport); // Evidence hashes and handling history
+router.post('/complaint/:id/evidence/:evidenceId/rescan', rescanEvidence); // Rerun the malware scan
+router.put('/complaint/:id/evidence/:evidenceId/release', releaseEvidence); // Override a quarantine after review
+router.get('/evidence/quarantine', getQuarantinedEvidence); // Files held back by the malware scan
 router.put('/appeals/:userId/review', reviewAppeal); // New route for reviewing appeals
 
+// --- Storage Cleanup Routes ---
+router.get('/storage/pending-uploads', getPendingUploads); // Unclaimed pre-uploads and queued deletions
+router.post('/storage/sweep', runStorageSweep); // Run the orphaned upload sweep now
+
+// --- Vendor Registry Routes ---
+router.get('/vendors', getVendors);
+router.post('/vendors/backfill', backfillVendors); // Link existing complaints to vendors
+router.route('/vendors/:id')
+    .get(getVendorById)
+    .put(updateVendor);
+router.post('/vendors/:id/merge', mergeVendors); // Merge alias vendors into this one
+
+// --- Taxonomy Routes (categories, desired actions, initiative categories) ---
+router.route('/taxonomy')
+    .get(getAdminTaxonomy)
+    .post(createTaxonomyEntry);
+router.route('/taxonomy/:id')
+    .put(updateTaxonomyEntry)
+    .delete(deleteTaxonomyEntry);
+
+// --- Tag Vocabulary Routes ---
+router.route('/tags')
+    .get(getTags)
+    .post(createTag);
+router.route('/tags/:id')
+    .put(updateTag)
+    .delete(deleteTag);
+
 // --- Settings Route ---
 router.route('/settings')
     .get(getAppSettings)
@@ -0,0 +1,9 @@
+import { Router } from 'express';
+import { getCalendarFeed } from '../controllers/calendar.controller.js';
+
+const router = Router();
+
+// Not JWT-protected: calendar apps authenticate with the secret token in the URL.
+router.get('/feeds/:token.ics', getCalendarFeed);
+
+export default router;
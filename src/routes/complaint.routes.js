@@ -1,5 +1,7 @@
 import { Router } from 'express';
-import { createComplaint, getUserComplaints, getComplaintById, uploadEvidence, updateComplaint, deleteComplaint, deleteEvidence, getComplaintStats } from '../controllers/complaint.controller.js';
+import { createComplaint, getUserComplaints, getComplaintById, getComplaintByRef, uploadEvidence, updateComplaint, deleteComplaint, deleteEvidence, preUploadEvidence, downloadEvidence, getComplaintStats, withdrawComplaint, requestReopen, updatePublicationPreference, decidePublicNarrative } from '../controllers/complaint.controller.js';
+import { getMessages, sendMessage, authorizeThreadPost, markMessagesAsRead, getUnreadMessageCounts } from '../controllers/message.controller.js';
+import { getCaseMeetings } from '../controllers/meeting.controller.js';
 import { verifyJWT } from '../middleware/auth.middleware.js';
 import { uploadEvidenceToCloudinary, uploadMvoiEvidenceToCloudinary } from '../middleware/multer.middleware.js';
 
@@ -9,11 +11,14 @@ const router = Router();
 router.use(verifyJWT);
 
 router.route('/stats').get(getComplaintStats);
+router.get('/messages/unread', getUnreadMessageCounts); // Unread message counts per case
 
 router.route('/')
     .post(createComplaint)
     .get(getUserComplaints);
 
+router.get('/ref/:caseRef', getComplaintByRef); // Resolves merged caseRefs to their primary case
+
 router.route('/:id')
  .get(getComplaintById)
     .put(updateComplaint)
@@ -25,21 +30,14 @@ const caseUploadMiddleware = uploadEvidenceToCloudinary.array('evidenceFiles', 5
 const genericUploadMiddleware = uploadMvoiEvidenceToCloudinary.array('evidenceFiles', 50);
 
 // New dedicated route for pre-uploading evidence before complaint creation
-router.route('/upload-evidence-only').post((req, res) => {
+router.route('/upload-evidence-only').post((req, res, next) => {
     genericUploadMiddleware(req, res, function (err) {
-        if (err) {
-            // This will catch errors from the fileFilter (like invalid file type)
-            // and other Multer errors, returning a clean 400 response.
-            return res.status(400).json({ message: err.message });
-        }
-
-        if (!req.files || req.files.length === 0) {
-            return res.status(400).json({ message: 'No evidence files provided.' });
-        }
-        const evidenceUrls = req.files.map(file => file.path);
-        return res.status(200).json({ evidenceUrls });
+        // This will catch errors from the fileFilter (like invalid file type)
+        // and other Multer errors, returning a clean 400 response.
+        if (err) return res.status(400).json({ message: err.message });
+        next();
     });
-});
+}, preUploadEvidence);
 
 router.route('/:id/upload-evidence')
     .post((req, res, next) => {
@@ -50,6 +48,29 @@ router.route('/:id/upload-evidence')
     }, uploadEvidence);
 
 router.route('/:id/evidence')
-    .delete(deleteEvidence); // New route to delete evidence
+    .delete(deleteEvidence); // Legacy: identifies the file by URL in the body
+router.delete('/:id/evidence/:evidenceId', deleteEvidence);
+router.get('/:id/evidence/:evidenceId/download', downloadEvidence); // Logged in the file's custody record
+
+router.post('/:id/withdraw', withdrawComplaint);
+router.post('/:id/reopen-request', requestReopen); // Contest a closure within the reopen window
+router.put('/:id/publication-preference', updatePublicationPreference); // Consent to the public feed, named or anonymous
+router.put('/:id/public-narrative/decision', decidePublicNarrative); // Approve or reject the proposed public text
+
+// Message attachments go through the same evidence uploader as case files
+const messageAttachmentMiddleware = uploadEvidenceToCloudinary.array('attachments', 10);
+
+router.route('/:id/messages')
+    .get(getMessages)
+    .post(authorizeThreadPost, (req, res, next) => {
+        messageAttachmentMiddleware(req, res, function (err) {
+            if (err) return res.status(400).json({ message: err.message });
+            next();
+        });
+    }, sendMessage);
+
+router.put('/:id/messages/read', markMessagesAsRead);
+
+router.get('/:id/meetings', getCaseMeetings);
 
 export default router;
\ No newline at end of file
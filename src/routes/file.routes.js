@@ -0,0 +1,12 @@
+import { Router } from 'express';
+import { getLocalFile } from '../controllers/file.controller.js';
+import { verifyJWT } from '../middleware/auth.middleware.js';
+
+const router = Router();
+
+// Signed links carry their own authorization; everything else needs an access token.
+const verifySignedLinkOrJWT = (req, res, next) => (req.query.signature ? next() : verifyJWT(req, res, next));
+
+router.get('/*key', verifySignedLinkOrJWT, getLocalFile); // Files held by the local storage provider
+
+export default router;
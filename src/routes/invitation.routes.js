@@ -1,5 +1,5 @@
 import { Router } from 'express';
-import { respondToInvitation } from '../controllers/invitation.controller.js';
+import { respondToInvitation, getOpenSlots, bookSlot } from '../controllers/invitation.controller.js';
 import { verifyJWT } from '../middleware/auth.middleware.js';
 
 const router = Router();
@@ -8,5 +8,7 @@ const router = Router();
 router.use(verifyJWT);
 
 router.put('/:complaintId/respond', respondToInvitation);
+router.get('/:complaintId/slots', getOpenSlots); // Published staff availability
+router.post('/:complaintId/book', bookSlot);
 
 export default router;
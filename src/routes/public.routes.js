@@ -6,14 +6,21 @@ import {
     getPublicSettings,
     getPublicStats
 } from '../controllers/public.controller.js';
+import { getPublicTaxonomy } from '../controllers/taxonomy.controller.js';
+import { optionalJWT } from '../middleware/auth.middleware.js';
+import { guardPublicResponse } from '../middleware/publicResponse.middleware.js';
 
 const router = Router();
 
-// This is a public-facing route, no authentication is required.
+// This is a public-facing route, no authentication is required. A signed-in caller is
+// recognised so their own reactions can be shown.
+router.use(optionalJWT, guardPublicResponse);
+
 router.get('/complaints', getPublicComplaints);
 router.get('/complaints/:id', getPublicComplaintById);
 router.post('/complaints/:id/sentiment', handleSentiment); // New sentiment route
 router.get('/settings', getPublicSettings); // New public settings route
 router.get('/stats', getPublicStats);
+router.get('/taxonomy', getPublicTaxonomy); // Active options for the intake forms
 
 export default router;
@@ -0,0 +1,22 @@
+import { Router } from 'express';
+import { getRespondentCase, loadActiveRespondentCase, submitRespondentResponse, uploadRespondentEvidence, decideMediation } from '../controllers/respondent.controller.js';
+import { verifyRespondentToken } from '../middleware/respondent.middleware.js';
+import { uploadRespondentEvidenceToCloudinary } from '../middleware/multer.middleware.js';
+
+const router = Router();
+
+// Respondents have no account; they authenticate with the signed link sent by staff.
+router.use(verifyRespondentToken);
+
+router.get('/case', getRespondentCase);
+router.post('/response', loadActiveRespondentCase, submitRespondentResponse);
+router.post('/evidence', loadActiveRespondentCase, (req, res, next) => {
+    uploadRespondentEvidenceToCloudinary.array('evidence', 10)(req, res, function (err) {
+        // Rejected file types and oversized files are reported as a clean 400 response.
+        if (err) return res.status(400).json({ message: err.message });
+        next();
+    });
+}, uploadRespondentEvidence);
+router.put('/mediation', loadActiveRespondentCase, decideMediation);
+
+export default router;
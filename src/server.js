@@ -3,6 +3,10 @@ import 'dotenv/config';
 import app from './app.js';
 import connectDB from './config/db.js';
 import './workers/notification.worker.js'; // Start the worker
+import './workers/sla.worker.js'; // Start the SLA monitor
+import './workers/meeting.worker.js'; // Start meeting reminders and invitation deadlines
+import './workers/storage.worker.js'; // Start the orphaned upload sweep
+import './workers/publication.worker.js'; // Start scheduled publication of approved revisions
 
 const PORT = process.env.PORT || 8000;
 
@@ -0,0 +1,71 @@
+import AvailabilityWindow from '../models/availability.model.js';
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Checks that a start time falls on one of a window's slot boundaries.
+ * @param {object} window - An availability window.
+ * @param {Date} slotStart
+ * @returns {boolean}
+ */
+export const isWindowSlot = (window, slotStart) => {
+    const offset = slotStart.getTime() - window.startAt.getTime();
+    const slotMs = window.slotMinutes * MINUTE_MS;
+    return offset >= 0 && offset % slotMs === 0 && slotStart.getTime() + slotMs <= window.endAt.getTime();
+};
+
+/**
+ * Splits a window into its slots with the number of places left in each.
+ * Slots that have started, or are full, are left out.
+ * @param {object} window - An availability window (lean or document).
+ * @param {Date} [now]
+ * @returns {{startAt: Date, endAt: Date, remaining: number}[]}
+ */
+export const getOpenWindowSlots = (window, now = new Date()) => {
+    const slotMs = window.slotMinutes * MINUTE_MS;
+    const slots = [];
+
+    for (let start = window.startAt.getTime(); start + slotMs <= window.endAt.getTime(); start += slotMs) {
+        if (start <= now.getTime()) continue;
+        const booked = window.bookings.filter(b => b.slotStart.getTime() === start).length;
+        if (booked >= window.capacity) continue;
+        slots.push({ startAt: new Date(start), endAt: new Date(start + slotMs), remaining: window.capacity - booked });
+    }
+
+    return slots;
+};
+
+/**
+ * Atomically reserves a place in a slot. Fails if the slot is full, the window was
+ * withdrawn, or the case already holds a booking in this window.
+ * @param {object} params
+ * @param {string} params.windowId
+ * @param {Date} params.slotStart
+ * @param {string} params.complaintId
+ * @param {string} params.userId - The complainant making the booking.
+ * @returns {Promise<mongoose.Document | null>} The updated window, or null if the slot could not be taken.
+ */
+export const reserveSlot = ({ windowId, slotStart, complaintId, userId }) => AvailabilityWindow.findOneAndUpdate(
+    {
+        _id: windowId,
+        isActive: true,
+        'bookings.complaint': { $ne: complaintId },
+        // Count the slot's bookings inside the query so the check and the push are one operation.
+        $expr: {
+            $lt: [
+                { $size: { $filter: { input: '$bookings', cond: { $eq: ['$$this.slotStart', slotStart] } } } },
+                '$capacity',
+            ],
+        },
+    },
+    { $push: { bookings: { slotStart, complaint: complaintId, bookedBy: userId } } },
+    { new: true }
+);
+
+/**
+ * Gives back a case's place in a window, e.g. when booking fails part-way through.
+ */
+export const releaseSlot = (windowId, complaintId) => AvailabilityWindow.updateOne(
+    { _id: windowId },
+    { $pull: { bookings: { complaint: complaintId } } }
+);
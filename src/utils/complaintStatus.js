@@ -0,0 +1,116 @@
+/**
+ * Central state machine for `Complaint.status`.
+ * Every controller that changes a complaint's status must go through `transitionStatus`
+ * so illegal moves are rejected consistently and `statusHistory` is always recorded.
+ */
+
+export const COMPLAINT_STATUSES = [
+    'Draft',
+    'Pending Review',
+    'Approved for Scheduling',
+    'Ongoing',
+    'Rejected',
+    'Case Active',
+    'Closed',
+];
+
+// Statuses in which a case still needs work from the team.
+export const ACTIVE_STATUSES = ['Pending Review', 'Approved for Scheduling', 'Ongoing', 'Case Active'];
+
+// Map of current status -> statuses it may move to.
+export const STATUS_TRANSITIONS = {
+    'Draft': ['Pending Review'], // Auto-accepted submissions go straight on (see `autoAccept`)
+    'Pending Review': ['Approved for Scheduling', 'Rejected', 'Closed'],
+    'Approved for Scheduling': ['Ongoing', 'Pending Review', 'Closed'],
+    'Ongoing': ['Case Active', 'Approved for Scheduling', 'Closed'],
+    'Rejected': ['Pending Review', 'Closed'],
+    'Case Active': ['Closed'],
+    'Closed': [], // Terminal; only an Admin approving a reopen request moves it back (see `allowReopen`)
+};
+
+/**
+ * Error thrown when a status change is not permitted by the transition table.
+ * Controllers translate it into a 409 Conflict response.
+ */
+export class StatusTransitionError extends Error {
+    constructor(from, to, allowedTransitions = getAllowedTransitions(from)) {
+        super(`Cannot move case from '${from}' to '${to}'.`);
+        this.name = 'StatusTransitionError';
+        this.statusCode = 409;
+        this.from = from;
+        this.to = to;
+        this.allowedTransitions = allowedTransitions;
+    }
+}
+
+/**
+ * Returns the statuses a complaint in the given status can move to.
+ * @param {string} status - The current status.
+ * @returns {string[]}
+ */
+export const getAllowedTransitions = (status) => STATUS_TRANSITIONS[status] || [];
+
+/**
+ * Checks whether a move between two statuses is allowed.
+ * @param {string} from - The current status.
+ * @param {string} to - The requested status.
+ * @returns {boolean}
+ */
+export const canTransition = (from, to) => getAllowedTransitions(from).includes(to);
+
+/**
+ * Returns the status a complaint is given when it is submitted.
+ * @param {boolean} autoAccept - Whether the settings auto-accept new cases.
+ * @returns {string}
+ */
+export const getSubmittedStatus = (autoAccept) => (autoAccept ? 'Approved for Scheduling' : 'Pending Review');
+
+/**
+ * Moves a complaint document to a new status and appends a `statusHistory` entry.
+ * The document is not saved; the caller is responsible for calling `save()`.
+ * @param {mongoose.Document} complaint - The complaint document.
+ * @param {string} to - The requested status.
+ * @param {object} options
+ * @param {string} [options.changedBy] - The ID of the acting user.
+ * @param {string} [options.notes] - Optional notes for the history entry.
+ * @param {boolean} [options.allowReopen=false] - Permit moving a 'Closed' case back to
+ *   'Pending Review'. Only set when an Admin approves the complainant's reopen request.
+ * @param {boolean} [options.autoAccept=false] - Permit moving a 'Draft' straight to
+ *   'Approved for Scheduling'. Only set when the complainant submits a draft and the
+ *   settings auto-accept new cases.
+ * @param {string[]} [options.fromStatuses] - Only allow the move from these statuses, for
+ *   actions narrower than the table (e.g. reverting a case).
+ * @throws {StatusTransitionError} If the move is not allowed.
+ */
+export const transitionStatus = (complaint, to, { changedBy, notes, allowReopen = false, autoAccept = false, fromStatuses } = {}) => {
+    const from = complaint.status;
+    if (fromStatuses && !fromStatuses.includes(from)) {
+        throw new StatusTransitionError(from, to, []);
+    }
+    const reopening = allowReopen && from === 'Closed' && to === 'Pending Review';
+    const autoAccepting = autoAccept && from === 'Draft' && to === 'Approved for Scheduling';
+    if (!reopening && !autoAccepting && !canTransition(from, to)) {
+        throw new StatusTransitionError(from, to);
+    }
+
+    complaint.status = to;
+    complaint.statusHistory.push({
+        status: to,
+        from,
+        changedBy,
+        notes,
+        timestamp: new Date(),
+    });
+};
+
+/**
+ * Builds the consistent 409 response body for a rejected transition.
+ * @param {StatusTransitionError} error
+ * @returns {object}
+ */
+export const transitionErrorBody = (error) => ({
+    message: error.message,
+    currentStatus: error.from,
+    requestedStatus: error.to,
+    allowedTransitions: error.allowedTransitions,
+});
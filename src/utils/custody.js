@@ -0,0 +1,259 @@
+import crypto from 'crypto';
+import CustodyEvent from '../models/custodyEvent.model.js';
+import User from '../models/user.model.js';
+import { getStoredFile } from './storage/index.js';
+
+const MAX_APPEND_ATTEMPTS = 5;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Computes an entry's hash from its content and the previous entry's hash.
+ * The field order is fixed so the hash can be recomputed when verifying.
+ */
+const hashEntry = (entry) => sha256(JSON.stringify([
+    entry.complaint ? entry.complaint.toString() : null,
+    entry.sequence,
+    entry.evidence ? entry.evidence.toString() : null,
+    entry.url,
+    entry.sha256 || null,
+    entry.action,
+    entry.actor ? entry.actor.toString() : null,
+    entry.actorLabel || null,
+    entry.ip || null,
+    entry.details || null,
+    new Date(entry.timestamp).toISOString(),
+    entry.prevHash || null,
+    // Only pre-uploads belong to an uploader's chain; leaving it out otherwise keeps earlier hashes valid.
+    ...(entry.uploader ? [entry.uploader.toString()] : []),
+]));
+
+/**
+ * Describes who is acting on a request, for custody entries.
+ */
+const getActor = (req) => {
+    if (req?.respondentAccess) {
+        return { actorLabel: `Respondent (${req.respondentAccess.email})` };
+    }
+    return { actor: req?.user?._id, actorLabel: req?.user ? undefined : 'System' };
+};
+
+/**
+ * Appends entries to a case's custody log, chaining each to the one before it. Files
+ * pre-uploaded before their complaint exists are logged in their uploader's chain instead.
+ * Concurrent writers collide on the (complaint, uploader, sequence) index, so the batch is
+ * retried against the new head of the chain.
+ * @param {string|null} complaintId - Null for files pre-uploaded before their complaint exists.
+ * @param {Array<{evidence?: string, url: string, sha256?: string, action: string, details?: string}>} events
+ * @param {object} [req] - The request, used to record the acting user or respondent and their IP.
+ * @param {object} [options]
+ * @param {string} [options.uploader] - The pre-uploads' uploader. Defaults to the requesting user.
+ * @returns {Promise<object[]>} The stored entries.
+ */
+export const recordCustodyEvents = async (complaintId, events, req, { uploader = req?.user?._id } = {}) => {
+    if (events.length === 0) return [];
+
+    const chain = complaintId
+        ? { complaint: complaintId, uploader: null }
+        : { complaint: null, uploader: uploader || null };
+
+    for (let attempt = 1; ; attempt++) {
+        const head = await CustodyEvent.findOne(chain).sort({ sequence: -1 }).select('sequence hash').lean();
+        let sequence = head ? head.sequence : 0;
+        let prevHash = head?.hash;
+
+        const entries = events.map(event => {
+            const entry = {
+                ...chain,
+                sequence: ++sequence,
+                evidence: event.evidence,
+                url: event.url,
+                sha256: event.sha256,
+                action: event.action,
+                ...getActor(req),
+                ip: req?.ip,
+                details: event.details,
+                timestamp: new Date(),
+                prevHash,
+            };
+            entry.hash = hashEntry(entry);
+            prevHash = entry.hash;
+            return entry;
+        });
+
+        try {
+            return await CustodyEvent.insertMany(entries, { ordered: true });
+        } catch (error) {
+            if (error.code !== 11000 || attempt >= MAX_APPEND_ATTEMPTS) throw error;
+            // An ordered insert stops at the collision, so the entries before it are already
+            // chained correctly; retry the rest against the new head.
+            const inserted = await CustodyEvent.countDocuments({ hash: { $in: entries.map(entry => entry.hash) } });
+            events = events.slice(inserted);
+        }
+    }
+};
+
+/**
+ * Records the same action for several evidence records.
+ * @param {string|null} complaintId
+ * @param {object[]} files - Evidence records.
+ * @param {string} action
+ * @param {object} [req]
+ * @param {string} [details]
+ * @param {object} [options] - As for `recordCustodyEvents`.
+ */
+export const recordEvidenceCustody = (complaintId, files, action, req, details, options) => recordCustodyEvents(
+    complaintId,
+    files.map(file => ({ evidence: file._id, url: file.url, sha256: file.sha256, action, details })),
+    req,
+    options
+);
+
+/**
+ * Fills in the ingest hashes of files pre-uploaded before their complaint was created. Hashes
+ * come from the custody log written at upload time, never from the client; files the user
+ * did not upload through the pre-upload endpoint are left without a hash.
+ * @param {object[]} records - Evidence records built from the client's input.
+ * @param {string} uploadedBy
+ * @returns {Promise<Map<string, object>>} The matching upload entries, keyed by URL.
+ */
+export const applyPreUploadHashes = async (records, uploadedBy) => {
+    if (records.length === 0) return new Map();
+
+    const uploads = await CustodyEvent.find({
+        complaint: null,
+        action: 'Uploaded',
+        actor: uploadedBy,
+        url: { $in: records.map(record => record.url) },
+    }).lean();
+    const uploadsByUrl = new Map(uploads.map(upload => [upload.url, upload]));
+
+    for (const record of records) {
+        record.sha256 = uploadsByUrl.get(record.url)?.sha256;
+    }
+    return uploadsByUrl;
+};
+
+/**
+ * Checks that a case's custody entries are complete and unaltered.
+ * @param {object[]} entries - The case's entries, in sequence order.
+ * @returns {{valid: boolean, brokenAt: number|null, reason: string|null}}
+ */
+export const verifyCustodyChain = (entries) => {
+    let prevHash;
+    for (const [index, entry] of entries.entries()) {
+        if (entry.sequence !== index + 1) {
+            return { valid: false, brokenAt: entry.sequence, reason: 'An entry is missing from the log.' };
+        }
+        if ((entry.prevHash || undefined) !== prevHash) {
+            return { valid: false, brokenAt: entry.sequence, reason: 'The entry does not follow the one before it.' };
+        }
+        if (hashEntry(entry) !== entry.hash) {
+            return { valid: false, brokenAt: entry.sequence, reason: 'The entry has been altered.' };
+        }
+        prevHash = entry.hash;
+    }
+    return { valid: true, brokenAt: null, reason: null };
+};
+
+/**
+ * Reads a stored file back from its storage provider and returns its SHA-256 hash.
+ * @param {object} record - An evidence record.
+ * @returns {Promise<string>}
+ */
+export const hashStoredFile = async (record) => {
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of await getStoredFile(record)) {
+        hash.update(chunk);
+    }
+    return hash.digest('hex');
+};
+
+/**
+ * Builds the custody report for a case: every file's ingest hash and full handling history,
+ * with the result of verifying the log. Works for deleted cases too, since the log outlives them.
+ * @param {string} complaintId
+ * @param {object} [options]
+ * @param {object} [options.complaint] - The complaint, if it still exists.
+ * @param {boolean} [options.verifyFiles=false] - Re-download current files and compare their hashes.
+ * @param {object} [options.generatedBy] - The staff member requesting the report.
+ * @returns {Promise<object>}
+ */
+export const buildCustodyReport = async (complaintId, { complaint, verifyFiles = false, generatedBy } = {}) => {
+    const entries = await CustodyEvent.find({ complaint: complaintId }).sort({ sequence: 1 }).lean();
+    const chain = verifyCustodyChain(entries);
+
+    // Files pre-uploaded before the case existed carry their upload entry in the pre-submission log.
+    const preUploads = await CustodyEvent.find({
+        complaint: null,
+        action: 'Uploaded',
+        url: { $in: [...new Set(entries.filter(entry => entry.action === 'Attached').map(entry => entry.url))] },
+    }).lean();
+
+    // Looked up separately so the entries are verified exactly as stored.
+    const actorIds = [...new Set([...entries, ...preUploads].filter(entry => entry.actor).map(entry => entry.actor.toString()))];
+    const actors = new Map((await User.find({ _id: { $in: actorIds } }).select('fullName role').lean())
+        .map(user => [user._id.toString(), user]));
+
+    const currentFiles = new Map([
+        ...(complaint?.evidence || []).map(file => [file._id.toString(), { file, source: 'Complainant' }]),
+        ...(complaint?.respondent?.evidence || []).map(file => [file._id.toString(), { file, source: 'Respondent' }]),
+    ]);
+
+    const describeEntry = (entry) => ({
+        sequence: entry.sequence,
+        action: entry.action,
+        timestamp: entry.timestamp,
+        actor: entry.actor ? (actors.get(entry.actor.toString()) || { _id: entry.actor }) : undefined,
+        actorLabel: entry.actorLabel,
+        ip: entry.ip,
+        sha256: entry.sha256,
+        details: entry.details,
+        hash: entry.hash,
+    });
+
+    const files = new Map();
+    for (const entry of entries) {
+        const key = entry.evidence?.toString() || entry.url;
+        if (!files.has(key)) {
+            const current = currentFiles.get(key);
+            const preUpload = preUploads.find(upload => upload.url === entry.url);
+            files.set(key, {
+                evidenceId: entry.evidence,
+                url: entry.url,
+                originalName: current?.file.originalName,
+                source: current?.source,
+                sha256: entry.sha256 || current?.file.sha256 || preUpload?.sha256,
+                status: !entry.evidence ? 'Message Attachment' : (current ? 'Held' : 'Removed'),
+                preUpload: preUpload ? describeEntry(preUpload) : undefined,
+                history: [],
+            });
+        }
+        files.get(key).history.push(describeEntry(entry));
+    }
+
+    if (verifyFiles) {
+        for (const file of files.values()) {
+            const current = currentFiles.get(file.evidenceId?.toString());
+            if (!current || !file.sha256) continue;
+            try {
+                const currentHash = await hashStoredFile(current.file);
+                file.verification = { checkedAt: new Date(), currentHash, matches: currentHash === file.sha256 };
+            } catch (error) {
+                file.verification = { checkedAt: new Date(), error: error.message };
+            }
+        }
+    }
+
+    const report = {
+        complaintId,
+        caseRef: complaint?.caseRef,
+        generatedAt: new Date(),
+        generatedBy,
+        chain: { ...chain, entries: entries.length, headHash: entries[entries.length - 1]?.hash || null },
+        files: [...files.values()],
+    };
+    // Lets a recipient confirm the report itself was not edited after it was issued.
+    report.reportHash = sha256(JSON.stringify(report));
+    return report;
+};
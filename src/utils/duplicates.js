@@ -0,0 +1,155 @@
+import Complaint from '../models/complaint.model.js';
+
+// Common company suffixes ignored when comparing vendor names.
+const VENDOR_SUFFIXES = ['inc', 'incorporated', 'ltd', 'limited', 'llc', 'plc', 'co', 'company', 'corp', 'corporation', 'enterprises', 'ventures', 'nig', 'nigeria'];
+
+// Words too common to signal that two titles describe the same issue.
+const TITLE_STOPWORDS = new Set(['the', 'and', 'for', 'with', 'from', 'that', 'this', 'have', 'about', 'against', 'case', 'complaint', 'issue', 'problem', 'still', 'never', 'were', 'was', 'not', 'did', 'their', 'they', 'after']);
+
+const MIN_SCORE = 0.3;
+const MAX_CANDIDATES = 5;
+
+export const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Reduces a vendor name to a comparable core, e.g. "Quantum Gadgets Inc." -> "quantum gadgets".
+ * @param {string} name
+ * @returns {string}
+ */
+export const normalizeVendorName = (name = '') => name
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word && !VENDOR_SUFFIXES.includes(word))
+    .join(' ');
+
+/**
+ * Normalizes a contact value. Emails are lowercased; phone numbers are reduced
+ * to their last 10 digits so +234 and 0-prefixed forms compare equal.
+ * @param {string} contact
+ * @returns {string}
+ */
+export const normalizeContact = (contact = '') => {
+    const trimmed = contact.trim().toLowerCase();
+    if (trimmed.includes('@') && !trimmed.startsWith('@')) return trimmed;
+    const digits = trimmed.replace(/\D/g, '');
+    return digits.length >= 7 ? digits.slice(-10) : trimmed;
+};
+
+/**
+ * Extracts a bare handle from a social media value such as "@vendor" or "https://instagram.com/vendor/".
+ * @param {string} social
+ * @returns {string}
+ */
+export const normalizeSocialHandle = (social = '') => social
+    .trim()
+    .toLowerCase()
+    .replace(/^https?:\/\/(www\.)?[^/]+\//, '')
+    .replace(/[/?#].*$/, '')
+    .replace(/^@/, '');
+
+const titleTokens = (title = '') => new Set(
+    title.toLowerCase().replace(/[^a-z0-9\s]/g, ' ').split(/\s+/)
+        .filter(word => word.length >= 3 && !TITLE_STOPWORDS.has(word))
+);
+
+/**
+ * Jaccard similarity of the significant words in two titles (0 to 1).
+ */
+export const titleSimilarity = (a, b) => {
+    const tokensA = titleTokens(a);
+    const tokensB = titleTokens(b);
+    if (tokensA.size === 0 || tokensB.size === 0) return 0;
+    const shared = [...tokensA].filter(token => tokensB.has(token)).length;
+    return shared / (tokensA.size + tokensB.size - shared);
+};
+
+/**
+ * Scores how likely `candidate` is to be a duplicate of or related to `complaint`.
+ * @returns {{score: number, reasons: string[]}}
+ */
+const scoreCandidate = (complaint, candidate) => {
+    const reasons = [];
+    let score = 0;
+
+    const name = normalizeVendorName(complaint.vendorDetails?.name);
+    const candidateName = normalizeVendorName(candidate.vendorDetails?.name);
+    if (name && candidateName) {
+        if (name === candidateName) {
+            score += 0.4;
+            reasons.push('Same vendor name');
+        } else if (name.includes(candidateName) || candidateName.includes(name)) {
+            score += 0.25;
+            reasons.push('Similar vendor name');
+        }
+    }
+
+    const contact = normalizeContact(complaint.vendorDetails?.contact);
+    if (contact && contact === normalizeContact(candidate.vendorDetails?.contact)) {
+        score += 0.3;
+        reasons.push('Same vendor contact');
+    }
+
+    const handle = normalizeSocialHandle(complaint.vendorDetails?.socialMedia);
+    if (handle && handle === normalizeSocialHandle(candidate.vendorDetails?.socialMedia)) {
+        score += 0.3;
+        reasons.push('Same social media handle');
+    }
+
+    const similarity = titleSimilarity(complaint.title, candidate.title);
+    if (similarity >= 0.3) {
+        score += 0.4 * similarity;
+        reasons.push(`Similar title (${Math.round(similarity * 100)}%)`);
+    }
+
+    return { score: Math.min(1, Number(score.toFixed(2))), reasons };
+};
+
+/**
+ * Finds existing cases that may be duplicates of, or related to, a complaint.
+ * Candidates are pre-filtered in MongoDB by vendor fields and title keywords, then scored.
+ * @param {object} complaint - The complaint to compare (need not be saved).
+ * @returns {Promise<{complaint: object, score: number, reasons: string[]}[]>} Best matches first.
+ */
+export const findDuplicateCandidates = async (complaint) => {
+    const conditions = [];
+
+    const name = normalizeVendorName(complaint.vendorDetails?.name);
+    if (name) {
+        conditions.push({ 'vendorDetails.name': { $regex: escapeRegex(name).replace(/ /g, '\\W+'), $options: 'i' } });
+    }
+    if (complaint.vendorDetails?.contact) {
+        const contact = normalizeContact(complaint.vendorDetails.contact);
+        // Allow formatting characters between the digits of a phone number.
+        const pattern = /^\d+$/.test(contact) ? contact.split('').join('\\D*') : escapeRegex(contact);
+        conditions.push({ 'vendorDetails.contact': { $regex: pattern, $options: 'i' } });
+    }
+    const handle = normalizeSocialHandle(complaint.vendorDetails?.socialMedia);
+    if (handle) {
+        conditions.push({ 'vendorDetails.socialMedia': { $regex: escapeRegex(handle), $options: 'i' } });
+    }
+    const keywords = [...titleTokens(complaint.title)].filter(word => word.length >= 4);
+    if (keywords.length > 0) {
+        conditions.push({ title: { $regex: keywords.map(escapeRegex).join('|'), $options: 'i' } });
+    }
+
+    if (conditions.length === 0) return [];
+
+    const candidates = await Complaint.find({
+        _id: { $ne: complaint._id },
+        type: 'Case',
+        status: { $ne: 'Draft' },
+        $or: conditions,
+    })
+        .sort({ createdAt: -1 })
+        .limit(200)
+        .select('caseRef title status vendorDetails complainant createdAt')
+        .lean();
+
+    return candidates
+        .map(candidate => ({ complaint: candidate, ...scoreCandidate(complaint, candidate) }))
+        .filter(match => match.score >= MIN_SCORE)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, MAX_CANDIDATES);
+};
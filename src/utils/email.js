@@ -20,19 +20,30 @@ transporter.verify((error, success) => {
     }
 });
 
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Escapes user-written text for use in an email's HTML body.
+ * @param {string} value
+ * @returns {string}
+ */
+export const escapeHtml = (value = '') => String(value).replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+
 /**
  * Sends an email.
  * @param {string} to - The recipient's email address.
  * @param {string} subject - The subject of the email.
  * @param {string} html - The HTML body of the email.
+ * @param {object[]} [attachments] - Nodemailer attachments, e.g. `{ filename, content, contentType }`.
  */
-export const sendEmail = async (to, subject, html) => {
+export const sendEmail = async (to, subject, html, attachments = []) => {
     try {
         await transporter.sendMail({
             from: `"Mvoi-Ratel Situation Room" <${process.env.GMAIL_USER}>`,
             to,
             subject,
             html,
+            attachments,
         });
         console.log(`📧 Email sent successfully to ${to}`);
     } catch (error) {
@@ -0,0 +1,245 @@
+import mongoose from 'mongoose';
+import Complaint from '../models/complaint.model.js';
+import CaseMessage from '../models/caseMessage.model.js';
+import AppSettings from '../models/settings.model.js';
+import { parseStoredFileUrl, deleteStoredFiles } from './storage/index.js';
+import { QUARANTINE_SCAN_STATUSES } from './scanners/index.js';
+import { DEFAULT_EVIDENCE_FILE_TYPES } from './fileTypes.js';
+
+export const EVIDENCE_VISIBILITIES = ['User Visible', 'Staff Only'];
+
+// Used when a legacy URL is migrated and the upload's MIME type was never recorded.
+const MIME_TYPES_BY_EXTENSION = {
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    heic: 'image/heic',
+    pdf: 'application/pdf',
+    doc: 'application/msword',
+    docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    txt: 'text/plain',
+    mp4: 'video/mp4',
+    mov: 'video/quicktime',
+    webm: 'video/webm',
+    mp3: 'audio/mpeg',
+    wav: 'audio/wav',
+    m4a: 'audio/mp4',
+};
+
+/**
+ * Guesses a MIME type from a URL's file extension.
+ */
+const guessMimeType = (url) => {
+    const extension = /\.([a-z0-9]+)(?:\?.*)?$/i.exec(url || '')?.[1]?.toLowerCase();
+    return MIME_TYPES_BY_EXTENSION[extension];
+};
+
+/**
+ * Loads the evidence file type allowlist from settings, falling back to the defaults.
+ * @returns {Promise<Array<{mimeType: string, extensions: string[], maxSizeMb: number}>>}
+ */
+export const getEvidenceFileTypes = async () => {
+    const settings = await AppSettings.findOne().select('evidenceFileTypes').lean();
+    return settings?.evidenceFileTypes?.length ? settings.evidenceFileTypes : DEFAULT_EVIDENCE_FILE_TYPES;
+};
+
+/**
+ * Checks whether a file is held in quarantine because its malware scan flagged it or failed.
+ * Files uploaded before scanning was introduced have no scan result and are not quarantined.
+ * @param {object} file - An evidence record.
+ * @returns {boolean}
+ */
+export const isQuarantined = (file) => QUARANTINE_SCAN_STATUSES.includes(file?.scan?.status);
+
+/**
+ * Builds an evidence record from a file uploaded through the storage middleware.
+ * @param {object} file - The multer file (`path` is the file's URL, `filename` its storage key).
+ * @param {object} [options]
+ * @param {string} [options.uploadedBy] - The uploading user's ID.
+ * @param {string} [options.visibility='User Visible']
+ * @returns {object}
+ */
+export const buildEvidenceRecord = (file, { uploadedBy, visibility = 'User Visible' } = {}) => ({
+    url: file.path,
+    provider: file.provider,
+    storageKey: file.filename,
+    resourceType: file.resourceType || 'raw',
+    originalName: file.originalname,
+    mimeType: file.mimetype,
+    size: file.size,
+    sha256: file.sha256,
+    scan: file.scan,
+    uploadedBy,
+    uploadedAt: new Date(),
+    visibility,
+});
+
+/**
+ * Builds an evidence record from a bare URL, recovering what metadata the URL carries.
+ * @param {string} url
+ * @param {object} [extra] - Fields to set on the record, e.g. `uploadedBy`.
+ * @returns {object}
+ */
+export const evidenceFromUrl = (url, extra = {}) => {
+    const parsed = parseStoredFileUrl(url);
+    return {
+        url,
+        provider: parsed?.provider,
+        storageKey: parsed?.storageKey,
+        resourceType: parsed?.resourceType || 'raw',
+        originalName: decodeURIComponent(url.split('?')[0].split('/').pop()),
+        mimeType: guessMimeType(url),
+        visibility: 'User Visible',
+        ...extra,
+    };
+};
+
+/**
+ * Normalizes the evidence sent with a new complaint: the records returned by the
+ * pre-upload endpoint, or plain URLs from older clients. The uploader is always the
+ * requesting user, whatever the client sends. Callers must still check the URLs are the
+ * user's own pre-uploads (see `findUnapprovedUploadUrls`).
+ * @param {Array<object|string>} [items]
+ * @param {string} uploadedBy
+ * @returns {object[]}
+ */
+export const normalizeEvidenceInput = (items, uploadedBy) => {
+    if (!Array.isArray(items)) return [];
+
+    return items.filter(Boolean).map(item => {
+        if (typeof item === 'string') {
+            return evidenceFromUrl(item, { uploadedBy, uploadedAt: new Date() });
+        }
+
+        const parsed = parseStoredFileUrl(item.url);
+        return {
+            url: item.url,
+            // Derived from the URL so a client cannot point a record at someone else's file.
+            provider: parsed?.provider,
+            storageKey: parsed?.storageKey,
+            resourceType: parsed?.resourceType || (['image', 'video', 'raw'].includes(item.resourceType) ? item.resourceType : 'raw'),
+            originalName: item.originalName,
+            mimeType: item.mimeType,
+            size: item.size,
+            uploadedBy,
+            uploadedAt: new Date(),
+            visibility: 'User Visible',
+        };
+    }).filter(record => record.url);
+};
+
+/**
+ * Returns the evidence a user may see. Quarantined files are hidden from everyone until they
+ * are released, and complainants do not see staff-only files.
+ * @param {object[]} evidence
+ * @param {object} user
+ * @returns {object[]}
+ */
+export const filterEvidenceForUser = (evidence = [], user) => evidence.filter(item => !isQuarantined(item)
+    && (['Admin', 'Staff'].includes(user?.role) || item.visibility !== 'Staff Only'));
+
+/**
+ * Returns a copy of a plain complaint object with only the evidence the user may see,
+ * including files uploaded by the respondent.
+ * @param {object} complaint - A lean complaint or the result of `toObject()`.
+ * @param {object} user
+ * @returns {object}
+ */
+export const withVisibleEvidence = (complaint, user) => ({
+    ...complaint,
+    evidence: filterEvidenceForUser(complaint.evidence, user),
+    ...(complaint.respondent && {
+        respondent: { ...complaint.respondent, evidence: filterEvidenceForUser(complaint.respondent.evidence, user) },
+    }),
+});
+
+/**
+ * Deletes evidence files from whichever storage provider holds them.
+ * @param {object[]} records
+ */
+export const deleteStoredEvidence = (records = []) => deleteStoredFiles(records);
+
+/**
+ * Converts the legacy `evidenceUrls` strings (and string respondent evidence) on existing
+ * complaints into evidence records. Legacy uploads are attributed to the complainant at the
+ * complaint's creation time. Safe to run repeatedly; converted complaints are not matched again.
+ * @param {object} [options]
+ * @param {number} [options.batchSize=500] - Number of complaints to load per batch.
+ * @returns {Promise<{processed: number, migratedFiles: number}>}
+ */
+export const backfillEvidenceRecords = async ({ batchSize = 500 } = {}) => {
+    let processed = 0;
+    let migratedFiles = 0;
+
+    // The legacy fields are no longer in the schema, so read and write the raw collection.
+    const query = { $or: [{ evidenceUrls: { $exists: true } }, { 'respondent.evidence': { $type: 'string' } }] };
+    for (;;) {
+        const batch = await Complaint.collection.find(query)
+            .limit(batchSize)
+            .project({ evidenceUrls: 1, 'respondent.evidence': 1, complainant: 1, createdAt: 1 })
+            .toArray();
+        if (batch.length === 0) break;
+
+        for (const complaint of batch) {
+            processed++;
+            const legacy = { uploadedBy: complaint.complainant, uploadedAt: complaint.createdAt };
+            const evidence = (complaint.evidenceUrls || []).map(url => ({ _id: new mongoose.Types.ObjectId(), ...evidenceFromUrl(url, legacy) }));
+            const update = { $unset: { evidenceUrls: '' } };
+            if (evidence.length > 0) update.$push = { evidence: { $each: evidence } };
+
+            // Respondent uploads are kept from the complainant until staff share them.
+            const respondentEvidence = complaint.respondent?.evidence || [];
+            const legacyRespondentFiles = respondentEvidence.filter(item => typeof item === 'string').length;
+            if (legacyRespondentFiles > 0) {
+                update.$set = {
+                    'respondent.evidence': respondentEvidence.map(item => (typeof item === 'string'
+                        ? { _id: new mongoose.Types.ObjectId(), ...evidenceFromUrl(item, { visibility: 'Staff Only' }) }
+                        : item)),
+                };
+            }
+
+            await Complaint.collection.updateOne({ _id: complaint._id }, update);
+            migratedFiles += evidence.length + legacyRespondentFiles;
+        }
+    }
+
+    return { processed, migratedFiles };
+};
+
+/**
+ * Converts the attachment URL strings on existing case messages into evidence records, so
+ * their files can be found, access-checked and deleted like case evidence. Legacy attachments
+ * are attributed to the message's sender. Safe to run repeatedly.
+ * @param {object} [options]
+ * @param {number} [options.batchSize=500] - Number of messages to load per batch.
+ * @returns {Promise<{processed: number, migratedFiles: number}>}
+ */
+export const backfillMessageAttachments = async ({ batchSize = 500 } = {}) => {
+    let processed = 0;
+    let migratedFiles = 0;
+
+    // String attachments no longer match the schema, so read and write the raw collection.
+    const query = { attachments: { $type: 'string' } };
+    for (;;) {
+        const batch = await CaseMessage.collection.find(query)
+            .limit(batchSize)
+            .project({ attachments: 1, sender: 1, createdAt: 1 })
+            .toArray();
+        if (batch.length === 0) break;
+
+        for (const message of batch) {
+            processed++;
+            const legacy = { uploadedBy: message.sender, uploadedAt: message.createdAt };
+            const attachments = message.attachments.map(item => (typeof item === 'string'
+                ? { _id: new mongoose.Types.ObjectId(), ...evidenceFromUrl(item, legacy) }
+                : item));
+
+            await CaseMessage.collection.updateOne({ _id: message._id }, { $set: { attachments } });
+            migratedFiles += message.attachments.filter(item => typeof item === 'string').length;
+        }
+    }
+
+    return { processed, migratedFiles };
+};
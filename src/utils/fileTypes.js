@@ -0,0 +1,118 @@
+// Evidence file types accepted until an admin changes the allowlist in settings.
+// With the ClamAV scanner, clamd's StreamMaxLength must cover the largest limit (see clamavScanner.js).
+export const DEFAULT_EVIDENCE_FILE_TYPES = [
+    { mimeType: 'image/jpeg', extensions: ['jpg', 'jpeg'], maxSizeMb: 20 },
+    { mimeType: 'image/png', extensions: ['png'], maxSizeMb: 20 },
+    { mimeType: 'image/gif', extensions: ['gif'], maxSizeMb: 20 },
+    { mimeType: 'image/webp', extensions: ['webp'], maxSizeMb: 20 },
+    { mimeType: 'image/heic', extensions: ['heic', 'heif'], maxSizeMb: 20 },
+    { mimeType: 'application/pdf', extensions: ['pdf'], maxSizeMb: 50 },
+    { mimeType: 'application/msword', extensions: ['doc'], maxSizeMb: 25 },
+    { mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extensions: ['docx'], maxSizeMb: 25 },
+    { mimeType: 'text/plain', extensions: ['txt'], maxSizeMb: 5 },
+    { mimeType: 'video/mp4', extensions: ['mp4', 'm4v'], maxSizeMb: 500 },
+    { mimeType: 'video/quicktime', extensions: ['mov'], maxSizeMb: 500 },
+    { mimeType: 'video/webm', extensions: ['webm'], maxSizeMb: 500 },
+    { mimeType: 'audio/mpeg', extensions: ['mp3'], maxSizeMb: 100 },
+    { mimeType: 'audio/wav', extensions: ['wav'], maxSizeMb: 100 },
+    { mimeType: 'audio/mp4', extensions: ['m4a'], maxSizeMb: 100 },
+];
+
+// Bytes read from the start of a file to identify it.
+export const SNIFF_LENGTH = 4100;
+
+const OLE_TYPES = ['application/msword', 'application/vnd.ms-excel', 'application/vnd.ms-powerpoint'];
+const ZIP_TYPES = [
+    'application/zip',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+];
+
+const startsWith = (head, bytes, offset = 0) => bytes.every((byte, i) => head[offset + i] === byte);
+const ascii = (head, start, end) => head.toString('latin1', start, end);
+
+/**
+ * Identifies the types an ISO media file (MP4, MOV, HEIC, M4A) may be from its brand.
+ */
+const detectIsoMedia = (head) => {
+    const brand = ascii(head, 8, 12);
+    if (['heic', 'heix', 'hevc', 'hevx', 'mif1', 'msf1'].includes(brand)) return ['image/heic', 'image/heif'];
+    if (brand === 'qt  ') return ['video/quicktime'];
+    if (['M4A ', 'M4B '].includes(brand)) return ['audio/mp4'];
+    if (brand.startsWith('3g')) return ['video/3gpp'];
+    return ['video/mp4', 'audio/mp4'];
+};
+
+// Magic-byte signatures. Each entry lists every MIME type a match may be.
+const SIGNATURES = [
+    { mimeTypes: ['image/jpeg'], match: head => startsWith(head, [0xFF, 0xD8, 0xFF]) },
+    { mimeTypes: ['image/png'], match: head => startsWith(head, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]) },
+    { mimeTypes: ['image/gif'], match: head => ['GIF87a', 'GIF89a'].includes(ascii(head, 0, 6)) },
+    { mimeTypes: ['image/webp'], match: head => ascii(head, 0, 4) === 'RIFF' && ascii(head, 8, 12) === 'WEBP' },
+    { mimeTypes: ['audio/wav'], match: head => ascii(head, 0, 4) === 'RIFF' && ascii(head, 8, 12) === 'WAVE' },
+    { mimeTypes: ['application/pdf'], match: head => ascii(head, 0, 5) === '%PDF-' },
+    { mimeTypes: OLE_TYPES, match: head => startsWith(head, [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]) },
+    { mimeTypes: ZIP_TYPES, match: head => startsWith(head, [0x50, 0x4B, 0x03, 0x04]) },
+    { mimeTypes: ['video/webm'], match: head => startsWith(head, [0x1A, 0x45, 0xDF, 0xA3]) },
+    { mimeTypes: ['audio/ogg'], match: head => ascii(head, 0, 4) === 'OggS' },
+    { mimeTypes: ['audio/mpeg'], match: head => ascii(head, 0, 3) === 'ID3' || (head[0] === 0xFF && (head[1] & 0xE0) === 0xE0) },
+    { mimeTypes: null, match: head => ascii(head, 4, 8) === 'ftyp', detect: detectIsoMedia },
+];
+
+// Every type the sniffer can recognize; an allowlisted type outside this list could never match.
+export const SNIFFABLE_MIME_TYPES = [...new Set([
+    ...SIGNATURES.flatMap(signature => signature.mimeTypes || []),
+    'image/heic', 'image/heif', 'video/quicktime', 'audio/mp4', 'video/3gpp', 'video/mp4',
+    'text/plain', 'text/csv',
+])];
+
+/**
+ * Checks whether a file's first bytes look like UTF-8 text with no binary content.
+ */
+const isText = (head) => {
+    if (head.length === 0 || head.includes(0)) return false;
+    const decoder = new TextDecoder('utf-8', { fatal: true });
+    // The sample may end part-way through a multi-byte character.
+    for (let trim = 0; trim <= 3 && trim < head.length; trim++) {
+        try {
+            decoder.decode(head.subarray(0, head.length - trim));
+            return true;
+        } catch {
+            // Try again without the trailing bytes.
+        }
+    }
+    return false;
+};
+
+/**
+ * Identifies a file from its first bytes, ignoring its name and the type the client claimed.
+ * @param {Buffer} head - At least the first SNIFF_LENGTH bytes, or the whole file if shorter.
+ * @returns {string[]} The MIME types the file may be; empty if it is not recognized.
+ */
+export const detectFileType = (head) => {
+    const signature = SIGNATURES.find(candidate => candidate.match(head));
+    if (signature) return signature.detect ? signature.detect(head) : signature.mimeTypes;
+    return isText(head) ? ['text/plain', 'text/csv'] : [];
+};
+
+/**
+ * Returns a filename's extension, lower-cased and without the dot.
+ * @param {string} filename
+ * @returns {string}
+ */
+export const getFileExtension = (filename = '') => {
+    const match = /\.([^./\\]+)$/.exec(filename);
+    return match ? match[1].toLowerCase() : '';
+};
+
+/**
+ * Finds the allowlist entry a file satisfies: its sniffed type and its extension must both match.
+ * @param {object[]} rules - The allowlist.
+ * @param {string[]} detectedTypes - From `detectFileType`.
+ * @param {string} extension
+ * @returns {object | undefined}
+ */
+export const findFileTypeRule = (rules, detectedTypes, extension) => rules.find(rule =>
+    detectedTypes.includes(rule.mimeType) && rule.extensions.includes(extension)
+);
@@ -0,0 +1,137 @@
+import { describeMeetingLocation } from './meetings.js';
+
+const PRODUCT_ID = '-//MVOI-RATEL Situation Room//Case Meetings//EN';
+const UID_DOMAIN = process.env.ICS_UID_DOMAIN || 'mvoi-ratel.com';
+
+/**
+ * Formats a date as an iCalendar UTC date-time, e.g. 20260310T090000Z.
+ */
+const toIcsDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Escapes text values as required by RFC 5545 (backslash, semicolon, comma, newline).
+ */
+const escapeText = (value = '') => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+/**
+ * Quotes a parameter value such as CN; parameter values cannot contain double quotes.
+ */
+const quoteParam = (value = '') => `"${String(value).replace(/"/g, "'").replace(/[\r\n]/g, ' ')}"`;
+
+/**
+ * Folds a content line to 75 octets, continuing on lines that start with a space.
+ */
+const foldLine = (line) => {
+    const bytes = Buffer.from(line, 'utf8');
+    if (bytes.length <= 75) return line;
+
+    const parts = [];
+    let start = 0;
+    while (start < bytes.length) {
+        let end = Math.min(start + (start === 0 ? 75 : 74), bytes.length);
+        // Do not split a multi-byte character.
+        while (end < bytes.length && (bytes[end] & 0xc0) === 0x80) end--;
+        parts.push(bytes.subarray(start, end).toString('utf8'));
+        start = end;
+    }
+    return parts.join('\r\n ');
+};
+
+/**
+ * Returns the stable iCalendar UID for a meeting. Updates and cancellations reuse it
+ * so calendar clients replace the original event.
+ */
+export const getMeetingUid = (meeting) => `meeting-${meeting._id}@${UID_DOMAIN}`;
+
+/**
+ * Builds the VEVENT lines for a meeting.
+ * @param {object} meeting - A meeting; `complaint` may be populated with `caseRef`.
+ * @param {object} [options]
+ * @param {string} [options.summary]
+ * @param {boolean} [options.cancelled]
+ * @returns {string[]}
+ */
+const buildEventLines = (meeting, { summary, cancelled = false } = {}) => {
+    const organizer = process.env.GMAIL_USER;
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${getMeetingUid(meeting)}`,
+        `SEQUENCE:${meeting.icsSequence || 0}`,
+        `DTSTAMP:${toIcsDate(new Date())}`,
+        `DTSTART:${toIcsDate(meeting.startAt)}`,
+        `DTEND:${toIcsDate(meeting.endAt)}`,
+        `SUMMARY:${escapeText(summary || meeting.title || 'Case meeting')}`,
+        `LOCATION:${escapeText(describeMeetingLocation(meeting))}`,
+        `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+    ];
+
+    if (meeting.mode === 'Virtual' && meeting.virtualLink) {
+        lines.push(`URL:${meeting.virtualLink}`);
+    }
+    if (organizer) {
+        lines.push(`ORGANIZER;CN=MVOI-RATEL Situation Room:mailto:${organizer}`);
+    }
+    for (const attendee of meeting.attendees || []) {
+        if (!attendee.email) continue;
+        lines.push(`ATTENDEE;CN=${quoteParam(attendee.name || attendee.email)};ROLE=REQ-PARTICIPANT:mailto:${attendee.email}`);
+    }
+
+    lines.push('END:VEVENT');
+    return lines;
+};
+
+/**
+ * Serializes calendar lines with CRLF line endings and folding.
+ */
+const serialize = (lines) => lines.map(foldLine).join('\r\n') + '\r\n';
+
+/**
+ * Builds an iCalendar invitation for a single meeting.
+ * @param {object} meeting
+ * @param {'REQUEST' | 'CANCEL'} [method='REQUEST'] - CANCEL removes the event from calendars.
+ * @returns {string}
+ */
+export const buildMeetingIcs = (meeting, method = 'REQUEST') => serialize([
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    ...buildEventLines(meeting, { cancelled: method === 'CANCEL' }),
+    'END:VCALENDAR',
+]);
+
+/**
+ * Builds the nodemailer attachment carrying a meeting's invitation.
+ * @param {object} meeting
+ * @param {'REQUEST' | 'CANCEL'} [method='REQUEST']
+ * @returns {object}
+ */
+export const buildMeetingIcsAttachment = (meeting, method = 'REQUEST') => ({
+    filename: method === 'CANCEL' ? 'cancellation.ics' : 'invite.ics',
+    content: buildMeetingIcs(meeting, method),
+    contentType: `text/calendar; charset=utf-8; method=${method}`,
+});
+
+/**
+ * Builds a subscribable calendar feed of meetings.
+ * @param {object[]} meetings - Meetings with `complaint` populated with `caseRef`.
+ * @param {string} name - The calendar name shown by clients.
+ * @returns {string}
+ */
+export const buildCalendarFeed = (meetings, name) => serialize([
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...meetings.flatMap(meeting => buildEventLines(meeting, {
+        summary: meeting.title || `Case meeting: ${meeting.complaint?.caseRef}`,
+    })),
+    'END:VCALENDAR',
+]);
@@ -0,0 +1,84 @@
+import AppSettings from '../models/settings.model.js';
+import { meetingQueue } from '../config/queue.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const MEETING_REMINDERS = [
+    { name: 'reminder-24h', before: 24 * HOUR_MS, label: '24 hours' },
+    { name: 'reminder-1h', before: HOUR_MS, label: '1 hour' },
+];
+
+const JOB_NAMES = [...MEETING_REMINDERS.map(r => r.name), 'response-deadline'];
+
+// Deterministic job IDs let a meeting's pending jobs be found and replaced.
+const toJobId = (meetingId, name) => `meeting-${meetingId}-${name}`;
+
+/**
+ * Works out when a new invitation expires: the configured response window from now,
+ * but never later than the meeting itself.
+ * @param {Date} startAt - The meeting's start time.
+ * @returns {Promise<Date>}
+ */
+export const getResponseDeadline = async (startAt) => {
+    const settings = await AppSettings.findOne().select('invitationResponseHours').lean();
+    const hours = settings?.invitationResponseHours ?? 48;
+    return new Date(Math.min(Date.now() + hours * HOUR_MS, new Date(startAt).getTime()));
+};
+
+/**
+ * Removes the pending reminder and deadline jobs for one or more meetings.
+ * @param {string | string[]} meetingIds
+ */
+export const cancelMeetingJobs = async (meetingIds) => {
+    try {
+        const ids = [].concat(meetingIds);
+        await Promise.all(ids.flatMap(id => JOB_NAMES.map(name => meetingQueue.remove(toJobId(id, name)))));
+    } catch (error) {
+        console.warn('[Meetings] Could not cancel meeting jobs:', error.message);
+    }
+};
+
+/**
+ * (Re)schedules a meeting's delayed jobs: reminders 24h and 1h before it starts, and the
+ * response deadline while the invitation is unanswered. Existing jobs for the meeting are
+ * replaced, so call this whenever the meeting's time or response changes.
+ * The worker re-checks each job against the meeting, so a stale job that could not be
+ * removed is harmless.
+ * @param {mongoose.Document} meeting
+ */
+export const scheduleMeetingJobs = async (meeting) => {
+    await cancelMeetingJobs(meeting._id);
+    if (meeting.status !== 'Scheduled') return;
+
+    const now = Date.now();
+    const startAt = meeting.startAt.getTime();
+    const response = meeting.complainantResponse || {};
+    const jobOptions = { removeOnComplete: true, removeOnFail: true };
+    const jobs = [];
+
+    // No reminders while the complainant's counter-proposal is being considered.
+    if (response.status !== 'Rejected') {
+        for (const reminder of MEETING_REMINDERS) {
+            if (startAt - reminder.before <= now) continue;
+            jobs.push({
+                name: 'meeting-reminder',
+                data: { meetingId: meeting._id.toString(), startAt: meeting.startAt.toISOString(), reminder: reminder.name },
+                opts: { ...jobOptions, jobId: toJobId(meeting._id, reminder.name), delay: startAt - reminder.before - now },
+            });
+        }
+    }
+
+    if (response.status === 'Pending' && response.deadline) {
+        jobs.push({
+            name: 'response-deadline',
+            data: { meetingId: meeting._id.toString(), deadline: response.deadline.toISOString() },
+            opts: { ...jobOptions, jobId: toJobId(meeting._id, 'response-deadline'), delay: Math.max(response.deadline.getTime() - now, 0) },
+        });
+    }
+
+    try {
+        if (jobs.length > 0) await meetingQueue.addBulk(jobs);
+    } catch (error) {
+        console.warn('[Meetings] Could not schedule meeting jobs:', error.message);
+    }
+};
@@ -0,0 +1,393 @@
+import Meeting from '../models/meeting.model.js';
+import AvailabilityWindow from '../models/availability.model.js';
+import Complaint from '../models/complaint.model.js';
+import { cancelMeetingJobs } from './meetingJobs.js';
+import { buildMeetingIcsAttachment } from './ics.js';
+import { sendEmail } from './email.js';
+
+export const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Africa/Lagos';
+export const DEFAULT_MEETING_MINUTES = 60;
+
+/**
+ * Checks whether a string is a valid IANA time zone, e.g. 'Africa/Lagos'.
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+export const isValidTimeZone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Returns how far ahead of UTC a time zone is at a given instant, in milliseconds.
+ */
+const getTimeZoneOffsetMs = (date, timeZone) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit',
+    }).formatToParts(date);
+    const v = Object.fromEntries(parts.map(p => [p.type, Number(p.value)]));
+    const asUtc = Date.UTC(v.year, v.month - 1, v.day, v.hour, v.minute, v.second);
+    return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Parses a free-text time such as '14:30', '2pm' or '2:30 PM'.
+ * @param {string} time
+ * @returns {{hours: number, minutes: number} | null}
+ */
+export const parseTimeOfDay = (time = '') => {
+    const match = String(time).trim().match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/i);
+    if (!match) return null;
+
+    let hours = Number(match[1]);
+    const minutes = Number(match[2] || 0);
+    const meridiem = match[3]?.toLowerCase();
+    if (meridiem === 'pm' && hours < 12) hours += 12;
+    if (meridiem === 'am' && hours === 12) hours = 0;
+    if (hours > 23 || minutes > 59) return null;
+
+    return { hours, minutes };
+};
+
+/**
+ * Converts a local date and time in a time zone into a UTC Date.
+ * Used for the legacy `{ date, time }` scheduling payload.
+ * @param {string} date - 'YYYY-MM-DD' (or an ISO string; only the date part is used).
+ * @param {string} time - A time of day, see `parseTimeOfDay`.
+ * @param {string} timeZone - An IANA time zone.
+ * @returns {Date | null} Null if the date or time cannot be parsed.
+ */
+export const zonedDateTimeToUtc = (date, time, timeZone = DEFAULT_TIMEZONE) => {
+    const dateMatch = String(date).match(/^(\d{4})-(\d{2})-(\d{2})/);
+    const timeOfDay = parseTimeOfDay(time);
+    if (!dateMatch || !timeOfDay) return null;
+
+    const [, year, month, day] = dateMatch.map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, timeOfDay.hours, timeOfDay.minutes);
+    const offset = getTimeZoneOffsetMs(new Date(wallClock), timeZone);
+    return new Date(wallClock - offset);
+};
+
+/**
+ * Formats a meeting's start and end in its own time zone for emails and notifications.
+ * @param {object} meeting
+ * @returns {{date: string, time: string, endTime: string}}
+ */
+export const formatMeetingTime = (meeting) => {
+    const timeZone = meeting.timezone || DEFAULT_TIMEZONE;
+    const dateFormat = new Intl.DateTimeFormat('en-GB', { timeZone, weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+    const timeFormat = new Intl.DateTimeFormat('en-GB', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+
+    return {
+        date: dateFormat.format(meeting.startAt),
+        time: timeFormat.format(meeting.startAt),
+        endTime: timeFormat.format(meeting.endAt),
+    };
+};
+
+/**
+ * Formats a meeting's invitation response deadline in the meeting's time zone.
+ */
+export const formatResponseDeadline = (meeting) => {
+    const deadline = meeting.complainantResponse?.deadline;
+    if (!deadline) return '';
+    return new Intl.DateTimeFormat('en-GB', {
+        timeZone: meeting.timezone || DEFAULT_TIMEZONE,
+        dateStyle: 'full',
+        timeStyle: 'short',
+    }).format(deadline) + ` (${meeting.timezone})`;
+};
+
+/**
+ * Returns a meeting's location for display: the venue name or the virtual link.
+ */
+export const describeMeetingLocation = (meeting) => meeting.mode === 'Virtual'
+    ? `Virtual meeting: ${meeting.virtualLink}`
+    : [meeting.venue?.name, meeting.venue?.address].filter(Boolean).join(', ');
+
+/**
+ * Builds the "Invitation Details" HTML block used in scheduling emails.
+ */
+export const buildMeetingDetailsHtml = (meeting) => {
+    const { date, time, endTime } = formatMeetingTime(meeting);
+    return `
+            <h3>Invitation Details:</h3>
+            <p>
+                <strong>Date:</strong> ${date}<br>
+                <strong>Time:</strong> ${time} - ${endTime} (${meeting.timezone})<br>
+                <strong>Location/Method:</strong> ${describeMeetingLocation(meeting)}
+            </p>`;
+};
+
+/**
+ * Normalizes a venue name into the key used for conflict detection.
+ */
+export const toVenueKey = (name = '') => name.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+/**
+ * Finds scheduled meetings that overlap a time range and share a staff attendee or venue.
+ * @param {object} params
+ * @param {Date} params.startAt
+ * @param {Date} params.endAt
+ * @param {string[]} [params.staffIds] - Staff attendees of the new meeting.
+ * @param {string} [params.venueKey] - Venue key of the new meeting (in-person only).
+ * @param {string} [params.excludeId] - A meeting to ignore, e.g. the one being rescheduled.
+ * @param {string} [params.excludeWindowId] - Ignore meetings booked through this availability
+ *   window; a slot with capacity for several cases is meant to hold them at once.
+ * @returns {Promise<{meeting: object, reasons: string[]}[]>}
+ */
+export const findMeetingConflicts = async ({ startAt, endAt, staffIds = [], venueKey, excludeId, excludeWindowId }) => {
+    const resourceMatches = [];
+    if (staffIds.length > 0) resourceMatches.push({ attendees: { $elemMatch: { kind: 'Staff', user: { $in: staffIds } } } });
+    if (venueKey) resourceMatches.push({ 'venue.key': venueKey, mode: 'In Person' });
+    if (resourceMatches.length === 0) return [];
+
+    const query = {
+        status: 'Scheduled',
+        startAt: { $lt: endAt },
+        endAt: { $gt: startAt },
+        $or: resourceMatches,
+    };
+    if (excludeId) query._id = { $ne: excludeId };
+    if (excludeWindowId) query.availabilityWindow = { $ne: excludeWindowId };
+
+    const overlapping = await Meeting.find(query)
+        .populate('complaint', 'caseRef')
+        .populate('attendees.user', 'fullName')
+        .lean();
+
+    const staffSet = new Set(staffIds.map(String));
+    return overlapping.map(meeting => {
+        const reasons = meeting.attendees
+            .filter(a => a.kind === 'Staff' && a.user && staffSet.has(a.user._id.toString()))
+            .map(a => `${a.user.fullName} is already booked`);
+        if (venueKey && meeting.mode === 'In Person' && meeting.venue?.key === venueKey) {
+            reasons.push(`${meeting.venue.name} is already booked`);
+        }
+        return {
+            meeting: {
+                _id: meeting._id,
+                caseRef: meeting.complaint?.caseRef,
+                startAt: meeting.startAt,
+                endAt: meeting.endAt,
+            },
+            reasons,
+        };
+    });
+};
+
+/**
+ * Works out a meeting's start, end and time zone from a scheduling payload.
+ * Accepts `{ startAt, endAt | durationMinutes }` or the legacy `{ date, time }` pair,
+ * which is read as wall-clock time in the given time zone.
+ * @returns {{startAt?: Date, endAt?: Date, timezone?: string, error?: string}}
+ */
+export const resolveMeetingWindow = ({ startAt, endAt, durationMinutes, date, time, timezone = DEFAULT_TIMEZONE }) => {
+    if (!isValidTimeZone(timezone)) {
+        return { error: `'${timezone}' is not a valid time zone.` };
+    }
+
+    const start = startAt ? new Date(startAt) : zonedDateTimeToUtc(date, time, timezone);
+    if (!start || isNaN(start)) {
+        return { error: 'A valid start time is required (startAt, or date and time).' };
+    }
+
+    const minutes = Number(durationMinutes) || DEFAULT_MEETING_MINUTES;
+    const end = endAt ? new Date(endAt) : new Date(start.getTime() + minutes * 60 * 1000);
+    if (isNaN(end) || end <= start) {
+        return { error: 'The meeting must end after it starts.' };
+    }
+
+    return { startAt: start, endAt: end, timezone };
+};
+
+/**
+ * Works out where a meeting takes place. `location` is the legacy free-text field and
+ * is used as the venue name (or the link, for virtual meetings) when nothing else is given.
+ * @returns {{mode?: string, venue?: object, virtualLink?: string, error?: string}}
+ */
+export const resolveMeetingPlace = ({ mode = 'In Person', venue, location, virtualLink }) => {
+    if (mode === 'Virtual') {
+        const link = virtualLink || location;
+        if (!link) return { error: 'A virtual meeting link is required.' };
+        return { mode, virtualLink: link, venue: undefined };
+    }
+    if (mode !== 'In Person') {
+        return { error: "Invalid meeting mode. Must be 'In Person' or 'Virtual'." };
+    }
+
+    const name = (venue?.name || location || '').trim();
+    if (!name) return { error: 'A venue is required for in-person meetings.' };
+    return { mode, venue: { name, address: venue?.address, key: toVenueKey(name) }, virtualLink: undefined };
+};
+
+/**
+ * Returns the user IDs of a meeting's staff attendees.
+ */
+export const getStaffAttendeeIds = (meeting) => meeting.attendees
+    .filter(a => a.kind === 'Staff' && a.user)
+    .map(a => a.user._id || a.user);
+
+/**
+ * Checks whether a meeting could move to a new start time, keeping its length, staff and venue.
+ * @param {object} meeting
+ * @param {Date} startAt
+ * @returns {Promise<{meeting: object, reasons: string[]}[]>} See `findMeetingConflicts`.
+ */
+export const findSlotConflicts = (meeting, startAt) => findMeetingConflicts({
+    startAt,
+    endAt: new Date(startAt.getTime() + (meeting.endAt - meeting.startAt)),
+    staffIds: getStaffAttendeeIds(meeting),
+    venueKey: meeting.mode === 'In Person' ? meeting.venue?.key : undefined,
+    excludeId: meeting._id,
+});
+
+/**
+ * Moves a meeting to a new start time, keeping its length. Does not save the meeting.
+ */
+export const moveMeeting = (meeting, startAt) => {
+    const duration = meeting.endAt - meeting.startAt;
+    meeting.startAt = startAt;
+    meeting.endAt = new Date(startAt.getTime() + duration);
+};
+
+/**
+ * Parses a proposed slot: an ISO datetime string, or `{ date, time }` in the given time zone.
+ * @returns {Date | null}
+ */
+export const parseSlot = (slot, timeZone) => {
+    const startAt = typeof slot === 'string' ? new Date(slot) : zonedDateTimeToUtc(slot?.date, slot?.time, timeZone);
+    return startAt && !isNaN(startAt) ? startAt : null;
+};
+
+/**
+ * Finds a case's scheduled meeting: the given one, or else the earliest matching `filter`.
+ * @param {string} complaintId
+ * @param {string} [meetingId]
+ * @param {object} [filter] - Extra conditions used when no meetingId is given.
+ * @returns {Promise<mongoose.Document | null>}
+ */
+export const findCaseMeeting = (complaintId, meetingId, filter = {}) => meetingId
+    ? Meeting.findOne({ _id: meetingId, complaint: complaintId, status: 'Scheduled' })
+    : Meeting.findOne({ complaint: complaintId, status: 'Scheduled', ...filter }).sort({ startAt: 1 });
+
+/**
+ * Closes the meeting's open proposals, e.g. when one is accepted or the meeting is moved.
+ * @param {mongoose.Document} meeting
+ * @param {'Accepted' | 'Declined' | 'Superseded'} status
+ * @param {object} [options]
+ * @param {string} [options.respondedBy]
+ * @param {string} [options.note]
+ * @param {(proposal: object) => boolean} [options.filter] - Only close matching proposals.
+ */
+export const closeOpenProposals = (meeting, status, { respondedBy, note, filter = () => true } = {}) => {
+    for (const proposal of meeting.proposals) {
+        if (proposal.status !== 'Open' || !filter(proposal)) continue;
+        proposal.status = status;
+        proposal.respondedBy = respondedBy;
+        proposal.respondedAt = new Date();
+        proposal.responseNote = note;
+    }
+};
+
+/**
+ * Appends a proposed time to the meeting's negotiation log. The proposer's earlier
+ * open proposals are superseded, except when offering several slots at once.
+ * @param {mongoose.Document} meeting
+ * @param {object} proposal - `{ proposedBy, proposerRole, startAt, reason }`.
+ * @param {object} [options]
+ * @param {boolean} [options.keepOpen] - Leave the proposer's other open proposals open.
+ */
+export const recordProposal = (meeting, proposal, { keepOpen = false } = {}) => {
+    if (!keepOpen) {
+        closeOpenProposals(meeting, 'Superseded', { filter: p => p.proposerRole === proposal.proposerRole });
+    }
+    meeting.proposals.push({ ...proposal, status: 'Open' });
+    return meeting.proposals[meeting.proposals.length - 1];
+};
+
+/**
+ * Mirrors a meeting onto the legacy `complaint.invitation` summary so existing clients
+ * that read `invitation.date/time/location` keep working. Pass no meeting to clear it.
+ */
+const syncInvitationSummary = (complaint, meeting) => {
+    if (!meeting) {
+        complaint.invitation = undefined;
+        return;
+    }
+
+    const response = meeting.complainantResponse || {};
+    complaint.invitation = {
+        date: meeting.startAt,
+        time: formatMeetingTime(meeting).time,
+        location: describeMeetingLocation(meeting),
+        userResponse: {
+            status: response.status || 'Pending',
+            proposedDate: response.proposedStart,
+            proposedTime: response.proposedStart
+                ? formatMeetingTime({ timezone: meeting.timezone, startAt: response.proposedStart, endAt: response.proposedStart }).time
+                : undefined,
+            reason: response.reason,
+        },
+    };
+};
+
+/**
+ * Points the legacy `complaint.invitation` summary at the case's next scheduled meeting
+ * (or its most recent one once they are all in the past).
+ * Call after creating, moving, answering or cancelling a meeting. Does not save the complaint.
+ * @param {mongoose.Document} complaint
+ * @param {object} [options]
+ * @param {mongoose.ClientSession} [options.session] - Read within this transaction.
+ */
+export const refreshInvitationSummary = async (complaint, { session = null } = {}) => {
+    const scheduled = { complaint: complaint._id, status: 'Scheduled' };
+    const next = await Meeting.findOne({ ...scheduled, endAt: { $gte: new Date() } }).sort({ startAt: 1 }).session(session).lean()
+        || await Meeting.findOne(scheduled).sort({ startAt: -1 }).session(session).lean();
+    syncInvitationSummary(complaint, next);
+};
+
+/**
+ * Cancels a case's upcoming scheduled meetings and their reminders, e.g. when the case is closed,
+ * reverted or deleted, and emails the complainant a cancellation for each so calendars remove the events.
+ * @param {string} complaintId
+ * @param {string} reason
+ * @param {object} [options]
+ * @param {string[]} [options.only] - Limit the cancellation to these meeting IDs.
+ * @returns {Promise<number>} The number of meetings cancelled.
+ */
+export const cancelUpcomingMeetings = async (complaintId, reason, { only } = {}) => {
+    const filter = { complaint: complaintId, status: 'Scheduled', endAt: { $gte: new Date() } };
+    if (only) filter._id = { $in: only };
+    const meetingIds = await Meeting.find(filter).distinct('_id');
+    if (meetingIds.length === 0) return 0;
+
+    await Meeting.updateMany({ _id: { $in: meetingIds } }, { $set: { status: 'Cancelled', cancellationReason: reason }, $inc: { icsSequence: 1 } });
+    // Bulk updates skip the Meeting save hooks, so give back any booked slots here.
+    await AvailabilityWindow.updateMany({ 'bookings.meeting': { $in: meetingIds } }, { $pull: { bookings: { meeting: { $in: meetingIds } } } });
+    cancelMeetingJobs(meetingIds); // Non-blocking
+
+    const complaint = await Complaint.findById(complaintId).select('caseRef complainant').populate('complainant', 'email fullName').lean();
+    if (complaint?.complainant?.email) {
+        // Reloaded for the bumped icsSequence; the cancellation reuses each invitation's UID.
+        const meetings = await Meeting.find({ _id: { $in: meetingIds } }).lean();
+        for (const meeting of meetings) {
+            sendEmail(complaint.complainant.email, `Meeting Cancelled (${complaint.caseRef})`, `
+                <h1>Meeting Cancelled</h1>
+                <p>Dear ${complaint.complainant.fullName},</p>
+                <p>The following meeting for your complaint (Ref: <strong>${complaint.caseRef}</strong>) has been cancelled.</p>
+                ${buildMeetingDetailsHtml(meeting)}
+                <p><strong>Reason:</strong> ${reason}</p>
+            `, [buildMeetingIcsAttachment(meeting, 'CANCEL')]);
+        }
+    }
+
+    return meetingIds.length;
+};
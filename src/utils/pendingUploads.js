@@ -0,0 +1,149 @@
+import Complaint from '../models/complaint.model.js';
+import PendingUpload from '../models/pendingUpload.model.js';
+import CaseMessage from '../models/caseMessage.model.js';
+import { recordEvidenceCustody } from './custody.js';
+import { deleteStoredFiles } from './storage/index.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// How long a pre-upload may go unclaimed before the sweep removes it.
+export const getPendingUploadGraceHours = () => parseFloat(process.env.PENDING_UPLOAD_GRACE_HOURS) || 48;
+
+const toPendingUpload = (record, extra) => ({
+    url: record.url,
+    provider: record.provider,
+    storageKey: record.storageKey,
+    resourceType: record.resourceType,
+    originalName: record.originalName,
+    mimeType: record.mimeType,
+    scan: record.scan,
+    ...extra,
+});
+
+/**
+ * Tracks files uploaded before their complaint exists, so they can be removed if the
+ * complaint is never submitted.
+ * @param {object[]} records - Evidence records returned by the pre-upload endpoint.
+ * @param {string} uploadedBy
+ */
+export const trackPendingUploads = async (records, uploadedBy) => {
+    if (records.length === 0) return;
+    await PendingUpload.insertMany(records.map(record => toPendingUpload(record, { uploadedBy })));
+};
+
+/**
+ * Lists the evidence URLs that are not the user's own unclaimed pre-uploads. A complaint may
+ * only be submitted with files that went through the pre-upload endpoint, where they were
+ * checked against the file type policy and scanned.
+ * @param {object[]} records - Evidence records built from the client's input.
+ * @param {string} uploadedBy
+ * @returns {Promise<string[]>}
+ */
+export const findUnapprovedUploadUrls = async (records, uploadedBy) => {
+    if (records.length === 0) return [];
+
+    const uploads = await PendingUpload.find({
+        url: { $in: records.map(record => record.url) },
+        uploadedBy,
+        status: 'Pending',
+        source: 'Pre-upload',
+    }).select('url').lean();
+    const uploadedUrls = new Set(uploads.map(upload => upload.url));
+
+    return records.map(record => record.url).filter(url => !uploadedUrls.has(url));
+};
+
+/**
+ * Fills in the sniffed type and malware scan result of pre-uploaded files from what was
+ * recorded at upload, so a client cannot submit a quarantined file as clean.
+ * @param {object[]} records - Evidence records built from the client's input.
+ */
+export const applyPreUploadScans = async (records) => {
+    if (records.length === 0) return;
+
+    const uploads = await PendingUpload.find({ url: { $in: records.map(record => record.url) }, source: 'Pre-upload' })
+        .select('url mimeType scan')
+        .lean();
+    const uploadsByUrl = new Map(uploads.map(upload => [upload.url, upload]));
+
+    for (const record of records) {
+        const upload = uploadsByUrl.get(record.url);
+        if (!upload) continue;
+        record.mimeType = upload.mimeType || record.mimeType;
+        record.scan = upload.scan;
+    }
+};
+
+/**
+ * Marks pre-uploaded files as claimed by a complaint. Matched by URL alone: a file referenced
+ * by any complaint must not be swept, whoever uploaded it.
+ * @param {object[]} records - The complaint's evidence records.
+ * @param {string} complaintId
+ */
+export const claimPendingUploads = async (records, complaintId) => {
+    if (records.length === 0) return;
+    await PendingUpload.updateMany(
+        { url: { $in: records.map(record => record.url) }, status: 'Pending', source: 'Pre-upload' },
+        { $set: { status: 'Claimed', complaint: complaintId, claimedAt: new Date() } }
+    );
+};
+
+/**
+ * Queues files that could not be deleted from storage, so the next sweep retries them.
+ * @param {object[]} records - Evidence records.
+ * @param {string} complaintId - The complaint the files belonged to.
+ * @param {Error} [error] - Why the deletion failed.
+ */
+export const queueFailedDeletions = async (records, complaintId, error) => {
+    if (records.length === 0) return;
+    await PendingUpload.insertMany(records.map(record => toPendingUpload(record, {
+        uploadedBy: record.uploadedBy,
+        source: 'Failed Deletion',
+        complaint: complaintId,
+        lastError: error?.message,
+    })));
+};
+
+/**
+ * Deletes unclaimed pre-uploads older than the grace period and retries queued deletions.
+ * A file still referenced by a complaint or case message (e.g. the claim was missed) is marked
+ * claimed instead.
+ * @param {object} [options]
+ * @param {number} [options.graceHours] - Defaults to PENDING_UPLOAD_GRACE_HOURS (48).
+ * @param {Date} [options.now]
+ * @returns {Promise<{removed: object[], reclaimed: number, failed: object[]}>}
+ */
+export const sweepPendingUploads = async ({ graceHours = getPendingUploadGraceHours(), now = new Date() } = {}) => {
+    const cutoff = new Date(now.getTime() - graceHours * HOUR_MS);
+    const candidates = await PendingUpload.find({
+        status: 'Pending',
+        $or: [{ source: 'Pre-upload', createdAt: { $lte: cutoff } }, { source: 'Failed Deletion' }],
+    }).lean();
+
+    const result = { removed: [], reclaimed: 0, failed: [] };
+
+    for (const upload of candidates) {
+        const owner = await Complaint.findOne({ $or: [{ 'evidence.url': upload.url }, { 'respondent.evidence.url': upload.url }] }).select('_id').lean()
+            || await CaseMessage.findOne({ 'attachments.url': upload.url }).select('complaint').lean();
+        if (owner) {
+            await PendingUpload.updateOne({ _id: upload._id }, { $set: { status: 'Claimed', complaint: owner.complaint || owner._id, claimedAt: now } });
+            result.reclaimed++;
+            continue;
+        }
+
+        try {
+            await deleteStoredFiles([upload]);
+            await PendingUpload.updateOne({ _id: upload._id }, { $set: { status: 'Deleted', deletedAt: now } });
+            // Deletions of a complaint's files are already in that complaint's custody log.
+            if (upload.source === 'Pre-upload') {
+                await recordEvidenceCustody(null, [{ url: upload.url }], 'Deleted', undefined, `Never attached to a complaint; removed after ${graceHours} hours.`, { uploader: upload.uploadedBy });
+            }
+            result.removed.push({ url: upload.url, originalName: upload.originalName, source: upload.source, uploadedBy: upload.uploadedBy, createdAt: upload.createdAt });
+        } catch (error) {
+            await PendingUpload.updateOne({ _id: upload._id }, { $inc: { attempts: 1 }, $set: { lastError: error.message } });
+            result.failed.push({ url: upload.url, source: upload.source, error: error.message });
+        }
+    }
+
+    return result;
+};
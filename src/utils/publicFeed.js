@@ -0,0 +1,150 @@
+import Complaint from '../models/complaint.model.js';
+import { COMPLAINT_STATUSES } from './complaintStatus.js';
+import { escapeRegex } from './duplicates.js';
+import { PUBLIC_FEED_QUERY } from './publication.js';
+import { PUBLIC_COMPLAINT_FIELDS } from './publicView.js';
+
+export const PUBLIC_FEED_SORTS = ['newest', 'views', 'likes', 'trending', 'relevance'];
+
+// Fields visitors can filter on, with counts returned for each value. `null` accepts any value.
+export const PUBLIC_FEED_FACETS = {
+    category: null,
+    type: ['Case', 'MVOI'],
+    status: COMPLAINT_STATUSES,
+    resolutionStatus: Complaint.schema.path('resolutionStatus').enumValues,
+};
+
+// Trending score: (likes * LIKE_WEIGHT + views) / (hours since publication + 2) ^ GRAVITY,
+// so interest in a case counts for less the longer it has been public.
+const TRENDING_LIKE_WEIGHT = 3;
+const TRENDING_GRAVITY = 1.5;
+
+const SORT_STAGES = {
+    newest: { createdAt: -1, _id: -1 },
+    views: { views: -1, createdAt: -1 },
+    likes: { likes: -1, createdAt: -1 },
+    trending: { trendingScore: -1, createdAt: -1 },
+    relevance: { relevance: -1, createdAt: -1 },
+};
+
+const MAX_SEARCH_LENGTH = 200;
+
+/**
+ * Splits a filter given as a comma-separated list or as a repeated query parameter.
+ */
+const parseList = (value) => (value === undefined ? [] : String(value).split(',').map(item => item.trim()).filter(Boolean));
+
+/**
+ * Parses a date filter. A bare date as the end of a range includes the whole of that day.
+ */
+const parseDate = (value, endOfDay) => {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return null;
+    if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(String(value))) date.setUTCDate(date.getUTCDate() + 1);
+    return date;
+};
+
+/**
+ * Reads the public feed's search, filter and sort parameters.
+ * @param {object} query - The request's query string: `q`, `category`, `type`, `status`,
+ *   `resolutionStatus`, `from`, `to`, `vendor` and `sort`.
+ * @returns {{filters?: {match: object, facetMatch: object, sort: string}, error?: string}}
+ */
+export const parsePublicFeedQuery = (query) => {
+    const match = {};
+    const facetMatch = {};
+
+    for (const [field, allowed] of Object.entries(PUBLIC_FEED_FACETS)) {
+        const values = parseList(query[field]);
+        const invalid = allowed ? values.filter(value => !allowed.includes(value)) : [];
+        if (invalid.length > 0) {
+            return { error: `Invalid ${field}: ${invalid.join(', ')}. Choose from: ${allowed.join(', ')}.` };
+        }
+        if (values.length > 0) facetMatch[field] = { $in: values };
+    }
+
+    if (query.from !== undefined || query.to !== undefined) {
+        const from = query.from !== undefined ? parseDate(query.from, false) : undefined;
+        const to = query.to !== undefined ? parseDate(query.to, true) : undefined;
+        if (from === null || to === null) {
+            return { error: 'from and to must be valid dates.' };
+        }
+        match.createdAt = { ...(from && { $gte: from }), ...(to && { $lt: to }) };
+    }
+
+    if (query.vendor !== undefined && String(query.vendor).trim()) {
+        // MVOI applications keep the applicant's own details in vendorDetails.
+        match.type = 'Case';
+        match['vendorDetails.name'] = { $regex: escapeRegex(String(query.vendor).trim()), $options: 'i' };
+    }
+
+    const search = query.q !== undefined ? String(query.q).trim() : '';
+    if (search.length > MAX_SEARCH_LENGTH) {
+        return { error: `Search text must be at most ${MAX_SEARCH_LENGTH} characters.` };
+    }
+    if (search) match.$text = { $search: search };
+
+    const sort = query.sort || (search ? 'relevance' : 'newest');
+    if (!PUBLIC_FEED_SORTS.includes(sort)) {
+        return { error: `Invalid sort. Choose one of: ${PUBLIC_FEED_SORTS.join(', ')}.` };
+    }
+    if (sort === 'relevance' && !search) {
+        return { error: 'Sorting by relevance needs search text (q).' };
+    }
+
+    return { filters: { match, facetMatch, sort } };
+};
+
+/**
+ * Builds the trending score expression for the aggregation pipeline.
+ */
+const buildTrendingScore = (now) => {
+    const ageHours = {
+        $max: [0, { $divide: [{ $subtract: [now, { $ifNull: ['$publication.live.publishedAt', '$createdAt'] }] }, 60 * 60 * 1000] }],
+    };
+    return {
+        $divide: [
+            { $add: [{ $multiply: [{ $ifNull: ['$likes', 0] }, TRENDING_LIKE_WEIGHT] }, { $ifNull: ['$views', 0] }] },
+            { $pow: [{ $add: [ageHours, 2] }, TRENDING_GRAVITY] },
+        ],
+    };
+};
+
+/**
+ * Builds the aggregation returning one page of the public feed, the total number of matches and
+ * the count of each facet value. Each facet is counted with every filter except its own, so a
+ * visitor can see how many cases the other values would give.
+ * @param {object} options
+ * @param {object} options.match - Filters from `parsePublicFeedQuery`.
+ * @param {object} options.facetMatch
+ * @param {string} options.sort
+ * @param {number} options.skip
+ * @param {number} options.limit
+ * @param {Date} [options.now=new Date()]
+ * @returns {object[]}
+ */
+export const buildPublicFeedPipeline = ({ match, facetMatch, sort, skip, limit, now = new Date() }) => {
+    const facetFilter = (exclude) => ({
+        $match: Object.fromEntries(Object.entries(facetMatch).filter(([field]) => field !== exclude)),
+    });
+    const projection = Object.fromEntries(PUBLIC_COMPLAINT_FIELDS.split(' ').map(field => [field, 1]));
+
+    return [
+        // $text has to be in the first stage.
+        { $match: { ...PUBLIC_FEED_QUERY, ...match } },
+        ...(sort === 'relevance' ? [{ $addFields: { relevance: { $meta: 'textScore' } } }] : []),
+        ...(sort === 'trending' ? [{ $addFields: { trendingScore: buildTrendingScore(now) } }] : []),
+        {
+            $facet: {
+                complaints: [facetFilter(), { $sort: SORT_STAGES[sort] }, { $skip: skip }, { $limit: limit }, { $project: projection }],
+                total: [facetFilter(), { $count: 'count' }],
+                ...Object.fromEntries(Object.keys(PUBLIC_FEED_FACETS).map(field => [field, [
+                    facetFilter(field),
+                    { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+                    { $match: { _id: { $ne: null } } },
+                    { $sort: { count: -1, _id: 1 } },
+                ]])),
+            },
+        },
+    ];
+};
@@ -0,0 +1,174 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Complaint from '../models/complaint.model.js';
+import User from '../models/user.model.js';
+import { getPublicEvidence } from './publicationRevisions.js';
+import { getSignedFileUrl } from './storage/index.js';
+
+// Shapes what /api/v1/public returns. Responses are built from an allowlist of fields, and
+// the public routes refuse to send anything named like a Complaint or User field that is not
+// on it, so fields added to either model later stay private until they are listed here.
+
+// Complaint fields the public serializers read. `likedBy`/`dislikedBy` are only read to work
+// out the caller's own reaction; `complainant` and `publication` to name or pseudonymise them
+// and to pick the live revision's evidence.
+export const PUBLIC_COMPLAINT_FIELDS = 'caseRef title type status category vendorDetails.name publicNarrative evidence resolutionStatus createdAt views likes dislikes likedBy dislikedBy complainant publication.preference publication.live';
+
+// The complainant fields shown when they chose to be named.
+export const PUBLIC_COMPLAINANT_FIELDS = 'fullName avatarUrl';
+
+// Model field names that may appear in a public response. `complaint` and `error` are the
+// response envelopes; `desiredAction` and `initiativeCategory` are taxonomy option lists;
+// `revision`, `number` and `publishedAt` describe the live revision.
+const PUBLIC_KEYS = new Set([
+    '_id', 'caseRef', 'title', 'type', 'status', 'category', 'desiredAction', 'initiativeCategory',
+    'vendorDetails', 'name', 'publicNarrative', 'evidence', 'url', 'resourceType', 'mimeType',
+    'resolutionStatus', 'createdAt', 'views', 'likes', 'dislikes', 'complaint', 'error',
+    'revision', 'number', 'publishedAt',
+]);
+
+const ADJECTIVES = ['Amber', 'Brave', 'Calm', 'Clever', 'Coral', 'Gentle', 'Golden', 'Quiet', 'Rapid', 'Silver', 'Steady', 'Sunny', 'Swift', 'Bright', 'Noble', 'Keen'];
+const ANIMALS = ['Heron', 'Falcon', 'Antelope', 'Kestrel', 'Otter', 'Leopard', 'Crane', 'Gazelle', 'Hornbill', 'Lion', 'Pelican', 'Weaver', 'Tortoise', 'Egret', 'Ibis', 'Buffalo'];
+
+const getPseudonymSecret = () => process.env.PUBLIC_PSEUDONYM_SECRET || process.env.ACCESS_TOKEN_SECRET;
+
+/**
+ * Collects every field name in a schema and its sub-schemas.
+ */
+const collectFieldNames = (schema, names = new Set()) => {
+    schema.eachPath((path, schemaType) => {
+        path.split('.').forEach(name => names.add(name));
+        if (schemaType.schema) collectFieldNames(schemaType.schema, names);
+    });
+    return names;
+};
+
+const PRIVATE_KEYS = new Set([...collectFieldNames(Complaint.schema), ...collectFieldNames(User.schema)]
+    .filter(name => !PUBLIC_KEYS.has(name)));
+
+/**
+ * Identifies the caller for reactions: their user ID when signed in, otherwise a hash of their IP.
+ * @param {object} req
+ * @returns {string}
+ */
+export const getViewerKey = (req) => {
+    if (req.user?._id) return req.user._id.toString();
+    const ip = req.ip || req.connection.remoteAddress;
+    return crypto.createHash('sha256').update(ip).digest('hex');
+};
+
+/**
+ * Draws a symmetric 5x5 identicon from a digest, as an SVG data URI.
+ */
+const buildAvatar = (digest) => {
+    const color = `hsl(${digest.readUInt16BE(0) % 360}, 55%, 48%)`;
+    const cells = [];
+    for (let row = 0; row < 5; row++) {
+        for (let col = 0; col < 3; col++) {
+            if (digest[2 + row * 3 + col] % 2 === 0) continue;
+            cells.push([col, row]);
+            if (col < 2) cells.push([4 - col, row]);
+        }
+    }
+    const rects = cells.map(([x, y]) => `<rect x="${x}" y="${y}" width="1" height="1"/>`).join('');
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 5 5" shape-rendering="crispEdges"><rect width="5" height="5" fill="#f2f2f2"/><g fill="${color}">${rects}</g></svg>`;
+    return `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`;
+};
+
+/**
+ * Describes who filed a case on the public feed. Complainants who chose to be named appear
+ * with their name and avatar; everyone else gets a pseudonym and generated avatar. Both are
+ * derived from the case, so they stay the same between requests but a complainant's cases
+ * cannot be linked to each other.
+ * @param {object} complaint - With `_id`, `complainant` (populated when named) and `publication`.
+ * @returns {{displayName: string, avatar: string, isNamed: boolean}}
+ */
+export const buildPublicAuthor = (complaint) => {
+    const complainantId = complaint.complainant?._id || complaint.complainant;
+    const digest = crypto.createHmac('sha256', getPseudonymSecret())
+        .update(`${complainantId || 'anonymous'}:${complaint._id}`)
+        .digest();
+    const avatar = buildAvatar(digest);
+
+    const complainant = complaint.complainant;
+    if (complaint.publication?.preference === 'Named' && complainant?.fullName) {
+        return { displayName: complainant.fullName, avatar: complainant.avatarUrl || avatar, isNamed: true };
+    }
+
+    const displayName = `${ADJECTIVES[digest[17] % ADJECTIVES.length]} ${ANIMALS[digest[18] % ANIMALS.length]} ${10 + (digest.readUInt16BE(19) % 90)}`;
+    return { displayName, avatar, isNamed: false };
+};
+
+/**
+ * Works out how the caller reacted to a case.
+ * @param {object} complaint - With `likedBy` and `dislikedBy`.
+ * @param {string} [viewerKey] - From `getViewerKey`.
+ * @returns {'like'|'dislike'|null}
+ */
+export const getViewerReaction = (complaint, viewerKey) => {
+    if (!viewerKey) return null;
+    if (complaint.likedBy?.includes(viewerKey)) return 'like';
+    if (complaint.dislikedBy?.includes(viewerKey)) return 'dislike';
+    return null;
+};
+
+/**
+ * Builds a case's reaction counts and the caller's own reaction.
+ * @param {object} complaint
+ * @param {string} [viewerKey]
+ * @returns {{likes: number, dislikes: number, viewerReaction: 'like'|'dislike'|null}}
+ */
+export const toPublicReaction = (complaint, viewerKey) => ({
+    likes: complaint.likes || 0,
+    dislikes: complaint.dislikes || 0,
+    viewerReaction: getViewerReaction(complaint, viewerKey),
+});
+
+/**
+ * Builds the public view of a case from its live revision: the published narrative and the
+ * evidence selected for it, without uploader details.
+ * @param {object} complaint - A lean complaint or the result of `toObject()`, with the fields in
+ *   PUBLIC_COMPLAINT_FIELDS and the complainant populated with PUBLIC_COMPLAINANT_FIELDS.
+ * @param {string} [viewerKey] - From `getViewerKey`.
+ * @returns {object}
+ */
+export const toPublicComplaint = (complaint, viewerKey) => ({
+    _id: complaint._id.toString(),
+    caseRef: complaint.caseRef,
+    title: complaint.title,
+    type: complaint.type,
+    status: complaint.status,
+    category: complaint.category,
+    // MVOI applications keep the applicant's own details in vendorDetails.
+    vendorDetails: complaint.type !== 'MVOI' && complaint.vendorDetails?.name ? { name: complaint.vendorDetails.name } : undefined,
+    publicNarrative: complaint.publicNarrative,
+    // Signed, since visitors have no access token for the stored files.
+    evidence: getPublicEvidence(complaint).map(file => ({ url: getSignedFileUrl(file), resourceType: file.resourceType, mimeType: file.mimeType })),
+    // Cases published before revisions were introduced have no revision details.
+    revision: complaint.publication?.live?.revision
+        ? { number: complaint.publication.live.number, publishedAt: complaint.publication.live.publishedAt }
+        : undefined,
+    resolutionStatus: complaint.resolutionStatus,
+    createdAt: complaint.createdAt,
+    views: complaint.views || 0,
+    submittedBy: buildPublicAuthor(complaint),
+    ...toPublicReaction(complaint, viewerKey),
+});
+
+/**
+ * Lists the places in a response body that could expose private data: fields named like a
+ * Complaint or User field that is not public, and raw documents or IDs.
+ * @param {*} value
+ * @param {string} [path]
+ * @returns {string[]} The offending paths.
+ */
+export const findPrivateFields = (value, path = '') => {
+    if (value === null || typeof value !== 'object' || value instanceof Date) return [];
+    if (value instanceof mongoose.Document || value instanceof mongoose.Types.ObjectId) return [path || '(body)'];
+    if (Array.isArray(value)) return value.flatMap((item, index) => findPrivateFields(item, `${path}[${index}]`));
+
+    return Object.entries(value).flatMap(([key, item]) => {
+        const keyPath = path ? `${path}.${key}` : key;
+        return PRIVATE_KEYS.has(key) ? [keyPath] : findPrivateFields(item, keyPath);
+    });
+};
@@ -0,0 +1,54 @@
+import crypto from 'crypto';
+
+// How the complainant agreed to their case appearing on the public feed.
+export const PUBLICATION_PREFERENCES = ['Named', 'Anonymous', 'Do Not Publish'];
+
+// Preferences that allow a case to be published.
+export const PUBLISHABLE_PREFERENCES = ['Named', 'Anonymous'];
+
+// Published cases whose complainant still consents to publication. Cases published before
+// consent was recorded need `npm run migrate:publication` to stay on the feed.
+export const PUBLIC_FEED_QUERY = { isPublic: true, 'publication.preference': { $in: PUBLISHABLE_PREFERENCES } };
+
+/**
+ * Hashes a public narrative so an approval is tied to the exact text the complainant saw.
+ * @param {string} text
+ * @returns {string}
+ */
+export const hashNarrative = (text = '') => crypto.createHash('sha256').update(text).digest('hex');
+
+/**
+ * Explains why a complaint cannot be published with a narrative, or returns null if it can.
+ * @param {object} complaint - With `publication`.
+ * @param {string} narrative - The public narrative to publish.
+ * @returns {string | null}
+ */
+export const getPublicationBlocker = (complaint, narrative) => {
+    const { preference, approvedHash } = complaint.publication || {};
+    if (!PUBLISHABLE_PREFERENCES.includes(preference)) {
+        return 'The complainant has not agreed to their case being published.';
+    }
+    if (!narrative || !narrative.trim()) {
+        return 'A public narrative is required before the case can be published.';
+    }
+    if (approvedHash !== hashNarrative(narrative)) {
+        return 'The complainant has not approved this public narrative.';
+    }
+    return null;
+};
+
+/**
+ * Builds a consent record for the complaint's publication log.
+ * @param {string} action - 'Preference Set', 'Approved' or 'Rejected'.
+ * @param {object} details - `preference`, `narrative`, `reason` and `decidedBy`, as applicable.
+ * @returns {object}
+ */
+export const buildConsentRecord = (action, { preference, narrative, reason, decidedBy }) => ({
+    action,
+    preference,
+    narrative,
+    narrativeHash: narrative !== undefined ? hashNarrative(narrative) : undefined,
+    reason,
+    decidedBy,
+    timestamp: new Date(),
+});
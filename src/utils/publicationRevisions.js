@@ -0,0 +1,229 @@
+import Complaint from '../models/complaint.model.js';
+import PublicationRevision from '../models/publicationRevision.model.js';
+import { createNotification } from './notification.js';
+import { recordEvidenceCustody } from './custody.js';
+import { isQuarantined } from './evidence.js';
+import { getPublicationBlocker, buildConsentRecord } from './publication.js';
+
+// Revisions still on their way to the public feed.
+export const OPEN_REVISION_STATUSES = ['Pending Review', 'Scheduled'];
+
+/**
+ * Returns the complainant's evidence that may be published: files shared with the complainant
+ * that are not quarantined.
+ * @param {object} complaint
+ * @returns {object[]}
+ */
+export const getPublishableEvidence = (complaint) => (complaint.evidence || [])
+    .filter(file => file.visibility !== 'Staff Only' && !isQuarantined(file));
+
+/**
+ * Returns the evidence a published case shows: the files selected in its live revision, or
+ * every publishable file for cases published before revisions were introduced.
+ * @param {object} complaint - With `evidence` and `publication.live`.
+ * @returns {object[]}
+ */
+export const getPublicEvidence = (complaint) => {
+    const publishable = getPublishableEvidence(complaint);
+    const live = complaint.publication?.live;
+    if (!live?.revision) return publishable;
+
+    const selected = new Set((live.evidence || []).map(id => id.toString()));
+    return publishable.filter(file => selected.has(file._id.toString()));
+};
+
+/**
+ * Checks the evidence chosen for a revision. Without a selection, every publishable file is used.
+ * @param {object} complaint
+ * @param {string[]} [evidenceIds]
+ * @returns {{evidence?: object[], error?: string}} The selected evidence IDs, or why the selection is invalid.
+ */
+export const selectRevisionEvidence = (complaint, evidenceIds) => {
+    const publishable = getPublishableEvidence(complaint);
+    if (evidenceIds === undefined) {
+        return { evidence: publishable.map(file => file._id) };
+    }
+    if (!Array.isArray(evidenceIds)) {
+        return { error: 'evidenceIds must be a list of evidence IDs.' };
+    }
+
+    const byId = new Map(publishable.map(file => [file._id.toString(), file]));
+    const invalid = evidenceIds.filter(id => !byId.has(String(id)));
+    if (invalid.length > 0) {
+        return { error: `These files cannot be published: ${invalid.join(', ')}. Only files shared with the complainant that are not quarantined can be selected.` };
+    }
+    return { evidence: [...new Set(evidenceIds.map(String))].map(id => byId.get(id)._id) };
+};
+
+/**
+ * Cancels a case's revisions that have not gone live yet.
+ * @param {string} complaintId
+ * @param {object} options
+ * @param {string} options.reason
+ * @param {string} [options.endedBy] - The user cancelling them.
+ * @param {string} [options.except] - A revision to leave open.
+ */
+export const cancelOpenRevisions = (complaintId, { reason, endedBy, except }) => PublicationRevision.updateMany(
+    { complaint: complaintId, status: { $in: OPEN_REVISION_STATUSES }, ...(except && { _id: { $ne: except } }) },
+    { $set: { status: 'Cancelled', endedAt: new Date(), endedBy, endReason: reason } }
+);
+
+/**
+ * Puts a scheduled revision on the public feed, replacing the case's live revision. The revision
+ * stays scheduled if the complainant's consent does not cover it yet.
+ * @param {string} revisionId
+ * @param {object} [req] - The request, used to record the acting user; omitted when the scheduler publishes.
+ * @returns {Promise<{published: boolean, reason?: string, complaint?: object, revision?: object}>}
+ */
+export const publishRevision = async (revisionId, req) => {
+    const revision = await PublicationRevision.findById(revisionId);
+    if (revision?.status !== 'Scheduled') {
+        return { published: false, reason: 'The revision is not scheduled for publication.' };
+    }
+    const complaint = await Complaint.findById(revision.complaint);
+    if (!complaint) {
+        return { published: false, reason: 'The case no longer exists.' };
+    }
+    const blocker = getPublicationBlocker(complaint, revision.publicNarrative);
+    if (blocker) {
+        return { published: false, reason: blocker };
+    }
+
+    // Claim the revision so the scheduler and an approval cannot both publish it.
+    const now = new Date();
+    const live = await PublicationRevision.findOneAndUpdate(
+        { _id: revision._id, status: 'Scheduled' },
+        { $set: { status: 'Live', publishedAt: now } },
+        { new: true }
+    );
+    if (!live) {
+        return { published: false, reason: 'The revision is not scheduled for publication.' };
+    }
+
+    const previousFiles = complaint.isPublic ? getPublicEvidence(complaint) : [];
+    const previousRevision = complaint.publication.live?.revision;
+
+    complaint.publicNarrative = live.publicNarrative;
+    complaint.isPublic = true;
+    complaint.publication.live = { revision: live._id, number: live.number, publishedAt: now, evidence: live.evidence };
+    complaint.statusHistory.push({
+        status: complaint.status,
+        changedBy: req?.user?._id,
+        notes: `Public revision #${live.number} published.`,
+        timestamp: now,
+    });
+    await complaint.save();
+
+    if (previousRevision) {
+        await PublicationRevision.updateOne({ _id: previousRevision, status: 'Live' }, { $set: { status: 'Superseded', endedAt: now } });
+    }
+
+    // Record which files joined or left the public feed with this revision.
+    const currentFiles = getPublicEvidence(complaint);
+    const previousIds = new Set(previousFiles.map(file => file._id.toString()));
+    const currentIds = new Set(currentFiles.map(file => file._id.toString()));
+    await recordEvidenceCustody(complaint._id, currentFiles.filter(file => !previousIds.has(file._id.toString())), 'Published', req, `Public revision #${live.number}.`);
+    await recordEvidenceCustody(complaint._id, previousFiles.filter(file => !currentIds.has(file._id.toString())), 'Unpublished', req, `Not included in public revision #${live.number}.`);
+
+    if (complaint.complainant) {
+        await createNotification(
+            complaint.complainant,
+            `The approved summary of your case '${complaint.caseRef}' is now on the public feed.`,
+            `/complainant/complaint/${complaint._id}`,
+            { title: 'Case Published' }
+        );
+    }
+    if (live.submittedBy) {
+        await createNotification(
+            live.submittedBy,
+            `Public revision #${live.number} of case '${complaint.caseRef}' is now live.`,
+            `/admin/complaint/${complaint._id}`,
+            { title: 'Revision Published' }
+        );
+    }
+
+    return { published: true, complaint, revision: live };
+};
+
+/**
+ * Publishes every approved revision whose scheduled time has passed. Revisions the complainant
+ * has not approved yet stay scheduled and are retried on the next run.
+ * @param {object} [options]
+ * @param {Date} [options.now=new Date()]
+ * @returns {Promise<{published: object[], waiting: Array<{revision: string, reason: string}>}>}
+ */
+export const publishDueRevisions = async ({ now = new Date() } = {}) => {
+    const due = await PublicationRevision.find({ status: 'Scheduled', publishAt: { $lte: now } })
+        .sort({ publishAt: 1 })
+        .select('_id')
+        .lean();
+
+    const published = [];
+    const waiting = [];
+    for (const { _id } of due) {
+        try {
+            const result = await publishRevision(_id);
+            if (result.published) {
+                published.push(result.revision);
+            } else {
+                waiting.push({ revision: _id, reason: result.reason });
+            }
+        } catch (error) {
+            waiting.push({ revision: _id, reason: error.message });
+        }
+    }
+    return { published, waiting };
+};
+
+/**
+ * Takes a case off the public feed and records why.
+ * @param {object} complaint - The complaint document.
+ * @param {object} options
+ * @param {string} options.reason
+ * @param {object} [options.req] - The request, used to record the acting user.
+ */
+export const unpublishComplaint = async (complaint, { reason, req }) => {
+    const now = new Date();
+    const files = complaint.isPublic ? getPublicEvidence(complaint) : [];
+    const liveRevision = complaint.publication?.live?.revision;
+
+    complaint.isPublic = false;
+    complaint.publication.live = undefined;
+    complaint.statusHistory.push({
+        status: complaint.status,
+        changedBy: req?.user?._id,
+        notes: `Removed from the public feed: ${reason}`,
+        timestamp: now,
+    });
+    await complaint.save();
+
+    if (liveRevision) {
+        await PublicationRevision.updateOne(
+            { _id: liveRevision, status: 'Live' },
+            { $set: { status: 'Unpublished', endedAt: now, endedBy: req?.user?._id, endReason: reason } }
+        );
+    }
+    await recordEvidenceCustody(complaint._id, files, 'Unpublished', req, reason);
+};
+
+/**
+ * Gives cases published before consent was recorded an 'Anonymous' preference, so they stay on
+ * the public feed without naming the complainant until they choose for themselves. The change
+ * is recorded in each case's consent log. Safe to run repeatedly.
+ * @returns {Promise<{updated: number}>}
+ */
+export const backfillPublicationPreferences = async () => {
+    const result = await Complaint.updateMany(
+        { isPublic: true, 'publication.preference': { $exists: false } },
+        {
+            $set: { 'publication.preference': 'Anonymous' },
+            $push: {
+                'publication.consentLog': buildConsentRecord('Preference Set', {
+                    preference: 'Anonymous',
+                    reason: 'Published before consent was recorded; shown anonymously until the complainant chooses.',
+                }),
+            },
+        }
+    );
+    return { updated: result.modifiedCount };
+};
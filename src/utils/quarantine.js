@@ -0,0 +1,38 @@
+import { isQuarantined } from './evidence.js';
+import { recordEvidenceCustody } from './custody.js';
+import { notifyAdmins } from './notification.js';
+import { scanFile } from './scanners/index.js';
+import { getStoredFile } from './storage/index.js';
+
+const describeScan = (file) => (file.scan.status === 'Infected'
+    ? `Malware scan flagged the file (${file.scan.signature || 'unknown signature'}).`
+    : `Malware scan could not complete: ${file.scan.error || 'unknown error'}.`);
+
+/**
+ * Logs newly added files that failed their malware scan and alerts staff. The files stay on the
+ * case but are hidden and cannot be downloaded until they are rescanned clean or released.
+ * @param {object} complaint - Needs `_id` and `caseRef`.
+ * @param {object[]} files - The evidence records just added to the case.
+ * @param {object} [req]
+ * @returns {Promise<object[]>} The quarantined files.
+ */
+export const recordQuarantinedEvidence = async (complaint, files, req) => {
+    const quarantined = files.filter(isQuarantined);
+    for (const file of quarantined) {
+        await recordEvidenceCustody(complaint._id, [file], 'Quarantined', req, describeScan(file));
+    }
+    if (quarantined.length > 0) {
+        await notifyAdmins(
+            `${quarantined.length} file(s) uploaded to case '${complaint.caseRef}' failed the malware scan and were quarantined.`,
+            `/admin/complaint/${complaint._id}`
+        );
+    }
+    return quarantined;
+};
+
+/**
+ * Scans a stored evidence file again, e.g. after a scanner outage.
+ * @param {object} file - An evidence record.
+ * @returns {Promise<object>} The new scan result.
+ */
+export const rescanEvidenceFile = async (file) => scanFile(await getStoredFile(file));
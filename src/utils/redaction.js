@@ -0,0 +1,178 @@
+import User from '../models/user.model.js';
+
+// Detects personal data in text written for the public feed and suggests a redacted draft.
+// Pattern detectors catch contact and account details in any case; the case context adds the
+// complainant's and vendor's own details, and names mentioned in the private narrative.
+
+const PLACEHOLDERS = {
+    'Email': '[EMAIL]',
+    'Phone': '[PHONE]',
+    'Bank Account': '[ACCOUNT NUMBER]',
+    'ID Number': '[ID NUMBER]',
+    'Name': '[NAME]',
+    'Contact': '[CONTACT]',
+    'Social Handle': '[SOCIAL HANDLE]',
+};
+
+// Honorifics that usually precede a person's name in Nigerian complaints.
+const HONORIFICS = ['Mr', 'Mrs', 'Ms', 'Miss', 'Dr', 'Chief', 'Alhaji', 'Alhaja', 'Madam', 'Engr', 'Barr', 'Prof', 'Pastor', 'Rev', 'Hajiya', 'Mallam'];
+
+const ACCOUNT_KEYWORDS = /\b(?:account|acct|a\/c|acc|nuban|bank|transfer(?:red)?|paid|deposit(?:ed)?|opay|palmpay|moniepoint|kuda)\b/i;
+
+const PATTERNS = [
+    { type: 'Email', regex: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi },
+    // Nigerian mobile numbers: 0803 123 4567, +234 803 123 4567, 2348031234567.
+    { type: 'Phone', regex: /(?<![\d+])(?:\+?234[\s.-]?\(?0?\)?|0)[789][01]\d[\s.-]?\d{3}[\s.-]?\d{4}(?!\d)/g },
+    // Other international numbers.
+    { type: 'Phone', regex: /(?<![\d+])\+\d{1,3}[\s.-]?(?:\(?\d{1,4}\)?[\s.-]?){2,4}\d{2,4}(?!\d)/g },
+    // NUBAN account numbers are ten digits, sometimes written in groups.
+    { type: 'Bank Account', regex: /(?<![\d+])\d{3,4}[\s-]?\d{3}[\s-]?\d{3,4}(?!\d)/g, validate: (text) => text.replace(/\D/g, '').length === 10 },
+    // BVN and NIN are eleven digits; mobile numbers of the same length are matched above.
+    { type: 'ID Number', regex: /(?<![\d+])\d{11}(?!\d)/g },
+];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Builds a pattern for a known value. Numbers match with any separators between digits;
+ * words match whole and case-insensitively.
+ */
+const buildTermRegex = (term) => {
+    const digits = term.replace(/\D/g, '');
+    if (digits.length >= 7 && digits.length >= term.replace(/[\s()+.-]/g, '').length) {
+        // Compare on the local part so +234 803... also matches 0803...
+        const local = digits.replace(/^234/, '').replace(/^0/, '');
+        return new RegExp(`(?<!\\d)(?:\\+?234|0)?[\\s.-]?${local.split('').join('[\\s.-]?')}(?!\\d)`, 'g');
+    }
+    return new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegex(term.trim()).replace(/\s+/g, '\\s+')}(?![\\p{L}\\p{N}])`, 'giu');
+};
+
+/**
+ * Extracts names written after an honorific in the private narrative, e.g. "Mr. Tunde Bakare".
+ * @param {string} narrative
+ * @returns {string[]}
+ */
+export const extractNamedPeople = (narrative = '') => {
+    const regex = new RegExp(`\\b(?:${HONORIFICS.join('|')})\\.?\\s+((?:[A-Z][a-z'-]+)(?:\\s+[A-Z][a-z'-]+){0,2})`, 'g');
+    return [...new Set([...narrative.matchAll(regex)].map(match => match[1]))];
+};
+
+/**
+ * Splits a full name into the full name and each part long enough to identify someone.
+ */
+const nameTerms = (fullName) => {
+    if (!fullName || !fullName.trim()) return [];
+    const parts = fullName.trim().split(/\s+/).filter(part => part.replace(/[^\p{L}]/gu, '').length >= 3);
+    return [fullName.trim(), ...(parts.length > 1 ? parts : [])];
+};
+
+/**
+ * Splits a free-text contact field ("a@b.com, 0803...") into its individual values.
+ */
+const contactTerms = (value) => (value || '').split(/[,;/|]|\s{2,}/).map(part => part.trim()).filter(part => part.length >= 4);
+
+/**
+ * Collects the case-specific values that must not appear in public text.
+ * @param {object} complaint - With `type`, `narrative`, `contactNumber`, `vendorDetails` and `respondent`.
+ * @param {object} [complainant] - The complainant's user record (`fullName`, `email`, `contactInfo`).
+ * @returns {Array<{term: string, type: string, source: string}>}
+ */
+export const buildRedactionTerms = (complaint, complainant) => {
+    const terms = [];
+    const add = (values, type, source) => values.filter(Boolean).forEach(term => terms.push({ term, type, source }));
+
+    add(nameTerms(complainant?.fullName), 'Name', 'Complainant');
+    add([complainant?.email], 'Email', 'Complainant');
+    add([complainant?.contactInfo?.phone, complaint.contactNumber], 'Phone', 'Complainant');
+    add([complainant?.contactInfo?.address], 'Contact', 'Complainant');
+
+    const vendor = complaint.vendorDetails || {};
+    if (complaint.type === 'MVOI') {
+        // MVOI applications keep the applicant's own details in vendorDetails.
+        add(nameTerms(vendor.name), 'Name', 'Applicant');
+        add(contactTerms(vendor.contact), 'Contact', 'Applicant');
+    } else {
+        add(contactTerms(vendor.contact), 'Contact', 'Vendor');
+        add(contactTerms(vendor.socialMedia), 'Social Handle', 'Vendor');
+    }
+    add([complaint.respondent?.email], 'Email', 'Respondent');
+    add(nameTerms(complaint.respondent?.name), 'Name', 'Respondent');
+
+    for (const person of extractNamedPeople(complaint.narrative)) {
+        add(nameTerms(person), 'Name', 'Narrative');
+    }
+    return terms;
+};
+
+// Complaint fields `loadRedactionTerms` needs.
+export const REDACTION_FIELDS = 'type narrative publicNarrative contactNumber vendorDetails respondent.name respondent.email complainant';
+
+/**
+ * Loads the complainant and collects the case-specific values to redact.
+ * @param {object} complaint - With the fields in REDACTION_FIELDS.
+ * @returns {Promise<Array<{term: string, type: string, source: string}>>}
+ */
+export const loadRedactionTerms = async (complaint) => {
+    const complainant = await User.findById(complaint.complainant).select('fullName email contactInfo').lean();
+    return buildRedactionTerms(complaint, complainant);
+};
+
+/**
+ * Finds personal data in a text.
+ * @param {string} text
+ * @param {Array<{term: string, type: string, source: string}>} [terms] - From `buildRedactionTerms`.
+ * @returns {Array<{start: number, end: number, text: string, type: string, source: string, confidence: 'high'|'medium'}>}
+ *   Non-overlapping matches in text order.
+ */
+export const detectPii = (text = '', terms = []) => {
+    const matches = [];
+
+    for (const { term, type, source } of terms) {
+        for (const match of text.matchAll(buildTermRegex(term))) {
+            matches.push({ start: match.index, end: match.index + match[0].length, type, source, confidence: 'high' });
+        }
+    }
+
+    for (const { type, regex, validate } of PATTERNS) {
+        for (const match of text.matchAll(regex)) {
+            if (validate && !validate(match[0])) continue;
+            // A bare ten-digit number is more likely an account number when the text says so.
+            const confidence = type === 'Bank Account' && !ACCOUNT_KEYWORDS.test(text.slice(Math.max(0, match.index - 60), match.index))
+                ? 'medium'
+                : 'high';
+            matches.push({ start: match.index, end: match.index + match[0].length, type, source: 'Pattern', confidence });
+        }
+    }
+
+    // Keep the earliest, then longest, match where matches overlap.
+    matches.sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
+    const spans = [];
+    for (const match of matches) {
+        const previous = spans[spans.length - 1];
+        if (previous && match.start < previous.end) continue;
+        spans.push({ ...match, text: text.slice(match.start, match.end) });
+    }
+    return spans;
+};
+
+/**
+ * Replaces detected spans with placeholders such as [PHONE].
+ * @param {string} text
+ * @param {object[]} spans - From `detectPii`.
+ * @returns {{draft: string, spans: object[]}} The draft, and the spans with the position of
+ *   each placeholder in the draft (`draftStart`, `draftEnd`) for highlighting.
+ */
+export const redactText = (text = '', spans = []) => {
+    let draft = '';
+    let cursor = 0;
+    const placed = spans.map(span => {
+        const replacement = PLACEHOLDERS[span.type] || '[REDACTED]';
+        draft += text.slice(cursor, span.start);
+        const draftStart = draft.length;
+        draft += replacement;
+        cursor = span.end;
+        return { ...span, replacement, draftStart, draftEnd: draft.length };
+    });
+    draft += text.slice(cursor);
+    return { draft, spans: placed };
+};
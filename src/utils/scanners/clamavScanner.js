@@ -0,0 +1,74 @@
+import net from 'net';
+
+const getConnectionOptions = () => (process.env.CLAMAV_SOCKET
+    ? { path: process.env.CLAMAV_SOCKET }
+    : { host: process.env.CLAMAV_HOST || '127.0.0.1', port: parseInt(process.env.CLAMAV_PORT) || 3310 });
+
+/**
+ * Scans files with a ClamAV daemon (clamd) using its INSTREAM command. Connects to
+ * CLAMAV_SOCKET if set, otherwise CLAMAV_HOST:CLAMAV_PORT (default 127.0.0.1:3310).
+ *
+ * clamd refuses streams over its `StreamMaxLength` (25M by default), and such files are
+ * quarantined as 'Failed'. Set `StreamMaxLength` in clamd.conf to at least the largest
+ * `maxSizeMb` in the evidence file types (500M with the defaults in fileTypes.js).
+ */
+const clamavScanner = {
+    name: 'clamav',
+
+    /**
+     * Streams a file to clamd and reads its verdict.
+     * @param {import('stream').Readable} stream
+     * @returns {Promise<{status: 'Clean'|'Infected', signature?: string}>}
+     */
+    scan(stream) {
+        const timeoutMs = parseInt(process.env.CLAMAV_TIMEOUT_MS) || 60000;
+
+        return new Promise((resolve, reject) => {
+            const socket = net.createConnection(getConnectionOptions());
+            let response = '';
+
+            const fail = (error) => {
+                stream.unpipe?.();
+                stream.resume();
+                socket.destroy();
+                reject(error);
+            };
+
+            socket.setTimeout(timeoutMs, () => fail(new Error('The virus scanner did not respond in time.')));
+            socket.on('error', fail);
+            socket.on('data', (data) => { response += data.toString(); });
+            socket.on('end', () => {
+                // clamd may answer before the whole file is sent; drain the rest so the upload finishes.
+                stream.resume();
+                const verdict = response.replace(/\0/g, '').trim();
+                const found = /^stream: (.+) FOUND$/.exec(verdict);
+                if (found) return resolve({ status: 'Infected', signature: found[1] });
+                if (verdict === 'stream: OK') return resolve({ status: 'Clean' });
+                if (/size limit exceeded/i.test(verdict)) {
+                    return fail(new Error('The file is larger than the virus scanner accepts (clamd StreamMaxLength).'));
+                }
+                fail(new Error(`Unexpected virus scanner response: ${verdict || 'none'}`));
+            });
+
+            socket.on('connect', () => {
+                socket.write('zINSTREAM\0');
+                // Each chunk is sent with its length; a zero length ends the stream.
+                stream.on('data', (chunk) => {
+                    const length = Buffer.alloc(4);
+                    length.writeUInt32BE(chunk.length);
+                    if (!socket.write(Buffer.concat([length, chunk]))) {
+                        stream.pause();
+                        socket.once('drain', () => stream.resume());
+                    }
+                });
+                stream.on('end', () => socket.write(Buffer.alloc(4)));
+                stream.on('error', fail);
+                stream.on('close', () => {
+                    if (!stream.readableEnded) fail(new Error('The upload ended before the file could be scanned.'));
+                });
+            });
+        });
+    },
+};
+
+export default clamavScanner;
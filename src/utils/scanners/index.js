@@ -0,0 +1,40 @@
+import clamavScanner from './clamavScanner.js';
+import noopScanner from './noopScanner.js';
+
+const scanners = {
+    [clamavScanner.name]: clamavScanner,
+    [noopScanner.name]: noopScanner,
+};
+
+// Scan results that keep a file in quarantine: it was flagged, or it could not be checked.
+export const QUARANTINE_SCAN_STATUSES = ['Infected', 'Failed'];
+
+/**
+ * Returns the configured malware scanner (EVIDENCE_SCANNER, 'none' unless set).
+ * Each scanner implements `scan(stream)`.
+ * @param {string} [name]
+ * @returns {object}
+ */
+export const getScanner = (name = process.env.EVIDENCE_SCANNER || 'none') => {
+    const scanner = scanners[name.toLowerCase()];
+    if (!scanner) {
+        throw new Error(`Unknown malware scanner '${name}'.`);
+    }
+    return scanner;
+};
+
+/**
+ * Scans a file stream and returns the result to store on the evidence record.
+ * Scanner errors are recorded as 'Failed' rather than thrown, so the file stays quarantined.
+ * @param {import('stream').Readable} stream
+ * @returns {Promise<{status: string, scanner: string, signature?: string, error?: string, scannedAt: Date}>}
+ */
+export const scanFile = async (stream) => {
+    const scanner = getScanner();
+    try {
+        const { status, signature } = await scanner.scan(stream);
+        return { status, scanner: scanner.name, signature, scannedAt: new Date() };
+    } catch (error) {
+        return { status: 'Failed', scanner: scanner.name, error: error.message, scannedAt: new Date() };
+    }
+};
@@ -0,0 +1,19 @@
+/**
+ * Accepts every file without scanning it. Used when no scanner is configured, so uploads are
+ * recorded as 'Skipped' rather than 'Clean'.
+ */
+const noopScanner = {
+    name: 'none',
+
+    /**
+     * Drains the stream and reports that the file was not scanned.
+     * @param {import('stream').Readable} stream
+     * @returns {Promise<{status: string}>}
+     */
+    async scan(stream) {
+        stream.resume();
+        return { status: 'Skipped' };
+    },
+};
+
+export default noopScanner;
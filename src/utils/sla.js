@@ -0,0 +1,74 @@
+import AppSettings from '../models/settings.model.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Loads the SLA configuration from the settings document, falling back to schema defaults.
+ * @returns {Promise<{targets: object[], warningHours: number}>}
+ */
+export const getSlaConfig = async () => {
+    let settings = await AppSettings.findOne().select('slaTargets slaWarningHours').lean();
+    if (!settings) settings = new AppSettings().toObject(); // Schema defaults, without persisting
+
+    return {
+        targets: settings.slaTargets || [],
+        warningHours: settings.slaWarningHours ?? 24,
+    };
+};
+
+/**
+ * Finds the SLA target that applies to a complaint. A category-specific
+ * target takes precedence over the default target for the same status.
+ * @param {object} complaint - An object with `status` and `category`.
+ * @param {object[]} targets - The configured SLA targets.
+ * @returns {object | undefined}
+ */
+export const findSlaTarget = (complaint, targets) =>
+    targets.find(t => t.status === complaint.status && t.category && t.category === complaint.category)
+    || targets.find(t => t.status === complaint.status && !t.category);
+
+/**
+ * Calculates the deadline for a complaint in its current status.
+ * @param {object} complaint - A complaint with `status`, `category` and `sla.enteredAt`.
+ * @param {object[]} targets - The configured SLA targets.
+ * @returns {Date | null} The deadline, or null if no target applies.
+ */
+export const getSlaDeadline = (complaint, targets) => {
+    const target = findSlaTarget(complaint, targets);
+    if (!target || !complaint.sla?.enteredAt) return null;
+    return new Date(new Date(complaint.sla.enteredAt).getTime() + target.targetHours * HOUR_MS);
+};
+
+/**
+ * Builds a MongoDB match condition for complaints in a given SLA state.
+ * - 'breached': the deadline has passed.
+ * - 'at-risk': the deadline falls within the warning window.
+ * @param {'breached' | 'at-risk'} state - The SLA state to match.
+ * @param {{targets: object[], warningHours: number}} config - The SLA configuration.
+ * @param {Date} [now] - The reference time.
+ * @returns {object} A condition suitable for `$match` or `find`.
+ */
+export const buildSlaMatch = (state, { targets, warningHours }, now = new Date()) => {
+    const conditions = targets.map(target => {
+        // Latest entry time that still counts as breached for this target.
+        const breachCutoff = new Date(now.getTime() - target.targetHours * HOUR_MS);
+
+        const enteredAt = state === 'breached'
+            ? { $lte: breachCutoff }
+            : { $gt: breachCutoff, $lte: new Date(breachCutoff.getTime() + warningHours * HOUR_MS) };
+
+        // A default target must not apply to categories that have their own target.
+        const overriddenCategories = targets
+            .filter(t => t.status === target.status && t.category)
+            .map(t => t.category);
+
+        return {
+            status: target.status,
+            category: target.category ? target.category : { $nin: overriddenCategories },
+            'sla.enteredAt': enteredAt,
+        };
+    });
+
+    // An empty $or is invalid, so match nothing when no targets are configured.
+    return conditions.length > 0 ? { $or: conditions } : { _id: null };
+};
@@ -0,0 +1,106 @@
+import { Readable } from 'stream';
+import cloudinary from '../../config/cloudinary.js';
+
+// Reads the delivery type ('upload', 'private' or 'authenticated') from a Cloudinary URL.
+const getDeliveryType = (url) => /\/(?:image|video|raw)\/(upload|private|authenticated)\//.exec(url || '')?.[1] || 'upload';
+
+/**
+ * Stores files in Cloudinary; the storage key is the Cloudinary public_id. Private files
+ * (evidence) can only be fetched through a signed download link, while other files are
+ * publicly delivered from their secure URL.
+ */
+const cloudinaryProvider = {
+    name: 'cloudinary',
+
+    /**
+     * Uploads a stream. Cloudinary picks the resource type (image, video or raw).
+     * @param {import('stream').Readable} stream
+     * @param {{folder: string, key: string, isPrivate?: boolean}} options
+     * @returns {Promise<{url: string, storageKey: string, resourceType: string, size: number}>}
+     */
+    put(stream, { folder, key, isPrivate = false }) {
+        return new Promise((resolve, reject) => {
+            const upload = cloudinary.uploader.upload_stream(
+                { folder, public_id: key, resource_type: 'auto', type: isPrivate ? 'private' : 'upload' },
+                (error, result) => {
+                    if (error) return reject(error);
+                    resolve({
+                        url: result.secure_url,
+                        storageKey: result.public_id,
+                        resourceType: result.resource_type,
+                        size: result.bytes,
+                    });
+                }
+            );
+            stream.on('error', reject);
+            stream.pipe(upload);
+        });
+    },
+
+    /**
+     * Opens a stored file for reading.
+     * @param {{url: string, storageKey?: string, resourceType?: string}} record
+     * @returns {Promise<import('stream').Readable>}
+     */
+    async get(record) {
+        const response = await fetch(record.storageKey ? cloudinaryProvider.getSignedUrl(record, { expiresIn: 300 }) : record.url);
+        if (!response.ok) {
+            throw new Error(`Could not download the file (HTTP ${response.status}).`);
+        }
+        return Readable.fromWeb(response.body);
+    },
+
+    /**
+     * Returns a time-limited download link for a stored file.
+     * @param {{url: string, storageKey: string, resourceType: string}} record
+     * @param {{expiresIn?: number}} [options] - Lifetime in seconds.
+     * @returns {string}
+     */
+    getSignedUrl(record, { expiresIn = 3600 } = {}) {
+        // Raw files keep their extension in the public_id; other types deliver it as the format.
+        const format = record.resourceType === 'raw' ? '' : (/\.([a-z0-9]+)$/i.exec(record.url)?.[1] || '');
+        return cloudinary.utils.private_download_url(record.storageKey, format, {
+            resource_type: record.resourceType || 'image',
+            type: getDeliveryType(record.url),
+            expires_at: Math.floor(Date.now() / 1000) + expiresIn,
+        });
+    },
+
+    /**
+     * Deletes files. Cloudinary deletes each resource and delivery type separately, at most
+     * 100 public_ids per call.
+     * @param {Array<{storageKey: string, resourceType?: string, url?: string}>} records
+     */
+    async delete(records) {
+        const keysByType = {};
+        for (const record of records) {
+            (keysByType[`${record.resourceType || 'image'}/${getDeliveryType(record.url)}`] ||= []).push(record.storageKey);
+        }
+
+        for (const [types, keys] of Object.entries(keysByType)) {
+            const [resourceType, type] = types.split('/');
+            for (let i = 0; i < keys.length; i += 100) {
+                await cloudinary.api.delete_resources(keys.slice(i, i + 100), { resource_type: resourceType, type, invalidate: true });
+            }
+        }
+    },
+
+    /**
+     * Recovers the storage key and resource type from a delivery URL, e.g.
+     * https://res.cloudinary.com/<cloud>/image/upload/v12345/advocacy-platform/evidence-files/some-id.jpg
+     * gives { resourceType: 'image', storageKey: 'advocacy-platform/evidence-files/some-id' }.
+     * Private URLs (`/image/private/s--<signature>--/v12345/...`) are read the same way.
+     * @param {string} url
+     * @returns {{storageKey: string, resourceType: string} | null}
+     */
+    parseUrl(url) {
+        const match = /\/(image|video|raw)\/(?:upload|private|authenticated)\/(?:s--[^/]+--\/)?(?:v\d+\/)?(.+)$/.exec(url || '');
+        if (!match) return null;
+
+        const [, resourceType, path] = match;
+        const storageKey = decodeURIComponent(resourceType === 'raw' ? path : path.replace(/\.[^./]+$/, ''));
+        return { resourceType, storageKey };
+    },
+};
+
+export default cloudinaryProvider;
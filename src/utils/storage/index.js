@@ -0,0 +1,72 @@
+import cloudinaryProvider from './cloudinaryProvider.js';
+import localProvider from './localProvider.js';
+
+const providers = {
+    [cloudinaryProvider.name]: cloudinaryProvider,
+    [localProvider.name]: localProvider,
+};
+
+/**
+ * Returns a storage provider. Each provider implements put, get, getSignedUrl, delete and parseUrl.
+ * @param {string} [name] - Defaults to the configured STORAGE_PROVIDER ('cloudinary' unless set).
+ * @returns {object}
+ */
+export const getStorage = (name = process.env.STORAGE_PROVIDER || 'cloudinary') => {
+    const provider = providers[name.toLowerCase()];
+    if (!provider) {
+        throw new Error(`Unknown storage provider '${name}'.`);
+    }
+    return provider;
+};
+
+/**
+ * Works out which provider holds a file from its URL, for records that predate the `provider` field.
+ * @param {string} url
+ * @returns {{provider: string, storageKey: string, resourceType?: string} | null}
+ */
+export const parseStoredFileUrl = (url) => {
+    for (const provider of Object.values(providers)) {
+        const parsed = provider.parseUrl(url);
+        if (parsed) return { provider: provider.name, ...parsed };
+    }
+    return null;
+};
+
+/**
+ * Opens a stored file for reading.
+ * @param {{provider?: string, url: string, storageKey?: string}} record
+ * @returns {Promise<import('stream').Readable>}
+ */
+export const getStoredFile = (record) => getStorage(record.provider || 'cloudinary').get(record);
+
+/**
+ * Returns a time-limited link to a stored file. Legacy records without a storage key cannot
+ * be signed and keep their stored URL.
+ * @param {{provider?: string, url: string, storageKey?: string, resourceType?: string}} record
+ * @param {{expiresIn?: number}} [options] - Lifetime in seconds.
+ * @returns {string}
+ */
+export const getSignedFileUrl = (record, options) => (record.storageKey
+    ? getStorage(record.provider || 'cloudinary').getSignedUrl(record, options)
+    : record.url);
+
+/**
+ * Deletes stored files, routing each to the provider that holds it. Records without a
+ * storage key fall back to parsing their URL.
+ * @param {Array<{provider?: string, url: string, storageKey?: string, resourceType?: string}>} records
+ */
+export const deleteStoredFiles = async (records = []) => {
+    const recordsByProvider = {};
+    for (const record of records) {
+        const parsed = record.storageKey ? null : parseStoredFileUrl(record.url);
+        const storageKey = record.storageKey || parsed?.storageKey;
+        if (!storageKey) continue;
+
+        const provider = record.provider || parsed?.provider || 'cloudinary';
+        (recordsByProvider[provider] ||= []).push({ storageKey, resourceType: record.resourceType || parsed?.resourceType, url: record.url });
+    }
+
+    for (const [provider, providerRecords] of Object.entries(recordsByProvider)) {
+        await getStorage(provider).delete(providerRecords);
+    }
+};
@@ -0,0 +1,133 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+
+// Files are served back through the authenticated /api/v1/files route.
+export const LOCAL_FILES_ROUTE = '/api/v1/files';
+
+const getRootDir = () => path.resolve(process.env.LOCAL_STORAGE_DIR || 'uploads');
+
+const getSigningSecret = () => process.env.STORAGE_SIGNING_SECRET || process.env.ACCESS_TOKEN_SECRET;
+
+const sign = (key, expires) => crypto.createHmac('sha256', getSigningSecret()).update(`${key}:${expires}`).digest('hex');
+
+/**
+ * Resolves a storage key to a path on disk, refusing keys that escape the storage directory.
+ * @param {string} key
+ * @returns {string}
+ */
+export const resolveLocalPath = (key) => {
+    const root = getRootDir();
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+        throw new Error('Invalid storage key.');
+    }
+    return filePath;
+};
+
+/**
+ * Checks a signed link produced by `getSignedUrl`.
+ * @param {string} key
+ * @param {string|number} expires - Expiry as a Unix timestamp in seconds.
+ * @param {string} signature
+ * @returns {boolean}
+ */
+export const verifyLocalSignature = (key, expires, signature) => {
+    if (!signature || !(Number(expires) > Date.now() / 1000)) return false;
+
+    const expected = Buffer.from(sign(key, String(expires)));
+    const received = Buffer.from(String(signature));
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * Maps a MIME type onto the same resource types Cloudinary uses.
+ */
+const getResourceType = (mimeType = '') => {
+    if (mimeType.startsWith('image/')) return 'image';
+    if (mimeType.startsWith('video/') || mimeType.startsWith('audio/')) return 'video';
+    return 'raw';
+};
+
+/**
+ * Stores files on the server's disk, for offline development and testing. Set
+ * STORAGE_PROVIDER=local and optionally LOCAL_STORAGE_DIR (default ./uploads).
+ */
+const localProvider = {
+    name: 'local',
+
+    /**
+     * Writes a stream to disk. The original extension is kept so files are served with the right type.
+     * @param {import('stream').Readable} stream
+     * @param {{folder: string, key: string, originalName?: string, mimeType?: string, baseUrl: string}} options
+     * @returns {Promise<{url: string, storageKey: string, resourceType: string, size: number}>}
+     */
+    async put(stream, { folder, key, originalName = '', mimeType, baseUrl }) {
+        const extension = path.extname(originalName).toLowerCase().replace(/[^a-z0-9.]/g, '');
+        const storageKey = `${folder}/${key}${extension}`;
+        const filePath = resolveLocalPath(storageKey);
+
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        try {
+            await pipeline(stream, fs.createWriteStream(filePath));
+        } catch (error) {
+            // Don't leave a partial file behind when the upload is rejected or interrupted.
+            await fs.promises.rm(filePath, { force: true });
+            throw error;
+        }
+        const { size } = await fs.promises.stat(filePath);
+
+        return {
+            url: `${baseUrl}${LOCAL_FILES_ROUTE}/${storageKey.split('/').map(encodeURIComponent).join('/')}`,
+            storageKey,
+            resourceType: getResourceType(mimeType),
+            size,
+        };
+    },
+
+    /**
+     * Opens a stored file for reading.
+     * @param {{storageKey: string}} record
+     * @returns {Promise<import('stream').Readable>}
+     */
+    async get(record) {
+        return fs.createReadStream(resolveLocalPath(record.storageKey));
+    },
+
+    /**
+     * Returns a time-limited link that works without an access token.
+     * @param {{url: string, storageKey: string}} record
+     * @param {{expiresIn?: number}} [options] - Lifetime in seconds.
+     * @returns {string}
+     */
+    getSignedUrl(record, { expiresIn = 3600 } = {}) {
+        const expires = String(Math.floor(Date.now() / 1000) + expiresIn);
+        return `${record.url.split('?')[0]}?expires=${expires}&signature=${sign(record.storageKey, expires)}`;
+    },
+
+    /**
+     * Deletes files. Files that are already gone are ignored.
+     * @param {Array<{storageKey: string}>} records
+     */
+    async delete(records) {
+        for (const record of records) {
+            await fs.promises.rm(resolveLocalPath(record.storageKey), { force: true });
+        }
+    },
+
+    /**
+     * Recovers the storage key from a file URL served by this provider.
+     * @param {string} url
+     * @returns {{storageKey: string, resourceType: string} | null}
+     */
+    parseUrl(url) {
+        const match = new RegExp(`${LOCAL_FILES_ROUTE}/([^?]+)`).exec(url || '');
+        if (!match) return null;
+
+        const storageKey = match[1].split('/').map(decodeURIComponent).join('/');
+        return { storageKey, resourceType: undefined };
+    },
+};
+
+export default localProvider;
@@ -0,0 +1,80 @@
+import Taxonomy from '../models/taxonomy.model.js';
+
+// The options that were hard-coded before taxonomies became admin-managed.
+// They seed an empty collection so existing deployments keep the same choices.
+export const DEFAULT_TAXONOMY = {
+    category: [
+        'Vendor & Service Issues',
+        'Peer-to-Peer Disputes',
+        'Oppression/Harassment',
+        'Financial Fraud/Scam',
+    ],
+    desiredAction: [
+        'Mediation/Internal Settlement',
+        'Formal Legal Support/Court Action',
+        'Public Resolution/Exposure',
+    ],
+    initiativeCategory: [
+        'Clean Water (Borehole)',
+        'Education (School Aid)',
+        'Disaster Relief',
+        'Skills Acquisition (Handwork)',
+    ],
+};
+
+/**
+ * Seeds the default taxonomy entries if the collection is empty.
+ */
+export const ensureDefaultTaxonomy = async () => {
+    if (await Taxonomy.exists({})) return;
+
+    const entries = Object.entries(DEFAULT_TAXONOMY).flatMap(([kind, values]) =>
+        values.map((value, index) => ({ kind, value, label: value, order: index }))
+    );
+    try {
+        await Taxonomy.insertMany(entries, { ordered: false });
+    } catch (error) {
+        // Another request seeded the defaults concurrently.
+        if (error.code !== 11000) throw error;
+    }
+};
+
+/**
+ * Gets taxonomy entries grouped by kind, in display order.
+ * @param {object} [options]
+ * @param {boolean} [options.activeOnly=true] - Exclude retired entries.
+ * @returns {Promise<Record<string, object[]>>}
+ */
+export const getTaxonomy = async ({ activeOnly = true } = {}) => {
+    await ensureDefaultTaxonomy();
+
+    const entries = await Taxonomy.find(activeOnly ? { isActive: true } : {})
+        .sort({ kind: 1, order: 1, label: 1 })
+        .lean();
+
+    return entries.reduce((grouped, entry) => {
+        (grouped[entry.kind] ||= []).push(entry);
+        return grouped;
+    }, { category: [], desiredAction: [], initiativeCategory: [] });
+};
+
+/**
+ * Checks that any provided taxonomy fields use active values. Fields that are
+ * unchanged from `current` are accepted even if retired, so existing complaints stay editable.
+ * @param {object} values - e.g. `{ category, desiredAction }` from a request body.
+ * @param {object} [current] - The complaint's existing values.
+ * @returns {Promise<string | null>} An error message, or null if valid.
+ */
+export const validateTaxonomyValues = async (values, current = {}) => {
+    const toCheck = Object.entries(values)
+        .filter(([kind, value]) => value && value !== current[kind]);
+    if (toCheck.length === 0) return null;
+
+    const taxonomy = await getTaxonomy();
+    for (const [kind, value] of toCheck) {
+        if (!taxonomy[kind].some(entry => entry.value === value)) {
+            return `'${value}' is not an available ${kind} option.`;
+        }
+    }
+    return null;
+};
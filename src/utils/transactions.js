@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+// Standalone servers reject the first operation of a transaction with this error.
+const isTransactionUnsupported = (error) => error?.code === 20
+    && /Transaction numbers are only allowed/i.test(error.message || '');
+
+/**
+ * Runs `work` in a MongoDB transaction so its writes land together or not at all.
+ * Transactions need a replica set (a single-node one is enough). On a standalone server
+ * `work` is run once more without a session, so its writes are applied one by one.
+ * `work` must pass the session to every query and save, and must not write anything
+ * before its first session read, so the retry starts from what is stored.
+ * @param {function(mongoose.ClientSession|null): Promise<*>} work
+ * @returns {Promise<*>} Whatever `work` returns.
+ */
+export const runInTransaction = async (work) => {
+    const session = await mongoose.startSession();
+    try {
+        return await session.withTransaction(() => work(session));
+    } catch (error) {
+        if (!isTransactionUnsupported(error)) throw error;
+        console.warn('MongoDB transactions are unavailable (not a replica set); running without one.');
+        return work(null);
+    } finally {
+        await session.endSession();
+    }
+};
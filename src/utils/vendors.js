@@ -0,0 +1,90 @@
+import Vendor from '../models/vendor.model.js';
+import Complaint from '../models/complaint.model.js';
+import { normalizeVendorName, normalizeContact, normalizeSocialHandle } from './duplicates.js';
+
+/**
+ * Finds the registered vendor matching a complaint's `vendorDetails`, creating one if none exists.
+ * Matching tries the normalized name and aliases first, then known contacts and social handles.
+ * Newly seen names and identifiers are recorded on the matched vendor.
+ * @param {{name?: string, contact?: string, socialMedia?: string}} vendorDetails
+ * @returns {Promise<mongoose.Document | null>} The vendor, or null if there is no vendor name.
+ */
+export const resolveVendor = async (vendorDetails = {}) => {
+    const name = vendorDetails.name?.trim();
+    const normalizedName = normalizeVendorName(name);
+    if (!normalizedName) return null;
+
+    const contact = vendorDetails.contact ? normalizeContact(vendorDetails.contact) : '';
+    const handle = normalizeSocialHandle(vendorDetails.socialMedia);
+
+    const identifierMatches = [];
+    if (contact) identifierMatches.push({ 'identifiers.contacts': contact });
+    if (handle) identifierMatches.push({ 'identifiers.socialHandles': handle });
+
+    let vendor = await Vendor.findOne({ $or: [{ normalizedName }, { normalizedAliases: normalizedName }] });
+    if (!vendor && identifierMatches.length > 0) {
+        vendor = await Vendor.findOne({ $or: identifierMatches });
+    }
+
+    const additions = {};
+    if (contact) additions['identifiers.contacts'] = contact;
+    if (handle) additions['identifiers.socialHandles'] = handle;
+
+    if (!vendor) {
+        try {
+            return await Vendor.create({
+                name,
+                normalizedName,
+                identifiers: { contacts: contact ? [contact] : [], socialHandles: handle ? [handle] : [] },
+            });
+        } catch (error) {
+            // Another request registered the same vendor concurrently.
+            if (error.code !== 11000) throw error;
+            vendor = await Vendor.findOne({ normalizedName });
+        }
+    }
+
+    if (normalizedName !== vendor.normalizedName && !vendor.normalizedAliases.includes(normalizedName)) {
+        additions.aliases = name;
+        additions.normalizedAliases = normalizedName;
+    }
+
+    if (Object.keys(additions).length === 0) return vendor;
+    return Vendor.findByIdAndUpdate(vendor._id, { $addToSet: additions }, { new: true });
+};
+
+/**
+ * Links existing 'Case' complaints that have vendorDetails but no vendor reference.
+ * Safe to run repeatedly; only unlinked complaints are processed.
+ * @param {object} [options]
+ * @param {number} [options.batchSize=500] - Number of complaints to load per batch.
+ * @returns {Promise<{processed: number, linked: number, vendorsBefore: number, vendorsAfter: number}>}
+ */
+export const backfillComplaintVendors = async ({ batchSize = 500 } = {}) => {
+    const vendorsBefore = await Vendor.countDocuments();
+    let processed = 0;
+    let linked = 0;
+    let lastId = null;
+
+    // Page by _id so complaints that cannot be linked are not fetched again.
+    for (;;) {
+        const query = { type: 'Case', vendor: null, 'vendorDetails.name': { $nin: [null, ''] } };
+        if (lastId) query._id = { $gt: lastId };
+
+        const batch = await Complaint.find(query).sort({ _id: 1 }).limit(batchSize).select('vendorDetails').lean();
+        if (batch.length === 0) break;
+
+        for (const complaint of batch) {
+            processed++;
+            const vendor = await resolveVendor(complaint.vendorDetails);
+            if (vendor) {
+                await Complaint.updateOne({ _id: complaint._id }, { $set: { vendor: vendor._id } });
+                linked++;
+            }
+        }
+        lastId = batch[batch.length - 1]._id;
+    }
+
+    const vendorsAfter = await Vendor.countDocuments();
+    return { processed, linked, vendorsBefore, vendorsAfter };
+};
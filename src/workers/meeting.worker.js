@@ -0,0 +1,130 @@
+import { Worker } from 'bullmq';
+import IORedis from 'ioredis';
+import Meeting from '../models/meeting.model.js';
+import Complaint from '../models/complaint.model.js';
+import User from '../models/user.model.js';
+import { createNotification, notifyAdmins } from '../utils/notification.js';
+import { sendEmail } from '../utils/email.js';
+import { buildMeetingDetailsHtml, formatMeetingTime, refreshInvitationSummary } from '../utils/meetings.js';
+import { MEETING_REMINDERS, cancelMeetingJobs } from '../utils/meetingJobs.js';
+import { buildMeetingIcsAttachment } from '../utils/ics.js';
+
+const connection = new IORedis(process.env.REDIS_URL || 'redis://localhost:6379', {
+    maxRetriesPerRequest: null,
+    retryStrategy: (times) => Math.min(times * 50, 2000), // Retry connection without crashing
+});
+
+connection.on('error', (err) => {
+    console.warn('[Meeting Worker] Redis connection failed. Meeting reminders will be disabled.');
+});
+
+/**
+ * Sends a reminder for an upcoming meeting by email, push and in-app notification.
+ * Skipped if the meeting was cancelled or moved after the job was queued.
+ */
+const sendMeetingReminder = async ({ meetingId, startAt, reminder }) => {
+    const meeting = await Meeting.findById(meetingId).populate('complaint', 'caseRef complainant');
+    if (!meeting || meeting.status !== 'Scheduled' || meeting.startAt.toISOString() !== startAt || !meeting.complaint) {
+        return { skipped: true };
+    }
+    if (['Rejected', 'Expired'].includes(meeting.complainantResponse?.status)) {
+        return { skipped: true };
+    }
+
+    const { caseRef, complainant: complainantId, _id: complaintId } = meeting.complaint;
+    const { label } = MEETING_REMINDERS.find(r => r.name === reminder);
+    const { date, time } = formatMeetingTime(meeting);
+    const awaitingResponse = meeting.complainantResponse?.status === 'Pending';
+
+    const complainant = await User.findById(complainantId).select('email fullName');
+    if (complainant) {
+        await sendEmail(complainant.email, `REMINDER: Your meeting is in ${label} (${caseRef})`, `
+            <h1>Meeting Reminder</h1>
+            <p>Dear ${complainant.fullName},</p>
+            <p>This is a reminder that your meeting for complaint Ref: <strong>${caseRef}</strong> starts in ${label}.</p>
+            ${buildMeetingDetailsHtml(meeting)}
+            ${awaitingResponse ? '<p>You have not yet confirmed this meeting. Please log in to your dashboard to respond.</p>' : ''}
+        `);
+        await createNotification(
+            complainant._id,
+            `Reminder: your meeting for case '${caseRef}' starts in ${label} (${date} at ${time}).`,
+            `/complainant/complaint/${complaintId}`,
+            { title: 'Meeting Reminder', urgency: reminder === 'reminder-1h' ? 'high' : 'normal' }
+        );
+    }
+
+    for (const attendee of meeting.attendees.filter(a => a.kind === 'Staff' && a.user)) {
+        await createNotification(
+            attendee.user,
+            `Reminder: meeting on case '${caseRef}' starts in ${label} (${date} at ${time}).`,
+            `/admin/complaint/${complaintId}`,
+            { title: 'Meeting Reminder' }
+        );
+    }
+
+    return { sent: true };
+};
+
+/**
+ * Expires an invitation that is still unanswered at its deadline. The meeting is cancelled
+ * to free its staff and venue, and the case is flagged for staff to follow up.
+ */
+const expireInvitation = async ({ meetingId, deadline }) => {
+    const meeting = await Meeting.findById(meetingId);
+    if (!meeting || meeting.status !== 'Scheduled' || meeting.complainantResponse?.status !== 'Pending'
+        || meeting.complainantResponse.deadline?.toISOString() !== deadline) {
+        return { skipped: true };
+    }
+
+    meeting.status = 'Cancelled';
+    meeting.cancellationReason = 'Invitation expired without a response.';
+    meeting.complainantResponse.status = 'Expired';
+    await meeting.save();
+    await cancelMeetingJobs(meeting._id);
+
+    const complaint = await Complaint.findById(meeting.complaint);
+    if (!complaint) return { expired: true };
+
+    const { date, time } = formatMeetingTime(meeting);
+    complaint.needsAttention = {
+        reason: `The invitation for the meeting on ${date} at ${time} expired without a response.`,
+        flaggedAt: new Date(),
+    };
+    await refreshInvitationSummary(complaint);
+    await complaint.save();
+
+    const staffMessage = `Invitation expired on case '${complaint.caseRef}': the complainant did not respond to the meeting on ${date} at ${time}. Please follow up.`;
+    const staffLink = `/admin/complaint/${complaint._id}`;
+    if (complaint.assignedTo) {
+        await createNotification(complaint.assignedTo, staffMessage, staffLink, { title: 'Invitation Expired', urgency: 'high' });
+    } else {
+        await notifyAdmins(staffMessage, staffLink);
+    }
+
+    const complainant = await User.findById(complaint.complainant).select('email fullName');
+    if (complainant) {
+        await sendEmail(complainant.email, `Meeting Invitation Expired (${complaint.caseRef})`, `
+            <h1>Invitation Expired</h1>
+            <p>Dear ${complainant.fullName},</p>
+            <p>The meeting invitation for your case (Ref: <strong>${complaint.caseRef}</strong>) was not answered in time and has been withdrawn. Our team will be in touch to arrange a new time.</p>
+        `, [buildMeetingIcsAttachment(meeting, 'CANCEL')]);
+    }
+    await createNotification(
+        complaint.complainant,
+        `The meeting invitation for your case '${complaint.caseRef}' has expired because it was not answered in time. Our team will be in touch.`,
+        `/complainant/complaint/${complaint._id}`
+    );
+
+    return { expired: true };
+};
+
+const worker = new Worker('meetingQueue', async (job) => {
+    try {
+        if (job.name === 'meeting-reminder') return await sendMeetingReminder(job.data);
+        if (job.name === 'response-deadline') return await expireInvitation(job.data);
+    } catch (error) {
+        console.error(`[Meeting Worker] Failed to process ${job.name} job:`, error);
+    }
+}, { connection });
+
+export default worker;
@@ -0,0 +1,36 @@
+import { Worker } from 'bullmq';
+import IORedis from 'ioredis';
+import { publicationQueue } from '../config/queue.js';
+import { publishDueRevisions } from '../utils/publicationRevisions.js';
+
+const PUBLISH_INTERVAL_MS = (parseInt(process.env.PUBLICATION_INTERVAL_MINUTES) || 5) * 60 * 1000;
+
+const connection = new IORedis(process.env.REDIS_URL || 'redis://localhost:6379', {
+    maxRetriesPerRequest: null,
+    retryStrategy: (times) => Math.min(times * 50, 2000), // Retry connection without crashing
+});
+
+connection.on('error', (err) => {
+    console.warn('[Publication Worker] Redis connection failed. Scheduled publication will be disabled.');
+});
+
+const worker = new Worker('publicationQueue', async (job) => {
+    try {
+        const { published, waiting } = await publishDueRevisions();
+        for (const revision of published) {
+            console.log(`[Publication Worker] Published revision #${revision.number} of complaint ${revision.complaint}.`);
+        }
+        if (published.length > 0 || waiting.length > 0) {
+            console.log(`[Publication Worker] ${published.length} revision(s) published, ${waiting.length} still waiting.`);
+        }
+        return { published: published.length, waiting: waiting.length };
+    } catch (error) {
+        console.error('[Publication Worker] Failed to publish scheduled revisions:', error);
+    }
+}, { connection });
+
+// Register (or update) the repeatable check for revisions that are due.
+publicationQueue.upsertJobScheduler('publish-due-revisions', { every: PUBLISH_INTERVAL_MS }, { name: 'publish-due-revisions' })
+    .catch((error) => console.warn('[Publication Worker] Could not schedule publication check:', error.message));
+
+export default worker;
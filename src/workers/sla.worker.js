@@ -0,0 +1,82 @@
+import { Worker } from 'bullmq';
+import IORedis from 'ioredis';
+import Complaint from '../models/complaint.model.js';
+import { slaQueue } from '../config/queue.js';
+import { createNotification, notifyAdmins } from '../utils/notification.js';
+import { getSlaConfig, getSlaDeadline, buildSlaMatch } from '../utils/sla.js';
+import { ACTIVE_STATUSES } from '../utils/complaintStatus.js';
+
+const CHECK_INTERVAL_MS = (parseInt(process.env.SLA_CHECK_INTERVAL_MINUTES) || 15) * 60 * 1000;
+
+const connection = new IORedis(process.env.REDIS_URL || 'redis://localhost:6379', {
+    maxRetriesPerRequest: null,
+    retryStrategy: (times) => Math.min(times * 50, 2000), // Retry connection without crashing
+});
+
+connection.on('error', (err) => {
+    console.warn('[SLA Worker] Redis connection failed. SLA monitoring will be disabled.');
+});
+
+/**
+ * Detects complaints approaching or past their SLA deadline, warns assignees
+ * and escalates breaches to Admins. Each complaint is warned and escalated
+ * at most once per status, since the SLA fields reset on every transition.
+ */
+export const runSlaCheck = async () => {
+    const config = await getSlaConfig();
+    const now = new Date();
+
+    // Complaints created before SLA tracking have no start time; use their last status change.
+    await Complaint.updateMany(
+        { status: { $in: ACTIVE_STATUSES }, 'sla.enteredAt': null },
+        [{ $set: { 'sla.enteredAt': { $ifNull: [{ $last: '$statusHistory.timestamp' }, '$updatedAt'] } } }]
+    );
+
+    const atRisk = await Complaint.find({ ...buildSlaMatch('at-risk', config, now), 'sla.warnedAt': null })
+        .select('caseRef status category assignedTo sla');
+
+    for (const complaint of atRisk) {
+        const deadline = getSlaDeadline(complaint, config.targets);
+        const message = `Case '${complaint.caseRef}' has been '${complaint.status}' for too long. SLA deadline: ${deadline.toLocaleString()}.`;
+
+        if (complaint.assignedTo) {
+            await createNotification(complaint.assignedTo, message, `/admin/complaint/${complaint._id}`, { title: 'SLA Warning', urgency: 'high' });
+        } else {
+            await notifyAdmins(`Unassigned: ${message}`, `/admin/complaint/${complaint._id}`);
+        }
+        await Complaint.updateOne({ _id: complaint._id }, { $set: { 'sla.warnedAt': now } });
+    }
+
+    const breached = await Complaint.find({ ...buildSlaMatch('breached', config, now), 'sla.escalatedAt': null })
+        .select('caseRef status category assignedTo sla');
+
+    for (const complaint of breached) {
+        const deadline = getSlaDeadline(complaint, config.targets);
+        const message = `SLA breached: case '${complaint.caseRef}' has been '${complaint.status}' since ${new Date(complaint.sla.enteredAt).toLocaleString()} (deadline ${deadline.toLocaleString()}).`;
+
+        await notifyAdmins(message, `/admin/complaint/${complaint._id}`, 'Admin');
+        if (complaint.assignedTo) {
+            await createNotification(complaint.assignedTo, message, `/admin/complaint/${complaint._id}`, { title: 'SLA Breached', urgency: 'high' });
+        }
+        // A breach implies the warning window has passed too.
+        await Complaint.updateOne({ _id: complaint._id }, { $set: { 'sla.escalatedAt': now, 'sla.warnedAt': complaint.sla.warnedAt || now } });
+    }
+
+    return { warned: atRisk.length, escalated: breached.length };
+};
+
+const worker = new Worker('slaQueue', async (job) => {
+    try {
+        const result = await runSlaCheck();
+        console.log(`[SLA Worker] Check complete: ${result.warned} warned, ${result.escalated} escalated.`);
+        return result;
+    } catch (error) {
+        console.error('[SLA Worker] Failed to run SLA check:', error);
+    }
+}, { connection });
+
+// Register (or update) the repeatable SLA check.
+slaQueue.upsertJobScheduler('sla-monitor', { every: CHECK_INTERVAL_MS }, { name: 'sla-check' })
+    .catch((error) => console.warn('[SLA Worker] Could not schedule SLA monitor:', error.message));
+
+export default worker;
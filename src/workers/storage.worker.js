@@ -0,0 +1,40 @@
+import { Worker } from 'bullmq';
+import IORedis from 'ioredis';
+import { storageQueue } from '../config/queue.js';
+import { notifyAdmins } from '../utils/notification.js';
+import { sweepPendingUploads } from '../utils/pendingUploads.js';
+
+const SWEEP_INTERVAL_MS = (parseInt(process.env.UPLOAD_SWEEP_INTERVAL_MINUTES) || 60) * 60 * 1000;
+
+const connection = new IORedis(process.env.REDIS_URL || 'redis://localhost:6379', {
+    maxRetriesPerRequest: null,
+    retryStrategy: (times) => Math.min(times * 50, 2000), // Retry connection without crashing
+});
+
+connection.on('error', (err) => {
+    console.warn('[Storage Worker] Redis connection failed. Orphaned upload cleanup will be disabled.');
+});
+
+const worker = new Worker('storageQueue', async (job) => {
+    try {
+        const result = await sweepPendingUploads();
+        console.log(`[Storage Worker] Sweep complete: ${result.removed.length} removed, ${result.reclaimed} reclaimed, ${result.failed.length} failed.`);
+        for (const file of result.removed) {
+            console.log(`[Storage Worker] Removed ${file.source.toLowerCase()} ${file.url}`);
+        }
+
+        if (result.removed.length > 0 || result.failed.length > 0) {
+            const failures = result.failed.length > 0 ? ` ${result.failed.length} could not be deleted and will be retried.` : '';
+            await notifyAdmins(`Storage sweep removed ${result.removed.length} orphaned file(s).${failures}`, '/admin/storage/pending-uploads', 'Admin');
+        }
+        return { removed: result.removed.length, reclaimed: result.reclaimed, failed: result.failed.length };
+    } catch (error) {
+        console.error('[Storage Worker] Failed to sweep orphaned uploads:', error);
+    }
+}, { connection });
+
+// Register (or update) the repeatable sweep.
+storageQueue.upsertJobScheduler('upload-sweep', { every: SWEEP_INTERVAL_MS }, { name: 'sweep-pending-uploads' })
+    .catch((error) => console.warn('[Storage Worker] Could not schedule upload sweep:', error.message));
+
+export default worker;